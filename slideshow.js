@@ -3,7 +3,11 @@
     /**
      * Constructs a new slideshow.
      * 
-     * @param {Array.<HTMLElement>} items The HTMLElements for this slideshow in the form of an array
+     * Can either be called with a single options object (see `Slideshow.defaults` for every
+     * available setting), or with the legacy positional arguments listed below. The positional form leaves
+     * the features added since off, such as keyboard, gestures, ARIA, autoplay holds and lazy loading.
+     * 
+     * @param {Array.<HTMLElement>|Object} items The HTMLElements for this slideshow in the form of an array, or an options object
      * @param {Array.<HTMLElement>} indicators The HTMLElements for the indicators for this slideshow in the form of an array
      * @param {boolean} loop Whether or not to loop this slideshow
      * @param {boolean} shouldDebounce Whether or not to debounce transitions for this slideshow
@@ -16,6 +20,7 @@
      * @param {string} nextItemClass The class to give 'next' items, or items that are going to be shown
      * @param {string} transitioningClass The class to give items that are currently transitioning
      * @param {string} notransitionClass The class to give items when they shouldn't transition (overrides transitioning)
+     * @throws {SlideshowError} If an element given by its id doesn't exist, an option has an unknown value or the indicators don't match the pages
      */
     constructor(
         items,
@@ -32,582 +37,5489 @@
         transitioningClass,
         notransitionClass
     ) {
-        this.items = items;
-        this.indicators = indicators;
-        this.loop = loop;
-        this.shouldDebounce = shouldDebounce;
-        this.shouldAutoTransition = shouldAutoTransition;
-        this.autoTransitionTime = autoTransitionTime;
-        this.autoTransitionDelay = autoTransitionDelay;
-        this.selectedIndicatorClass = selectedIndicatorClass;
-        this.prevItemClass = prevItemClass;
-        this.selectedItemClass = selectedItemClass;
-        this.nextItemClass = nextItemClass;
-        this.transitioningClass = transitioningClass;
-        this.notransitionClass = notransitionClass;
-
-        // Prepare debounce
+        // Normalize the arguments into a single options object
+        var options;
+        if (Slideshow.isOptionsObject(items)) {
+            options = Slideshow.resolveOptions(items);
+        } else {
+            // Omitted arguments keep their positional meaning: the flags are off, and so are the transitioning classes.
+            // Behaviour added since is left off too, so existing pages work as they always have.
+            options = Slideshow.resolveOptions({
+                items: items,
+                indicators: indicators,
+                loop: loop || false,
+                shouldDebounce: shouldDebounce || false,
+                shouldAutoTransition: shouldAutoTransition || false,
+                autoTransitionTime: autoTransitionTime,
+                autoTransitionDelay: autoTransitionDelay,
+                selectedIndicatorClass: selectedIndicatorClass,
+                prevItemClass: prevItemClass,
+                selectedItemClass: selectedItemClass,
+                nextItemClass: nextItemClass,
+                transitioningClass: transitioningClass === undefined ? null : transitioningClass,
+                notransitionClass: notransitionClass === undefined ? null : notransitionClass,
+                // Legacy markup binds its own onclick events to the indicators
+                bindIndicators: false,
+                keyboard: false,
+                accessibility: false,
+                liveRegion: false,
+                swipe: false,
+                mouseDrag: false,
+                pauseOnHover: false,
+                pauseOnFocus: false,
+                pauseWhenHidden: false,
+                pauseWhenOffscreen: false,
+                respectReducedMotion: false,
+                lazyLoad: false
+            });
+        }
+        this.options = options;
+
+        this.container = options.container;
+        this.items = options.items;
+        this.indicators = options.indicators;
+        this.indicatorsContainer = options.indicatorsContainer;
+        if (this.indicatorsContainer == null && this.indicators != null && this.indicators.length > 0) {
+            this.indicatorsContainer = this.indicators[0].parentElement;
+        }
+        this.loop = options.loop;
+        this.shouldDebounce = options.shouldDebounce;
+        this.shouldAutoTransition = options.shouldAutoTransition;
+        this.autoTransitionTime = options.autoTransitionTime;
+        this.autoTransitionDelay = options.autoTransitionDelay;
+        this.selectedIndicatorClass = options.selectedIndicatorClass;
+        this.prevItemClass = options.prevItemClass;
+        this.selectedItemClass = options.selectedItemClass;
+        this.nextItemClass = options.nextItemClass;
+        this.transitioningClass = options.transitioningClass;
+        this.notransitionClass = options.notransitionClass;
+
+        // Render the items from a data source, keeping only a window of them in the DOM
+        this.virtual = null;
+        if (options.dataSource != null) {
+            this.initiateVirtualItems();
+        }
+
+        // Prepare orientation & direction
+        this.orientation = options.orientation == "vertical" ? "vertical" : "horizontal";
+        this.direction = this.resolveDirection();
+
+        // Prepare layout, using the breakpoint for the current width of the container
+        var layout = this.getLayout(this.container != null ? this.container.clientWidth : 0);
+        this.slidesPerView = layout.slidesPerView;
+        this.slidesPerGroup = layout.slidesPerGroup;
+        this.resizeObserver = null;
+        this.validate();
+
+        // Prepare events, which are only emitted once the slideshow is constructed and can be subscribed to
+        this.constructing = true;
+        this.listeners = {};
+        this.domListeners = [];
+        this.boundIndicators = [];
+
+        // Prepare lifecycle
+        this.scheduler = options.scheduler || Slideshow.scheduler;
+        this.timeouts = [];
+        this.transitionWatchers = [];
+        this.loopTimeouts = [];
+        this.effect = Slideshow.resolveEffect(options.effect);
+        this.effectProperties = [];
+        this.paused = false;
+        this.destroyed = false;
+
+        // Prepare debounce & the navigation queue
         this.transitioning = false;
         this.transitioningTimeout = null;
+        this.currentTransition = null;
+        this.transitionQueue = [];
 
-        // Validate & initiate indicators
-        if (this.indicators != null) {
-            if (this.items.length != this.indicators.length) {
-                console.error("Invalid number of indicators! Number of indicators must match number of items.");
-            } else {
-                this.initiateIndicators();
+        // Remember the attributes we may change, so destroy can restore them
+        this.originalAttributes = [];
+        this.rememberedElements = [];
+        this.createdIndicators = [];
+        this.prevControls = this.resolveControls(options.prevControls);
+        this.nextControls = this.resolveControls(options.nextControls);
+        this.rememberAllAttributes();
+
+        // Recover from markup without a selected item
+        if (this.items.length > 0 && this.getSelectedIndex() == -1) {
+            this.debugWarn("no item has the \"" + this.selectedItemClass + "\" class, selecting the first one.");
+            this.selectInitially(0);
+        }
+
+        // Start on the item of the persisted (or initial) state, unless the URL points to another
+        var state = this.readPersistedState() || options.initialState;
+        if (state != null) {
+            this.selectInitially(state.selectedIndex);
+        }
+        this.selectFromUrl();
+
+        // Build the pagination & generate indicators into an empty indicators container
+        this.initiatePagination();
+        if (this.indicators != null && this.indicators.length == 0 && this.indicatorsContainer != null) {
+            for (var i = 0; i < this.getPageCount(); i++) {
+                var indicator = this.createIndicator(i);
+                this.indicators.push(indicator);
+                this.indicatorsContainer.appendChild(indicator);
             }
         }
 
+        // Initiate indicators, which `validate` has matched with the pages
+        if (this.indicators != null) {
+            this.initiateIndicators();
+        }
+        this.updatePagination(this.getSelectedIndex());
+
+        // Initiate orientation, controls, gestures & accessibility
+        this.initiateOrientation();
+        this.initiateControls();
+        this.initiateGestures();
+        this.initiateZoom();
+        this.initiateAccessibility();
+        this.initiateObserver();
+        this.initiateBreakpoints();
+        this.initiateUrlSync();
+        this.syncedSlideshows = [];
+        this.syncing = false;
+        this.activeIndex = -1;
+        this.initiateSync();
+        this.updateVisibleItems(this.getSelectedIndex());
+        this.pendingClone = null;
+        this.headClone = null;
+        this.tailClone = null;
+        this.updateClones();
+        this.updateEffectFrames();
+        this.pausedVideos = [];
+        this.updateVirtualWindow(this.getSelectedIndex());
+        this.initiateVirtual();
+        this.updateMedia(this.getSelectedIndex());
+        this.initiateAutoHeight();
+        this.initiateLightbox();
+
         // Prepare auto transition
         this.autoTransitionDirection = 1; // 1 = forward, 0 = backward
-        this.autoTransitionInterval = null;
+        this.autoTransitionTimer = null;
         this.autoTransitionTimeout = null;
-        this.startAutoTransition();
+        this.autoTransitionMode = options.autoTransitionMode || (this.loop ? "forward" : "pingpong");
+        this.autoTransitionRunning = false;
+        this.autoTransitionEnded = false;
+        this.autoTransitionDuration = this.autoTransitionTime;
+        this.autoTransitionRemaining = this.autoTransitionTime;
+        this.autoTransitionStarted = 0;
+        this.shuffleQueue = [];
+        this.autoTransitionHolds = [];
+        this.initiateAutoTransitionConditions();
+        if (this.shouldAutoTransition) {
+            this.startAutoTransition();
+        }
+        if (state != null) {
+            this.applyAutoTransitionState(state.autoTransition);
+        }
+        this.initiatePersistence();
+        this.constructing = false;
+
+        // Let the container lead to its slideshow, and the navigators constructed before it link with it
+        if (this.container != null) {
+            this.container.slideshow = this;
+            this.linkPendingNavigators();
+        }
     }
 
     /**
-     * Initializes the indicators to contain a `data-index` attribute with the index they should point at.
-     * Indicators must manually include the `onclick` event for transitions.
+     * Checks the options and indicators while constructing, before the slideshow is set up.
+     * 
+     * @throws {SlideshowError} If an option has an unknown value or an `effect` is combined with more than one item
+     * per view ("INVALID_OPTION"), or if the number of indicators does not match the number of pages ("INDICATOR_MISMATCH")
      */
-    initiateIndicators() {
-        for (var i = 0; i < this.indicators.length; i++) {
-            this.indicators[i].setAttribute("data-index", i);
+    validate() {
+        for (var key in Slideshow.optionValues) {
+            var values = Slideshow.optionValues[key];
+            if (values.indexOf(this.options[key]) == -1) {
+                throw new SlideshowError("Slideshow: invalid " + key + " " + JSON.stringify(this.options[key]) + ", expected one of " + values.map(function(value) {
+                    return JSON.stringify(value);
+                }).join(", ") + ".", "INVALID_OPTION");
+            }
+        }
+
+        // Effects move the selected item between positions, which leave no room for other visible items
+        if (this.options.effect != null) {
+            var widths = [0].concat(Object.keys(this.options.breakpoints || {}).map(Number));
+            for (var i = 0; i < widths.length; i++) {
+                var slidesPerView = this.getLayout(widths[i]).slidesPerView;
+                if (slidesPerView > 1) {
+                    throw new SlideshowError("Slideshow: the effect option can't be combined with a slidesPerView of " + slidesPerView + ", as effects show one item at a time.", "INVALID_OPTION");
+                }
+            }
+        }
+
+        // An empty indicators container is filled with generated indicators instead
+        if (this.indicators != null && !(this.indicators.length == 0 && this.indicatorsContainer != null) && this.indicators.length != this.getPageCount()) {
+            throw new SlideshowError("Slideshow: found " + this.indicators.length + " indicators for " + this.getPageCount() + " pages. The number of indicators must match the number of pages (or items, if one item is visible at a time).", "INDICATOR_MISMATCH");
         }
     }
 
     /**
-     * Loops through all indicators and adds the selected class, otherwise 
+     * Logs a message about this slideshow to the console if the `debug` option is enabled.
      * 
-     * @param {number} selectedIndex The index of the currently selected item.
+     * @param {string} message The message
+     * @param {any} detail Logged along with the message, if given
      */
-    updateIndicators(selectedIndex) {
-        for (var i = 0; i < this.indicators.length; i++) {
-            if (i == selectedIndex) {
-                this.indicators[i].classList.add(this.selectedIndicatorClass);
-            } else if (this.indicators[i].classList.contains(this.selectedIndicatorClass)) {
-                this.indicators[i].classList.remove(this.selectedIndicatorClass);
-            }
+    debugLog(message, detail) {
+        if (!this.options.debug) {
+            return;
+        }
+        if (detail === undefined) {
+            console.log(this.getDebugPrefix() + message);
+        } else {
+            console.log(this.getDebugPrefix() + message, detail);
         }
     }
 
     /**
-     * Searches for the item that contains the selectedItemClass and returns its index.
+     * Warns about this slideshow in the console if the `debug` option is enabled.
      * 
-     * @returns {number} The index or -1 if not found.
+     * @param {string} message The warning
      */
-    getSelectedIndex() {
-        for (var i = 0; i < this.items.length; i++) {
-            if (this.items[i].classList.contains(this.selectedItemClass)) {
-                return i;
-            }
+    debugWarn(message) {
+        if (this.options.debug) {
+            console.warn(this.getDebugPrefix() + message);
         }
-        return -1;
     }
 
     /**
-     * Determines whether or not we are at the front of the items list.
+     * Gets the prefix of debug messages, naming the slideshow by the id of its container.
      * 
-     * @returns {boolean} True if we are at the front, false otherwise
+     * @returns {string} The prefix
      */
-    isAtFront() {
-        var selectedIndex = this.getSelectedIndex();
-        if (selectedIndex == 0) {
-            return true;
-        } else {
-            return false;
-        }
+    getDebugPrefix() {
+        return "Slideshow" + (this.container != null && this.container.id ? " #" + this.container.id : "") + ": ";
     }
 
     /**
-     * Determines whether or not we are at the end of the items list.
+     * Explains, in debug mode, why an item hit the backup timeout of `markTransitioning`: either it has no
+     * transition at all, or the listed properties never fired `transitionend`.
      * 
-     * @returns {boolean} True if we are at the end, false otherwise
+     * @param {HTMLElement} item The item
      */
-    isAtEnd() {
-        var selectedIndex = this.getSelectedIndex();
-        if (selectedIndex == this.items.length - 1) {
-            return true;
+    reportMissedTransition(item) {
+        if (!this.options.debug) {
+            return;
+        }
+        var index = this.items.indexOf(item);
+        var style = getComputedStyle(item);
+        var properties = style.transitionProperty.split(",");
+        var durations = style.transitionDuration.split(",");
+        var delays = style.transitionDelay.split(",");
+        var pending = [];
+        for (var i = 0; i < properties.length; i++) {
+            // Durations and delays repeat when there are fewer of them than properties
+            var time = Slideshow.parseTime(durations[i % durations.length]) + Slideshow.parseTime(delays[i % delays.length]);
+            if (time > 0) {
+                pending.push(properties[i].trim() + " (" + time + "ms)");
+            }
+        }
+        if (pending.length == 0) {
+            this.debugWarn("item " + index + " waited out the 3000ms backup timeout, as it has no transition while it has the \"" + this.transitioningClass + "\" class. Give the position classes a transition, or set transitioningClass to null.");
         } else {
-            return false;
+            this.debugWarn("item " + index + " waited out the 3000ms backup timeout, as transitionend never fired for " + pending.join(", ") + ". Check that the position classes change these properties and that the transition is shorter than 3000ms.");
         }
     }
 
     /**
-     * Steps this slideshow into a transitioning state with a timeout.
-     * @returns {boolean} Whether or not the calling method should return.
+     * Subscribes a listener to an event of this slideshow.
+     * 
+     * Available events, each also dispatched on the container as a `slideshow:<type>` CustomEvent:
+     *  - `beforechange`: the selection is about to change, cancel it with `event.preventDefault()` (or by returning false)
+     *  - `change`: the selection has changed and the transition has started
+     *  - `afterchange`: the transition to the new selection has ended
+     *  - `autoplaypause`: auto transition has been paused, with the `reason` in `event.detail` ("end" once a "once" mode slideshow is done)
+     *  - `autoplayresume`: auto transition has been (re)started, with the `reason` in `event.detail`
+     *  - `itemschange`: items have been added, removed or moved, with `{count, selected}`
+     *  - `breakpoint`: a breakpoint changed the layout, with `{slidesPerView, slidesPerGroup}`
+     *  - `itemload`: the lazy media of an item has loaded, with `{index, item}`
+     *  - `lightboxopen`: the lightbox has opened, with `{index, lightbox}` (the slideshow of the lightbox)
+     *  - `lightboxclose`: the lightbox has closed, with the `index` it was on
+     *  - `zoom`: the zoom of an item has changed, with `{index, scale}` (a scale of 1 once the zoom is reset,
+     *    and an index of -1 if the item was removed)
+     *  - `destroy`: the slideshow is about to be destroyed
+     * 
+     * Change events carry `{from, to, direction, auto}` in `event.detail`.
+     * 
+     * @param {string} type The event type
+     * @param {Function} listener Called with the event whenever it is emitted
+     * @returns {Slideshow} This slideshow, for chaining
      */
-    debounce() {
-        if (this.shouldDebounce) {
-            if (this.transitioning) {
-                return true;
-            }
-            this.transitioning = true;
-
-            // In case we get locked out
-            if (this.transitioningTimeout != null) {
-                clearTimeout(this.transitioningTimeout);
-            }
-            var object = this;
-            this.transitioningTimeout = setTimeout(function() {
-                object.transitioning = false;
-            }, 3000); // A good transition should take no longer than 3 seconds
+    on(type, listener) {
+        if (this.listeners[type] == null) {
+            this.listeners[type] = [];
         }
-        return false;
+        this.listeners[type].push(listener);
+        return this;
     }
 
     /**
-     * Forcefull ends a debounce.
+     * Unsubscribes a listener previously added through `on` or `once`.
+     * 
+     * @param {string} type The event type
+     * @param {Function} listener The listener to remove
+     * @returns {Slideshow} This slideshow, for chaining
      */
-    endDebounce() {
-        if (this.shouldDebounce) {
-            if (this.transitioningTimeout != null) {
-                clearTimeout(this.transitioningTimeout);
+    off(type, listener) {
+        var listeners = this.listeners[type];
+        if (listeners == null) {
+            return this;
+        }
+        for (var i = 0; i < listeners.length; i++) {
+            if (listeners[i] == listener || listeners[i].listener == listener) {
+                listeners.splice(i, 1);
+                break;
             }
-            this.transitioning = false;
         }
+        return this;
     }
 
     /**
-     * Transitions the slideshow forward.
-     * @param {boolean} auto Whether or not this transition was automatic.
+     * Subscribes a listener which is removed after it has been called once.
+     * 
+     * @param {string} type The event type
+     * @param {Function} listener Called with the event the next time it is emitted
+     * @returns {Slideshow} This slideshow, for chaining
      */
-    transitionForward(auto = true) {
-        // Debounce
-        if (this.debounce()) {
-            return;
-        }
-
-        // Reset transitions
-        this.resetAllTransitioning();
+    once(type, listener) {
+        var object = this;
+        var wrapper = function(event) {
+            object.off(type, wrapper);
+            return listener.call(this, event);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
 
-        // Stop auto transition
-        if (!auto && this.shouldAutoTransition) {
-            this.stopAutoTransition();
+    /**
+     * Calls every listener of the given event type and dispatches the matching DOM event on the container.
+     * Nothing is emitted while constructing, as nothing can have subscribed yet.
+     * 
+     * @param {string} type The event type
+     * @param {Object} detail The details of the event
+     * @param {boolean} cancelable Whether or not the event can be cancelled
+     * @returns {boolean} False if the event was cancelled, true otherwise
+     */
+    emit(type, detail = {}, cancelable = false) {
+        // Events which fire while gesturing would flood the console
+        if (Slideshow.frequentEvents.indexOf(type) == -1) {
+            this.debugLog(type, detail);
         }
-
-        // Get selected
-        var selectedIndex = this.getSelectedIndex();
-        var selected = this.items[selectedIndex];
-
-        // Get next
-        var looping = false;
-        var nextIndex = selectedIndex + 1;
-        if (nextIndex == this.items.length) {
-            // If we shouldn't loop, return
-            if (!this.loop) {
-                this.endDebounce();
-                return;
-            }
-            looping = true;
-
-            // Otherwise, set the next index to zero
-            nextIndex = 0;
+        if (this.constructing) {
+            return true;
         }
-        var next = this.items[nextIndex];
-
-        // Update indicators
-        this.updateIndicators(nextIndex);
-
-        // If we're looping, flip the positions of all other items
-        if (looping) {
-            this.reclauclatePositions(selectedIndex, true);
+        var event;
+        if (typeof CustomEvent == "function") {
+            event = new CustomEvent("slideshow:" + type, { detail: detail, bubbles: true, cancelable: cancelable });
+        } else {
+            event = {
+                type: "slideshow:" + type,
+                detail: detail,
+                cancelable: cancelable,
+                defaultPrevented: false,
+                preventDefault: function() {
+                    if (this.cancelable) {
+                        this.defaultPrevented = true;
+                    }
+                }
+            };
         }
+        event.slideshow = this;
 
-        // Mark selected transitioning
-        var object = this;
-        var selectedLoopTimeout;
-        this.markTransitioning(selected, false, function() {
-            // If we looped and the transition has completed, reclauclate positions with the new selected index
-            if (looping) {
-                object.reclauclatePositions(nextIndex);
-                if (selectedLoopTimeout != null) {
-                    clearTimeout(selectedLoopTimeout);
+        // Call listeners (copied, since `once` listeners remove themselves). A listener which throws doesn't
+        // keep the others from being called, nor the slideshow from continuing, its error is reported instead.
+        var listeners = (this.listeners[type] || []).slice();
+        for (var i = 0; i < listeners.length; i++) {
+            try {
+                if (listeners[i].call(this, event) === false) {
+                    event.preventDefault();
                 }
+            } catch (error) {
+                Slideshow.reportError(error);
             }
-        });
-        if (looping) {
-            // A backup timeout in case the callback is not called
-            selectedLoopTimeout = setTimeout(function() {
-                object.reclauclatePositions(nextIndex);
-            }, 3000); // A good transition should take no longer than 3 seconds
         }
 
-        // Mark next transitioning
-        this.markTransitioning(next, true);
-
-        // Move selected to prev (since it has now been seen)
-        selected.classList.remove(this.selectedItemClass);
-        selected.classList.add(this.prevItemClass);
+        // Dispatch on the container
+        if (this.container != null && typeof this.container.dispatchEvent == "function" && typeof CustomEvent == "function") {
+            this.container.dispatchEvent(event);
+        }
 
-        // Move next to selected (since it is going to be shown)
-        next.classList.remove(this.nextItemClass);
-        next.classList.add(this.selectedItemClass);
+        return !event.defaultPrevented;
     }
 
     /**
-     * Transitions the slideshow backward.
-     * @param {boolean} auto Whether or not this transition was automatic.
+     * Calls the callback after the delay, through a timeout of the `scheduler` which is cleared when the slideshow is destroyed.
+     * 
+     * @param {Function} callback The callback
+     * @param {number} delay The delay in milliseconds
+     * @returns {number} The id of the timeout, for `unschedule`
      */
-    transitionBackward(auto = true) {
-        // Debounce
-        if (this.debounce()) {
-            return;
-        }
-
-        // Reset transitions
-        this.resetAllTransitioning();
-
-        // Stop auto transition
-        if (!auto && this.shouldAutoTransition) {
-            this.stopAutoTransition();
-        }
-
-        // Get selected
-        var selectedIndex = this.getSelectedIndex();
-        var selected = this.items[selectedIndex];
-
-        // Get prev
-        var looping = false;
-        var prevIndex = selectedIndex - 1;
-        if (prevIndex < 0) {
-            // If we shouldn't loop, return
-            if (!this.loop) {
-                this.endDebounce();
-                return;
+    schedule(callback, delay) {
+        var object = this;
+        var fired = false;
+        var id = this.scheduler.setTimeout(function() {
+            fired = true;
+            var index = object.timeouts.indexOf(id);
+            if (index != -1) {
+                object.timeouts.splice(index, 1);
             }
-            looping = true;
+            callback();
+        }, delay);
 
-            // Otherwise, set the prev index to length - 1
-            prevIndex = this.items.length - 1;
+        // A synchronous scheduler may already have called the callback
+        if (!fired) {
+            this.timeouts.push(id);
         }
-        var prev = this.items[prevIndex];
-
-        // Update indicators
-        this.updateIndicators(prevIndex);
+        return id;
+    }
 
-        // If we're looping, flip the positions of all other items
-        if (looping) {
-            this.reclauclatePositions(selectedIndex, true);
+    /**
+     * Clears a timeout created through `schedule`.
+     * 
+     * @param {number} id The id of the timeout
+     */
+    unschedule(id) {
+        this.scheduler.clearTimeout(id);
+        var index = this.timeouts.indexOf(id);
+        if (index != -1) {
+            this.timeouts.splice(index, 1);
         }
-
-        // Mark selected transitioning
-        var object = this;
-        this.markTransitioning(selected, false, function() {
-            // If we looped and the transition has completed, reclauclate positions with the new selected index
-            if (looping) {
-                object.reclauclatePositions(prevIndex);
-            }
-        });
-
-        // Mark prev transitioning
-        this.markTransitioning(prev, true);
-
-        // Move selected to next (since it has now been seen, but backward)
-        selected.classList.remove(this.selectedItemClass);
-        selected.classList.add(this.nextItemClass);
-
-        // Move prev to selected (since it is going to be shown)
-        prev.classList.remove(this.prevItemClass);
-        prev.classList.add(this.selectedItemClass);
     }
 
     /**
-     * Transitions to the specified target index.
-     * @param {any} targetIndex The index to transition to.
+     * Destroys this slideshow: clears every timer and listener, removes the indicators, live region and
+     * attributes it created, restores the attributes it changed, and leaves the instance inert.
+     * The position classes are left as they are, so the selected item stays visible.
      */
-    transitionTo(targetIndex) {
-        // Ignore if selected index is the same as target index
-        var selectedIndex = this.getSelectedIndex();
-        if (selectedIndex == targetIndex) {
+    destroy() {
+        if (this.destroyed) {
             return;
         }
+        this.emit("destroy");
+        this.closeLightbox();
+        this.resetZoom();
+        this.destroyed = true;
 
-        // Debounce
-        if (this.debounce()) {
-            return;
+        // Navigation
+        if (this.currentTransition != null) {
+            this.currentTransition.cancelled = true;
+            this.rejectTransitionRequests(this.currentTransition.requests, "destroyed");
+            this.currentTransition = null;
         }
+        this.rejectTransitionRequests(this.transitionQueue.splice(0), "destroyed");
 
-        // Reset transitions
-        this.resetAllTransitioning();
-
-        // Stop auto transition
-        if (this.shouldAutoTransition) {
-            this.stopAutoTransition();
+        // Timers
+        while (this.timeouts.length > 0) {
+            this.scheduler.clearTimeout(this.timeouts.pop());
         }
+        if (this.progressFrame != null) {
+            cancelAnimationFrame(this.progressFrame);
+            this.progressFrame = null;
+        }
+        this.autoTransitionTimer = null;
+        this.autoTransitionTimeout = null;
+        this.autoTransitionRunning = false;
+        this.transitioningTimeout = null;
+        this.wheelTimeout = null;
+        this.transitioning = false;
 
-        // Update indicators
-        this.updateIndicators(targetIndex);
+        // Listeners
+        this.removeTransitionWatchers();
+        while (this.domListeners.length > 0) {
+            var entry = this.domListeners.pop();
+            entry.target.removeEventListener(entry.type, entry.listener, entry.options);
+        }
+        if (this.observer != null) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.intersectionObserver != null) {
+            this.intersectionObserver.disconnect();
+            this.intersectionObserver = null;
+        }
+        if (this.resizeObserver != null) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.heightObserver != null) {
+            this.heightObserver.disconnect();
+            this.heightObserver = null;
+        }
+        if (this.heightAnimation != null) {
+            this.heightAnimation.cancel();
+            this.heightAnimation = null;
+        }
+        this.listeners = {};
 
-        // Get selected
-        var selected = this.items[selectedIndex];
+        // Classes, styles & elements
+        this.drag = null;
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.transitioningClass != null) {
+                this.items[i].classList.remove(this.transitioningClass);
+            }
+            if (this.notransitionClass != null) {
+                this.items[i].classList.remove(this.notransitionClass);
+            }
+            this.items[i].style.translate = "";
+            this.items[i].style.removeProperty("--slideshow-slot");
+            if (this.options.visibleItemClass != null) {
+                this.items[i].classList.remove(this.options.visibleItemClass);
+            }
+            if (this.options.loadingClass != null) {
+                this.items[i].classList.remove(this.options.loadingClass);
+            }
+            for (var j = 0; j < this.effectProperties.length; j++) {
+                this.items[i].style[this.effectProperties[j]] = "";
+            }
+        }
+        this.pausedVideos = [];
+        while (this.syncedSlideshows.length > 0) {
+            this.unsync(this.syncedSlideshows[0]);
+        }
+        var object = this;
+        Slideshow.pendingNavLinks = Slideshow.pendingNavLinks.filter(function(link) {
+            return link.navigator != object;
+        });
+        this.setActiveItem(-1);
+        if (this.container != null) {
+            if (this.options.draggingClass != null) {
+                this.container.classList.remove(this.options.draggingClass);
+            }
+            this.container.style.removeProperty("--slideshow-drag-offset");
+            this.container.style.touchAction = this.originalTouchAction;
+            this.container.style.removeProperty("--slideshow-progress");
+            this.container.style.removeProperty("--slideshow-per-view");
+            if (this.options.autoHeight) {
+                this.container.style.height = "";
+            }
+            if (this.container.slideshow == this) {
+                delete this.container.slideshow;
+            }
+        }
+        if (this.liveRegion != null && this.liveRegion.parentNode != null) {
+            this.liveRegion.parentNode.removeChild(this.liveRegion);
+        }
+        this.liveRegion = null;
+        this.removeClones();
+        for (var i = 0; i < this.createdIndicators.length; i++) {
+            if (this.createdIndicators[i].parentNode != null) {
+                this.createdIndicators[i].parentNode.removeChild(this.createdIndicators[i]);
+            }
+        }
+        this.createdIndicators = [];
+        if (this.pagination != null) {
+            if (this.createdPagination) {
+                this.pagination.parentNode.removeChild(this.pagination);
+            } else {
+                for (var i = 0; i < this.paginationParts.length; i++) {
+                    this.pagination.removeChild(this.paginationParts[i]);
+                }
+                if (this.options.paginationClass != null) {
+                    this.pagination.classList.remove(this.options.paginationClass);
+                }
+                this.pagination.removeAttribute("data-slideshow-pagination");
+                this.pagination.style.removeProperty("--slideshow-pagination-progress");
+            }
+            this.pagination = null;
+            this.paginationParts = [];
+        }
 
-        // Get target
-        var target = this.items[targetIndex];
+        // Attributes
+        this.restoreAttributes();
+    }
 
-        // Determine direction
-        // If the selected index is less than the target index, go previous
-        // Otherwise, go next
-        if (selectedIndex < targetIndex) {
-            // Get distance
-            var distance = targetIndex - selectedIndex;
+    /**
+     * Remembers the attributes of an element which the slideshow may change, so `destroy` can restore them.
+     * 
+     * @param {HTMLElement} element The element
+     */
+    rememberAttributes(element) {
+        if (element == null || this.rememberedElements.indexOf(element) != -1) {
+            return;
+        }
+        this.rememberedElements.push(element);
+        for (var i = 0; i < Slideshow.managedAttributes.length; i++) {
+            this.originalAttributes.push({
+                element: element,
+                name: Slideshow.managedAttributes[i],
+                value: element.getAttribute(Slideshow.managedAttributes[i])
+            });
+        }
+    }
 
-            // Mark selected as transitioning
-            var object = this;
-            this.markTransitioning(selected, false, function() {
-                // Move each item distance times (function/callback loop)
-                object.transitionToPrevLoop(selectedIndex, distance, 1, function() {
-                    // Mark transitioning
-                    object.markTransitioning(target, true);
+    /**
+     * Restores the attributes remembered by `rememberAttributes` and forgets them, for one element or for every element.
+     * 
+     * @param {HTMLElement} element The element, or null for every remembered element
+     */
+    restoreAttributes(element = null) {
+        var remaining = [];
+        for (var i = 0; i < this.originalAttributes.length; i++) {
+            var original = this.originalAttributes[i];
+            if (element != null && original.element != element) {
+                remaining.push(original);
+                continue;
+            }
+            if (original.value == null) {
+                original.element.removeAttribute(original.name);
+            } else {
+                original.element.setAttribute(original.name, original.value);
+            }
+            if (original.name == "inert") {
+                original.element.inert = original.value != null;
+            }
+        }
+        this.originalAttributes = remaining;
+        if (element == null) {
+            this.rememberedElements = [];
+        } else if (this.rememberedElements.indexOf(element) != -1) {
+            this.rememberedElements.splice(this.rememberedElements.indexOf(element), 1);
+        }
+    }
 
-                    // Move target to selected
-                    target.classList.remove(object.nextItemClass);
-                    target.classList.add(object.selectedItemClass);
-                });
-            });
+    /**
+     * Remembers the attributes of the container, items, indicators and controls which haven't been remembered yet.
+     */
+    rememberAllAttributes() {
+        this.rememberAttributes(this.container);
+        var elements = this.items.concat(this.indicators || [], this.prevControls, this.nextControls);
+        for (var i = 0; i < elements.length; i++) {
+            this.rememberAttributes(elements[i]);
+        }
+    }
 
-            // Move selected to prev (since we need to go to the previous)
-            selected.classList.remove(this.selectedItemClass);
-            selected.classList.add(this.prevItemClass);
-        } else {
-            // Get distance
-            var distance = selectedIndex - targetIndex;
+    /**
+     * Adds an event listener to an element and remembers it, so it can be removed with the slideshow.
+     * 
+     * @param {EventTarget} target The element (or document/window) to listen on
+     * @param {string} type The event type
+     * @param {Function} listener The listener
+     * @param {Object|boolean} options The options given to addEventListener
+     */
+    listen(target, type, listener, options = false) {
+        target.addEventListener(type, listener, options);
+        this.domListeners.push({ target: target, type: type, listener: listener, options: options });
+    }
 
-            // Mark selected as transitioning
-            var object = this;
-            this.markTransitioning(selected, false, function() {
-                // Move each item distance times (function/callback loop)
-                object.transitionToNextLoop(selectedIndex, distance, 1, function() {
-                    // Mark transitioning
-                    object.markTransitioning(target, true);
+    /**
+     * Initializes the indicators to contain a `data-index` attribute with the index (or page) they should point at.
+     * If `bindIndicators` is enabled, clicking an indicator transitions to its item (or page).
+     */
+    initiateIndicators() {
+        var object = this;
+        for (var i = 0; i < this.indicators.length; i++) {
+            this.indicators[i].setAttribute("data-index", i);
+            if (this.options.accessibility && Slideshow.hasGeneratedLabel(this.indicators[i], /^Go to (slide|page) \d+$/)) {
+                this.indicators[i].setAttribute("aria-label", (this.isGrouped() ? "Go to page " : "Go to slide ") + (i + 1));
+            }
 
-                    // Move target to selected
-                    target.classList.remove(object.prevItemClass);
-                    target.classList.add(object.selectedItemClass);
+            // Indicators are only bound once, since this is called again whenever the items change
+            if (this.options.bindIndicators && this.boundIndicators.indexOf(this.indicators[i]) == -1) {
+                this.boundIndicators.push(this.indicators[i]);
+                this.listen(this.indicators[i], "click", function(event) {
+                    event.preventDefault();
+                    object.transitionToPage(parseInt(this.getAttribute("data-index"), 10));
                 });
+            }
+        }
+    }
+
+    /**
+     * Attaches click handlers to the previous/next controls and, if enabled, keyboard navigation to the container.
+     */
+    initiateControls() {
+        var object = this;
+
+        // Previous & next controls
+        for (var i = 0; i < this.prevControls.length; i++) {
+            this.initiateControl(this.prevControls[i], "Previous slide", function(event) {
+                event.preventDefault();
+                object.transitionBackward(false);
+            });
+        }
+        for (var i = 0; i < this.nextControls.length; i++) {
+            this.initiateControl(this.nextControls[i], "Next slide", function(event) {
+                event.preventDefault();
+                object.transitionForward(false);
             });
+        }
 
-            // Move selected to next (since we need to go to the next)
-            selected.classList.remove(this.selectedItemClass);
-            selected.classList.add(this.nextItemClass);
+        // Keyboard
+        if (this.options.keyboard && this.container != null) {
+            if (!this.container.hasAttribute("tabindex")) {
+                this.container.setAttribute("tabindex", "0");
+            }
+            this.listen(this.container, "keydown", function(event) {
+                object.onKeyDown(event);
+            });
         }
     }
 
-    transitionToPrevLoop(selectedIndex, distance, i, callback) {
-        // End loop
-        if (i >= distance) {
-            callback();
+    /**
+     * Labels a previous/next control and binds its click handler.
+     * 
+     * @param {HTMLElement} control The control
+     * @param {string} label The label to give the control if it has none
+     * @param {Function} listener The click handler
+     */
+    initiateControl(control, label, listener) {
+        if (this.options.accessibility) {
+            if (!control.hasAttribute("aria-label")) {
+                control.setAttribute("aria-label", label);
+            }
+            if (this.container != null && this.container.id) {
+                control.setAttribute("aria-controls", this.container.id);
+            }
+        }
+        this.listen(control, "click", listener);
+    }
+
+    /**
+     * Resolves a controls option into an array of elements.
+     * 
+     * @param {string|HTMLElement|Array.<HTMLElement>} controls A selector (searched within the container), an element or an array of elements
+     * @returns {Array.<HTMLElement>} The controls
+     */
+    resolveControls(controls) {
+        if (controls == null) {
+            return [];
+        } else if (typeof controls == "string") {
+            return this.container != null ? Array.from(this.container.querySelectorAll(controls)) : [];
+        } else if (controls.length === undefined) {
+            return [controls];
+        }
+        return Array.from(controls);
+    }
+
+    /**
+     * Resolves the `direction` option, reading it from the nearest `dir` attribute (or the computed style) if not given.
+     * 
+     * @returns {string} "ltr" or "rtl"
+     */
+    resolveDirection() {
+        if (this.options.direction == "ltr" || this.options.direction == "rtl") {
+            return this.options.direction;
+        }
+        if (this.container == null) {
+            return "ltr";
+        }
+        var element = this.container.closest("[dir]");
+        if (element != null && /^(ltr|rtl)$/i.test(element.getAttribute("dir"))) {
+            return element.getAttribute("dir").toLowerCase();
+        }
+        if (typeof getComputedStyle == "function" && getComputedStyle(this.container).direction == "rtl") {
+            return "rtl";
+        }
+        return "ltr";
+    }
+
+    /**
+     * Exposes the orientation and direction as `data-slideshow-orientation` and `data-slideshow-direction`
+     * attributes on the container, so CSS can animate along the right axis.
+     */
+    initiateOrientation() {
+        if (this.container == null) {
             return;
         }
+        this.container.setAttribute("data-slideshow-orientation", this.orientation);
+        this.container.setAttribute("data-slideshow-direction", this.direction);
+    }
 
-        // Get 'current' item
-        var current = this.items[selectedIndex + i];
+    /**
+     * Determines whether or not going forward travels against the reading order of the screen,
+     * which is the case for horizontal slideshows in right-to-left documents.
+     * 
+     * @returns {boolean} True if forward points left, false otherwise
+     */
+    isReversed() {
+        return this.orientation == "horizontal" && this.direction == "rtl";
+    }
+
+    /**
+     * Returns a transform translating an item along the axis of the slideshow, for use by effects.
+     * 
+     * @param {number} percentage How far to translate, in percent of the item's size. Positive values point forward.
+     * @returns {string} The transform
+     */
+    getTranslation(percentage) {
+        if (this.isReversed()) {
+            percentage = -percentage;
+        }
+        return (this.orientation == "vertical" ? "translateY(" : "translateX(") + percentage + "%)";
+    }
+
+    /**
+     * Attaches the pointer (touch swipe & mouse drag) and wheel listeners to the container.
+     */
+    initiateGestures() {
+        this.drag = null;
+        this.wheelDelta = 0;
+        this.wheelLocked = false;
+        this.wheelTimeout = null;
+        if (this.container == null) {
+            return;
+        }
+        this.originalTouchAction = this.container.style.touchAction || "";
 
-        // Mark transitioning
         var object = this;
-        this.markTransitioning(current, false, function() {
-            // Loop
-            object.transitionToPrevLoop(selectedIndex, distance, ++i, callback);
-        });
+        if (this.options.swipe || this.options.mouseDrag) {
+            // Let the browser keep handling scrolling across the axis while we handle swipes along it
+            this.container.style.touchAction = this.orientation == "vertical" ? "pan-x" : "pan-y";
+            this.listen(this.container, "pointerdown", function(event) {
+                object.onPointerDown(event);
+            });
+            this.listen(this.container, "pointermove", function(event) {
+                object.onPointerMove(event);
+            });
+            this.listen(this.container, "pointerup", function(event) {
+                object.onPointerUp(event, false);
+            });
+            this.listen(this.container, "pointercancel", function(event) {
+                object.onPointerUp(event, true);
+            });
 
-        // Move current to prev
-        current.classList.remove(this.nextItemClass);
-        current.classList.add(this.prevItemClass);
+            // Native dragging of images and links would cancel the pointer, and with it the swipe
+            this.listen(this.container, "dragstart", function(event) {
+                event.preventDefault();
+            });
+        }
+        if (this.options.swipe || this.options.mouseDrag || this.isZoomEnabled()) {
+            // Swallow the click which ends a drag (or a pinch or pan), so links and controls inside items aren't followed
+            this.listen(this.container, "click", function(event) {
+                if (object.suppressClick) {
+                    object.suppressClick = false;
+                    event.preventDefault();
+                    event.stopPropagation();
+                }
+            }, true);
+        }
+        if (this.options.wheel) {
+            this.listen(this.container, "wheel", function(event) {
+                object.onWheel(event);
+            }, { passive: false });
+        }
     }
 
-    transitionToNextLoop(selectedIndex, distance, i, callback) {
-        // End loop
-        if (i >= distance) {
-            callback();
+    /**
+     * Starts tracking a potential drag.
+     * 
+     * @param {PointerEvent} event The pointerdown event
+     */
+    onPointerDown(event) {
+        if (!event.isPrimary || event.button != 0) {
+            return;
+        }
+        if (event.pointerType == "mouse" ? !this.options.mouseDrag : !this.options.swipe) {
+            return;
+        }
+
+        // Dragging pans a zoomed item instead
+        if (this.zoom != null) {
+            return;
+        }
+        this.suppressClick = false;
+        this.drag = {
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            startTime: this.scheduler.now(),
+            offset: 0,
+            dragging: false,
+            item: this.items[this.getSelectedIndex()]
+        };
+    }
+
+    /**
+     * Decides whether the tracked pointer is dragging along the axis of the slideshow and, if so, follows it.
+     * 
+     * @param {PointerEvent} event The pointermove event
+     */
+    onPointerMove(event) {
+        var drag = this.drag;
+        if (drag == null || event.pointerId != drag.pointerId) {
+            return;
+        }
+        var vertical = this.orientation == "vertical";
+        var delta = vertical ? event.clientY - drag.startY : event.clientX - drag.startX;
+        var crossDelta = vertical ? event.clientX - drag.startX : event.clientY - drag.startY;
+
+        // Lock onto an axis once the pointer has moved far enough to tell
+        if (!drag.dragging) {
+            if (Math.abs(delta) < Slideshow.DRAG_LOCK_DISTANCE && Math.abs(crossDelta) < Slideshow.DRAG_LOCK_DISTANCE) {
+                return;
+            }
+            if (Math.abs(crossDelta) > Math.abs(delta)) {
+                // Across the axis, let the page scroll
+                this.drag = null;
+                return;
+            }
+            drag.dragging = true;
+            if (this.container.setPointerCapture != null) {
+                this.container.setPointerCapture(event.pointerId);
+            }
+            if (this.options.draggingClass != null) {
+                this.container.classList.add(this.options.draggingClass);
+            }
+            if (drag.item != null && this.notransitionClass != null) {
+                drag.item.classList.add(this.notransitionClass);
+            }
+        }
+
+        // Resist dragging past the ends of a slideshow that doesn't loop
+        var backward = this.isReversed() ? delta < 0 : delta > 0;
+        if (!this.loop && delta != 0 && ((backward && this.isAtFront()) || (!backward && this.isAtEnd()))) {
+            delta *= Slideshow.DRAG_EDGE_RESISTANCE;
+        }
+        drag.offset = delta;
+        this.setDragOffset(drag.item, delta);
+        event.preventDefault();
+    }
+
+    /**
+     * Ends the tracked drag, committing a transition if it went far or fast enough and snapping back otherwise.
+     * 
+     * @param {PointerEvent} event The pointerup or pointercancel event
+     * @param {boolean} cancelled Whether or not the pointer was cancelled by the browser
+     */
+    onPointerUp(event, cancelled) {
+        var drag = this.drag;
+        if (drag == null || event.pointerId != drag.pointerId) {
+            return;
+        }
+        this.drag = null;
+        if (!drag.dragging) {
+            return;
+        }
+
+        // Restore the item, which transitions it back into place unless we commit
+        if (this.options.draggingClass != null) {
+            this.container.classList.remove(this.options.draggingClass);
+        }
+        if (drag.item != null && this.notransitionClass != null) {
+            drag.item.classList.remove(this.notransitionClass);
+        }
+        this.setDragOffset(drag.item, 0);
+        this.suppressClick = true;
+
+        if (cancelled) {
+            return;
+        }
+        var distance = Math.abs(drag.offset);
+        var velocity = distance / Math.max(this.scheduler.now() - drag.startTime, 1);
+        if (distance >= this.options.swipeDistance || (distance >= Slideshow.DRAG_LOCK_DISTANCE && velocity >= this.options.swipeVelocity)) {
+            this.commitGesture(drag.offset);
+        }
+    }
+
+    /**
+     * Maps wheel and trackpad gestures along the axis of the slideshow onto transitions, one transition per gesture.
+     * 
+     * @param {WheelEvent} event The wheel event
+     */
+    onWheel(event) {
+        // The wheel zooms (or scrolls the page) while zooming is in play
+        if (this.zoom != null || this.isZoomWheel(event)) {
+            return;
+        }
+
+        // Scrolling across the axis belongs to the page
+        var vertical = this.orientation == "vertical";
+        var delta = vertical ? event.deltaY : event.deltaX;
+        if (Math.abs(delta) <= Math.abs(vertical ? event.deltaX : event.deltaY)) {
+            return;
+        }
+        event.preventDefault();
+
+        // A gesture ends once the wheel has been idle for a moment, which also swallows trackpad inertia
+        if (this.wheelTimeout != null) {
+            this.unschedule(this.wheelTimeout);
+        }
+        var object = this;
+        this.wheelTimeout = this.schedule(function() {
+            object.wheelTimeout = null;
+            object.wheelLocked = false;
+            object.wheelDelta = 0;
+        }, Slideshow.WHEEL_IDLE_TIME);
+        if (this.wheelLocked) {
             return;
         }
 
-        // Get 'current' item
-        var current = this.items[selectedIndex - i];
+        // Wheel deltas point the opposite way of a drag
+        this.wheelDelta -= delta;
+        if (Math.abs(this.wheelDelta) >= this.options.swipeDistance) {
+            this.wheelLocked = true;
+            this.commitGesture(this.wheelDelta);
+        }
+    }
+
+    /**
+     * Transitions in the direction of a completed gesture, through the same path as the controls.
+     * 
+     * @param {number} offset The distance the gesture moved, negative to go forward (positive in right-to-left slideshows)
+     */
+    commitGesture(offset) {
+        if ((offset < 0) != this.isReversed()) {
+            this.transitionForward(false);
+        } else {
+            this.transitionBackward(false);
+        }
+    }
+
+    /**
+     * Exposes the drag offset as the `--slideshow-drag-offset` CSS variable on the container and,
+     * if `dragFollow` is enabled, translates the dragged item with it.
+     * 
+     * @param {HTMLElement} item The dragged item
+     * @param {number} offset The drag offset in pixels
+     */
+    setDragOffset(item, offset) {
+        if (offset == 0) {
+            this.container.style.removeProperty("--slideshow-drag-offset");
+        } else {
+            this.container.style.setProperty("--slideshow-drag-offset", offset + "px");
+        }
+        if (this.options.dragFollow && item != null) {
+            // The individual translate property composes with whatever transform the item's classes apply
+            if (offset == 0) {
+                item.style.translate = "";
+            } else {
+                item.style.translate = this.orientation == "vertical" ? "0 " + offset + "px" : offset + "px 0";
+            }
+        }
+    }
+
+    /**
+     * Lets the images within items be zoomed by double-clicking or double-tapping, pinching, or using the wheel while holding
+     * the `zoomWheelModifier`, and panned by dragging while zoomed. Swipes and auto transition are suppressed while an
+     * item is zoomed, and the zoom is reset once the selection moves away from it.
+     */
+    initiateZoom() {
+        this.zoom = null;
+        this.zoomPointers = [];
+        this.zoomGesture = null;
+        this.lastTap = null;
+        if (!this.isZoomEnabled() || this.container == null) {
+            return;
+        }
+
+        // Pinches must reach us rather than zoom the page, while scrolling keeps working
+        if (this.container.style.touchAction == "") {
+            this.container.style.touchAction = "pan-x pan-y";
+        }
+        this.zoomTouchAction = this.container.style.touchAction;
+
+        var object = this;
+        this.listen(this.container, "pointerdown", function(event) {
+            object.onZoomPointerDown(event);
+        });
+        this.listen(this.container, "pointermove", function(event) {
+            object.onZoomPointerMove(event);
+        });
+        this.listen(this.container, "pointerup", function(event) {
+            object.onZoomPointerUp(event, false);
+        });
+        this.listen(this.container, "pointercancel", function(event) {
+            object.onZoomPointerUp(event, true);
+        });
+        this.listen(this.container, "wheel", function(event) {
+            object.onZoomWheel(event);
+        }, { passive: false });
+    }
+
+    /**
+     * Tracks a pointer for pinching, panning or double-tapping. A second pointer turns a drag into a pinch.
+     * 
+     * @param {PointerEvent} event The pointerdown event
+     */
+    onZoomPointerDown(event) {
+        if (event.pointerType == "mouse" && event.button != 0) {
+            return;
+        }
+        var item = this.getZoomItem(event.target);
+        if (event.isPrimary) {
+            // A new primary pointer means every other one has been lifted, even if we missed it
+            this.zoomPointers = [];
+            this.zoomGesture = null;
+        }
+        if (item == null) {
+            return;
+        }
+        this.zoomPointers.push({ pointerId: event.pointerId, x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY });
+        if (this.zoomPointers.length == 2) {
+            // Pinch: stop a drag which may have started with the first pointer
+            if (this.drag != null) {
+                this.onPointerUp({ pointerId: this.drag.pointerId }, true);
+            }
+            this.zoomGesture = {
+                type: "pinch",
+                item: item,
+                distance: Math.max(this.getPinchDistance(), 1),
+                scale: this.zoom != null && this.zoom.item == item ? this.zoom.scale : 1
+            };
+        } else if (this.zoomPointers.length == 1 && this.zoom != null && this.zoom.item == item) {
+            this.zoomGesture = { type: "pan", x: this.zoom.x, y: this.zoom.y, moved: false };
+        } else {
+            return;
+        }
+        if (this.container.setPointerCapture != null) {
+            this.container.setPointerCapture(event.pointerId);
+        }
+    }
+
+    /**
+     * Follows the tracked pointers, zooming around the middle of a pinch or panning the zoomed image.
+     * 
+     * @param {PointerEvent} event The pointermove event
+     */
+    onZoomPointerMove(event) {
+        var pointer = this.getZoomPointer(event.pointerId);
+        if (pointer == null) {
+            return;
+        }
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        var gesture = this.zoomGesture;
+        if (gesture == null) {
+            return;
+        }
+        if (gesture.type == "pinch" && this.zoomPointers.length >= 2) {
+            var centerX = (this.zoomPointers[0].x + this.zoomPointers[1].x) / 2;
+            var centerY = (this.zoomPointers[0].y + this.zoomPointers[1].y) / 2;
+            this.zoomItem(gesture.item, gesture.scale * this.getPinchDistance() / gesture.distance, centerX, centerY, false);
+        } else if (gesture.type == "pan" && this.zoom != null) {
+            var deltaX = pointer.x - pointer.startX;
+            var deltaY = pointer.y - pointer.startY;
+            if (!gesture.moved && Math.abs(deltaX) < Slideshow.DRAG_LOCK_DISTANCE && Math.abs(deltaY) < Slideshow.DRAG_LOCK_DISTANCE) {
+                return;
+            }
+            gesture.moved = true;
+            this.zoom.x = gesture.x + deltaX;
+            this.zoom.y = gesture.y + deltaY;
+            this.applyZoom();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Stops tracking a pointer, ending the pinch or pan it was part of, and toggles the zoom on a double-tap.
+     * 
+     * @param {PointerEvent} event The pointerup or pointercancel event
+     * @param {boolean} cancelled Whether or not the pointer was cancelled by the browser
+     */
+    onZoomPointerUp(event, cancelled) {
+        var pointer = this.getZoomPointer(event.pointerId);
+        if (pointer == null) {
+            return;
+        }
+        this.zoomPointers.splice(this.zoomPointers.indexOf(pointer), 1);
+        var gesture = this.zoomGesture;
+        if (gesture != null && gesture.type == "pinch") {
+            // Lifting one finger of a pinch ends it without counting as a tap
+            if (this.zoomPointers.length < 2) {
+                this.zoomGesture = null;
+                this.lastTap = null;
+                if (this.zoom != null && this.zoom.scale <= Slideshow.ZOOM_SNAP_SCALE) {
+                    this.resetZoom();
+                }
+                this.suppressClick = true;
+            }
+            return;
+        }
+        this.zoomGesture = null;
+        if (gesture != null && gesture.moved) {
+            this.suppressClick = true;
+            return;
+        }
+
+        // Double-tap (or double-click) toggles the zoom
+        var moved = Math.abs(pointer.x - pointer.startX) >= Slideshow.DRAG_LOCK_DISTANCE || Math.abs(pointer.y - pointer.startY) >= Slideshow.DRAG_LOCK_DISTANCE;
+        if (cancelled || moved || this.zoomPointers.length > 0) {
+            this.lastTap = null;
+            return;
+        }
+        var now = this.scheduler.now();
+        var lastTap = this.lastTap;
+        if (lastTap != null && now - lastTap.time <= Slideshow.DOUBLE_TAP_TIME && Math.abs(pointer.x - lastTap.x) < Slideshow.DOUBLE_TAP_DISTANCE && Math.abs(pointer.y - lastTap.y) < Slideshow.DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            var item = this.getZoomItem(event.target);
+            if (this.zoom != null) {
+                this.resetZoom();
+            } else if (item != null) {
+                this.zoomItem(item, this.options.doubleTapZoom, pointer.x, pointer.y);
+            }
+            event.preventDefault();
+        } else {
+            this.lastTap = { time: now, x: pointer.x, y: pointer.y };
+        }
+    }
+
+    /**
+     * Zooms around the pointer when the wheel is used while holding the `zoomWheelModifier` (as trackpad pinches do).
+     * 
+     * @param {WheelEvent} event The wheel event
+     */
+    onZoomWheel(event) {
+        if (!this.isZoomWheel(event)) {
+            return;
+        }
+        var item = this.getZoomItem(event.target);
+        if (item == null) {
+            return;
+        }
+        event.preventDefault();
+        var scale = this.zoom != null && this.zoom.item == item ? this.zoom.scale : 1;
+        this.zoomItem(item, scale * Math.exp(-event.deltaY * Slideshow.WHEEL_ZOOM_FACTOR), event.clientX, event.clientY);
+    }
+
+    /**
+     * Determines whether or not a wheel event zooms rather than navigates.
+     * 
+     * @param {WheelEvent} event The wheel event
+     * @returns {boolean} True if zoom is enabled and the `zoomWheelModifier` is held, false otherwise
+     */
+    isZoomWheel(event) {
+        return this.isZoomEnabled() && this.options.zoomWheelModifier != null && event[this.options.zoomWheelModifier + "Key"] == true;
+    }
+
+    /**
+     * Determines whether or not the items of this slideshow zoom. Clicking an item opens the lightbox if it is enabled,
+     * so the items then zoom within the lightbox instead.
+     * 
+     * @returns {boolean} True if the `zoom` option is enabled and the `lightbox` option isn't, false otherwise
+     */
+    isZoomEnabled() {
+        return this.options.zoom && !this.options.lightbox;
+    }
+
+    /**
+     * Finds the item an element belongs to, if that item has an image to zoom.
+     * 
+     * @param {Element} element The element, such as the target of an event
+     * @returns {HTMLElement} The item, or null
+     */
+    getZoomItem(element) {
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.items[i].contains(element)) {
+                return Slideshow.getItemImage(this.items[i]) != null ? this.items[i] : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds a tracked pointer.
+     * 
+     * @param {number} pointerId The id of the pointer
+     * @returns {Object} The pointer, or null if it isn't tracked
+     */
+    getZoomPointer(pointerId) {
+        for (var i = 0; i < this.zoomPointers.length; i++) {
+            if (this.zoomPointers[i].pointerId == pointerId) {
+                return this.zoomPointers[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the distance between the first two tracked pointers.
+     * 
+     * @returns {number} The distance in pixels
+     */
+    getPinchDistance() {
+        return Math.hypot(this.zoomPointers[1].x - this.zoomPointers[0].x, this.zoomPointers[1].y - this.zoomPointers[0].y);
+    }
+
+    /**
+     * Zooms the image of an item, keeping the given point in place. Zooming another item resets the zoom of the
+     * previous one first, and zooming to 1 resets it entirely.
+     * 
+     * @param {HTMLElement} item The item
+     * @param {number} scale The zoom, limited to between 1 and `maxZoom`
+     * @param {number} clientX The horizontal position of the point to keep in place, defaults to the middle of the image
+     * @param {number} clientY The vertical position of the point to keep in place, defaults to the middle of the image
+     * @param {boolean} snap Whether or not a zoom barely above 1 resets the zoom
+     */
+    zoomItem(item, scale, clientX = null, clientY = null, snap = true) {
+        var image = Slideshow.getItemImage(item);
+        if (image == null || this.destroyed) {
+            return;
+        }
+        if (this.zoom != null && this.zoom.item != item) {
+            this.resetZoom();
+        }
+        scale = Math.max(1, Math.min(scale, this.options.maxZoom));
+        if (this.zoom == null) {
+            if (scale <= 1) {
+                return;
+            }
+            this.zoom = { item: item, image: image, scale: 1, emittedScale: 1, x: 0, y: 0, transform: image.style.transform };
+            if (this.options.zoomedItemClass != null) {
+                item.classList.add(this.options.zoomedItemClass);
+            }
+            this.container.style.touchAction = "none";
+            this.holdAutoTransition("zoom");
+        }
+        var zoom = this.zoom;
+
+        // Keep the point in place, measured from the middle of the image before it was zoomed & panned
+        var rect = image.getBoundingClientRect();
+        var pointX = clientX != null ? clientX - (rect.left + rect.width / 2 - zoom.x) : 0;
+        var pointY = clientY != null ? clientY - (rect.top + rect.height / 2 - zoom.y) : 0;
+        zoom.x = pointX - (pointX - zoom.x) * scale / zoom.scale;
+        zoom.y = pointY - (pointY - zoom.y) * scale / zoom.scale;
+        zoom.scale = scale;
+        if (scale <= 1 || (snap && scale <= Slideshow.ZOOM_SNAP_SCALE)) {
+            this.resetZoom();
+            return;
+        }
+        this.applyZoom();
+    }
+
+    /**
+     * Keeps the zoomed image panned within its bounds and applies its transform.
+     */
+    applyZoom() {
+        var zoom = this.zoom;
+        var maxX = (zoom.scale - 1) * zoom.image.offsetWidth / 2;
+        var maxY = (zoom.scale - 1) * zoom.image.offsetHeight / 2;
+        zoom.x = Math.max(-maxX, Math.min(zoom.x, maxX));
+        zoom.y = Math.max(-maxY, Math.min(zoom.y, maxY));
+        zoom.image.style.transform = "translate(" + zoom.x + "px, " + zoom.y + "px) scale(" + zoom.scale + ")";
+
+        // Panning doesn't change the zoom
+        if (zoom.scale != zoom.emittedScale) {
+            zoom.emittedScale = zoom.scale;
+            this.emit("zoom", { index: this.items.indexOf(zoom.item), scale: zoom.scale });
+        }
+    }
+
+    /**
+     * Resets the zoom when the item at the given index is being selected, unless that is the zoomed item
+     * (or the zoomed item has been removed).
+     * 
+     * @param {number} index The index of the item being selected
+     */
+    updateZoom(index) {
+        if (this.zoom != null && this.items.indexOf(this.zoom.item) != index) {
+            this.resetZoom();
+        }
+    }
+
+    /**
+     * Resets the zoomed item, if any, letting swipes and auto transition continue.
+     */
+    resetZoom() {
+        var zoom = this.zoom;
+        if (zoom == null) {
+            return;
+        }
+        this.zoom = null;
+        this.zoomGesture = null;
+        zoom.image.style.transform = zoom.transform;
+        if (this.options.zoomedItemClass != null) {
+            zoom.item.classList.remove(this.options.zoomedItemClass);
+        }
+        if (this.container != null) {
+            this.container.style.touchAction = this.zoomTouchAction;
+        }
+        this.releaseAutoTransition("zoom");
+        this.emit("zoom", { index: this.items.indexOf(zoom.item), scale: 1 });
+    }
+
+    /**
+     * Determines whether or not an item is zoomed.
+     * 
+     * @returns {boolean} True if an item is zoomed, false otherwise
+     */
+    isZoomed() {
+        return this.zoom != null;
+    }
+
+    /**
+     * Handles keyboard navigation while the slideshow has focus.
+     * 
+     * @param {KeyboardEvent} event The keydown event
+     */
+    onKeyDown(event) {
+        // Don't steal keys from form fields inside of items
+        var target = event.target;
+        if (target != null && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return;
+        }
+        if (event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+
+        // Map the arrow keys of the slideshow's axis onto backward and forward
+        var key = event.key;
+        if (this.orientation == "vertical") {
+            key = key == "ArrowUp" ? "Backward" : key == "ArrowDown" ? "Forward" : key;
+        } else if (key == "ArrowLeft" || key == "ArrowRight") {
+            key = (key == "ArrowRight") != this.isReversed() ? "Forward" : "Backward";
+        }
+
+        switch (key) {
+            case "Backward":
+                this.transitionBackward(false);
+                break;
+            case "Forward":
+                this.transitionForward(false);
+                break;
+            case "Home":
+                if (this.items.length == 0) {
+                    return;
+                }
+                this.transitionTo(0);
+                break;
+            case "End":
+                if (this.items.length == 0) {
+                    return;
+                }
+                this.transitionTo(this.getMaxSelectedIndex());
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Adds the WAI-ARIA carousel roles and labels to the container and items, and creates the live region.
+     */
+    initiateAccessibility() {
+        this.liveRegion = null;
+        if (!this.options.accessibility || this.container == null) {
+            return;
+        }
+
+        // Container
+        if (!this.container.hasAttribute("role")) {
+            this.container.setAttribute("role", "region");
+        }
+        this.container.setAttribute("aria-roledescription", "carousel");
+        if (this.options.label != null && !this.container.hasAttribute("aria-label")) {
+            this.container.setAttribute("aria-label", this.options.label);
+        }
+
+        // Items
+        this.labelItems();
+
+        // Live region, visually hidden
+        if (this.options.liveRegion) {
+            this.liveRegion = document.createElement("div");
+            this.liveRegion.setAttribute("aria-live", "polite");
+            this.liveRegion.setAttribute("aria-atomic", "true");
+            this.liveRegion.style.cssText = "position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;";
+            this.container.appendChild(this.liveRegion);
+        }
+
+        var selectedIndex = this.getSelectedIndex();
+        this.updateIndicators(selectedIndex);
+        this.updateAccessibility(selectedIndex, false);
+    }
+
+    /**
+     * Gives every item the slide role and, unless it has its own label, an "index of count" label.
+     */
+    labelItems() {
+        if (!this.options.accessibility) {
+            return;
+        }
+        for (var i = 0; i < this.items.length; i++) {
+            if (!this.items[i].hasAttribute("role")) {
+                this.items[i].setAttribute("role", "group");
+            }
+            this.items[i].setAttribute("aria-roledescription", "slide");
+            if (Slideshow.hasGeneratedLabel(this.items[i], /^\d+ of \d+$/)) {
+                this.items[i].setAttribute("aria-label", (i + 1) + " of " + this.items.length);
+            }
+        }
+    }
+
+    /**
+     * Hides every item outside of the visible window from assistive technology and announces the selected item.
+     * 
+     * @param {number} selectedIndex The index of the newly selected item
+     * @param {boolean} announce Whether or not to announce the change through the live region
+     */
+    updateAccessibility(selectedIndex, announce = true) {
+        if (!this.options.accessibility) {
+            return;
+        }
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.isVisible(i, selectedIndex)) {
+                this.items[i].removeAttribute("aria-hidden");
+                this.items[i].inert = false;
+                this.items[i].removeAttribute("inert");
+            } else {
+                this.items[i].setAttribute("aria-hidden", "true");
+                this.items[i].inert = true;
+                this.items[i].setAttribute("inert", "");
+            }
+        }
+        if (announce && this.liveRegion != null) {
+            this.liveRegion.textContent = this.options.announcement
+                .replace("{index}", selectedIndex + 1)
+                .replace("{count}", this.items.length);
+        }
+    }
+
+    /**
+     * Builds the `pagination` into the `paginationContainer`, or into a new element at the end of the container.
+     * Bullets are generated indicators, the other types are kept up to date by `updatePagination`.
+     */
+    initiatePagination() {
+        this.pagination = null;
+        this.paginationParts = [];
+        this.createdPagination = false;
+        var type = this.options.pagination;
+        if (type == null || this.container == null) {
+            return;
+        }
+        var element = this.options.paginationContainer;
+        if (typeof element == "string") {
+            element = document.getElementById(element);
+        }
+        if (element == null) {
+            element = document.createElement("div");
+            this.container.appendChild(element);
+            this.createdPagination = true;
+        }
+        if (this.options.paginationClass != null) {
+            element.classList.add(this.options.paginationClass);
+        }
+        element.setAttribute("data-slideshow-pagination", type);
+        this.pagination = element;
+
+        switch (type) {
+            case "bullets":
+            case "dynamic":
+                // Generated as indicators, replacing any given ones
+                this.indicators = [];
+                this.indicatorsContainer = element;
+                break;
+            case "fraction":
+                this.createPaginationPart("slideshow-pagination-fraction");
+                break;
+            case "progressbar":
+                var bar = this.createPaginationPart("slideshow-pagination-progress");
+                bar.setAttribute("role", "progressbar");
+                bar.setAttribute("aria-valuemin", "1");
+                if (this.options.accessibility) {
+                    bar.setAttribute("aria-label", "Slide progress");
+                }
+                break;
+            default:
+                throw new SlideshowError("Slideshow: unknown pagination type " + JSON.stringify(type) + ".", "INVALID_OPTION");
+        }
+    }
+
+    /**
+     * Creates an element within the pagination, which `destroy` removes again.
+     * 
+     * @param {string} className The class of the element
+     * @returns {HTMLElement} The element
+     */
+    createPaginationPart(className) {
+        var part = document.createElement("span");
+        part.className = className;
+        this.pagination.appendChild(part);
+        this.paginationParts.push(part);
+        return part;
+    }
+
+    /**
+     * Updates the fraction, the progress bar or the window of dynamic bullets to the page of the selected item.
+     * 
+     * @param {number} selectedIndex The index of the selected item
+     */
+    updatePagination(selectedIndex) {
+        if (this.pagination == null) {
+            return;
+        }
+        var count = this.getPageCount();
+        var page = selectedIndex < 0 ? 0 : this.getPageOfIndex(selectedIndex);
+        switch (this.options.pagination) {
+            case "fraction":
+                this.paginationParts[0].textContent = this.options.fractionFormat
+                    .replace("{current}", count > 0 ? page + 1 : 0)
+                    .replace("{total}", count);
+                break;
+            case "progressbar":
+                var progress = count > 0 ? (page + 1) / count : 0;
+                var bar = this.paginationParts[0];
+                bar.style.transform = (this.orientation == "vertical" ? "scaleY(" : "scaleX(") + progress + ")";
+                bar.setAttribute("aria-valuemax", count);
+                bar.setAttribute("aria-valuenow", page + 1);
+                this.pagination.style.setProperty("--slideshow-pagination-progress", progress);
+                break;
+            case "dynamic":
+                // Only show a window of bullets around the selected one
+                var size = Math.min(Math.max(1, this.options.dynamicBullets), this.indicators.length);
+                var start = Math.max(0, Math.min(page - Math.floor(size / 2), this.indicators.length - size));
+                for (var i = 0; i < this.indicators.length; i++) {
+                    var hidden = i < start || i >= start + size;
+                    if (this.options.hiddenIndicatorClass != null) {
+                        this.indicators[i].classList.toggle(this.options.hiddenIndicatorClass, hidden);
+                    }
+                    this.indicators[i].style.setProperty("--slideshow-indicator-distance", Math.abs(i - page));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Creates an indicator from the `indicatorTemplate`, replacing `{index}` (counting from 1) and `{count}`.
+     * 
+     * @param {number} index The index of the item (or page) the indicator is for
+     * @returns {HTMLElement} The indicator
+     * @throws {SlideshowError} If the template element doesn't exist ("MISSING_ELEMENT") or the template has no element ("INVALID_OPTION")
+     */
+    renderIndicatorTemplate(index) {
+        var template = this.options.indicatorTemplate;
+        if (typeof template == "string" && template.charAt(0) == "#") {
+            var selector = template;
+            template = document.querySelector(selector);
+            if (template == null) {
+                throw new SlideshowError("Slideshow: there is no indicator template matching \"" + selector + "\".", "MISSING_ELEMENT");
+            }
+        }
+        var html = typeof template == "string" ? template : template.innerHTML;
+        return Slideshow.toElement(html.replace(/\{index\}/g, index + 1).replace(/\{count\}/g, this.getPageCount()), "indicatorTemplate");
+    }
+
+    /**
+     * Loops through all indicators and adds the selected class to the indicator of the page
+     * containing the selected item, otherwise removes it. Also updates the generated pagination.
+     * 
+     * @param {number} selectedIndex The index of the currently selected item.
+     */
+    updateIndicators(selectedIndex) {
+        this.updatePagination(selectedIndex);
+        if (this.indicators == null) {
+            return;
+        }
+        selectedIndex = selectedIndex < 0 ? -1 : this.getPageOfIndex(selectedIndex);
+        for (var i = 0; i < this.indicators.length; i++) {
+            if (i == selectedIndex) {
+                this.indicators[i].classList.add(this.selectedIndicatorClass);
+            } else if (this.indicators[i].classList.contains(this.selectedIndicatorClass)) {
+                this.indicators[i].classList.remove(this.selectedIndicatorClass);
+            }
+
+            // Tabs use aria-selected, anything else uses aria-current
+            if (this.options.accessibility) {
+                var state = this.indicators[i].getAttribute("role") == "tab" ? "aria-selected" : "aria-current";
+                if (i == selectedIndex) {
+                    this.indicators[i].setAttribute(state, "true");
+                } else if (state == "aria-selected") {
+                    this.indicators[i].setAttribute(state, "false");
+                } else {
+                    this.indicators[i].removeAttribute(state);
+                }
+            }
+        }
+    }
+
+    /**
+     * Gives every item in the visible window the visible item class and its slot within the window as the
+     * `--slideshow-slot` CSS variable, and removes them from every other item.
+     * 
+     * @param {number} selectedIndex The index of the selected item, the first item of the window
+     */
+    updateVisibleItems(selectedIndex) {
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.isVisible(i, selectedIndex)) {
+                if (this.options.visibleItemClass != null) {
+                    this.items[i].classList.add(this.options.visibleItemClass);
+                }
+                this.items[i].style.setProperty("--slideshow-slot", i - selectedIndex);
+            } else {
+                if (this.options.visibleItemClass != null) {
+                    this.items[i].classList.remove(this.options.visibleItemClass);
+                }
+                this.items[i].style.removeProperty("--slideshow-slot");
+            }
+        }
+        if (this.container != null) {
+            this.container.style.setProperty("--slideshow-per-view", this.slidesPerView);
+        }
+    }
+
+    /**
+     * Determines whether or not an item is within the visible window.
+     * 
+     * @param {number} index The index of the item
+     * @param {number} selectedIndex The index of the selected item, the first item of the window
+     * @returns {boolean} True if the item is visible, false otherwise
+     */
+    isVisible(index, selectedIndex) {
+        return index >= selectedIndex && index < selectedIndex + this.slidesPerView;
+    }
+
+    /**
+     * Loads the lazy media of the visible items and of `preloadNeighbours` items on either side,
+     * and pauses the videos of every other item, resuming them once they are visible again.
+     * 
+     * @param {number} selectedIndex The index of the selected item
+     */
+    updateMedia(selectedIndex) {
+        if (selectedIndex == -1 || this.destroyed) {
+            return;
+        }
+
+        // Lazy media
+        if (this.options.lazyLoad) {
+            var count = this.items.length;
+            var preload = Math.max(0, this.options.preloadNeighbours);
+            var end = Math.min(selectedIndex + this.slidesPerView - 1 + preload, selectedIndex + count - 1);
+            for (var i = Math.max(selectedIndex - preload, end - count + 1); i <= end; i++) {
+                var index = i;
+                if (index < 0 || index >= count) {
+                    if (!this.loop) {
+                        continue;
+                    }
+                    index = (index % count + count) % count;
+                }
+                this.loadItem(this.items[index]);
+
+                // A clone shows the same media as its item
+                if (index == 0 && this.tailClone != null) {
+                    this.loadItem(this.tailClone);
+                } else if (index == count - 1 && this.headClone != null) {
+                    this.loadItem(this.headClone);
+                }
+            }
+        }
+
+        // Videos
+        if (this.options.pauseVideos) {
+            for (var i = 0; i < this.items.length; i++) {
+                var videos = this.items[i].querySelectorAll("video");
+                var visible = this.isVisible(i, selectedIndex);
+                for (var j = 0; j < videos.length; j++) {
+                    var video = videos[j];
+                    var pausedIndex = this.pausedVideos.indexOf(video);
+                    if (visible) {
+                        if (pausedIndex != -1) {
+                            this.pausedVideos.splice(pausedIndex, 1);
+                            var playing = video.play();
+                            if (playing != null && typeof playing.catch == "function") {
+                                playing.catch(function() {}); // Autoplay may be blocked
+                            }
+                        }
+                    } else if (pausedIndex == -1 && (!video.paused || video.autoplay)) {
+                        // Pausing also keeps an autoplay video from starting
+                        this.pausedVideos.push(video);
+                        video.pause();
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Moves the `data-src`, `data-srcset` and `data-bg` attributes of an item and its descendants onto the
+     * real attributes. The item has the loading class until every image, iframe and video has loaded (or failed),
+     * and then emits `itemload`. Videos count as loaded once their metadata is, and those with `preload="none"`
+     * (which load nothing until played) aren't waited for.
+     * 
+     * @param {HTMLElement} item The item
+     */
+    loadItem(item) {
+        var elements = Array.prototype.slice.call(item.querySelectorAll("[data-src], [data-srcset], [data-bg]"));
+        if (item.matches("[data-src], [data-srcset], [data-bg]")) {
+            elements.unshift(item);
+        }
+        if (elements.length == 0) {
+            return;
+        }
+
+        // Track pending media
+        var object = this;
+        var pending = 0;
+        var onSettled = function() {
+            pending--;
+            if (pending > 0 || object.destroyed) {
+                return;
+            }
+            if (object.options.loadingClass != null) {
+                item.classList.remove(object.options.loadingClass);
+            }
+            var index = object.items.indexOf(item);
+            if (index != -1) {
+                object.emit("itemload", { index: index, item: item });
+            }
+        };
+        var wait = function(media) {
+            var video = media.tagName.toLowerCase() == "video";
+            if (video && media.getAttribute("preload") == "none" && !media.autoplay) {
+                return;
+            }
+            pending++;
+            var settle = function() {
+                media.removeEventListener("load", settle);
+                media.removeEventListener("loadedmetadata", settle);
+                media.removeEventListener("error", settle);
+                onSettled();
+            };
+            media.addEventListener(video ? "loadedmetadata" : "load", settle);
+            media.addEventListener("error", settle);
+        };
+        if (this.options.loadingClass != null) {
+            item.classList.add(this.options.loadingClass);
+        }
+
+        // Hydrate
+        pending++;
+        var videos = [];
+        for (var i = 0; i < elements.length; i++) {
+            var element = elements[i];
+            var tag = element.tagName.toLowerCase();
+            if (element.hasAttribute("data-bg")) {
+                // Load the background through an image as well, so we know when it is ready
+                var background = new Image();
+                wait(background);
+                background.src = element.getAttribute("data-bg");
+                element.style.backgroundImage = "url(\"" + element.getAttribute("data-bg") + "\")";
+                element.removeAttribute("data-bg");
+            }
+            if (!element.hasAttribute("data-src") && !element.hasAttribute("data-srcset")) {
+                continue;
+            }
+            if (tag == "source") {
+                // A video only picks up new sources once it is reloaded
+                var parent = element.parentElement;
+                if (parent != null && parent.tagName.toLowerCase() == "video" && videos.indexOf(parent) == -1) {
+                    videos.push(parent);
+                }
+            } else if (tag == "img" || tag == "iframe" || tag == "video") {
+                wait(element);
+            }
+            if (element.hasAttribute("data-srcset")) {
+                element.setAttribute("srcset", element.getAttribute("data-srcset"));
+                element.removeAttribute("data-srcset");
+            }
+            if (element.hasAttribute("data-src")) {
+                element.setAttribute("src", element.getAttribute("data-src"));
+                element.removeAttribute("data-src");
+            }
+        }
+        for (var i = 0; i < videos.length; i++) {
+            wait(videos[i]);
+            videos[i].load();
+        }
+        onSettled();
+    }
+
+    /**
+     * Fits the height of the container to the selected item if `autoHeight` is enabled: growing along with
+     * transitions, shrinking once they have ended (so the item leaving isn't cut off), and refitting whenever
+     * an item resizes or its images and fonts load.
+     */
+    initiateAutoHeight() {
+        this.heightAnimation = null;
+        this.heightObserver = null;
+        if (!this.options.autoHeight || this.container == null) {
+            return;
+        }
+        var object = this;
+        this.on("change", function(event) {
+            object.updateHeight(event.detail.to, true, false);
+        });
+        this.on("afterchange", function(event) {
+            object.updateHeight(event.detail.to, true, true);
+        });
+        var refit = function() {
+            // Refitting during a transition could cut off the item leaving
+            if (object.currentTransition == null) {
+                object.updateHeight(object.getSelectedIndex(), false, true);
+            }
+        };
+        this.on("itemschange", refit);
+        this.on("breakpoint", refit);
+
+        // Images don't bubble their load event, so capture it
+        this.listen(this.container, "load", refit, true);
+        if (document.fonts != null && typeof document.fonts.addEventListener == "function") {
+            this.listen(document.fonts, "loadingdone", refit);
+        }
+        if (typeof ResizeObserver == "function") {
+            this.heightObserver = new ResizeObserver(refit);
+            for (var i = 0; i < this.items.length; i++) {
+                this.heightObserver.observe(this.items[i]);
+            }
+        }
+        this.updateHeight(this.getSelectedIndex(), false, true);
+    }
+
+    /**
+     * Sets the height of the container to the tallest visible item, animating it with the `effectDuration` and `effectEasing`.
+     * The container keeps room for its padding, border and the children which aren't items (such as the pagination).
+     * 
+     * @param {number} selectedIndex The index of the selected item
+     * @param {boolean} animate Whether or not to animate the change
+     * @param {boolean} shrink Whether or not the container may become smaller
+     */
+    updateHeight(selectedIndex, animate, shrink) {
+        if (!this.options.autoHeight || this.container == null || this.destroyed || selectedIndex < 0) {
+            return;
+        }
+        var height = 0;
+        for (var i = selectedIndex; i < Math.min(selectedIndex + this.slidesPerView, this.items.length); i++) {
+            height = Math.max(height, this.items[i].offsetHeight);
+        }
+
+        // Items which aren't rendered yet can't be measured
+        if (height == 0) {
+            return;
+        }
+
+        // Compare border boxes, but set the height the way the box-sizing of the container reads it
+        var style = getComputedStyle(this.container);
+        var frame = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom) + parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth) || 0;
+        var inset = style.boxSizing == "border-box" ? 0 : frame;
+        height += this.getOtherChildrenHeight() + frame;
+        var current = this.container.offsetHeight;
+        if (height == current || (height < current && !shrink)) {
+            return;
+        }
+        if (this.heightAnimation != null) {
+            this.heightAnimation.cancel();
+            this.heightAnimation = null;
+        }
+        this.container.style.height = (height - inset) + "px";
+        if (animate && this.options.effectDuration > 0 && typeof this.container.animate == "function") {
+            this.heightAnimation = this.container.animate([{ height: Math.max(0, current - inset) + "px" }, { height: (height - inset) + "px" }], {
+                duration: this.options.effectDuration,
+                easing: this.options.effectEasing
+            });
+        }
+    }
+
+    /**
+     * Measures the children of the container which take up room next to the items, such as the pagination
+     * or controls. Items, clones and positioned children don't.
+     * 
+     * @returns {number} The height of the children, including their margins
+     */
+    getOtherChildrenHeight() {
+        var height = 0;
+        for (var i = 0; i < this.container.children.length; i++) {
+            var child = this.container.children[i];
+            if (this.items.indexOf(child) != -1 || child.hasAttribute("data-slideshow-clone")) {
+                continue;
+            }
+            var style = getComputedStyle(child);
+            if (style.display == "none" || style.position == "absolute" || style.position == "fixed") {
+                continue;
+            }
+            height += child.offsetHeight + (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0);
+        }
+        return height;
+    }
+
+    /**
+     * Determines whether or not more than one item is visible or items move in groups,
+     * in which case indicators represent pages rather than items.
+     * 
+     * @returns {boolean} True if the slideshow is grouped, false otherwise
+     */
+    isGrouped() {
+        return this.slidesPerView > 1 || this.slidesPerGroup > 1;
+    }
+
+    /**
+     * Gets the highest index the selected item can have while still filling the visible window.
+     * 
+     * @returns {number} The index
+     */
+    getMaxSelectedIndex() {
+        return Math.max(0, this.items.length - this.slidesPerView);
+    }
+
+    /**
+     * Gets the number of pages. Every page starts `slidesPerGroup` items after the previous one,
+     * except for the last page, which always ends at the last item.
+     * 
+     * @returns {number} The number of pages
+     */
+    getPageCount() {
+        if (this.items.length == 0) {
+            return 0;
+        }
+        return Math.ceil(this.getMaxSelectedIndex() / this.slidesPerGroup) + 1;
+    }
+
+    /**
+     * Gets the index of the first item of a page.
+     * 
+     * @param {number} page The page
+     * @returns {number} The index of the item
+     */
+    getPageStart(page) {
+        return Math.min(page * this.slidesPerGroup, this.getMaxSelectedIndex());
+    }
+
+    /**
+     * Gets the page an item belongs to, meaning the page shown while it is selected.
+     * 
+     * @param {number} index The index of the item
+     * @returns {number} The page
+     */
+    getPageOfIndex(index) {
+        if (index >= this.getMaxSelectedIndex()) {
+            return this.getPageCount() - 1;
+        }
+        return Math.floor(index / this.slidesPerGroup);
+    }
+
+    /**
+     * Transitions to the first item of a page.
+     * 
+     * @param {number} page The page to transition to
+     * @param {boolean} auto Whether or not this transition was automatic.
+     * @returns {Object|boolean|null} See `transitionTo`
+     */
+    transitionToPage(page, auto = false) {
+        page = Math.max(0, Math.min(page, this.getPageCount() - 1));
+        return this.transitionTo(this.getPageStart(page), auto, this.getPageStrategy());
+    }
+
+    /**
+     * Gets the strategy `transitionTo` moves between pages with. A page of a grouped slideshow is a single step, even
+     * when it spans several items, otherwise the `jumpStrategy` option applies.
+     * 
+     * @returns {string|undefined} The strategy, undefined to use the `jumpStrategy` option
+     */
+    getPageStrategy() {
+        if (this.isGrouped()) {
+            return this.loop ? "shortest" : "direct";
+        }
+        return undefined;
+    }
+
+    /**
+     * Transitions a grouped slideshow forward or backward by `slidesPerGroup` items, wrapping if looping.
+     * 
+     * @param {number} step 1 to go forward, -1 to go backward
+     * @param {boolean} auto Whether or not this transition was automatic.
+     * @returns {Object|boolean|null} See `transitionTo`
+     */
+    transitionByGroup(step, auto) {
+        var selectedIndex = this.getSelectedIndex();
+        var maxSelectedIndex = this.getMaxSelectedIndex();
+        var targetIndex;
+        if (step > 0) {
+            if (selectedIndex >= maxSelectedIndex) {
+                if (!this.loop) {
+                    return null;
+                }
+                targetIndex = 0;
+            } else {
+                targetIndex = Math.min(selectedIndex + this.slidesPerGroup, maxSelectedIndex);
+            }
+        } else {
+            if (selectedIndex <= 0) {
+                if (!this.loop) {
+                    return null;
+                }
+                targetIndex = maxSelectedIndex;
+            } else {
+                targetIndex = Math.max(selectedIndex - this.slidesPerGroup, 0);
+            }
+        }
+        return this.transitionTo(targetIndex, auto, this.getPageStrategy());
+    }
+
+    /**
+     * Resolves the slidesPerView & slidesPerGroup for the given container width from the `breakpoints` option.
+     * 
+     * @param {number} width The width of the container
+     * @returns {Object} The `slidesPerView` and `slidesPerGroup`
+     */
+    getLayout(width) {
+        var layout = {
+            slidesPerView: this.options.slidesPerView,
+            slidesPerGroup: this.options.slidesPerGroup
+        };
+
+        // Apply every breakpoint up to the width, smallest first, so larger breakpoints win
+        if (this.options.breakpoints != null) {
+            var widths = Object.keys(this.options.breakpoints).map(Number).sort(function(a, b) {
+                return a - b;
+            });
+            for (var i = 0; i < widths.length && widths[i] <= width; i++) {
+                Object.assign(layout, this.options.breakpoints[widths[i]]);
+            }
+        }
+        layout.slidesPerView = Math.max(1, Math.floor(layout.slidesPerView));
+        layout.slidesPerGroup = Math.max(1, Math.floor(layout.slidesPerGroup));
+        return layout;
+    }
+
+    /**
+     * Starts the ResizeObserver which applies the `breakpoints` as the container resizes.
+     */
+    initiateBreakpoints() {
+        if (this.options.breakpoints == null || this.container == null || typeof ResizeObserver != "function") {
+            return;
+        }
+        var object = this;
+        this.resizeObserver = new ResizeObserver(function(entries) {
+            object.applyLayout(object.getLayout(entries[entries.length - 1].contentRect.width));
+        });
+        this.resizeObserver.observe(this.container);
+    }
+
+    /**
+     * Applies a new layout, keeping the selected item in view and rebuilding the indicators for the new pages.
+     * 
+     * @param {Object} layout The `slidesPerView` and `slidesPerGroup`
+     */
+    applyLayout(layout) {
+        if (layout.slidesPerView == this.slidesPerView && layout.slidesPerGroup == this.slidesPerGroup) {
+            return;
+        }
+        this.slidesPerView = layout.slidesPerView;
+        this.slidesPerGroup = layout.slidesPerGroup;
+        var selectedIndex = this.getSelectedIndex();
+        this.refreshItems(this.items[selectedIndex], selectedIndex);
+        this.emit("breakpoint", { slidesPerView: this.slidesPerView, slidesPerGroup: this.slidesPerGroup });
+    }
+
+    /**
+     * Selects the item the URL points to, if `urlSync` is enabled. Called while constructing,
+     * before anything depends on the selected item. Remembers the item selected otherwise,
+     * to return to when navigating back to a URL without a key.
+     */
+    selectFromUrl() {
+        if (!this.options.urlSync) {
+            return;
+        }
+        this.urlStartIndex = Math.max(0, this.getSelectedIndex());
+        var index = this.readUrlIndex();
+        if (index != -1) {
+            this.selectInitially(index);
+        }
+    }
+
+    /**
+     * Selects an item while constructing, before anything depends on the selected item.
+     * 
+     * @param {number} index The index of the item, ignored if it is out of range
+     */
+    selectInitially(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.items.length) {
+            return;
+        }
+        if (this.isGrouped()) {
+            index = Math.min(index, this.getMaxSelectedIndex());
+        }
+
+        // Move the selected class, then reclauclate the others
+        for (var i = 0; i < this.items.length; i++) {
+            this.items[i].classList.remove(this.selectedItemClass);
+        }
+        this.items[index].classList.remove(this.prevItemClass);
+        this.items[index].classList.remove(this.nextItemClass);
+        this.items[index].classList.add(this.selectedItemClass);
+        this.reclauclatePositions(index);
+    }
+
+    /**
+     * Keeps the URL in sync with the selected item, and navigates when the URL changes through Back/Forward.
+     * Automatic transitions always replace the history entry, so autoplay doesn't flood the history.
+     * A URL without a key of this slideshow returns to the item selected before the URL was applied.
+     */
+    initiateUrlSync() {
+        if (!this.options.urlSync || typeof window == "undefined") {
+            return;
+        }
+        var object = this;
+        this.on("change", function(event) {
+            object.writeUrl(event.detail.to, event.detail.auto);
+        });
+        var onUrlChange = function() {
+            var index = object.readUrlIndex();
+            if (index == -1) {
+                index = Math.min(object.urlStartIndex, object.items.length - 1);
+            }
+            if (index < 0 || index == object.getTargetIndex()) {
+                return;
+            }
+            if (object.isTransitionRunning()) {
+                object.interruptTransition();
+            }
+
+            // Jump straight to the item rather than walking through the ones in between
+            object.transitionTo(index, false, "direct");
+        };
+        this.listen(window, "popstate", onUrlChange);
+        if (this.options.urlSync == "hash") {
+            this.listen(window, "hashchange", onUrlChange);
+        }
+    }
+
+    /**
+     * Returns the key of this slideshow in the URL: the `urlKey` option, the id of the container, or "slide".
+     * 
+     * @returns {string} The key
+     */
+    getUrlKey() {
+        if (this.options.urlKey != null) {
+            return this.options.urlKey;
+        }
+        if (this.container != null && this.container.id) {
+            return this.container.id;
+        }
+        return "slide";
+    }
+
+    /**
+     * Returns the parameters of the URL this slideshow is synced with, either those of the hash or those of the query.
+     * 
+     * @param {URL} url The URL
+     * @returns {URLSearchParams} The parameters
+     */
+    getUrlParams(url) {
+        if (this.options.urlSync == "hash") {
+            return new URLSearchParams(url.hash.slice(1));
+        }
+        return url.searchParams;
+    }
+
+    /**
+     * Returns how the item at the given index is written in the URL: its slug attribute, its id, or its position (counting from 1).
+     * 
+     * @param {number} index The index of the item
+     * @returns {string} The value
+     */
+    getUrlValue(index) {
+        var item = this.items[index];
+        return item.getAttribute(this.options.slugAttribute) || item.id || String(index + 1);
+    }
+
+    /**
+     * Finds the item the URL points to.
+     * 
+     * @returns {number} The index of the item, -1 if the URL does not point to one
+     */
+    readUrlIndex() {
+        var value = this.getUrlParams(new URL(location.href)).get(this.getUrlKey());
+        if (value == null) {
+            return -1;
+        }
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.getUrlValue(i) == value) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Writes the item at the given index into the URL, replacing the current history entry or pushing a new one
+     * depending on `urlHistory`. Leaves the parameters of other slideshows untouched.
+     * 
+     * @param {number} index The index of the item
+     * @param {boolean} replace Whether or not to replace the current history entry regardless of `urlHistory`
+     */
+    writeUrl(index, replace = false) {
+        var url = new URL(location.href);
+        var params = this.getUrlParams(url);
+        var value = this.getUrlValue(index);
+        if (params.get(this.getUrlKey()) == value) {
+            return;
+        }
+        params.set(this.getUrlKey(), value);
+        if (this.options.urlSync == "hash") {
+            url.hash = params.toString();
+        }
+        if (this.options.urlHistory == "push" && !replace) {
+            history.pushState(history.state, "", url.href);
+        } else {
+            history.replaceState(history.state, "", url.href);
+        }
+    }
+
+    /**
+     * Links this slideshow to the `asNavFor` slideshows, and lets linked slideshows follow each other.
+     */
+    initiateSync() {
+        var object = this;
+        this.on("change", function(event) {
+            // A grouped slideshow scrolling through its items (like a thumbnail strip) does not drive the others
+            if (!object.syncing && !object.isGrouped()) {
+                object.syncOthers(event.detail.to);
+            }
+        });
+        if (this.options.asNavFor == null) {
+            return;
+        }
+
+        // Clicking an item of a navigator selects the item in every linked slideshow
+        if (this.container != null) {
+            this.listen(this.container, "click", function(event) {
+                for (var i = 0; i < object.items.length; i++) {
+                    if (object.items[i].contains(event.target)) {
+                        object.syncTo(i);
+                        return;
+                    }
+                }
+            });
+        }
+        this.linkNavTargets();
+    }
+
+    /**
+     * Links the `asNavFor` slideshows, given as slideshows, elements with a slideshow or a selector.
+     * Elements whose slideshow does not exist yet are linked once it has been constructed.
+     */
+    linkNavTargets() {
+        var targets = this.options.asNavFor;
+        if (targets == null) {
+            return;
+        }
+        if (typeof targets == "string") {
+            targets = document.querySelectorAll(targets);
+        } else if (targets instanceof Slideshow || targets.length == null) {
+            targets = [targets];
+        }
+        for (var i = 0; i < targets.length; i++) {
+            var slideshow = targets[i] instanceof Slideshow ? targets[i] : targets[i].slideshow;
+            if (slideshow != null) {
+                this.sync(slideshow);
+            } else {
+                Slideshow.pendingNavLinks.push({ navigator: this, element: targets[i] });
+            }
+        }
+    }
+
+    /**
+     * Links the navigators which were waiting for the container of this slideshow to get its slideshow.
+     */
+    linkPendingNavigators() {
+        var object = this;
+        var links = Slideshow.pendingNavLinks.filter(function(link) {
+            return link.element == object.container;
+        });
+        Slideshow.pendingNavLinks = Slideshow.pendingNavLinks.filter(function(link) {
+            return links.indexOf(link) == -1;
+        });
+        for (var i = 0; i < links.length; i++) {
+            links[i].navigator.sync(this);
+        }
+    }
+
+    /**
+     * Links this slideshow with another, so navigating either one drives the other.
+     * This slideshow starts out following the item selected in the other one.
+     * 
+     * @param {Slideshow} other The slideshow to link with
+     * @returns {Slideshow} This slideshow, for chaining
+     */
+    sync(other) {
+        if (other == this || this.syncedSlideshows.indexOf(other) != -1 || this.destroyed || other.destroyed) {
+            return this;
+        }
+        this.syncedSlideshows.push(other);
+        other.syncedSlideshows.push(this);
+        other.setActiveItem(other.getActiveIndex());
+        this.syncTo(other.getActiveIndex(), other);
+        return this;
+    }
+
+    /**
+     * Unlinks a slideshow previously linked through `sync` or `asNavFor`.
+     * 
+     * @param {Slideshow} other The slideshow to unlink
+     * @returns {Slideshow} This slideshow, for chaining
+     */
+    unsync(other) {
+        var index = this.syncedSlideshows.indexOf(other);
+        if (index == -1) {
+            return this;
+        }
+        this.syncedSlideshows.splice(index, 1);
+        other.syncedSlideshows.splice(other.syncedSlideshows.indexOf(this), 1);
+        return this;
+    }
+
+    /**
+     * Selects an item because a linked slideshow selected it, then passes it on to the other linked slideshows.
+     * A grouped slideshow only moves if the item is out of view, and marks it with the active item class.
+     * 
+     * @param {number} index The index of the item
+     * @param {Slideshow} source The slideshow the selection comes from, which is not driven back
+     */
+    syncTo(index, source = null) {
+        // Guard against feedback loops
+        if (this.syncing || this.destroyed || this.items.length == 0) {
+            return;
+        }
+        index = Math.max(0, Math.min(index, this.items.length - 1));
+        this.syncing = true;
+
+        // Bring the item into view
+        var selectedIndex = this.getSelectedIndex();
+        var targetIndex = index;
+        if (this.isGrouped()) {
+            targetIndex = this.isVisible(index, selectedIndex) ? selectedIndex : this.getPageStart(this.getPageOfIndex(index));
+        }
+        if (targetIndex != selectedIndex) {
+            if (this.isTransitionRunning()) {
+                this.interruptTransition();
+            }
+            this.transitionTo(targetIndex);
+        }
+
+        this.syncOthers(index, source);
+        this.syncing = false;
+    }
+
+    /**
+     * Marks an item as active and passes it on to the linked slideshows.
+     * 
+     * @param {number} index The index of the item
+     * @param {Slideshow} source The slideshow which is not driven back
+     */
+    syncOthers(index, source = null) {
+        this.setActiveItem(index);
+        var syncing = this.syncing;
+        this.syncing = true;
+        for (var i = 0; i < this.syncedSlideshows.length; i++) {
+            if (this.syncedSlideshows[i] != source) {
+                this.syncedSlideshows[i].syncTo(index, this);
+            }
+        }
+        this.syncing = syncing;
+    }
+
+    /**
+     * Gives the active item class to the item linked slideshows have selected, and removes it from every other item.
+     * 
+     * @param {number} index The index of the item
+     */
+    setActiveItem(index) {
+        this.activeIndex = index;
+        if (this.options.activeItemClass == null) {
+            return;
+        }
+        for (var i = 0; i < this.items.length; i++) {
+            if (i == index && this.syncedSlideshows.length > 0) {
+                this.items[i].classList.add(this.options.activeItemClass);
+            } else {
+                this.items[i].classList.remove(this.options.activeItemClass);
+            }
+        }
+    }
+
+    /**
+     * Returns the index of the item linked slideshows have selected, which is the selected item unless this
+     * slideshow is grouped.
+     * 
+     * @returns {number} The index
+     */
+    getActiveIndex() {
+        if (this.activeIndex >= 0 && this.activeIndex < this.items.length) {
+            return this.activeIndex;
+        }
+        return this.getSelectedIndex();
+    }
+
+    /**
+     * Creates the thumbnail shown by a generated indicator: an image of the item's `thumbnailAttribute`,
+     * or of the first image within the item. As the latter is the full size image, thumbnails are loaded
+     * lazily, so a strip of them doesn't download every image up front.
+     * 
+     * @param {HTMLElement} item The item
+     * @returns {HTMLElement} The thumbnail, or null if the item has no image
+     */
+    createThumbnail(item) {
+        var source = item.getAttribute(this.options.thumbnailAttribute);
+        if (source == null) {
+            var image = Slideshow.getItemImage(item);
+            if (image != null) {
+                source = image.getAttribute("src") || image.getAttribute("data-src");
+            }
+        }
+        if (source == null) {
+            return null;
+        }
+        var thumbnail = document.createElement("img");
+        thumbnail.setAttribute("loading", "lazy");
+        thumbnail.setAttribute("decoding", "async");
+        thumbnail.setAttribute("src", source);
+        thumbnail.setAttribute("alt", "");
+        thumbnail.setAttribute("draggable", "false");
+        return thumbnail;
+    }
+
+    /**
+     * Opens an item large in a lightbox when it is clicked, if the `lightbox` option is enabled.
+     */
+    initiateLightbox() {
+        this.lightbox = null;
+        this.lightboxOpener = null;
+        if (!this.options.lightbox || this.container == null) {
+            return;
+        }
+        var object = this;
+        this.listen(this.container, "click", function(event) {
+            // Leave links and form fields inside of items alone
+            if (event.defaultPrevented || event.target.closest("a, button, input, select, textarea, label") != null) {
+                return;
+            }
+            for (var i = 0; i < object.items.length; i++) {
+                if (object.items[i].contains(event.target)) {
+                    object.openLightbox(i);
+                    return;
+                }
+            }
+        });
+    }
+
+    /**
+     * Opens the lightbox: a slideshow of every item in a fullscreen overlay (or a fixed one, if fullscreen is unavailable
+     * or refused), starting on the given item. Navigating the lightbox navigates this slideshow along with it, and auto
+     * transition is held while it is open. Escape, clicking the backdrop or the close button close it again.
+     * The lightbox shows copies of the items, or their `fullSrcAttribute` image, so the original items stay in place.
+     * 
+     * @param {number} index The index of the item to start on, defaults to the selected item
+     * @returns {Slideshow} The slideshow of the lightbox, or null if it could not be opened
+     */
+    openLightbox(index = this.getSelectedIndex()) {
+        if (this.lightbox != null || this.destroyed || !Number.isInteger(index) || index < 0 || index >= this.items.length) {
+            return this.lightbox;
+        }
+        var object = this;
+
+        // Build the overlay, holding a copy of every item & the controls
+        var overlay = document.createElement("div");
+        if (this.options.lightboxClass != null) {
+            overlay.classList.add(this.options.lightboxClass);
+        }
+        overlay.setAttribute("role", "dialog");
+        overlay.setAttribute("aria-modal", "true");
+        if (this.options.lightboxLabel != null) {
+            overlay.setAttribute("aria-label", this.options.lightboxLabel);
+        }
+        overlay.setAttribute("tabindex", "-1");
+        overlay.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; z-index: 2147483647;";
+        var items = [];
+        for (var i = 0; i < this.items.length; i++) {
+            items.push(this.createLightboxItem(this.items[i]));
+            overlay.appendChild(items[i]);
+        }
+        var controls = [["data-slideshow-prev", "Previous slide"], ["data-slideshow-next", "Next slide"], ["data-slideshow-close", "Close"]];
+        for (var i = 0; i < controls.length; i++) {
+            var control = document.createElement("button");
+            control.setAttribute("type", "button");
+            control.setAttribute(controls[i][0], "");
+            control.setAttribute("aria-label", controls[i][1]);
+            overlay.appendChild(control);
+        }
+        document.body.appendChild(overlay);
+
+        // Run the lightbox as a slideshow of its own, which this one follows
+        this.lightboxOpener = document.activeElement;
+        this.holdAutoTransition("lightbox");
+        var lightbox = new Slideshow({
+            container: overlay,
+            items: items,
+            initialState: { selectedIndex: index },
+            loop: this.loop,
+            loopStrategy: this.options.loopStrategy,
+            transitionPolicy: this.options.transitionPolicy,
+            jumpStrategy: this.options.jumpStrategy,
+            shouldAutoTransition: false,
+            itemClass: this.options.itemClass,
+            prevItemClass: this.prevItemClass,
+            selectedItemClass: this.selectedItemClass,
+            nextItemClass: this.nextItemClass,
+            transitioningClass: this.transitioningClass,
+            notransitionClass: this.notransitionClass,
+            visibleItemClass: this.options.visibleItemClass,
+            cloneItemClass: this.options.cloneItemClass,
+            loadingClass: this.options.loadingClass,
+            liveRegion: this.options.liveRegion,
+            announcement: this.options.announcement,
+            effect: this.options.effect,
+            effectDuration: this.options.effectDuration,
+            effectEasing: this.options.effectEasing,
+            orientation: this.orientation,
+            direction: this.direction,
+            scheduler: this.scheduler,
+            zoom: this.options.zoom,
+            maxZoom: this.options.maxZoom,
+            doubleTapZoom: this.options.doubleTapZoom,
+            zoomWheelModifier: this.options.zoomWheelModifier,
+            zoomedItemClass: this.options.zoomedItemClass
+        });
+        this.lightbox = lightbox;
+        lightbox.on("change", function(event) {
+            object.syncTo(event.detail.to);
+        });
+
+        // Close on Escape, the close button & the backdrop, and keep focus within the lightbox
+        lightbox.listen(overlay, "keydown", function(event) {
+            if (event.key == "Escape") {
+                event.preventDefault();
+                object.closeLightbox();
+            } else if (event.key == "Tab") {
+                object.trapLightboxFocus(event);
+            }
+        });
+        lightbox.listen(overlay, "click", function(event) {
+            if (event.defaultPrevented) {
+                return;
+            }
+            if (event.target == overlay || items.indexOf(event.target) != -1 || event.target.closest("[data-slideshow-close]") != null) {
+                object.closeLightbox();
+            }
+        });
+
+        // Go fullscreen if possible, closing once fullscreen is left (the browser handles Escape itself then)
+        if (this.options.lightboxFullscreen && typeof overlay.requestFullscreen == "function") {
+            var fullscreen = false;
+            lightbox.listen(document, "fullscreenchange", function() {
+                if (document.fullscreenElement == overlay) {
+                    fullscreen = true;
+                } else if (fullscreen && object.lightbox == lightbox) {
+                    object.closeLightbox();
+                }
+            });
+            var request = overlay.requestFullscreen();
+            if (request != null && typeof request.catch == "function") {
+                request.catch(function() {
+                    // Stay a fixed overlay
+                });
+            }
+        }
+        overlay.focus();
+        this.emit("lightboxopen", { index: index, lightbox: lightbox });
+        return lightbox;
+    }
+
+    /**
+     * Closes the lightbox, leaving this slideshow on the item the lightbox was on. Focus returns to where it was
+     * before the lightbox opened, or to the container if that is no longer available, and auto transition continues.
+     */
+    closeLightbox() {
+        var lightbox = this.lightbox;
+        if (lightbox == null) {
+            return;
+        }
+        this.lightbox = null;
+        var overlay = lightbox.container;
+        var index = lightbox.getSelectedIndex();
+        if (document.fullscreenElement == overlay && typeof document.exitFullscreen == "function") {
+            var exit = document.exitFullscreen();
+            if (exit != null && typeof exit.catch == "function") {
+                exit.catch(function() {
+                    // The overlay is removed either way
+                });
+            }
+        }
+        lightbox.destroy();
+        if (overlay.parentNode != null) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        this.releaseAutoTransition("lightbox");
+
+        // Restore focus, unless it would land in a hidden item
+        var opener = this.lightboxOpener;
+        this.lightboxOpener = null;
+        if (opener != null && opener.isConnected && opener.closest("[inert]") == null && typeof opener.focus == "function" && opener != document.body) {
+            opener.focus();
+        } else if (this.container != null && this.container.hasAttribute("tabindex")) {
+            this.container.focus();
+        }
+        this.emit("lightboxclose", { index: index });
+    }
+
+    /**
+     * Keeps Tab and Shift+Tab cycling through the focusable elements of the lightbox.
+     * 
+     * @param {KeyboardEvent} event The keydown event of the Tab key
+     */
+    trapLightboxFocus(event) {
+        var overlay = this.lightbox.container;
+        var focusable = Array.from(overlay.querySelectorAll("a[href], button, input, select, textarea, [tabindex]")).filter(function(element) {
+            return !element.disabled && element.getAttribute("tabindex") != "-1" && element.closest("[inert]") == null;
+        });
+        if (focusable.length == 0) {
+            event.preventDefault();
+            overlay.focus();
+            return;
+        }
+        var first = focusable[0];
+        var last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement == first || document.activeElement == overlay)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement == last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Creates the copy of an item shown by the lightbox: an image of its `fullSrcAttribute` (on the item or an element
+     * within it) if it has one, or a copy of the item itself otherwise.
+     * 
+     * @param {HTMLElement} item The item
+     * @returns {HTMLElement} The lightbox item
+     */
+    createLightboxItem(item) {
+        var copy;
+        var holder = item.hasAttribute(this.options.fullSrcAttribute) ? item : item.querySelector("[" + this.options.fullSrcAttribute + "]");
+        if (holder != null) {
+            copy = document.createElement("div");
+            var image = document.createElement("img");
+            image.setAttribute("src", holder.getAttribute(this.options.fullSrcAttribute));
+            var original = Slideshow.getItemImage(item);
+            image.setAttribute("alt", original != null ? original.getAttribute("alt") || "" : "");
+            image.setAttribute("draggable", "false");
+            copy.appendChild(image);
+        } else {
+            copy = item.cloneNode(true);
+            this.resetItem(copy);
+            var classes = [this.options.visibleItemClass, this.options.activeItemClass, this.options.loadingClass, this.options.cloneItemClass];
+            for (var i = 0; i < classes.length; i++) {
+                if (classes[i] != null) {
+                    copy.classList.remove(classes[i]);
+                }
+            }
+            copy.removeAttribute("aria-hidden");
+            copy.removeAttribute("inert");
+            copy.style.translate = "";
+            copy.style.removeProperty("--slideshow-slot");
+            for (var i = 0; i < this.effectProperties.length; i++) {
+                copy.style[this.effectProperties[i]] = "";
+            }
+            Slideshow.stripIds(copy);
+        }
+        copy.classList.add(this.options.itemClass);
+        return copy;
+    }
+
+    /**
+     * Creates an empty item for every entry of the `dataSource`. Only a window of them is kept in the DOM and
+     * rendered, see `updateVirtualWindow`, so indices, indicators and events still refer to the whole collection.
+     */
+    initiateVirtualItems() {
+        var source = this.options.dataSource;
+        this.virtual = {
+            source: source,
+            data: typeof source == "function" ? [] : Array.from(source),
+            rendered: [],
+            pending: [],
+            pool: []
+        };
+
+        // Replace the items in the container
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.items[i].parentNode != null) {
+                this.items[i].parentNode.removeChild(this.items[i]);
+            }
+        }
+        var count = typeof source == "function" ? Math.max(0, this.options.dataCount || 0) : this.virtual.data.length;
+        this.items = [];
+        for (var i = 0; i < count; i++) {
+            var item = document.createElement("div");
+            item.classList.add(this.options.itemClass);
+            item.classList.add(i == 0 ? this.selectedItemClass : this.nextItemClass);
+            this.items.push(item);
+        }
+    }
+
+    /**
+     * Keeps the window of items in the DOM up to date as transitions end, if the slideshow is rendered from a `dataSource`.
+     */
+    initiateVirtual() {
+        if (this.virtual == null) {
+            return;
+        }
+
+        // The items a transition passed leave the DOM once it has ended
+        var object = this;
+        this.on("afterchange", function() {
+            object.updateVirtualWindow(object.getSelectedIndex());
+        });
+    }
+
+    /**
+     * Replaces the data source of a slideshow rendered from one, keeping the selected index if it still exists.
+     * 
+     * @param {Array|Function} source The data, or a function fetching `count` entries from `offset` which returns them (or a Promise of them)
+     * @param {number} count The number of entries, required when the source is a function
+     * @throws {SlideshowError} If the slideshow was not created with a dataSource ("NOT_VIRTUAL")
+     */
+    setDataSource(source, count = null) {
+        if (this.virtual == null) {
+            throw new SlideshowError("Slideshow: setDataSource is only available to slideshows created with a dataSource.", "NOT_VIRTUAL");
+        }
+        var selectedIndex = this.getSelectedIndex();
+        this.resetAllTransitioning();
+        for (var i = 0; i < this.items.length; i++) {
+            this.detachVirtualItem(i);
+        }
+        this.options.dataSource = source;
+        this.options.dataCount = count;
+        this.initiateVirtualItems();
+        this.refreshItems(null, selectedIndex);
+    }
+
+    /**
+     * Keeps the window of items around the selected item in the DOM, from `virtualBuffer` items before to
+     * `virtualBuffer` items after the visible ones, and removes every other item (except those still transitioning).
+     * 
+     * @param {number} selectedIndex The index of the item being selected
+     */
+    updateVirtualWindow(selectedIndex) {
+        if (this.virtual == null || selectedIndex < 0 || this.container == null) {
+            return;
+        }
+        var count = this.items.length;
+        var keep = [];
+        var buffer = Math.max(0, this.options.virtualBuffer);
+        var end = Math.min(selectedIndex + this.slidesPerView - 1 + buffer, selectedIndex + count - 1);
+        for (var i = Math.max(selectedIndex - buffer, end - count + 1); i <= end; i++) {
+            if (i >= 0 && i < count) {
+                keep[i] = true;
+            } else if (this.loop) {
+                keep[(i % count + count) % count] = true;
+            }
+        }
+
+        // The item being left and transitioning items stay until they are out of view
+        var currentIndex = this.getSelectedIndex();
+        if (currentIndex != -1) {
+            keep[currentIndex] = true;
+        }
+        for (var i = 0; i < this.transitionWatchers.length; i++) {
+            keep[this.items.indexOf(this.transitionWatchers[i].item)] = true;
+        }
+
+        for (var i = 0; i < count; i++) {
+            if (keep[i]) {
+                this.attachVirtualItem(i, currentIndex);
+            } else {
+                this.detachVirtualItem(i);
+            }
+        }
+    }
+
+    /**
+     * Places an item of the data source in the DOM, resting on the side of the selected item it belongs to, and renders it.
+     * 
+     * @param {number} index The index of the item
+     * @param {number} selectedIndex The index of the selected item
+     */
+    attachVirtualItem(index, selectedIndex) {
+        var item = this.items[index];
+        if (item.parentNode != this.container) {
+            if (index != selectedIndex) {
+                item.classList.remove(this.selectedItemClass);
+                item.classList.remove(this.prevItemClass);
+                item.classList.remove(this.nextItemClass);
+                item.classList.add(index < selectedIndex ? this.prevItemClass : this.nextItemClass);
+            }
+
+            // Before the next item in the DOM, or after the previous one
+            var sibling = null;
+            for (var i = index + 1; i < this.items.length && sibling == null; i++) {
+                if (this.items[i].parentNode == this.container) {
+                    sibling = this.items[i];
+                }
+            }
+            for (var i = index - 1; i >= 0 && sibling == null; i--) {
+                if (this.items[i].parentNode == this.container) {
+                    sibling = this.items[i].nextSibling;
+                }
+            }
+            if (sibling == null) {
+                sibling = this.container.firstChild;
+            }
+            this.container.insertBefore(item, sibling);
+        }
+        this.renderVirtualItem(index);
+    }
+
+    /**
+     * Removes an item of the data source from the DOM, keeping its content for the next item to be rendered.
+     * 
+     * @param {number} index The index of the item
+     */
+    detachVirtualItem(index) {
+        var item = this.items[index];
+        if (item.parentNode == null) {
+            return;
+        }
+        item.parentNode.removeChild(item);
+        if (this.virtual.rendered[index]) {
+            var content = item.firstElementChild;
+            item.textContent = "";
+            if (content != null && this.virtual.pool.length < 2 * this.options.virtualBuffer + this.slidesPerView) {
+                this.virtual.pool.push(content);
+            }
+            this.virtual.rendered[index] = false;
+        }
+    }
+
+    /**
+     * Renders an item through the `renderItem` option, fetching its data first if needed.
+     * `renderItem` is called with the data, the index and an element to reuse (or null), and returns the content
+     * of the item as an element or as HTML.
+     * 
+     * @param {number} index The index of the item
+     * @throws {SlideshowError} If `renderItem` returns neither an element nor HTML ("INVALID_OPTION")
+     */
+    renderVirtualItem(index) {
+        if (this.virtual.rendered[index]) {
+            return;
+        }
+        var item = this.items[index];
+        if (!(index in this.virtual.data)) {
+            if (this.options.loadingClass != null) {
+                item.classList.add(this.options.loadingClass);
+            }
+            this.fetchVirtualData(index);
+            return;
+        }
+        var content = this.options.renderItem.call(this, this.virtual.data[index], index, this.virtual.pool.pop() || null);
+        if (typeof content == "string") {
+            item.innerHTML = content;
+        } else if (content != null && content.nodeType == 1) {
+            item.appendChild(content);
+        } else {
+            throw new SlideshowError("Slideshow: renderItem returned " + String(content) + " for item " + index + ", expected an element or HTML.", "INVALID_OPTION");
+        }
+        if (this.options.loadingClass != null) {
+            item.classList.remove(this.options.loadingClass);
+        }
+        this.virtual.rendered[index] = true;
+    }
+
+    /**
+     * Fetches the page of `dataPageSize` entries containing an index from a `dataSource` function,
+     * then renders the items of the page which are in the DOM. If the function fails, or returns something
+     * other than an array, the error is reported and the page is fetched again the next time it is needed.
+     * 
+     * @param {number} index The index
+     */
+    fetchVirtualData(index) {
+        var size = Math.max(1, this.options.dataPageSize);
+        var offset = Math.floor(index / size) * size;
+        if (this.virtual.pending.indexOf(offset) != -1) {
+            return;
+        }
+        var virtual = this.virtual;
+        virtual.pending.push(offset);
+        var object = this;
+        var settle = function() {
+            var pendingIndex = virtual.pending.indexOf(offset);
+            if (pendingIndex != -1) {
+                virtual.pending.splice(pendingIndex, 1);
+            }
+        };
+        var fail = function(error) {
+            settle();
+            Slideshow.reportError(error);
+        };
+        var data;
+        try {
+            data = virtual.source.call(this, offset, Math.min(size, this.items.length - offset));
+        } catch (error) {
+            fail(error);
+            return;
+        }
+        Promise.resolve(data).then(function(data) {
+            settle();
+
+            // The data source may have been replaced in the meantime
+            if (object.destroyed || object.virtual != virtual) {
+                return;
+            }
+            if (!Array.isArray(data)) {
+                throw new SlideshowError("Slideshow: the dataSource returned " + String(data) + " for the items from " + offset + ", expected an array.", "INVALID_OPTION");
+            }
+            for (var i = 0; i < data.length && offset + i < object.items.length; i++) {
+                virtual.data[offset + i] = data[i];
+                if (object.items[offset + i].parentNode == object.container) {
+                    object.renderVirtualItem(offset + i);
+                }
+            }
+            object.updateMedia(object.getSelectedIndex());
+        }).catch(fail);
+    }
+
+    /**
+     * Creates the clones of the first and last items used by the "clone" `loopStrategy`, replacing any
+     * previous clones. The clone of the last item is placed before the first item, and the clone of the
+     * first item after the last item. Clones are only used by looping slideshows showing one item at a time.
+     */
+    updateClones() {
+        this.removeClones();
+        if (!this.loop || this.options.loopStrategy != "clone" || this.isGrouped() || this.items.length < 2 || this.virtual != null) {
+            return;
+        }
+        var first = this.items[0];
+        var last = this.items[this.items.length - 1];
+
+        this.headClone = this.createClone(last, this.prevItemClass);
+        first.parentNode.insertBefore(this.headClone, first);
+        this.tailClone = this.createClone(first, this.nextItemClass);
+        last.parentNode.insertBefore(this.tailClone, last.nextSibling);
+    }
+
+    /**
+     * Creates a clone of an item which is hidden from assistive technology and carries no ids.
+     * 
+     * @param {HTMLElement} item The item to clone
+     * @param {string} positionClass The position class the clone rests in
+     * @returns {HTMLElement} The clone
+     */
+    createClone(item, positionClass) {
+        var clone = item.cloneNode(true);
+        this.resetItem(clone);
+        clone.classList.add(positionClass);
+        if (this.options.visibleItemClass != null) {
+            clone.classList.remove(this.options.visibleItemClass);
+        }
+        if (this.options.cloneItemClass != null) {
+            clone.classList.add(this.options.cloneItemClass);
+        }
+        clone.style.removeProperty("--slideshow-slot");
+        clone.setAttribute("data-slideshow-clone", "");
+        clone.setAttribute("aria-hidden", "true");
+        clone.setAttribute("inert", "");
+        clone.inert = true;
+        Slideshow.stripIds(clone);
+        return clone;
+    }
+
+    /**
+     * Removes the clones created by `updateClones`.
+     */
+    removeClones() {
+        this.pendingClone = null;
+        var clones = [this.headClone, this.tailClone];
+        for (var i = 0; i < clones.length; i++) {
+            if (clones[i] != null && clones[i].parentNode != null) {
+                clones[i].parentNode.removeChild(clones[i]);
+            }
+        }
+        this.headClone = null;
+        this.tailClone = null;
+    }
+
+    /**
+     * Once a clone has slid in, swaps the item it stands in for into its place without transitioning,
+     * and puts the clone back at its end.
+     */
+    settleClones() {
+        var pending = this.pendingClone;
+        if (pending == null) {
+            return;
+        }
+        this.pendingClone = null;
+        var item = this.items[pending.index];
+        var clone = pending.clone;
+
+        // Swap without transitioning
+        if (this.notransitionClass != null) {
+            clone.classList.add(this.notransitionClass);
+            item.classList.add(this.notransitionClass);
+        }
+        if (this.transitioningClass != null) {
+            clone.classList.remove(this.transitioningClass);
+        }
+        clone.classList.remove(this.selectedItemClass);
+        clone.classList.add(clone == this.tailClone ? this.nextItemClass : this.prevItemClass);
+        item.classList.remove(this.prevItemClass);
+        item.classList.remove(this.nextItemClass);
+        item.classList.add(this.selectedItemClass);
+        this.reclauclatePositions(pending.index);
+
+        // Force position recalculation and then re-enable transitions
+        clone.offsetHeight; // Force a reflow, flushing the CSS changes
+        item.offsetHeight;
+        if (this.notransitionClass != null) {
+            clone.classList.remove(this.notransitionClass);
+            item.classList.remove(this.notransitionClass);
+        }
+    }
+
+    /**
+     * Searches for the item that contains the selectedItemClass and returns its index.
+     * 
+     * @returns {number} The index or -1 if not found.
+     */
+    getSelectedIndex() {
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.items[i].classList.contains(this.selectedItemClass)) {
+                return i;
+            }
+        }
+
+        // While a clone stands in for an item, that item counts as selected
+        if (this.pendingClone != null) {
+            return this.pendingClone.index;
+        }
+        return -1;
+    }
+
+    /**
+     * Gets the index the slideshow is on, or is heading to while a transition runs. Unlike `getSelectedIndex`, it never
+     * comes up empty while walking through the items in between.
+     * 
+     * @returns {number} The index, or -1 if no item is selected
+     */
+    getTargetIndex() {
+        return this.currentTransition != null ? this.currentTransition.detail.to : this.getSelectedIndex();
+    }
+
+    /**
+     * Determines whether or not we are at the front of the items list.
+     * 
+     * @returns {boolean} True if we are at the front, false otherwise
+     */
+    isAtFront() {
+        var selectedIndex = this.getSelectedIndex();
+        if (selectedIndex == 0) {
+            return true;
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Determines whether or not we are at the end of the items list.
+     * 
+     * @returns {boolean} True if we are at the end, false otherwise
+     */
+    isAtEnd() {
+        var selectedIndex = this.getSelectedIndex();
+        if (selectedIndex >= this.getMaxSelectedIndex()) {
+            return true;
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Stops tracking the backup timeout of a looping transition, once it has fired or been unscheduled.
+     * 
+     * @param {number} id The id of the timeout
+     */
+    forgetLoopTimeout(id) {
+        var index = this.loopTimeouts.indexOf(id);
+        if (index != -1) {
+            this.loopTimeouts.splice(index, 1);
+        }
+    }
+
+    /**
+     * Steps this slideshow into a transitioning state with a timeout.
+     * @returns {boolean} Whether or not the calling method should return.
+     */
+    debounce() {
+        if (this.shouldDebounce) {
+            if (this.transitioning) {
+                return true;
+            }
+            this.transitioning = true;
+
+            // In case we get locked out
+            if (this.transitioningTimeout != null) {
+                this.unschedule(this.transitioningTimeout);
+            }
+            var object = this;
+            this.transitioningTimeout = this.schedule(function() {
+                object.transitioning = false;
+            }, 3000); // A good transition should take no longer than 3 seconds
+        }
+        return false;
+    }
+
+    /**
+     * Forcefull ends a debounce.
+     */
+    endDebounce() {
+        if (this.shouldDebounce) {
+            if (this.transitioningTimeout != null) {
+                this.unschedule(this.transitioningTimeout);
+            }
+            this.transitioning = false;
+        }
+    }
+
+    /**
+     * Transitions the slideshow forward.
+     * @param {boolean} auto Whether or not this transition was automatic.
+     * @returns {Object|boolean|null} The details of the transition which started, false if it was cancelled or debounced, null if there was nowhere to go
+     */
+    transitionForward(auto = true) {
+        // Nothing to transition to
+        if (this.items.length < 2 || this.destroyed) {
+            return null;
+        }
+
+        // Move by whole groups when more than one item is visible
+        if (this.isGrouped()) {
+            return this.transitionByGroup(1, auto);
+        }
+
+        // Debounce
+        if (this.debounce()) {
+            return false;
+        }
+
+        // Reset transitions
+        this.resetAllTransitioning();
+
+        // Stop auto transition
+        if (!auto && this.shouldAutoTransition) {
+            this.stopAutoTransition();
+        }
+
+        // Get selected
+        var selectedIndex = this.getSelectedIndex();
+        var selected = this.items[selectedIndex];
+
+        // Get next
+        var looping = false;
+        var nextIndex = selectedIndex + 1;
+        if (nextIndex == this.items.length) {
+            // If we shouldn't loop, return
+            if (!this.loop) {
+                this.endDebounce();
+                return null;
+            }
+            looping = true;
+
+            // Otherwise, set the next index to zero
+            nextIndex = 0;
+        }
+        var next = this.items[nextIndex];
+
+        // With clones, slide the clone of the first item in and swap the real one in once it has arrived
+        var cloning = looping && this.tailClone != null;
+        if (cloning) {
+            looping = false;
+            next = this.tailClone;
+        }
+
+        // Allow listeners to cancel the transition
+        var detail = { from: selectedIndex, to: nextIndex, direction: "forward", auto: auto };
+        if (!this.emit("beforechange", detail, true)) {
+            this.endDebounce();
+            return false;
+        }
+        var token = this.beginTransition(detail);
+
+        // Update indicators
+        this.updateIndicators(nextIndex);
+        this.updateVisibleItems(nextIndex);
+        this.updateVirtualWindow(nextIndex);
+        this.updateZoom(nextIndex);
+        this.updateMedia(nextIndex);
+        this.updateAccessibility(nextIndex);
+
+        // If we're looping, flip the positions of all other items
+        if (looping) {
+            this.reclauclatePositions(selectedIndex, true);
+        }
+
+        // Mark selected transitioning
+        var object = this;
+        var selectedLoopTimeout;
+        this.markTransitioning(selected, false, function() {
+            // If we looped and the transition has completed, reclauclate positions with the new selected index
+            if (looping) {
+                object.reclauclatePositions(nextIndex);
+                if (selectedLoopTimeout != null) {
+                    object.unschedule(selectedLoopTimeout);
+                    object.forgetLoopTimeout(selectedLoopTimeout);
+                }
+            }
+        });
+        if (looping) {
+            // A backup timeout in case the callback is not called
+            selectedLoopTimeout = this.schedule(function() {
+                object.forgetLoopTimeout(selectedLoopTimeout);
+                if (!token.cancelled) {
+                    object.reclauclatePositions(nextIndex);
+                }
+            }, 3000); // A good transition should take no longer than 3 seconds
+            this.loopTimeouts.push(selectedLoopTimeout);
+        }
+
+        // Mark next transitioning
+        this.markTransitioning(next, true, function() {
+            if (cloning) {
+                object.settleClones();
+            }
+            object.completeTransition(token);
+        });
+        if (cloning) {
+            this.pendingClone = { clone: next, index: nextIndex };
+        }
+
+        // Move selected to prev (since it has now been seen)
+        selected.classList.remove(this.selectedItemClass);
+        selected.classList.add(this.prevItemClass);
+
+        // Move next to selected (since it is going to be shown)
+        next.classList.remove(this.nextItemClass);
+        next.classList.add(this.selectedItemClass);
+
+        this.emit("change", detail);
+        return detail;
+    }
+
+    /**
+     * Transitions the slideshow backward.
+     * @param {boolean} auto Whether or not this transition was automatic.
+     * @returns {Object|boolean|null} The details of the transition which started, false if it was cancelled or debounced, null if there was nowhere to go
+     */
+    transitionBackward(auto = true) {
+        // Nothing to transition to
+        if (this.items.length < 2 || this.destroyed) {
+            return null;
+        }
+
+        // Move by whole groups when more than one item is visible
+        if (this.isGrouped()) {
+            return this.transitionByGroup(-1, auto);
+        }
+
+        // Debounce
+        if (this.debounce()) {
+            return false;
+        }
+
+        // Reset transitions
+        this.resetAllTransitioning();
+
+        // Stop auto transition
+        if (!auto && this.shouldAutoTransition) {
+            this.stopAutoTransition();
+        }
+
+        // Get selected
+        var selectedIndex = this.getSelectedIndex();
+        var selected = this.items[selectedIndex];
+
+        // Get prev
+        var looping = false;
+        var prevIndex = selectedIndex - 1;
+        if (prevIndex < 0) {
+            // If we shouldn't loop, return
+            if (!this.loop) {
+                this.endDebounce();
+                return null;
+            }
+            looping = true;
+
+            // Otherwise, set the prev index to length - 1
+            prevIndex = this.items.length - 1;
+        }
+        var prev = this.items[prevIndex];
+
+        // With clones, slide the clone of the last item in and swap the real one in once it has arrived
+        var cloning = looping && this.headClone != null;
+        if (cloning) {
+            looping = false;
+            prev = this.headClone;
+        }
+
+        // Allow listeners to cancel the transition
+        var detail = { from: selectedIndex, to: prevIndex, direction: "backward", auto: auto };
+        if (!this.emit("beforechange", detail, true)) {
+            this.endDebounce();
+            return false;
+        }
+        var token = this.beginTransition(detail);
+
+        // Update indicators
+        this.updateIndicators(prevIndex);
+        this.updateVisibleItems(prevIndex);
+        this.updateVirtualWindow(prevIndex);
+        this.updateZoom(prevIndex);
+        this.updateMedia(prevIndex);
+        this.updateAccessibility(prevIndex);
+
+        // If we're looping, flip the positions of all other items
+        if (looping) {
+            this.reclauclatePositions(selectedIndex, true);
+        }
+
+        // Mark selected transitioning
+        var object = this;
+        var selectedLoopTimeout;
+        this.markTransitioning(selected, false, function() {
+            // If we looped and the transition has completed, reclauclate positions with the new selected index
+            if (looping) {
+                object.reclauclatePositions(prevIndex);
+                if (selectedLoopTimeout != null) {
+                    object.unschedule(selectedLoopTimeout);
+                    object.forgetLoopTimeout(selectedLoopTimeout);
+                }
+            }
+        });
+        if (looping) {
+            // A backup timeout in case the callback is not called
+            selectedLoopTimeout = this.schedule(function() {
+                object.forgetLoopTimeout(selectedLoopTimeout);
+                if (!token.cancelled) {
+                    object.reclauclatePositions(prevIndex);
+                }
+            }, 3000); // A good transition should take no longer than 3 seconds
+            this.loopTimeouts.push(selectedLoopTimeout);
+        }
+
+        // Mark prev transitioning
+        this.markTransitioning(prev, true, function() {
+            if (cloning) {
+                object.settleClones();
+            }
+            object.completeTransition(token);
+        });
+        if (cloning) {
+            this.pendingClone = { clone: prev, index: prevIndex };
+        }
+
+        // Move selected to next (since it has now been seen, but backward)
+        selected.classList.remove(this.selectedItemClass);
+        selected.classList.add(this.nextItemClass);
+
+        // Move prev to selected (since it is going to be shown)
+        prev.classList.remove(this.prevItemClass);
+        prev.classList.add(this.selectedItemClass);
+
+        this.emit("change", detail);
+        return detail;
+    }
+
+    /**
+     * Transitions to the specified target index, walking through every item in between or jumping straight
+     * to the target depending on the `jumpStrategy`.
+     * @param {number} targetIndex The index to transition to.
+     * @param {boolean} auto Whether or not this transition was automatic.
+     * @param {string} strategy The `jumpStrategy` to use, defaults to the option
+     * @returns {Object|boolean|null} The details of the transition which started, false if it was cancelled or debounced, null if the target is already selected
+     * @throws {SlideshowError} If the target is not the index of an item ("INVALID_INDEX")
+     */
+    transitionTo(targetIndex, auto = false, strategy = this.options.jumpStrategy) {
+        // Validate the target
+        if (!Number.isInteger(targetIndex) || targetIndex < 0 || targetIndex >= this.items.length) {
+            throw new SlideshowError("Slideshow: can't transition to index " + targetIndex + ", expected an integer from 0 to " + (this.items.length - 1) + ".", "INVALID_INDEX");
+        }
+
+        // The selected item can't go past the start of the last page
+        if (this.isGrouped()) {
+            targetIndex = Math.min(targetIndex, this.getMaxSelectedIndex());
+        }
+
+        // Ignore if selected index is the same as target index
+        var selectedIndex = this.getSelectedIndex();
+        if (selectedIndex == targetIndex || this.destroyed) {
+            return null;
+        }
+
+        // Debounce
+        if (this.debounce()) {
+            return false;
+        }
+
+        // Determine direction, going around the loop if that is shorter
+        var forward = selectedIndex < targetIndex;
+        if (strategy == "shortest" && this.loop) {
+            var stepsForward = (targetIndex - selectedIndex + this.items.length) % this.items.length;
+            forward = stepsForward <= this.items.length - stepsForward;
+        }
+
+        // Allow listeners to cancel the transition
+        var detail = {
+            from: selectedIndex,
+            to: targetIndex,
+            direction: forward ? "forward" : "backward",
+            auto: auto
+        };
+        if (!this.emit("beforechange", detail, true)) {
+            this.endDebounce();
+            return false;
+        }
+        var token = this.beginTransition(detail);
+
+        // Reset transitions
+        this.resetAllTransitioning();
+
+        // Stop auto transition
+        if (!auto && this.shouldAutoTransition) {
+            this.stopAutoTransition();
+        }
+
+        // Update indicators
+        this.updateIndicators(targetIndex);
+        this.updateVisibleItems(targetIndex);
+        this.updateVirtualWindow(targetIndex);
+        this.updateZoom(targetIndex);
+        this.updateMedia(targetIndex);
+        this.updateAccessibility(targetIndex);
+
+        // Jump straight to the target
+        if (strategy == "direct" || strategy == "shortest") {
+            this.transitionDirectly(selectedIndex, targetIndex, forward, token);
+            this.emit("change", detail);
+            return detail;
+        }
+
+        // Get selected
+        var selected = this.items[selectedIndex];
+
+        // Get target
+        var target = this.items[targetIndex];
+
+        // Determine direction
+        // If the selected index is less than the target index, go previous
+        // Otherwise, go next
+        if (selectedIndex < targetIndex) {
+            // Get distance
+            var distance = targetIndex - selectedIndex;
+
+            // Mark selected as transitioning
+            var object = this;
+            this.markTransitioning(selected, false, function() {
+                // Move each item distance times (function/callback loop)
+                object.transitionToPrevLoop(selectedIndex, distance, 1, function() {
+                    // Mark transitioning
+                    object.markTransitioning(target, true, function() {
+                        object.completeTransition(token);
+                    });
+
+                    // Move target to selected
+                    target.classList.remove(object.nextItemClass);
+                    target.classList.add(object.selectedItemClass);
+                });
+            });
+
+            // Move selected to prev (since we need to go to the previous)
+            selected.classList.remove(this.selectedItemClass);
+            selected.classList.add(this.prevItemClass);
+        } else {
+            // Get distance
+            var distance = selectedIndex - targetIndex;
+
+            // Mark selected as transitioning
+            var object = this;
+            this.markTransitioning(selected, false, function() {
+                // Move each item distance times (function/callback loop)
+                object.transitionToNextLoop(selectedIndex, distance, 1, function() {
+                    // Mark transitioning
+                    object.markTransitioning(target, true, function() {
+                        object.completeTransition(token);
+                    });
+
+                    // Move target to selected
+                    target.classList.remove(object.prevItemClass);
+                    target.classList.add(object.selectedItemClass);
+                });
+            });
+
+            // Move selected to next (since we need to go to the next)
+            selected.classList.remove(this.selectedItemClass);
+            selected.classList.add(this.nextItemClass);
+        }
+
+        this.emit("change", detail);
+        return detail;
+    }
+
+    /**
+     * Transitions from the selected item straight to the target, only animating those two.
+     * Every item in between is moved to its final position without transitioning.
+     * 
+     * @param {number} selectedIndex The index of the selected item
+     * @param {number} targetIndex The index of the target item
+     * @param {boolean} forward Whether the target comes in from the next side (true) or from the previous side (false)
+     * @param {Object} token The token of the transition, see `beginTransition`
+     */
+    transitionDirectly(selectedIndex, targetIndex, forward, token) {
+        var selected = this.items[selectedIndex];
+        var target = this.items[targetIndex];
+
+        // Move the target to the side it comes in from, and the items in between to where they end up
+        for (var i = 0; i < this.items.length; i++) {
+            if (i == selectedIndex) {
+                continue;
+            }
+            if (i == targetIndex) {
+                this.snapItem(target, forward ? this.nextItemClass : this.prevItemClass);
+            } else {
+                this.snapItem(this.items[i], i < targetIndex ? this.prevItemClass : this.nextItemClass);
+            }
+        }
+
+        // Mark transitioning
+        var object = this;
+        this.markTransitioning(selected, false);
+        this.markTransitioning(target, true, function() {
+            // The previously selected item may have left on the wrong side for its index
+            object.reclauclatePositions(targetIndex);
+            object.completeTransition(token);
+        });
+
+        // Move selected out and target in
+        selected.classList.remove(this.selectedItemClass);
+        selected.classList.add(forward ? this.prevItemClass : this.nextItemClass);
+        target.classList.remove(this.prevItemClass);
+        target.classList.remove(this.nextItemClass);
+        target.classList.add(this.selectedItemClass);
+    }
+
+    /**
+     * Moves an item to a position without transitioning.
+     * 
+     * @param {HTMLElement} item The item
+     * @param {string} positionClass The class of the position, the previous or the next item class
+     */
+    snapItem(item, positionClass) {
+        if (this.notransitionClass != null) {
+            item.classList.add(this.notransitionClass);
+        }
+        item.classList.remove(this.prevItemClass);
+        item.classList.remove(this.nextItemClass);
+        item.classList.add(positionClass);
+        item.offsetHeight; // Force a reflow, flushing the CSS changes
+        if (this.notransitionClass != null) {
+            item.classList.remove(this.notransitionClass);
+        }
+    }
+
+    /**
+     * Transitions to the next item (or group), like `transitionForward(false)`.
+     * 
+     * @returns {Promise.<Object>} Resolves with the details of the transition once it has ended, or with null if there
+     * was nowhere to go. Rejects with an AbortError if the transition was cancelled, dropped or interrupted.
+     */
+    next() {
+        return this.requestTransition(function() {
+            return this.transitionForward(false);
+        });
+    }
+
+    /**
+     * Transitions to the previous item (or group), like `transitionBackward(false)`.
+     * 
+     * @returns {Promise.<Object>} See `next`
+     */
+    prev() {
+        return this.requestTransition(function() {
+            return this.transitionBackward(false);
+        });
+    }
+
+    /**
+     * Transitions to the item at the given index, like `transitionTo`.
+     * 
+     * @param {number} index The index to transition to
+     * @returns {Promise.<Object>} See `next`, also rejected with a `SlideshowError` if the index is invalid
+     */
+    goTo(index) {
+        return this.requestTransition(function() {
+            return this.transitionTo(index);
+        });
+    }
+
+    /**
+     * Starts a transition for `next`, `prev` or `goTo`, applying the `transitionPolicy` if one is already running.
+     * 
+     * @param {Function} start Starts the transition, returning what the transition method returned
+     * @returns {Promise.<Object>} See `next`
+     */
+    requestTransition(start) {
+        var object = this;
+        return new Promise(function(resolve, reject) {
+            var request = { start: start, resolve: resolve, reject: reject };
+            if (object.destroyed) {
+                object.rejectTransitionRequests([request], "destroyed");
+                return;
+            }
+            if (object.isTransitionRunning()) {
+                switch (object.options.transitionPolicy) {
+                    case "queue":
+                        object.transitionQueue.push(request);
+                        return;
+                    case "interrupt":
+                        object.interruptTransition();
+                        break;
+                    default:
+                        object.rejectTransitionRequests([request], "dropped");
+                        return;
+                }
+            }
+            object.runTransitionRequest(request);
+        });
+    }
+
+    /**
+     * Starts the transition of a request and ties the request to its outcome.
+     * 
+     * @param {Object} request The request
+     */
+    runTransitionRequest(request) {
+        var result;
+        try {
+            result = request.start.call(this);
+        } catch (error) {
+            request.reject(error);
+            this.runTransitionQueue();
+            return;
+        }
+        if (result == null) {
+            // Nothing to do
+            request.resolve(null);
+            this.runTransitionQueue();
+        } else if (result === false) {
+            this.rejectTransitionRequests([request], "cancelled");
+            this.runTransitionQueue();
+        } else {
+            this.currentTransition.requests.push(request);
+        }
+    }
+
+    /**
+     * Starts the next queued request, if nothing is running anymore.
+     */
+    runTransitionQueue() {
+        if (this.transitionQueue.length > 0 && !this.isTransitionRunning()) {
+            this.runTransitionRequest(this.transitionQueue.shift());
+        }
+    }
+
+    /**
+     * Determines whether or not a transition is running (or the slideshow is still debounced).
+     * 
+     * @returns {boolean} True if a transition is running, false otherwise
+     */
+    isTransitionRunning() {
+        return this.currentTransition != null || (this.shouldDebounce && this.transitioning);
+    }
+
+    /**
+     * Tracks a transition which has just passed `beforechange`.
+     * 
+     * @param {Object} detail The details of the transition
+     * @returns {Object} The token of the transition, passed to `completeTransition`
+     */
+    beginTransition(detail) {
+        this.currentTransition = { detail: detail, cancelled: false, requests: [] };
+        return this.currentTransition;
+    }
+
+    /**
+     * Ends a transition: emits `afterchange`, resolves its requests and starts the next queued request.
+     * 
+     * @param {Object} token The token returned by `beginTransition`
+     */
+    completeTransition(token) {
+        if (token.cancelled) {
+            return;
+        }
+        if (this.currentTransition == token) {
+            this.currentTransition = null;
+        }
+        this.emit("afterchange", token.detail);
+        for (var i = 0; i < token.requests.length; i++) {
+            token.requests[i].resolve(token.detail);
+        }
+        this.runTransitionQueue();
+    }
+
+    /**
+     * Interrupts the running transition by jumping straight to its target, rejecting its requests.
+     */
+    interruptTransition() {
+        var token = this.currentTransition;
+        this.currentTransition = null;
+
+        // Stop every pending step of the transition
+        this.removeTransitionWatchers();
+        if (token != null) {
+            token.cancelled = true;
+            this.snapTo(token.detail.to);
+            this.rejectTransitionRequests(token.requests, "interrupted");
+        }
+        this.endDebounce();
+    }
+
+    /**
+     * Selects an item immediately, without transitioning.
+     * 
+     * @param {number} index The index of the item to select
+     */
+    snapTo(index) {
+        var item = this.items[index];
+        if (item == null) {
+            return;
+        }
+        this.resetAllTransitioning();
+
+        // Move the item to selected without transitioning, then reclauclate the others
+        if (this.notransitionClass != null) {
+            item.classList.add(this.notransitionClass);
+        }
+        for (var i = 0; i < this.items.length; i++) {
+            this.items[i].classList.remove(this.selectedItemClass);
+        }
+        item.classList.remove(this.prevItemClass);
+        item.classList.remove(this.nextItemClass);
+        item.classList.add(this.selectedItemClass);
+        this.reclauclatePositions(index);
+        item.offsetHeight; // Force a reflow, flushing the CSS changes
+        if (this.notransitionClass != null) {
+            item.classList.remove(this.notransitionClass);
+        }
+
+        this.updateIndicators(index);
+        this.updateVisibleItems(index);
+        this.updateVirtualWindow(index);
+        this.updateZoom(index);
+        this.updateMedia(index);
+        this.updateAccessibility(index, false);
+        this.updateHeight(index, false, true);
+    }
+
+    /**
+     * Returns a serializable snapshot of this slideshow, which `setState` and the `initialState` option can restore.
+     * 
+     * @returns {Object} The state: the selected index (the target of a running transition), the auto transition
+     * state (running, paused, ended, remaining time & direction) and the options which can be serialized
+     */
+    getState() {
+        var options = {};
+        for (var key in this.options) {
+            var value = this.options[key];
+            if (value == null || typeof value == "string" || typeof value == "number" || typeof value == "boolean") {
+                options[key] = value;
+            }
+        }
+        return {
+            selectedIndex: this.getTargetIndex(),
+            autoTransition: {
+                running: this.autoTransitionRunning,
+                paused: this.paused,
+                ended: this.autoTransitionEnded,
+                remaining: this.getAutoTransitionRemaining(),
+                direction: this.autoTransitionDirection == 1 ? "forward" : "backward"
+            },
+            options: options
+        };
+    }
+
+    /**
+     * Restores a state returned by `getState`, selecting its item without transitioning or emitting change events.
+     * The options of the state are informational only and are not applied.
+     * 
+     * @param {Object} state The state
+     * @returns {Slideshow} This slideshow, for chaining
+     */
+    setState(state) {
+        if (state == null || this.destroyed) {
+            return this;
+        }
+        var index = state.selectedIndex;
+        if (Number.isInteger(index) && index >= 0 && index < this.items.length) {
+            if (this.isGrouped()) {
+                index = Math.min(index, this.getMaxSelectedIndex());
+            }
+            if (this.isTransitionRunning()) {
+                this.interruptTransition();
+            }
+            if (index != this.getSelectedIndex()) {
+                this.snapTo(index);
+            }
+        }
+        this.applyAutoTransitionState(state.autoTransition);
+        this.savePersistedState();
+        return this;
+    }
+
+    /**
+     * Restores the auto transition part of a state, continuing the cycle with its remaining time.
+     * 
+     * @param {Object} state The `autoTransition` of a state
+     */
+    applyAutoTransitionState(state) {
+        if (state == null || !this.shouldAutoTransition) {
+            return;
+        }
+        this.autoTransitionDirection = state.direction == "backward" ? 0 : 1;
+        if (state.paused) {
+            this.pause();
+        } else {
+            this.resume();
+        }
+        if (state.ended) {
+            this.clearAutoTransitionTimer();
+            this.endAutoTransition();
+        } else if (state.running) {
+            this.startAutoTransition();
+            if (typeof state.remaining == "number" && this.autoTransitionTimer != null) {
+                // Restart the cycle with the time it had left
+                this.clearAutoTransitionTimer();
+                this.autoTransitionRemaining = Math.max(0, Math.min(state.remaining, this.autoTransitionDuration));
+                this.runAutoTransitionTimer();
+            } else if (typeof state.remaining == "number") {
+                this.autoTransitionRemaining = Math.max(0, Math.min(state.remaining, this.autoTransitionDuration));
+            }
+        } else {
+            // Waiting out the delay after a manual transition
+            this.stopAutoTransition();
+        }
+    }
+
+    /**
+     * Saves the state into the storage of the `persist` option whenever it changes, and when the page is left.
+     */
+    initiatePersistence() {
+        if (this.getPersistStorage() == null) {
+            return;
+        }
+        var object = this;
+        var save = function() {
+            object.savePersistedState();
+        };
+        this.on("change", save);
+        this.on("autoplaypause", save);
+        this.on("autoplayresume", save);
+        if (typeof window != "undefined") {
+            this.listen(window, "pagehide", save);
+        }
+    }
+
+    /**
+     * Returns the storage of the `persist` option.
+     * 
+     * @returns {Storage} The storage, or null if not persisting or if the storage is not available
+     */
+    getPersistStorage() {
+        try {
+            if (this.options.persist == "local") {
+                return localStorage;
+            }
+            if (this.options.persist == "session") {
+                return sessionStorage;
+            }
+        } catch (error) {
+            // Storage may be blocked, such as in sandboxed frames
+        }
+        return null;
+    }
+
+    /**
+     * Returns the storage key of this slideshow: the `persistKey` option, or one based on the id of the container.
+     * 
+     * @returns {string} The key
+     */
+    getPersistKey() {
+        if (this.options.persistKey != null) {
+            return this.options.persistKey;
+        }
+        return "slideshow:" + (this.container != null && this.container.id ? this.container.id : "state");
+    }
+
+    /**
+     * Reads the state saved by `savePersistedState`.
+     * 
+     * @returns {Object} The state, or null if there is none
+     */
+    readPersistedState() {
+        var storage = this.getPersistStorage();
+        if (storage == null) {
+            return null;
+        }
+        try {
+            return JSON.parse(storage.getItem(this.getPersistKey()));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Saves the state into the storage of the `persist` option.
+     */
+    savePersistedState() {
+        var storage = this.getPersistStorage();
+        if (storage == null || this.destroyed) {
+            return;
+        }
+        try {
+            storage.setItem(this.getPersistKey(), JSON.stringify(this.getState()));
+        } catch (error) {
+            // Storage may be full or blocked
+        }
+    }
+
+    /**
+     * Rejects navigation requests with an AbortError.
+     * 
+     * @param {Array.<Object>} requests The requests
+     * @param {string} reason Why the requests are rejected: "cancelled", "dropped", "interrupted" or "destroyed"
+     */
+    rejectTransitionRequests(requests, reason) {
+        for (var i = 0; i < requests.length; i++) {
+            var error;
+            if (typeof DOMException == "function") {
+                error = new DOMException("The transition was " + reason + ".", "AbortError");
+            } else {
+                error = new Error("The transition was " + reason + ".");
+                error.name = "AbortError";
+            }
+            error.reason = reason;
+            requests[i].reject(error);
+        }
+    }
+
+    transitionToPrevLoop(selectedIndex, distance, i, callback) {
+        // End loop
+        if (i >= distance) {
+            callback();
+            return;
+        }
+
+        // Get 'current' item
+        var current = this.items[selectedIndex + i];
+
+        // Mark transitioning
+        var object = this;
+        this.markTransitioning(current, false, function() {
+            // Loop
+            object.transitionToPrevLoop(selectedIndex, distance, ++i, callback);
+        });
+
+        // Move current to prev
+        current.classList.remove(this.nextItemClass);
+        current.classList.add(this.prevItemClass);
+    }
+
+    transitionToNextLoop(selectedIndex, distance, i, callback) {
+        // End loop
+        if (i >= distance) {
+            callback();
+            return;
+        }
+
+        // Get 'current' item
+        var current = this.items[selectedIndex - i];
+
+        // Mark transitioning
+        var object = this;
+        this.markTransitioning(current, false, function() {
+            // Loop
+            object.transitionToNextLoop(selectedIndex, distance, ++i, callback);
+        });
+
+        // Move current to next
+        current.classList.remove(this.prevItemClass);
+        current.classList.add(this.nextItemClass);
+    }
+
+    /**
+     * Starts a new auto transition cycle, transitioning every `autoTransitionTime` for as long as
+     * nothing holds auto transition (see `holdAutoTransition`).
+     */
+    startAutoTransition() {
+        if (this.destroyed) {
+            return;
+        }
+        this.clearAutoTransitionTimer();
+        this.autoTransitionRunning = true;
+        this.autoTransitionEnded = false;
+        this.autoTransitionDuration = this.getItemDuration(this.getTargetIndex());
+        this.autoTransitionRemaining = this.autoTransitionDuration;
+        if (this.isAutoTransitionHeld()) {
+            return;
+        }
+        this.runAutoTransitionTimer();
+        if (this.liveRegion != null) {
+            this.liveRegion.setAttribute("aria-live", "off");
+        }
+        this.emit("autoplayresume", { reason: "start", interval: this.autoTransitionDuration });
+    }
+
+    /**
+     * Stops auto transition after a manual transition, and restarts it after `autoTransitionDelay`.
+     */
+    stopAutoTransition() {
+        this.clearAutoTransitionTimer();
+        this.autoTransitionRunning = false;
+        if (this.autoTransitionTimeout != null) {
+            this.unschedule(this.autoTransitionTimeout);
+            this.autoTransitionTimeout = null;
+        }
+        var object = this;
+        this.autoTransitionTimeout = this.schedule(function() {
+            object.autoTransitionTimeout = null;
+
+            // A slideshow which played once stays stopped
+            if (!object.autoTransitionEnded) {
+                object.startAutoTransition();
+            }
+        }, this.autoTransitionDelay);
+        if (this.liveRegion != null) {
+            this.liveRegion.setAttribute("aria-live", "polite");
+        }
+        this.emit("autoplaypause", { reason: "navigation", delay: this.autoTransitionDelay });
+    }
+
+    /**
+     * Schedules the remainder of the current auto transition cycle, unless auto transition is held.
+     */
+    runAutoTransitionTimer() {
+        if (!this.autoTransitionRunning || this.isAutoTransitionHeld() || this.autoTransitionTimer != null) {
+            return;
+        }
+        var object = this;
+        this.autoTransitionStarted = this.scheduler.now();
+        this.autoTransitionTimer = this.schedule(function() {
+            object.autoTransitionTimer = null;
+            object.stopProgressFrames();
+            object.autoTransition();
+
+            // The next cycle lasts as long as the newly selected item asks for
+            object.autoTransitionDuration = object.getItemDuration(object.getTargetIndex());
+            object.autoTransitionRemaining = object.autoTransitionDuration;
+            object.runAutoTransitionTimer();
+        }, this.autoTransitionRemaining);
+        this.startProgressFrames();
+    }
+
+    /**
+     * Stops the timer of the current auto transition cycle, along with the progress frames.
+     */
+    clearAutoTransitionTimer() {
+        if (this.autoTransitionTimer != null) {
+            this.unschedule(this.autoTransitionTimer);
+            this.autoTransitionTimer = null;
+        }
+        this.stopProgressFrames();
+    }
+
+    /**
+     * Keeps the `--slideshow-progress` CSS variable up to date every frame while the auto transition timer runs,
+     * if `progressVariable` is enabled.
+     */
+    startProgressFrames() {
+        if (this.progressFrame != null || this.container == null || !this.options.progressVariable || typeof requestAnimationFrame != "function") {
+            return;
+        }
+        var object = this;
+        var onFrame = function() {
+            object.container.style.setProperty("--slideshow-progress", object.getAutoTransitionProgress());
+            object.progressFrame = requestAnimationFrame(onFrame);
+        };
+        this.progressFrame = requestAnimationFrame(onFrame);
+    }
+
+    /**
+     * Stops the frames started by `startProgressFrames`, leaving the CSS variable at the progress the cycle stopped at.
+     */
+    stopProgressFrames() {
+        if (this.progressFrame == null) {
+            return;
+        }
+        cancelAnimationFrame(this.progressFrame);
+        this.progressFrame = null;
+        this.container.style.setProperty("--slideshow-progress", this.getAutoTransitionProgress());
+    }
+
+    /**
+     * Holds auto transition for the given reason, keeping the remaining time of the current cycle.
+     * Auto transition continues once every reason has been released.
+     * 
+     * @param {string} reason Why auto transition is held, such as "hover", "focus", "hidden", "offscreen" or "reducedmotion"
+     */
+    holdAutoTransition(reason) {
+        if (this.autoTransitionHolds.indexOf(reason) != -1 || this.destroyed) {
+            return;
+        }
+        var wasHeld = this.isAutoTransitionHeld();
+        this.autoTransitionHolds.push(reason);
+        if (wasHeld) {
+            return;
+        }
+
+        // Freeze the current cycle, if one is running
+        if (this.autoTransitionTimer == null) {
+            return;
+        }
+        this.autoTransitionRemaining = this.getAutoTransitionRemaining();
+        this.clearAutoTransitionTimer();
+        if (this.liveRegion != null) {
+            this.liveRegion.setAttribute("aria-live", "polite");
+        }
+        this.emit("autoplaypause", { reason: reason, delay: null });
+    }
+
+    /**
+     * Releases a reason given to `holdAutoTransition`, continuing the current cycle with its remaining time
+     * if nothing else holds auto transition.
+     * 
+     * @param {string} reason The reason to release
+     */
+    releaseAutoTransition(reason) {
+        var index = this.autoTransitionHolds.indexOf(reason);
+        if (index == -1 || this.destroyed) {
+            return;
+        }
+        this.autoTransitionHolds.splice(index, 1);
+        if (this.isAutoTransitionHeld() || !this.autoTransitionRunning) {
+            return;
+        }
+        this.runAutoTransitionTimer();
+        if (this.liveRegion != null) {
+            this.liveRegion.setAttribute("aria-live", "off");
+        }
+        this.emit("autoplayresume", { reason: reason, interval: this.autoTransitionDuration });
+    }
+
+    /**
+     * Determines whether or not anything currently holds auto transition.
+     * 
+     * @returns {boolean} True if auto transition is held, false otherwise
+     */
+    isAutoTransitionHeld() {
+        return this.autoTransitionHolds.length > 0;
+    }
+
+    /**
+     * Gets how far along the current auto transition cycle is, for drawing a countdown.
+     * 
+     * @returns {number} The progress from 0 (just started) to 1 (about to transition), 0 if auto transition isn't running
+     */
+    getAutoTransitionProgress() {
+        if (!this.autoTransitionRunning || this.autoTransitionDuration <= 0) {
+            return 0;
+        }
+        return Math.max(0, Math.min(1, 1 - this.getAutoTransitionRemaining() / this.autoTransitionDuration));
+    }
+
+    /**
+     * Gets the time left in the current auto transition cycle.
+     * 
+     * @returns {number} The remaining time in milliseconds
+     */
+    getAutoTransitionRemaining() {
+        var remaining = this.autoTransitionRemaining;
+        if (this.autoTransitionTimer != null) {
+            remaining -= this.scheduler.now() - this.autoTransitionStarted;
+        }
+        return Math.max(0, remaining);
+    }
+
+    /**
+     * Pauses auto transition until `resume` is called. Unlike the delay after a manual
+     * transition, navigating the slideshow does not restart it.
+     */
+    pause() {
+        if (this.paused || this.destroyed) {
+            return;
+        }
+        this.paused = true;
+        this.holdAutoTransition("pause");
+    }
+
+    /**
+     * Resumes auto transition after `pause`, continuing the cycle where it was paused.
+     */
+    resume() {
+        if (!this.paused || this.destroyed) {
+            return;
+        }
+        this.paused = false;
+        this.releaseAutoTransition("pause");
+    }
+
+    /**
+     * Attaches the listeners and observers which hold auto transition while the slideshow is hovered,
+     * has focus, is in a hidden tab, is scrolled out of view or the user prefers reduced motion.
+     */
+    initiateAutoTransitionConditions() {
+        this.intersectionObserver = null;
+        this.progressFrame = null;
+        if (!this.shouldAutoTransition) {
+            return;
+        }
+        var object = this;
+
+        // Hover & focus
+        if (this.container != null && this.options.pauseOnHover) {
+            this.listen(this.container, "mouseenter", function() {
+                object.holdAutoTransition("hover");
+            });
+            this.listen(this.container, "mouseleave", function() {
+                object.releaseAutoTransition("hover");
+            });
+        }
+        if (this.container != null && this.options.pauseOnFocus) {
+            this.listen(this.container, "focusin", function(event) {
+                // Only keyboard focus holds, not the focus a click gives the container
+                if (Slideshow.isFocusVisible(event.target)) {
+                    object.holdAutoTransition("focus");
+                }
+            });
+            this.listen(this.container, "focusout", function(event) {
+                // Moving focus between elements within the slideshow keeps it held
+                if (event.relatedTarget == null || !object.container.contains(event.relatedTarget)) {
+                    object.releaseAutoTransition("focus");
+                }
+            });
+        }
+
+        // Hidden tab
+        if (this.options.pauseWhenHidden && typeof document != "undefined") {
+            var onVisibilityChange = function() {
+                if (document.hidden) {
+                    object.holdAutoTransition("hidden");
+                } else {
+                    object.releaseAutoTransition("hidden");
+                }
+            };
+            this.listen(document, "visibilitychange", onVisibilityChange);
+            onVisibilityChange();
+        }
+
+        // Out of view
+        if (this.container != null && this.options.pauseWhenOffscreen && typeof IntersectionObserver == "function") {
+            this.intersectionObserver = new IntersectionObserver(function(entries) {
+                if (entries[entries.length - 1].isIntersecting) {
+                    object.releaseAutoTransition("offscreen");
+                } else {
+                    object.holdAutoTransition("offscreen");
+                }
+            });
+            this.intersectionObserver.observe(this.container);
+        }
+
+        // Reduced motion
+        if (this.options.respectReducedMotion && typeof matchMedia == "function") {
+            var query = matchMedia("(prefers-reduced-motion: reduce)");
+            var onReducedMotionChange = function() {
+                if (query.matches) {
+                    object.holdAutoTransition("reducedmotion");
+                } else {
+                    object.releaseAutoTransition("reducedmotion");
+                }
+            };
+            if (typeof query.addEventListener == "function") {
+                this.listen(query, "change", onReducedMotionChange);
+            }
+            onReducedMotionChange();
+        }
+    }
+
+    /**
+     * Transitions automatically, according to the `autoTransitionMode`.
+     */
+    autoTransition() {
+        if (this.paused || this.destroyed) {
+            return;
+        }
+
+        // Never pull an item out from under the pointer
+        if (this.drag != null && this.drag.dragging) {
+            return;
+        }
+
+        // There is nowhere to go with a single page, keep ticking in case more items are added
+        if (this.getPageCount() < 2) {
+            return;
+        }
+        switch (this.autoTransitionMode) {
+            case "forward":
+                if (!this.loop && this.isAtEnd()) {
+                    this.transitionTo(0, true, "direct");
+                } else {
+                    this.transitionForward();
+                }
+                break;
+            case "reverse":
+                if (!this.loop && this.isAtFront()) {
+                    this.transitionTo(this.items.length - 1, true, "direct");
+                } else {
+                    this.transitionBackward();
+                }
+                break;
+            case "once":
+                if (this.isAtEnd()) {
+                    this.endAutoTransition();
+                } else {
+                    this.transitionForward();
+                }
+                break;
+            case "shuffle":
+                this.transitionTo(this.getNextShuffledIndex(), true, "direct");
+                break;
+            case "pingpong":
+            default:
+                if (this.isAtEnd()) {
+                    this.autoTransitionDirection = 0;
+                } else if (this.isAtFront()) {
+                    this.autoTransitionDirection = 1;
+                }
+                if (this.autoTransitionDirection == 1) {
+                    this.transitionForward();
+                } else {
+                    this.transitionBackward();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Stops auto transition for good once a slideshow in "once" mode has reached its end.
+     * It only starts again when `startAutoTransition` is called.
+     */
+    endAutoTransition() {
+        this.autoTransitionRunning = false;
+        this.autoTransitionEnded = true;
+        if (this.liveRegion != null) {
+            this.liveRegion.setAttribute("aria-live", "polite");
+        }
+        this.emit("autoplaypause", { reason: "end", delay: null });
+    }
+
+    /**
+     * Picks the next item in shuffled order. Every item is shown once before any item is shown again.
+     * 
+     * @returns {number} The index of the next item, the selected index if there is no other page
+     */
+    getNextShuffledIndex() {
+        var selectedIndex = this.getSelectedIndex();
+        if (this.shuffleQueue.length == 0) {
+            for (var page = 0; page < this.getPageCount(); page++) {
+                if (this.getPageStart(page) != selectedIndex) {
+                    this.shuffleQueue.push(this.getPageStart(page));
+                }
+            }
+
+            // Fisher-Yates
+            for (var i = this.shuffleQueue.length - 1; i > 0; i--) {
+                var j = Math.floor(Math.random() * (i + 1));
+                var swap = this.shuffleQueue[i];
+                this.shuffleQueue[i] = this.shuffleQueue[j];
+                this.shuffleQueue[j] = swap;
+            }
+        }
+        if (this.shuffleQueue.length == 0) {
+            return selectedIndex;
+        }
+
+        // Items may have been removed since the queue was built
+        var index = this.shuffleQueue.pop();
+        if (index > this.getMaxSelectedIndex() || index == selectedIndex) {
+            return this.shuffleQueue.length > 0 ? this.getNextShuffledIndex() : (selectedIndex + 1) % this.items.length;
+        }
+        return index;
+    }
+
+    /**
+     * Gets the amount of time the given item stays selected during auto transition, read from its
+     * `data-slideshow-duration` attribute and defaulting to `autoTransitionTime`.
+     * 
+     * @param {number} index The index of the item
+     * @returns {number} The duration in milliseconds
+     */
+    getItemDuration(index) {
+        var item = this.items[index];
+        if (item != null && item.hasAttribute(this.options.durationAttribute)) {
+            var duration = Number(item.getAttribute(this.options.durationAttribute));
+            if (duration > 0) {
+                return duration;
+            }
+        }
+        return this.autoTransitionTime;
+    }
+
+    /**
+     * Recalculates the positions of all items based on the selected index.
+     * 
+     * @param {number} selectedIndex The index of the selected item.
+     * @param {boolean} shouldFlipPositions Whether or not we should flip the positions of all items (next -> prev, or prev -> next)
+     */
+    reclauclatePositions(selectedIndex, shouldFlipPositions = false) {
+        for (var i = 0; i < this.items.length; i++) {
+            // Don't touch the selected index, nor items of a data source which aren't in the DOM
+            if (i == selectedIndex || (this.virtual != null && this.items[i].parentNode == null)) {
+                continue;
+            }
+
+            // Do not transition items
+            if (this.notransitionClass != null) {
+                this.items[i].classList.add(this.notransitionClass);
+            }
+
+            // If the item is ahead of the selected index, give it the previous item class (meaning it has been seen)
+            // Otherwise, give it the next item class (meaning it has yet to be seen)
+            // If we should flip positions, do the opposite check.
+            if (shouldFlipPositions) {
+                if (i > selectedIndex) {
+                    this.items[i].classList.remove(this.nextItemClass);
+                    this.items[i].classList.add(this.prevItemClass);
+                } else {
+                    this.items[i].classList.remove(this.prevItemClass);
+                    this.items[i].classList.add(this.nextItemClass);
+                }
+            } else {
+                if (i < selectedIndex) {
+                    this.items[i].classList.remove(this.nextItemClass);
+                    this.items[i].classList.add(this.prevItemClass);
+                } else {
+                    this.items[i].classList.remove(this.prevItemClass);
+                    this.items[i].classList.add(this.nextItemClass);
+                }
+            }
+
+            // Force position recalculation and then re-enable transitions
+            this.items[i].offsetHeight; // Force a reflow, flushing the CSS changes
+            if (this.notransitionClass != null) {
+                this.items[i].classList.remove(this.notransitionClass);
+            }
+        }
+        this.updateEffectFrames();
+    }
+
+    /**
+     * Preapres an item to be transitioned.
+     * 
+     * @param {HTMLElement} item The item.
+     * @param {boolean} endDebounce Whether or not the debounce should be ended when the transition has completed.
+     * @param {Function} callback Called when the transition has completed.
+     */
+    markTransitioning(item, endDebounce, callback = null) {
+        // Effects animate the item themselves, so there is no transitionend to wait on
+        if (this.effect != null) {
+            this.watchAnimations(item, endDebounce, callback);
+            return;
+        }
+
+        // If there is no transitioning class, or the item isn't in the DOM, there is nothing to wait on, so finish once the classes have been swapped
+        if (this.transitioningClass == null || !item.isConnected) {
+            var object = this;
+            var step = { item: item, listener: null, timeout: null, animations: [] };
+            this.transitionWatchers.push(step);
+            step.timeout = this.schedule(function() {
+                // The step is gone if the transition was interrupted
+                var index = object.transitionWatchers.indexOf(step);
+                if (index == -1) {
+                    return;
+                }
+                object.transitionWatchers.splice(index, 1);
+                if (endDebounce) {
+                    object.endDebounce();
+                }
+                if (callback != null) {
+                    callback();
+                }
+            }, 0);
+            return;
+        }
+
+        // Add "Transition End" Listener
+        var object = this;
+        var watcher = { item: item, listener: onTransitionEnd, timeout: null, animations: [] };
+        this.transitionWatchers.push(watcher);
+        function onTransitionEnd() {
+            object.unschedule(watcher.timeout);
+            finish();
+        }
+        item.addEventListener("transitionend", onTransitionEnd);
+
+        // Stops watching the item, whether it finished transitioning or the backup timeout gave up on it
+        function finish() {
+            // The watcher is gone if the transition was interrupted
+            var index = object.transitionWatchers.indexOf(watcher);
+            if (index == -1) {
+                return;
+            }
+            object.transitionWatchers.splice(index, 1);
+
+            // Remove transitioning class and the event listener
+            item.classList.remove(object.transitioningClass);
+            item.removeEventListener("transitionend", onTransitionEnd);
+
+            // Set transitioning to false if the timeout is not null
+            if (endDebounce) {
+                if (object.transitioningTimeout != null && object.shouldDebounce) {
+                    object.transitioning = false;
+                    object.unschedule(object.transitioningTimeout);
+                }
+            }
+
+            // Call the callback
+            if (callback != null) {
+                callback();
+            }
+        }
+
+        // Set a backup timeout in case onTransitionEnd is never called
+        watcher.timeout = this.schedule(function() {
+            watcher.timeout = null;
+            object.reportMissedTransition(item);
+            finish();
+        }, 3000); // A good transition should take no longer than 3 seconds
+
+        // Add the transitioning class
+        item.classList.add(this.transitioningClass);
+    }
+
+    /**
+     * Animates an item with the `effect` and waits for the animation instead of its `transitionend` event,
+     * with a backup timeout in case the animation never settles.
+     * 
+     * @param {HTMLElement} item The item.
+     * @param {boolean} endDebounce Whether or not the debounce should be ended when the animations have finished.
+     * @param {Function} callback Called when the animations have finished.
+     */
+    watchAnimations(item, endDebounce, callback) {
+        var object = this;
+        var from = this.getEffectPosition(item);
+        var watcher = { item: item, listener: null, timeout: null, animations: [] };
+        this.transitionWatchers.push(watcher);
+        var finish = function() {
+            // The watcher is gone if the transition was interrupted
+            var index = object.transitionWatchers.indexOf(watcher);
+            if (index == -1) {
+                return;
+            }
+            object.transitionWatchers.splice(index, 1);
+            if (watcher.timeout != null) {
+                object.unschedule(watcher.timeout);
+                watcher.timeout = null;
+            }
+            if (object.transitioningClass != null) {
+                item.classList.remove(object.transitioningClass);
+            }
+            if (endDebounce) {
+                object.endDebounce();
+            }
+            if (callback != null) {
+                callback();
+            }
+        };
+
+        // The classes are swapped right after this call, so animate once they have been
+        Promise.resolve().then(function() {
+            if (object.transitionWatchers.indexOf(watcher) == -1) {
+                return;
+            }
+            var animation = object.animateItem(item, from, object.getEffectPosition(item));
+            if (animation == null) {
+                finish();
+                return;
+            }
+            watcher.animations = [animation];
+
+            // A backup timeout in case the animation never finishes (such as when its timeline is paused)
+            var duration = animation.effect != null ? animation.effect.getComputedTiming().endTime : 0;
+            watcher.timeout = object.schedule(function() {
+                watcher.timeout = null;
+                object.debugWarn("item " + object.items.indexOf(item) + " waited out the backup timeout, as its effect animation never finished.");
+                animation.finish(); // Rests the item at its new position
+                finish();
+            }, (isFinite(duration) ? duration : 0) + 3000);
+
+            // A cancelled animation won't finish either
+            animation.finished.then(finish, finish);
+        });
+
+        if (this.transitioningClass != null) {
+            item.classList.add(this.transitioningClass);
+        }
+    }
+
+    /**
+     * Stops waiting on every transitioning item, cancelling their animations.
+     */
+    removeTransitionWatchers() {
+        while (this.transitionWatchers.length > 0) {
+            var watcher = this.transitionWatchers.pop();
+            if (watcher.listener != null) {
+                watcher.item.removeEventListener("transitionend", watcher.listener);
+            }
+            if (watcher.timeout != null) {
+                this.unschedule(watcher.timeout);
+            }
+            for (var i = 0; i < watcher.animations.length; i++) {
+                watcher.animations[i].cancel();
+            }
+        }
+    }
+
+    /**
+     * Returns the position of an item for the `effect`: -1 for previous items, 0 for the selected item and 1 for next items.
+     * 
+     * @param {HTMLElement} item The item
+     * @returns {number} The position
+     */
+    getEffectPosition(item) {
+        if (item.classList.contains(this.selectedItemClass)) {
+            return 0;
+        }
+        if (item.classList.contains(this.prevItemClass)) {
+            return -1;
+        }
+        return 1;
+    }
+
+    /**
+     * Animates an item from one position to another with the `effect`, resting it at its new position once done.
+     * 
+     * @param {HTMLElement} item The item
+     * @param {number} from The position the item comes from
+     * @param {number} to The position the item goes to
+     * @returns {Animation} The animation, or null if the item was moved right away
+     */
+    animateItem(item, from, to) {
+        var keyframes;
+        if (this.effect.keyframes != null) {
+            keyframes = this.effect.keyframes.call(this, from, to, item);
+        } else {
+            keyframes = [this.effect.frame.call(this, from, item), this.effect.frame.call(this, to, item)];
+        }
+        var last = keyframes[keyframes.length - 1];
+
+        // Every item of a step moves alike, using the timing of the item being selected
+        var selected = this.items[this.getSelectedIndex()] || item;
+        var duration = Number(selected.getAttribute("data-slideshow-effect-duration") || this.options.effectDuration);
+        var easing = selected.getAttribute("data-slideshow-effect-easing") || this.options.effectEasing;
+        if (from == to || duration <= 0 || typeof item.animate != "function") {
+            this.applyEffectFrame(item, last);
+            return null;
+        }
+
+        var object = this;
+        var animation = item.animate(keyframes, { duration: duration, easing: easing, fill: "forwards" });
+        animation.finished.then(function() {
+            object.applyEffectFrame(item, last);
+            animation.cancel();
+        }, function() {});
+        return animation;
+    }
+
+    /**
+     * Rests every item (and clone) at the `effect` frame of its position.
+     */
+    updateEffectFrames() {
+        if (this.effect == null) {
+            return;
+        }
+        var items = this.items.concat([this.headClone, this.tailClone]);
+        for (var i = 0; i < items.length; i++) {
+            if (items[i] != null) {
+                this.applyEffectFrame(items[i], this.effect.frame.call(this, this.getEffectPosition(items[i]), items[i]));
+            }
+        }
+    }
+
+    /**
+     * Applies a keyframe to the inline style of an item, remembering the properties so `destroy` can remove them.
+     * 
+     * @param {HTMLElement} item The item
+     * @param {Object} frame The keyframe
+     */
+    applyEffectFrame(item, frame) {
+        for (var property in frame) {
+            if (property == "offset" || property == "easing" || property == "composite") {
+                continue;
+            }
+            item.style[property] = frame[property];
+            if (this.effectProperties.indexOf(property) == -1) {
+                this.effectProperties.push(property);
+            }
+        }
+    }
+
+    /**
+     * Ensures that every single item is not currently transitioning.
+     */
+    resetAllTransitioning() {
+        // A clone which is still standing in for an item gives way first
+        this.settleClones();
+
+        // If there is no transitioning class, return
+        if (this.transitioningClass == null) {
+            return;
+        }
+
+        // Loop
+        for (var i = 0; i < this.items.length; i++) {
+            if (this.items[i].classList.contains(this.transitioningClass)) {
+                this.items[i].classList.remove(this.transitioningClass);
+            }
+        }
+    }
+
+    /**
+     * Makes sure the items may be changed directly, which they may not while they follow a `dataSource`.
+     * 
+     * @param {string} method The name of the method changing the items
+     * @throws {SlideshowError} If the items follow a `dataSource` ("VIRTUAL_ITEMS")
+     */
+    checkItemsEditable(method) {
+        if (this.virtual != null) {
+            throw new SlideshowError("Slideshow: " + method + " is not available to slideshows created with a dataSource, use setDataSource instead.", "VIRTUAL_ITEMS");
+        }
+    }
+
+    /**
+     * Inserts an item into the slideshow, and into the container before the item currently at the given index.
+     * If the slideshow has indicators and none is given, one is created.
+     * 
+     * @param {HTMLElement} item The item to insert
+     * @param {number} index The index to insert the item at, defaults to the end
+     * @param {HTMLElement} indicator The indicator for the item
+     * @throws {SlideshowError} If the items follow a `dataSource` ("VIRTUAL_ITEMS")
+     */
+    addItem(item, index = this.items.length, indicator = null) {
+        this.checkItemsEditable("addItem");
+        var selected = this.items[this.getSelectedIndex()];
+        index = Math.max(0, Math.min(index, this.items.length));
+
+        // Insert the item
+        item.classList.add(this.options.itemClass);
+        item.classList.remove(this.selectedItemClass);
+        this.items.splice(index, 0, item);
+        Slideshow.placeElement(item, this.items, index, this.container);
+
+        // Insert the indicator, grouped slideshows rebuild their page indicators instead
+        if (this.indicators != null && !this.isGrouped()) {
+            if (indicator == null) {
+                indicator = this.createIndicator(index);
+            }
+            this.indicators.splice(index, 0, indicator);
+            Slideshow.placeElement(indicator, this.indicators, index, this.indicatorsContainer);
+        }
+
+        this.refreshItems(selected, index);
+    }
+
+    /**
+     * Removes the item at the given index from the slideshow and the document, along with its indicator.
+     * If the selected item is removed, the item taking its place is selected.
+     * 
+     * @param {number} index The index of the item to remove
+     * @returns {HTMLElement} The removed item, or null if there is no item at the index
+     * @throws {SlideshowError} If the items follow a `dataSource` ("VIRTUAL_ITEMS")
+     */
+    removeItem(index) {
+        this.checkItemsEditable("removeItem");
+        if (index < 0 || index >= this.items.length) {
+            return null;
+        }
+        var selectedIndex = this.getSelectedIndex();
+        var selected = this.items[selectedIndex];
+
+        // Remove the item
+        var item = this.items.splice(index, 1)[0];
+        this.resetItem(item);
+        if (item.parentNode != null) {
+            item.parentNode.removeChild(item);
+        }
+
+        // Remove the indicator
+        if (this.indicators != null && !this.isGrouped() && index < this.indicators.length) {
+            var indicator = this.indicators.splice(index, 1)[0];
+            if (indicator.parentNode != null) {
+                indicator.parentNode.removeChild(indicator);
+            }
+        }
+
+        this.refreshItems(selected, selectedIndex);
+        return item;
+    }
+
+    /**
+     * Moves an item, and its indicator, to a new index.
+     * 
+     * @param {number} fromIndex The current index of the item
+     * @param {number} toIndex The index to move the item to
+     * @throws {SlideshowError} If the items follow a `dataSource` ("VIRTUAL_ITEMS")
+     */
+    moveItem(fromIndex, toIndex) {
+        this.checkItemsEditable("moveItem");
+        if (fromIndex < 0 || fromIndex >= this.items.length) {
+            return;
+        }
+        var selected = this.items[this.getSelectedIndex()];
+        toIndex = Math.max(0, Math.min(toIndex, this.items.length - 1));
+
+        // Move the item
+        var item = this.items.splice(fromIndex, 1)[0];
+        this.items.splice(toIndex, 0, item);
+        Slideshow.placeElement(item, this.items, toIndex, this.container);
+
+        // Move the indicator
+        if (this.indicators != null && !this.isGrouped() && fromIndex < this.indicators.length) {
+            var indicator = this.indicators.splice(fromIndex, 1)[0];
+            this.indicators.splice(toIndex, 0, indicator);
+            Slideshow.placeElement(indicator, this.indicators, toIndex, this.indicatorsContainer);
+        }
+
+        this.refreshItems(selected, toIndex);
+    }
+
+    /**
+     * Replaces every item of the slideshow. Items which are no longer part of the slideshow are removed from
+     * the container, and new items are placed in the container in the given order.
+     * 
+     * @param {Array.<HTMLElement>} items The new items
+     * @param {Array.<HTMLElement>} indicators The new indicators, or null to keep (and create or remove) the current ones
+     * @throws {SlideshowError} If the items follow a `dataSource` ("VIRTUAL_ITEMS")
+     */
+    setItems(items, indicators = null) {
+        this.checkItemsEditable("setItems");
+        var selectedIndex = this.getSelectedIndex();
+        var selected = this.items[selectedIndex];
+        items = Array.from(items);
+
+        // Remove the old items
+        for (var i = 0; i < this.items.length; i++) {
+            if (items.indexOf(this.items[i]) == -1) {
+                this.resetItem(this.items[i]);
+                if (this.items[i].parentNode != null) {
+                    this.items[i].parentNode.removeChild(this.items[i]);
+                }
+            }
+        }
+
+        // Place the new items
+        this.items = [];
+        for (var i = 0; i < items.length; i++) {
+            items[i].classList.add(this.options.itemClass);
+            this.items.push(items[i]);
+            Slideshow.placeElement(items[i], this.items, i, this.container);
+        }
+
+        // Replace or update the indicators
+        if (indicators != null) {
+            if (this.indicators != null) {
+                for (var i = 0; i < this.indicators.length; i++) {
+                    if (indicators.indexOf(this.indicators[i]) == -1 && this.indicators[i].parentNode != null) {
+                        this.indicators[i].parentNode.removeChild(this.indicators[i]);
+                    }
+                }
+            }
+            this.indicators = [];
+            for (var i = 0; i < indicators.length; i++) {
+                this.indicators.push(indicators[i]);
+                Slideshow.placeElement(indicators[i], this.indicators, i, this.indicatorsContainer);
+            }
+        }
+
+        this.refreshItems(selected, selectedIndex);
+    }
+
+    /**
+     * Starts the MutationObserver which keeps the items in sync with the children of the container.
+     */
+    initiateObserver() {
+        this.observer = null;
+        if (!this.options.observeMutations || this.container == null || typeof MutationObserver != "function" || this.virtual != null) {
+            return;
+        }
+        var object = this;
+        this.observer = new MutationObserver(function() {
+            object.syncItems();
+        });
+        this.observer.observe(this.container, { childList: true });
+    }
+
+    /**
+     * Reads the items from the children of the container and, if they changed, updates the slideshow to match.
+     * Missing indicators are created and surplus indicators are removed.
+     */
+    syncItems() {
+        if (this.container == null) {
+            return;
+        }
+        var items = Slideshow.filterChildren(this.container, this.options.itemClass).filter(function(item) {
+            return !item.hasAttribute("data-slideshow-clone");
+        });
+        var changed = items.length != this.items.length;
+        for (var i = 0; !changed && i < items.length; i++) {
+            changed = items[i] != this.items[i];
+        }
+        if (!changed) {
+            return;
+        }
+
+        // The previously selected item, or the one in its place if it has been removed
+        var selectedIndex = this.getSelectedIndex();
+        var selected = this.items[selectedIndex];
+        for (var i = 0; i < this.items.length; i++) {
+            if (items.indexOf(this.items[i]) == -1) {
+                this.resetItem(this.items[i]);
+            }
+        }
+        this.items = items;
+        this.refreshItems(selected, selectedIndex);
+    }
+
+    /**
+     * Brings the classes, indicators and accessibility attributes up to date after the items have changed.
+     * 
+     * @param {HTMLElement} selected The item which should stay selected
+     * @param {number} fallbackIndex The index to select if that item is no longer part of the slideshow
+     */
+    refreshItems(selected, fallbackIndex) {
+        // Any running transition refers to stale indices, so it stops where it is
+        this.removeTransitionWatchers();
+        while (this.loopTimeouts.length > 0) {
+            this.unschedule(this.loopTimeouts.pop());
+        }
+        var token = this.currentTransition;
+        this.currentTransition = null;
+        if (token != null) {
+            token.cancelled = true;
+            this.rejectTransitionRequests(token.requests, "interrupted");
+        }
+        this.resetAllTransitioning();
+        this.endDebounce();
+        this.rememberAllAttributes();
+
+        // Keep the selection, within the last page
+        var selectedIndex = this.items.indexOf(selected);
+        if (selectedIndex == -1) {
+            selectedIndex = Math.max(0, Math.min(fallbackIndex, this.items.length - 1));
+        }
+        selectedIndex = Math.min(selectedIndex, this.getMaxSelectedIndex());
+        for (var i = 0; i < this.items.length; i++) {
+            if (i == selectedIndex) {
+                this.items[i].classList.remove(this.prevItemClass);
+                this.items[i].classList.remove(this.nextItemClass);
+                this.items[i].classList.add(this.selectedItemClass);
+            } else {
+                this.items[i].classList.remove(this.selectedItemClass);
+            }
+        }
+        this.reclauclatePositions(selectedIndex);
+        this.updateClones();
+
+        // Create or remove indicators so there is one per page
+        if (this.indicators != null) {
+            while (this.indicators.length < this.getPageCount()) {
+                var indicator = this.createIndicator(this.indicators.length);
+                this.indicators.push(indicator);
+                Slideshow.placeElement(indicator, this.indicators, this.indicators.length - 1, this.indicatorsContainer);
+            }
+            while (this.indicators.length > this.getPageCount()) {
+                var indicator = this.indicators.pop();
+                if (indicator.parentNode != null) {
+                    indicator.parentNode.removeChild(indicator);
+                }
+            }
+            this.initiateIndicators();
+        }
+        this.updateIndicators(selectedIndex);
+
+        // Visibility & accessibility
+        this.updateVisibleItems(selectedIndex);
+        this.updateVirtualWindow(selectedIndex);
+        this.updateZoom(selectedIndex);
+        this.updateMedia(selectedIndex);
+        this.labelItems();
+        this.updateAccessibility(selectedIndex, false);
 
-        // Mark transitioning
-        var object = this;
-        this.markTransitioning(current, false, function() {
-            // Loop
-            object.transitionToNextLoop(selectedIndex, distance, ++i, callback);
-        });
+        if (this.heightObserver != null) {
+            for (var i = 0; i < this.items.length; i++) {
+                this.heightObserver.observe(this.items[i]);
+            }
+        }
 
-        // Move current to next
-        current.classList.remove(this.prevItemClass);
-        current.classList.add(this.nextItemClass);
+        this.emit("itemschange", { count: this.items.length, selected: this.items.length > 0 ? selectedIndex : -1 });
+        this.runTransitionQueue();
     }
 
-    startAutoTransition() {
-        if (this.autoTransitionInterval != null) {
-            clearInterval(this.autoTransitionInterval);
-            this.autoTransitionInterval = null;
+    /**
+     * Creates an indicator for a new item (or page), with the `createIndicator` option or the `indicatorTemplate` if given.
+     * If `thumbnails` is enabled, the default indicator shows a thumbnail of the item (or first item of the page).
+     * 
+     * @param {number} index The index of the item (or page) the indicator is for
+     * @returns {HTMLElement} The indicator
+     * @throws {SlideshowError} If `createIndicator` returns neither an element nor the HTML of one ("INVALID_OPTION")
+     */
+    createIndicator(index) {
+        var indicator;
+        if (this.options.createIndicator != null) {
+            indicator = Slideshow.toElement(this.options.createIndicator.call(this, index), "createIndicator");
+        } else if (this.options.indicatorTemplate != null) {
+            indicator = this.renderIndicatorTemplate(index);
+        } else {
+            indicator = document.createElement("button");
+            indicator.setAttribute("type", "button");
+            if (this.options.thumbnails && this.items.length > 0) {
+                var thumbnail = this.createThumbnail(this.items[Math.min(this.getPageStart(index), this.items.length - 1)]);
+                if (thumbnail != null) {
+                    indicator.appendChild(thumbnail);
+                }
+            }
         }
-        var object = this;
-        this.autoTransitionInterval = setInterval(function() {
-            object.autoTransition();
-        }, this.autoTransitionTime);
+        this.createdIndicators.push(indicator);
+        indicator.classList.add(this.options.indicatorClass);
+        return indicator;
     }
 
-    stopAutoTransition() {
-        if (this.autoTransitionInterval != null) {
-            clearInterval(this.autoTransitionInterval);
-            this.autoTransitionInterval = null;
+    /**
+     * Removes the position and transition classes from an item which is leaving the slideshow, and restores
+     * the attributes the slideshow changed.
+     * 
+     * @param {HTMLElement} item The item
+     */
+    resetItem(item) {
+        this.restoreAttributes(item);
+        if (this.heightObserver != null) {
+            this.heightObserver.unobserve(item);
         }
-        if (this.autoTransitionTimeout != null) {
-            clearTimeout(this.autoTransitionTimeout);
-            this.autoTransitionTimeout = null;
+        item.classList.remove(this.prevItemClass);
+        item.classList.remove(this.selectedItemClass);
+        item.classList.remove(this.nextItemClass);
+        if (this.transitioningClass != null) {
+            item.classList.remove(this.transitioningClass);
+        }
+        if (this.notransitionClass != null) {
+            item.classList.remove(this.notransitionClass);
         }
-        var object = this;
-        this.autoTransitionTimeout = setTimeout(function() {
-            object.startAutoTransition();
-            clearTimeout(object.autoTransitionTimeout);
-            object.autoTransitionTimeout = null;
-        }, this.autoTransitionDelay);
     }
 
-    autoTransition() {
-        if (this.loop) {
-            this.transitionForward();
-        } else {
-            if (this.isAtEnd()) {
-                this.autoTransitionDirection = 0;
-            } else if (this.isAtFront()) {
-                this.autoTransitionDirection = 1;
-            }
-            if (this.autoTransitionDirection == 1) {
-                this.transitionForward();
-            } else {
-                this.transitionBackward();
-            }
-        }
+    /**
+     * Determines whether or not the given constructor argument is an options object
+     * rather than the legacy array of items.
+     * 
+     * @param {any} value The first argument given to the constructor
+     * @returns {boolean} True if the value is a plain options object, false otherwise
+     */
+    static isOptionsObject(value) {
+        return Object.prototype.toString.call(value) == "[object Object]";
     }
 
     /**
-     * Recalculates the positions of all items based on the selected index.
+     * Merges the given options with `Slideshow.defaults` and resolves the container,
+     * items and indicators into arrays of HTMLElements.
      * 
-     * @param {number} selectedIndex The index of the selected item.
-     * @param {boolean} shouldFlipPositions Whether or not we should flip the positions of all items (next -> prev, or prev -> next)
+     * @param {Object} options The options given to the constructor
+     * @returns {Object} A new, fully populated options object
      */
-    reclauclatePositions(selectedIndex, shouldFlipPositions = false) {
-        for (var i = 0; i < this.items.length; i++) {
-            // Don't touch the selected index
-            if (i == selectedIndex) {
-                continue;
+    static resolveOptions(options) {
+        var resolved = Object.assign({}, Slideshow.defaults);
+        for (var key in options) {
+            // Undefined means "use the default", which lets the positional form omit trailing arguments
+            if (options[key] !== undefined) {
+                resolved[key] = options[key];
             }
+        }
 
-            // Do not transition items
-            if (this.notransitionClass != null) {
-                this.items[i].classList.add(this.notransitionClass);
+        // Resolve the container
+        if (typeof resolved.container == "string") {
+            resolved.container = Slideshow.getElement(resolved.container);
+        }
+
+        // Resolve the items, either from the options or from the container's children
+        if (resolved.items == null && resolved.container != null) {
+            resolved.items = Slideshow.filterChildren(resolved.container, resolved.itemClass);
+        } else if (resolved.items != null) {
+            resolved.items = Array.from(resolved.items);
+        } else {
+            resolved.items = [];
+        }
+        if (resolved.container == null && resolved.items.length > 0) {
+            resolved.container = resolved.items[0].parentElement;
+        }
+
+        // Resolve the indicators, which may be given as an array or as the id of the element containing them
+        if (typeof resolved.indicatorsContainer == "string") {
+            resolved.indicatorsContainer = Slideshow.getElement(resolved.indicatorsContainer);
+        }
+        if (typeof resolved.indicators == "string") {
+            if (resolved.indicatorsContainer == null) {
+                resolved.indicatorsContainer = Slideshow.getElement(resolved.indicators);
             }
+            resolved.indicators = Slideshow.getItemsFromElement(resolved.indicators, resolved.indicatorClass);
+        } else if (resolved.indicators != null) {
+            resolved.indicators = Array.from(resolved.indicators);
+        }
 
-            // If the item is ahead of the selected index, give it the previous item class (meaning it has been seen)
-            // Otherwise, give it the next item class (meaning it has yet to be seen)
-            // If we should flip positions, do the opposite check.
-            if (shouldFlipPositions) {
-                if (i > selectedIndex) {
-                    this.items[i].classList.remove(this.nextItemClass);
-                    this.items[i].classList.add(this.prevItemClass);
-                } else {
-                    this.items[i].classList.remove(this.prevItemClass);
-                    this.items[i].classList.add(this.nextItemClass);
-                }
+        return resolved;
+    }
+
+    /**
+     * Returns the classes of each item of a slideshow as it starts, without touching the DOM. Lets
+     * server-rendered markup match what the slideshow sets up once it is constructed in the browser.
+     * Like the constructor, the selected index falls back to 0 if it is out of range, and is kept within the last page.
+     * 
+     * @param {number} count The number of items
+     * @param {number} selectedIndex The index of the selected item
+     * @param {Object} options The options of the slideshow (see `Slideshow.defaults`), for the class names and `slidesPerView`
+     * @returns {Array.<string>} The class attribute of each item
+     */
+    static getInitialClasses(count, selectedIndex = 0, options = {}) {
+        options = Object.assign({}, Slideshow.defaults, options);
+        var slidesPerView = Math.max(1, Math.floor(options.slidesPerView));
+        if (!Number.isInteger(selectedIndex) || selectedIndex < 0 || selectedIndex >= count) {
+            selectedIndex = 0;
+        }
+        selectedIndex = Math.min(selectedIndex, Math.max(0, count - slidesPerView));
+        var classes = [];
+        for (var i = 0; i < count; i++) {
+            var itemClasses = [options.itemClass];
+            if (i == selectedIndex) {
+                itemClasses.push(options.selectedItemClass);
             } else {
-                if (i < selectedIndex) {
-                    this.items[i].classList.remove(this.nextItemClass);
-                    this.items[i].classList.add(this.prevItemClass);
-                } else {
-                    this.items[i].classList.remove(this.prevItemClass);
-                    this.items[i].classList.add(this.nextItemClass);
-                }
+                itemClasses.push(i < selectedIndex ? options.prevItemClass : options.nextItemClass);
             }
-
-            // Force position recalculation and then re-enable transitions
-            this.items[i].offsetHeight; // Force a reflow, flushing the CSS changes
-            if (this.notransitionClass != null) {
-                this.items[i].classList.remove(this.notransitionClass);
+            if (options.visibleItemClass != null && i >= selectedIndex && i < selectedIndex + slidesPerView) {
+                itemClasses.push(options.visibleItemClass);
             }
+            classes.push(itemClasses.join(" "));
         }
+        return classes;
     }
 
     /**
-     * Preapres an item to be transitioned.
+     * Resolves the `effect` option into an effect.
      * 
-     * @param {HTMLElement} item The item.
-     * @param {boolean} endDebounce Whether or not the debounce should be ended when the transition has completed.
-     * @param {Function} callback Called when the transition has completed.
+     * @param {string|Object} effect The name of an effect in `Slideshow.effects`, an effect, or null for CSS classes only
+     * @returns {Object} The effect, or null
+     * @throws {SlideshowError} If no effect is registered by the name ("INVALID_OPTION")
      */
-    markTransitioning(item, endDebounce, callback = null) {
-        // If there is no transitioning class, return
-        if (this.transitioningClass == null) {
-            return;
+    static resolveEffect(effect) {
+        if (typeof effect != "string") {
+            return effect || null;
+        }
+        if (Slideshow.effects[effect] == null) {
+            throw new SlideshowError("Slideshow: unknown effect " + JSON.stringify(effect) + ", expected one of " + Object.keys(Slideshow.effects).map(function(name) {
+                return JSON.stringify(name);
+            }).join(", ") + ".", "INVALID_OPTION");
         }
+        return Slideshow.effects[effect];
+    }
 
-        // A backup timeout in case onTransitionEnd is never called
-        var backupTimeout;
+    /**
+     * Registers a custom effect, which can then be used by name through the `effect` option.
+     * 
+     * An effect is an object with:
+     *  - `frame(position, item)`: returns the keyframe of an item resting at a position, -1 (previous), 0 (selected) or 1 (next)
+     *  - `keyframes(from, to, item)` (optional): returns the keyframes of an item moving between positions,
+     *    defaults to the frames of both positions
+     * Both are called with the slideshow as `this`, whose `getTranslation` moves items along its axis and direction.
+     * 
+     * @param {string} name The name of the effect
+     * @param {Object} effect The effect
+     */
+    static registerEffect(name, effect) {
+        Slideshow.effects[name] = effect;
+    }
 
-        // Add "Transition End" Listener
-        var object = this;
-        item.addEventListener("transitionend", function onTransitionEnd() {
-            // Remove transitioning class and the event listener
-            item.classList.remove(object.transitioningClass);
-            item.removeEventListener("transitionend", onTransitionEnd);
+    /**
+     * Finds every element matching `[data-slideshow]` and constructs a slideshow for it
+     * from its `data-slideshow-*` attributes. The created slideshow is stored on the
+     * element as `element.slideshow`, and elements which already have one are skipped.
+     * 
+     * If the document is still loading, initialization is deferred until `DOMContentLoaded`
+     * and the returned array is populated at that point. An element whose attributes are invalid
+     * is skipped, and gets a `slideshow:error` event (see `reportInitError`).
+     * 
+     * Supported attributes (all optional):
+     *  - `data-slideshow-loop`, `data-slideshow-debounce`, `data-slideshow-auto`: booleans, present or "true"/"false"
+     *  - `data-slideshow-interval`: the `autoTransitionTime`
+     *  - `data-slideshow-delay`: the `autoTransitionDelay`
+     *  - `data-slideshow-indicators`: the id of the element containing the indicators
+     *  - `data-slideshow-item-class`, `data-slideshow-indicator-class`, `data-slideshow-selected-indicator-class`,
+     *    `data-slideshow-prev-class`, `data-slideshow-selected-class`, `data-slideshow-next-class`,
+     *    `data-slideshow-transitioning-class`, `data-slideshow-notransition-class`: class name overrides
+     *  - `data-slideshow-url`: the `urlSync`, "hash" or "query" (which an empty or "true" value means as well)
+     * 
+     * @param {ParentNode} root The element to search within, defaults to the document
+     * @returns {Array.<Slideshow>} The slideshows that were constructed
+     */
+    static autoInit(root = document) {
+        var slideshows = [];
+        var initialize = function() {
+            var elements = root.querySelectorAll("[data-slideshow]");
+            for (var i = 0; i < elements.length; i++) {
+                if (elements[i].slideshow != null) {
+                    continue;
+                }
+                // A misconfigured slideshow doesn't keep the others from starting
+                var slideshow;
+                try {
+                    slideshow = new Slideshow(Slideshow.getOptionsFromAttributes(elements[i]));
+                } catch (error) {
+                    if (!(error instanceof SlideshowError)) {
+                        throw error;
+                    }
+                    Slideshow.reportInitError(elements[i], error);
+                    continue;
+                }
+                slideshows.push(slideshow);
+            }
+        };
+
+        // Wait for the document if needed
+        if (document.readyState == "loading") {
+            document.addEventListener("DOMContentLoaded", function onContentLoaded() {
+                document.removeEventListener("DOMContentLoaded", onContentLoaded);
+                initialize();
+            });
+        } else {
+            initialize();
+        }
+
+        return slideshows;
+    }
 
-            // Clear backup timeout
-            // If the timeout is null, it has already been called.
-            if (backupTimeout == null) {
+    /**
+     * Reports that `autoInit` couldn't construct the slideshow of an element, by dispatching a cancelable
+     * `slideshow:error` event with `{error}` on the element. Unless the event is cancelled, the error is reported
+     * to the global error handlers as well.
+     * 
+     * @param {HTMLElement} element The element
+     * @param {SlideshowError} error The error
+     */
+    static reportInitError(element, error) {
+        if (typeof CustomEvent == "function") {
+            var event = new CustomEvent("slideshow:error", { detail: { error: error }, bubbles: true, cancelable: true });
+            if (!element.dispatchEvent(event)) {
                 return;
-            } else {
-                clearTimeout(backupTimeout);
             }
+        }
+        Slideshow.reportError(error);
+    }
 
-            // Set transitioning to false if the timeout is not null
-            if (endDebounce) {
-                if (object.transitioningTimeout != null && object.shouldDebounce) {
-                    object.transitioning = false;
-                    clearTimeout(object.transitioningTimeout);
-                }
+    /**
+     * Reads the `data-slideshow-*` attributes of the given element into an options object.
+     * Attributes which are not present are left out, so the defaults apply.
+     * 
+     * @param {HTMLElement} element The slideshow container
+     * @returns {Object} The options for the slideshow
+     * @throws {SlideshowError} If a number attribute isn't a number ("INVALID_OPTION")
+     */
+    static getOptionsFromAttributes(element) {
+        var options = { container: element };
+        var attributes = Slideshow.dataAttributes;
+        for (var key in attributes) {
+            var attribute = "data-slideshow-" + attributes[key].name;
+            if (!element.hasAttribute(attribute)) {
+                continue;
             }
-
-            // Call the callback
-            if (callback != null) {
-                callback();
+            var value = element.getAttribute(attribute);
+            switch (attributes[key].type) {
+                case "boolean":
+                    options[key] = value != "false";
+                    break;
+                case "number":
+                    options[key] = Number(value);
+                    if (value.trim() == "" || isNaN(options[key])) {
+                        throw new SlideshowError("Slideshow: invalid " + attribute + " " + JSON.stringify(value) + ", expected a number.", "INVALID_OPTION");
+                    }
+                    break;
+                default:
+                    options[key] = value;
+                    if (attributes[key].enabled != null && (value == "" || value == "true" || value == "false")) {
+                        options[key] = value == "false" ? false : attributes[key].enabled;
+                    }
+                    break;
             }
-        });
-
-        // Set backup timeout
-        backupTimeout = setTimeout(function() {
-            backupTimeout = null;
+        }
+        return options;
+    }
 
-            // Set transitioning to false if the timeout is not null
-            if (object.transitioningTimeout != null && object.shouldDebounce) {
-                object.transitioning = false;
-                clearTimeout(object.transitioningTimeout);
-            }
+    /**
+     * Returns the children of the given element which contain the given class.
+     * 
+     * @param {HTMLElement} element The parent element
+     * @param {string} className The class each child must contain
+     * @returns {Array.<HTMLElement>} The matching children
+     */
+    static filterChildren(element, className) {
+        // Get children
+        var children = Array.from(element.children);
 
-            // Call the callback
-            if (callback != null) {
-                callback();
+        // Filter children
+        for (var i = 0; i < children.length; i++) {
+            if (!children[i].classList.contains(className)) {
+                children.splice(i, 1);
+                i--;
             }
-        }, 3000); // A good transition should take no longer than 3 seconds
+        }
 
-        // Add the transitioning class
-        item.classList.add(this.transitioningClass);
+        // Return
+        return children;
     }
 
     /**
-     * Ensures that every single item is not currently transitioning.
+     * Places an element in the document so that it follows the element before it in the given list,
+     * or precedes the element after it. If the list holds no other elements, it is appended to the parent.
+     * 
+     * @param {HTMLElement} element The element, already at the given index of the list
+     * @param {Array.<HTMLElement>} list The list the element belongs to
+     * @param {number} index The index of the element within the list
+     * @param {HTMLElement} parent The element to append to when the list is otherwise empty
      */
-    resetAllTransitioning() {
-        // If there is no transitioning class, return
-        if (this.transitioningClass == null) {
-            return;
+    static placeElement(element, list, index, parent) {
+        if (index + 1 < list.length && list[index + 1].parentNode != null) {
+            list[index + 1].parentNode.insertBefore(element, list[index + 1]);
+        } else if (index > 0 && list[index - 1].parentNode != null) {
+            list[index - 1].parentNode.insertBefore(element, list[index - 1].nextSibling);
+        } else if (parent != null) {
+            parent.appendChild(element);
         }
+    }
 
-        // Loop
-        for (var i = 0; i < this.items.length; i++) {
-            if (this.items[i].classList.contains(this.transitioningClass)) {
-                this.items[i].classList.remove(this.transitioningClass);
-            }
+    /**
+     * Determines whether or not an element has no label, or a label generated by the slideshow which may be replaced.
+     * 
+     * @param {HTMLElement} element The element
+     * @param {RegExp} pattern The pattern of generated labels
+     * @returns {boolean} True if the label can be (re)generated, false otherwise
+     */
+    static hasGeneratedLabel(element, pattern) {
+        return !element.hasAttribute("aria-label") || pattern.test(element.getAttribute("aria-label"));
+    }
+
+    /**
+     * Gets the image of an item, being the item itself or the first image within it.
+     * 
+     * @param {HTMLElement} item The item
+     * @returns {HTMLElement} The image, or null if the item has none
+     */
+    static getItemImage(item) {
+        return item.matches("img") ? item : item.querySelector("img");
+    }
+
+    /**
+     * Removes the ids of an element and its descendants, so a copy of it doesn't break their uniqueness.
+     * 
+     * @param {HTMLElement} element The element
+     */
+    static stripIds(element) {
+        element.removeAttribute("id");
+        var identified = element.querySelectorAll("[id]");
+        for (var i = 0; i < identified.length; i++) {
+            identified[i].removeAttribute("id");
         }
     }
 
@@ -621,19 +5533,530 @@
      * @returns {Array.<HTMLElement>} An array of the slideshow items, useful for constructing a new slideshow
      */
     static getItemsFromElement(slideshowId, slideshowItemClass) {
-        // Get children
-        var children = Array.from(document.getElementById(slideshowId).children);
+        return Slideshow.filterChildren(Slideshow.getElement(slideshowId), slideshowItemClass);
+    }
 
-        // Filter children
-        for (var i = 0; i < children.length; i++) {
-            if (!children[i].classList.contains(slideshowItemClass)) {
-                children.splice(i, 1);
-                i--;
+    /**
+     * Determines whether or not an element shows its focus, as it does when focused with the keyboard.
+     * 
+     * @param {Element} element The focused element
+     * @returns {boolean} True if the element matches `:focus-visible`, or if the browser doesn't support it
+     */
+    static isFocusVisible(element) {
+        try {
+            return element.matches(":focus-visible");
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Reports an error without interrupting the caller, by rethrowing it asynchronously so it reaches
+     * the console and the global error handlers.
+     * 
+     * @param {Error} error The error
+     */
+    static reportError(error) {
+        setTimeout(function() {
+            throw error;
+        }, 0);
+    }
+
+    /**
+     * Turns what an option produced into an element, parsing HTML into its first element.
+     * 
+     * @param {HTMLElement|string} value The element, or its HTML
+     * @param {string} option The name of the option, for the error
+     * @returns {HTMLElement} The element
+     * @throws {SlideshowError} If the value is neither an element nor the HTML of one ("INVALID_OPTION")
+     */
+    static toElement(value, option) {
+        var element = value;
+        if (typeof value == "string") {
+            var wrapper = document.createElement("template");
+            wrapper.innerHTML = value.trim();
+            element = wrapper.content.firstElementChild;
+        }
+        if (element == null || element.nodeType != 1) {
+            throw new SlideshowError("Slideshow: " + option + " produced " + (typeof value == "string" ? JSON.stringify(value) : String(value)) + ", expected an element or the HTML of one.", "INVALID_OPTION");
+        }
+        return element;
+    }
+
+    /**
+     * Gets an element by its id, for the options given as ids.
+     * 
+     * @param {string} id The id of the element
+     * @returns {HTMLElement} The element
+     * @throws {SlideshowError} If there is no element with the id ("MISSING_ELEMENT")
+     */
+    static getElement(id) {
+        var element = document.getElementById(id);
+        if (element == null) {
+            throw new SlideshowError("Slideshow: there is no element with the id \"" + id + "\".", "MISSING_ELEMENT");
+        }
+        return element;
+    }
+
+    /**
+     * Parses a CSS time, such as "0.5s" or "200ms".
+     * 
+     * @param {string} time The time
+     * @returns {number} The time in milliseconds, 0 if it can't be parsed
+     */
+    static parseTime(time) {
+        var value = parseFloat(time);
+        if (isNaN(value)) {
+            return 0;
+        }
+        return /ms\s*$/.test(time) ? value : value * 1000;
+    }
+
+}
+
+/**
+ * The default options for every slideshow. Any of these can be overridden through the options
+ * object given to the constructor, and changing them here affects every slideshow constructed afterwards.
+ */
+Slideshow.defaults = {
+    // The element containing the items, or its id. Defaults to the parent of the first item.
+    container: null,
+    // The items of this slideshow. Defaults to the children of the container which contain the itemClass.
+    items: null,
+    // The indicators of this slideshow, or the id of the element containing them. Null for no indicators.
+    indicators: null,
+    // The element (or its id) new indicators are added to. Defaults to the parent of the first indicator.
+    indicatorsContainer: null,
+    // Creates the indicator for a new item, called with its index, returning an element or its HTML. Defaults to creating a button.
+    createIndicator: null,
+    // Whether or not to keep the items in sync with the children of the container as they are added and removed
+    observeMutations: false,
+    // The class each item must contain when items are read from the container
+    itemClass: "slideshow-item",
+    // The class each indicator must contain when indicators are read from an element id
+    indicatorClass: "slideshow-indicator",
+    // Whether or not to loop this slideshow
+    loop: false,
+    // How a looping slideshow wraps around: "flip" moves every other item to the opposite side for the wrapping
+    // transition, "clone" slides in a clone of the first (or last) item so wrapping continues in the same direction
+    loopStrategy: "flip",
+    // The class to give the clones used by the "clone" loopStrategy
+    cloneItemClass: "slideshow-item-clone",
+    // Whether or not to debounce transitions for this slideshow
+    shouldDebounce: true,
+    // What `next`, `prev` and `goTo` do while a transition is running: "drop" the request, "queue" it
+    // until the running transitions are done, or "interrupt" the running transition and go to the newest target
+    transitionPolicy: "drop",
+    // How `transitionTo` gets to a far away item: "sequential" transitions through every item in between, "direct"
+    // only transitions the selected and the target item, "shortest" does the same but goes around the loop when that is shorter
+    jumpStrategy: "sequential",
+    // Whether or not this slideshow should auto-transition
+    shouldAutoTransition: true,
+    // The amount of time between automatic transitions
+    autoTransitionTime: 7500,
+    // The amount of time between when the automatic transition should re-enable after a manual transition has happened
+    autoTransitionDelay: 10000,
+    // How auto transition moves through the items: "forward", "reverse", "pingpong" (forward, then backward from the end),
+    // "once" (forward, stopping at the end) or "shuffle". Defaults to "forward" when looping and "pingpong" otherwise.
+    autoTransitionMode: null,
+    // The attribute of an item holding the amount of time it stays selected during auto transition
+    durationAttribute: "data-slideshow-duration",
+    // The class to give selected indcators
+    selectedIndicatorClass: "slideshow-indicator-selected",
+    // The class to give 'previous' items, or items that have already been shown
+    prevItemClass: "slideshow-item-prev",
+    // The class to give the 'selected' item
+    selectedItemClass: "slideshow-item-selected",
+    // The class to give 'next' items, or items that are going to be shown
+    nextItemClass: "slideshow-item-next",
+    // The class to give items that are currently transitioning
+    transitioningClass: "slideshow-item-transitioning",
+    // The class to give items when they shouldn't transition (overrides transitioning)
+    notransitionClass: "slideshow-item-notransition",
+    // The class to give every item within the visible window, starting with the selected item
+    visibleItemClass: "slideshow-item-visible",
+    // The number of items visible at once
+    slidesPerView: 1,
+    // The number of items to move by when transitioning forward or backward
+    slidesPerGroup: 1,
+    // Overrides for slidesPerView & slidesPerGroup, keyed by the minimum container width they apply from,
+    // for example { 768: { slidesPerView: 3, slidesPerGroup: 3 } }
+    breakpoints: null,
+    // Whether or not clicking an indicator transitions to its item
+    bindIndicators: true,
+    // The 'previous' controls: a selector searched within the container, an element or an array of elements
+    prevControls: "[data-slideshow-prev]",
+    // The 'next' controls: a selector searched within the container, an element or an array of elements
+    nextControls: "[data-slideshow-next]",
+    // Whether or not the arrow, Home and End keys navigate the slideshow while it has focus
+    keyboard: true,
+    // Whether or not to maintain WAI-ARIA carousel roles and states
+    accessibility: true,
+    // The accessible name of the slideshow
+    label: null,
+    // Whether or not to announce the selected item through a polite live region
+    liveRegion: true,
+    // The text announced when the selection changes, {index} and {count} are replaced
+    announcement: "Slide {index} of {count}",
+    // Whether or not touch and pen swipes navigate the slideshow
+    swipe: true,
+    // Whether or not dragging with the mouse navigates the slideshow
+    mouseDrag: true,
+    // Whether or not horizontal wheel and trackpad gestures navigate the slideshow (opt-in, as they can get in the way of scrolling)
+    wheel: false,
+    // Whether or not the selected item follows the pointer while dragging
+    dragFollow: true,
+    // The distance in pixels a gesture must travel to transition
+    swipeDistance: 50,
+    // The velocity in pixels per millisecond a shorter swipe must reach to transition
+    swipeVelocity: 0.3,
+    // The class to give the container while it is being dragged
+    draggingClass: "slideshow-dragging",
+    // Whether or not auto transition is held while the pointer is over the slideshow
+    pauseOnHover: true,
+    // Whether or not auto transition is held while focus is within the slideshow
+    pauseOnFocus: true,
+    // Whether or not auto transition is held while the tab is hidden
+    pauseWhenHidden: true,
+    // Whether or not auto transition is held while the slideshow is scrolled out of view
+    pauseWhenOffscreen: true,
+    // Whether or not auto transition is held while the user prefers reduced motion
+    respectReducedMotion: true,
+    // Whether or not to expose the auto transition progress (0 to 1) as the `--slideshow-progress` CSS variable
+    progressVariable: false,
+    // Whether or not to reflect the selected item in the URL: false, "hash" (#key=value) or "query" (?key=value)
+    urlSync: false,
+    // The key of this slideshow in the URL, defaults to the id of the container (or "slide")
+    urlKey: null,
+    // Whether to "replace" the current history entry when the selection changes, or "push" a new one so Back/Forward navigate slides (automatic transitions always replace)
+    urlHistory: "replace",
+    // The attribute of an item holding how it is written in the URL, falling back to its id and then to its position
+    slugAttribute: "data-slideshow-slug",
+    // Whether or not to load the `data-src`, `data-srcset` and `data-bg` media of items only once they are (nearly) visible
+    lazyLoad: true,
+    // The number of items on either side of the visible items whose media is loaded ahead of time
+    preloadNeighbours: 1,
+    // The class to give items while their media is loading
+    loadingClass: "slideshow-item-loading",
+    // Whether or not to pause the videos of items which are not visible, resuming them once they are
+    pauseVideos: true,
+    // The slideshows this one navigates, kept in sync both ways: slideshows, elements with a slideshow or a selector.
+    // Clicking an item of this slideshow selects the item in all of them.
+    asNavFor: null,
+    // The class to give the item linked slideshows have selected, useful for highlighting the current thumbnail
+    activeItemClass: "slideshow-item-active",
+    // Whether or not generated indicators show a thumbnail of their item
+    thumbnails: false,
+    // The attribute of an item holding the (small) image its thumbnail shows, falling back to the first image within the item
+    thumbnailAttribute: "data-slideshow-thumb",
+    // The effect which animates the items through the Web Animations API: "slide", "fade", "stack", the name of an effect
+    // registered through `Slideshow.registerEffect`, an effect object, or null to leave the animation to the CSS of the classes.
+    // Effects show one item at a time, so they require a slidesPerView of 1
+    effect: null,
+    // The duration of the effect (and the `autoHeight` animation) in milliseconds, overridden per item by a `data-slideshow-effect-duration` attribute
+    effectDuration: 500,
+    // The easing of the effect, overridden per item by a `data-slideshow-effect-easing` attribute
+    effectEasing: "ease",
+    // The axis items travel along: "horizontal" or "vertical", which maps the up and down arrow keys and vertical swipes
+    orientation: "horizontal",
+    // The reading direction: "ltr", "rtl", or null to follow the `dir` of the container. Forward points left in
+    // right-to-left horizontal slideshows, for the arrow keys and swipes alike.
+    direction: null,
+    // Generated pagination: "bullets" (an indicator per page), "dynamic" (bullets, only showing a window of `dynamicBullets`
+    // around the selected one), "fraction" ("2 / 10"), "progressbar", or null for none
+    pagination: null,
+    // The element (or its id) to build the pagination into, defaults to a new element at the end of the container
+    paginationContainer: null,
+    // The class to give the pagination element
+    paginationClass: "slideshow-pagination",
+    // The text of "fraction" pagination, {current} and {total} are replaced
+    fractionFormat: "{current} / {total}",
+    // The number of bullets "dynamic" pagination shows
+    dynamicBullets: 5,
+    // The class to give the bullets "dynamic" pagination hides
+    hiddenIndicatorClass: "slideshow-indicator-hidden",
+    // The HTML of generated indicators (or a <template> element, or a selector of one), {index} and {count} are replaced.
+    // For full control, use `createIndicator` instead.
+    indicatorTemplate: null,
+    // Whether or not to fit the height of the container to the selected item (or the tallest visible item),
+    // animated with the `effectDuration` and `effectEasing`
+    autoHeight: false,
+    // A state returned by `getState` to start from, such as one rendered by the server
+    initialState: null,
+    // Whether or not to keep the state across reloads: false, "session" (sessionStorage) or "local" (localStorage).
+    // A persisted state takes precedence over the `initialState`.
+    persist: false,
+    // The storage key of the persisted state, defaults to one based on the id of the container
+    persistKey: null,
+    // Renders the items from data instead of reading them from the container: an array, or a function fetching
+    // `count` entries from `offset` which returns them (or a Promise of them). Only the items around the selected
+    // one are kept in the DOM. Items are then replaced through `setDataSource` rather than the item methods.
+    dataSource: null,
+    // The number of entries of a `dataSource` function
+    dataCount: 0,
+    // The number of entries a `dataSource` function fetches at once
+    dataPageSize: 20,
+    // Renders an entry of the `dataSource`, called with the entry, its index and an element to reuse (or null).
+    // Returns the content of the item, as an element or as HTML.
+    renderItem: null,
+    // The number of items kept in the DOM on either side of the visible items of a `dataSource`
+    virtualBuffer: 1,
+    // The timers & clock of the slideshow, see `Slideshow.scheduler`. Replace it to drive the slideshow deterministically in tests.
+    scheduler: null,
+    // Whether or not clicking an item opens it large in a lightbox, see `openLightbox`
+    lightbox: false,
+    // The attribute of an item (or an element within it) holding the large image the lightbox shows instead of a copy of the item
+    fullSrcAttribute: "data-full-src",
+    // Whether or not the lightbox goes fullscreen, staying a fixed overlay if the Fullscreen API is unavailable or refused
+    lightboxFullscreen: true,
+    // The class to give the lightbox overlay
+    lightboxClass: "slideshow-lightbox",
+    // The accessible name of the lightbox
+    lightboxLabel: "Enlarged slides",
+    // Whether or not the images within items can be zoomed by double-clicking or double-tapping, pinching, or using the wheel
+    // while holding the `zoomWheelModifier`, and panned by dragging while zoomed. Combined with the `lightbox`, the images zoom
+    // within the lightbox, as clicking an item opens it
+    zoom: false,
+    // The largest zoom
+    maxZoom: 3,
+    // The zoom a double-click or double-tap toggles
+    doubleTapZoom: 2,
+    // The key to hold for the wheel to zoom: "ctrl" (which trackpad pinches report too), "alt", "shift", "meta", or null to never zoom with the wheel
+    zoomWheelModifier: "ctrl",
+    // The class to give an item while it is zoomed
+    zoomedItemClass: "slideshow-item-zoomed",
+    // Whether or not to log events to the console, and warn about items whose transitions never end or never start
+    debug: false
+};
+
+/**
+ * The built-in effects, see `Slideshow.registerEffect`.
+ */
+Slideshow.effects = {
+    // Items slide in from the side they are on
+    slide: {
+        frame: function(position) {
+            return { transform: this.getTranslation(position * 100) };
+        }
+    },
+    // Items cross-fade in place
+    fade: {
+        frame: function(position) {
+            return { opacity: position == 0 ? 1 : 0, zIndex: position == 0 ? 1 : 0 };
+        }
+    },
+    // Next items slide in over the selected item, which shrinks away into the stack underneath
+    stack: {
+        frame: function(position) {
+            if (position < 0) {
+                return { transform: this.getTranslation(0) + " scale(0.85)", opacity: 0, zIndex: 0 };
             }
+            if (position == 0) {
+                return { transform: this.getTranslation(0) + " scale(1)", opacity: 1, zIndex: 1 };
+            }
+            return { transform: this.getTranslation(100) + " scale(1)", opacity: 1, zIndex: 2 };
         }
+    }
+};
 
-        // Return
-        return children;
+/**
+ * The events which can fire many times a second, and which the `debug` option doesn't log.
+ */
+Slideshow.frequentEvents = ["zoom"];
+
+/**
+ * The `asNavFor` elements whose slideshow has not been constructed yet, with the navigator waiting to link with it.
+ */
+Slideshow.pendingNavLinks = [];
+
+/**
+ * The options which can be read by `Slideshow.autoInit` from `data-slideshow-*` attributes,
+ * mapped to their attribute name (without the prefix) and type. String options which can be switched
+ * on and off also name the value an empty or "true" attribute enables, and take "false" as false.
+ */
+Slideshow.dataAttributes = {
+    indicators: { name: "indicators", type: "string" },
+    itemClass: { name: "item-class", type: "string" },
+    indicatorClass: { name: "indicator-class", type: "string" },
+    loop: { name: "loop", type: "boolean" },
+    loopStrategy: { name: "loop-strategy", type: "string" },
+    shouldDebounce: { name: "debounce", type: "boolean" },
+    transitionPolicy: { name: "policy", type: "string" },
+    jumpStrategy: { name: "jump", type: "string" },
+    shouldAutoTransition: { name: "auto", type: "boolean" },
+    autoTransitionTime: { name: "interval", type: "number" },
+    autoTransitionDelay: { name: "delay", type: "number" },
+    autoTransitionMode: { name: "mode", type: "string" },
+    slidesPerView: { name: "per-view", type: "number" },
+    slidesPerGroup: { name: "per-group", type: "number" },
+    visibleItemClass: { name: "visible-class", type: "string" },
+    selectedIndicatorClass: { name: "selected-indicator-class", type: "string" },
+    prevItemClass: { name: "prev-class", type: "string" },
+    selectedItemClass: { name: "selected-class", type: "string" },
+    nextItemClass: { name: "next-class", type: "string" },
+    transitioningClass: { name: "transitioning-class", type: "string" },
+    notransitionClass: { name: "notransition-class", type: "string" },
+    bindIndicators: { name: "bind-indicators", type: "boolean" },
+    keyboard: { name: "keyboard", type: "boolean" },
+    accessibility: { name: "accessibility", type: "boolean" },
+    label: { name: "label", type: "string" },
+    liveRegion: { name: "live-region", type: "boolean" },
+    swipe: { name: "swipe", type: "boolean" },
+    mouseDrag: { name: "mouse-drag", type: "boolean" },
+    wheel: { name: "wheel", type: "boolean" },
+    dragFollow: { name: "drag-follow", type: "boolean" },
+    swipeDistance: { name: "swipe-distance", type: "number" },
+    swipeVelocity: { name: "swipe-velocity", type: "number" },
+    observeMutations: { name: "observe", type: "boolean" },
+    pauseOnHover: { name: "pause-on-hover", type: "boolean" },
+    pauseOnFocus: { name: "pause-on-focus", type: "boolean" },
+    pauseWhenHidden: { name: "pause-when-hidden", type: "boolean" },
+    pauseWhenOffscreen: { name: "pause-when-offscreen", type: "boolean" },
+    respectReducedMotion: { name: "respect-reduced-motion", type: "boolean" },
+    progressVariable: { name: "progress-variable", type: "boolean" },
+    urlSync: { name: "url", type: "string", enabled: "query" },
+    urlKey: { name: "url-key", type: "string" },
+    urlHistory: { name: "url-history", type: "string" },
+    lazyLoad: { name: "lazy", type: "boolean" },
+    preloadNeighbours: { name: "preload", type: "number" },
+    loadingClass: { name: "loading-class", type: "string" },
+    pauseVideos: { name: "pause-videos", type: "boolean" },
+    asNavFor: { name: "nav-for", type: "string" },
+    activeItemClass: { name: "active-class", type: "string" },
+    thumbnails: { name: "thumbnails", type: "boolean" },
+    effect: { name: "effect", type: "string" },
+    effectDuration: { name: "effect-duration", type: "number" },
+    effectEasing: { name: "effect-easing", type: "string" },
+    orientation: { name: "orientation", type: "string" },
+    direction: { name: "direction", type: "string" },
+    pagination: { name: "pagination", type: "string" },
+    paginationContainer: { name: "pagination-container", type: "string" },
+    fractionFormat: { name: "fraction-format", type: "string" },
+    dynamicBullets: { name: "dynamic-bullets", type: "number" },
+    indicatorTemplate: { name: "indicator-template", type: "string" },
+    autoHeight: { name: "auto-height", type: "boolean" },
+    persist: { name: "persist", type: "string" },
+    persistKey: { name: "persist-key", type: "string" },
+    lightbox: { name: "lightbox", type: "boolean" },
+    lightboxFullscreen: { name: "lightbox-fullscreen", type: "boolean" },
+    zoom: { name: "zoom", type: "boolean" },
+    maxZoom: { name: "max-zoom", type: "number" },
+    debug: { name: "debug", type: "boolean" }
+};
+
+/**
+ * The attributes the slideshow may add or change, which are restored when it is destroyed.
+ */
+Slideshow.managedAttributes = [
+    "role",
+    "tabindex",
+    "inert",
+    "data-index",
+    "aria-roledescription",
+    "aria-label",
+    "aria-hidden",
+    "aria-current",
+    "aria-selected",
+    "aria-controls",
+    "data-slideshow-orientation",
+    "data-slideshow-direction"
+];
+
+/**
+ * The distance in pixels a pointer must move before a drag locks onto an axis.
+ */
+Slideshow.DRAG_LOCK_DISTANCE = 8;
+
+/**
+ * The factor applied to drags past the ends of a slideshow that doesn't loop.
+ */
+Slideshow.DRAG_EDGE_RESISTANCE = 0.3;
+
+/**
+ * The amount of time the wheel must be idle before a new wheel gesture can transition.
+ */
+Slideshow.WHEEL_IDLE_TIME = 200;
+
+/**
+ * The longest time in milliseconds between the taps (or clicks) of a double-tap.
+ */
+Slideshow.DOUBLE_TAP_TIME = 300;
+
+/**
+ * The farthest distance in pixels between the taps (or clicks) of a double-tap.
+ */
+Slideshow.DOUBLE_TAP_DISTANCE = 20;
+
+/**
+ * The zoom below which a pinch (or the wheel) lets go of the zoom entirely.
+ */
+Slideshow.ZOOM_SNAP_SCALE = 1.05;
+
+/**
+ * How much each pixel of wheel movement zooms.
+ */
+Slideshow.WHEEL_ZOOM_FACTOR = 0.01;
+
+/**
+ * The values of the options which take one of a fixed set of values, checked while constructing.
+ */
+Slideshow.optionValues = {
+    loopStrategy: ["flip", "clone"],
+    transitionPolicy: ["drop", "queue", "interrupt"],
+    jumpStrategy: ["sequential", "direct", "shortest"],
+    autoTransitionMode: [null, "forward", "reverse", "pingpong", "once", "shuffle"],
+    orientation: ["horizontal", "vertical"],
+    direction: [null, "ltr", "rtl"],
+    urlSync: [false, null, "hash", "query"],
+    urlHistory: ["replace", "push"],
+    pagination: [null, false, "bullets", "dynamic", "fraction", "progressbar"],
+    persist: [false, null, "session", "local"],
+    zoomWheelModifier: [null, "ctrl", "alt", "shift", "meta"]
+};
+
+/**
+ * The error thrown for a slideshow which can't work as configured, such as when an element given by its id
+ * doesn't exist. The `code` tells the problems apart: "MISSING_ELEMENT", "INVALID_OPTION", "INDICATOR_MISMATCH",
+ * "INVALID_INDEX" (navigating to an index without an item), "NOT_VIRTUAL" (data source methods without a `dataSource`)
+ * or "VIRTUAL_ITEMS" (changing the items of a slideshow which follow a `dataSource`).
+ */
+class SlideshowError extends Error {
+    /**
+     * @param {string} message The description of the problem
+     * @param {string} code The kind of problem
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = "SlideshowError";
+        this.code = code;
     }
+}
+Slideshow.SlideshowError = SlideshowError;
 
-}
\ No newline at end of file
+/**
+ * The default timers & clock of every slideshow. A `scheduler` option must provide the same three functions.
+ */
+Slideshow.scheduler = {
+    setTimeout: function(callback, delay) {
+        return setTimeout(callback, delay);
+    },
+    clearTimeout: function(id) {
+        clearTimeout(id);
+    },
+    now: function() {
+        return Date.now();
+    }
+};
+
+// Expose the class to CommonJS and AMD, or as a global otherwise (including when loaded as an ES module, see slideshow.mjs)
+(function(root) {
+    if (typeof module == "object" && module != null && module.exports) {
+        module.exports = Slideshow;
+    } else if (typeof define == "function" && define.amd) {
+        define([], function() {
+            return Slideshow;
+        });
+    } else if (root != null) {
+        root.Slideshow = Slideshow;
+    }
+})(typeof globalThis != "undefined" ? globalThis : typeof self != "undefined" ? self : this);
\ No newline at end of file
@@ -1,2 +1,2 @@
-class Slideshow{constructor(items,indicators,loop,shouldDebounce,shouldAutoTransition,autoTransitionTime,autoTransitionDelay,selectedIndicatorClass,prevItemClass,selectedItemClass,nextItemClass,transitioningClass,notransitionClass){this.items=items;this.indicators=indicators;this.loop=loop;this.shouldDebounce=shouldDebounce;this.shouldAutoTransition=shouldAutoTransition;this.autoTransitionTime=autoTransitionTime;this.autoTransitionDelay=autoTransitionDelay;this.selectedIndicatorClass=selectedIndicatorClass;this.prevItemClass=prevItemClass;this.selectedItemClass=selectedItemClass;this.nextItemClass=nextItemClass;this.transitioningClass=transitioningClass;this.notransitionClass=notransitionClass;this.transitioning=!1;this.transitioningTimeout=null;this.indicators!=null&&(this.items.length!=this.indicators.length?console.error("Invalid number of indicators! Number of indicators must match number of items."):this.initiateIndicators());this.autoTransitionDirection=1;this.autoTransitionInterval=null;this.autoTransitionTimeout=null;this.startAutoTransition()}initiateIndicators(){for(var i=0;i<this.indicators.length;i++)this.indicators[i].setAttribute("data-index",i)}updateIndicators(selectedIndex){for(var i=0;i<this.indicators.length;i++)i==selectedIndex?this.indicators[i].classList.add(this.selectedIndicatorClass):this.indicators[i].classList.contains(this.selectedIndicatorClass)&&this.indicators[i].classList.remove(this.selectedIndicatorClass)}getSelectedIndex(){for(var i=0;i<this.items.length;i++)if(this.items[i].classList.contains(this.selectedItemClass))return i;return-1}isAtFront(){var selectedIndex=this.getSelectedIndex();return selectedIndex==0?!0:!1}isAtEnd(){var selectedIndex=this.getSelectedIndex();return selectedIndex==this.items.length-1?!0:!1}debounce(){if(this.shouldDebounce){if(this.transitioning)return!0;this.transitioning=!0;this.transitioningTimeout!=null&&clearTimeout(this.transitioningTimeout);var object=this;this.transitioningTimeout=setTimeout(function(){object.transitioning=!1},3e3)}return!1}endDebounce(){this.shouldDebounce&&(this.transitioningTimeout!=null&&clearTimeout(this.transitioningTimeout),this.transitioning=!1)}transitionForward(auto=true){var next,object,selectedLoopTimeout;if(!this.debounce()){this.resetAllTransitioning();!auto&&this.shouldAutoTransition&&this.stopAutoTransition();var selectedIndex=this.getSelectedIndex(),selected=this.items[selectedIndex],looping=!1,nextIndex=selectedIndex+1;if(nextIndex==this.items.length){if(!this.loop){this.endDebounce();return}looping=!0;nextIndex=0}next=this.items[nextIndex];this.updateIndicators(nextIndex);looping&&this.reclauclatePositions(selectedIndex,!0);object=this;this.markTransitioning(selected,!1,function(){looping&&(object.reclauclatePositions(nextIndex),selectedLoopTimeout!=null&&clearTimeout(selectedLoopTimeout))});looping&&(selectedLoopTimeout=setTimeout(function(){object.reclauclatePositions(nextIndex)},3e3));this.markTransitioning(next,!0);selected.classList.remove(this.selectedItemClass);selected.classList.add(this.prevItemClass);next.classList.remove(this.nextItemClass);next.classList.add(this.selectedItemClass)}}transitionBackward(auto=true){var prev,object;if(!this.debounce()){this.resetAllTransitioning();!auto&&this.shouldAutoTransition&&this.stopAutoTransition();var selectedIndex=this.getSelectedIndex(),selected=this.items[selectedIndex],looping=!1,prevIndex=selectedIndex-1;if(prevIndex<0){if(!this.loop){this.endDebounce();return}looping=!0;prevIndex=this.items.length-1}prev=this.items[prevIndex];this.updateIndicators(prevIndex);looping&&this.reclauclatePositions(selectedIndex,!0);object=this;this.markTransitioning(selected,!1,function(){looping&&object.reclauclatePositions(prevIndex)});this.markTransitioning(prev,!0);selected.classList.remove(this.selectedItemClass);selected.classList.add(this.nextItemClass);prev.classList.remove(this.prevItemClass);prev.classList.add(this.selectedItemClass)}}transitionTo(targetIndex){var selectedIndex=this.getSelectedIndex(),selected,target,distance,object;selectedIndex!=targetIndex&&(this.debounce()||(this.resetAllTransitioning(),this.shouldAutoTransition&&this.stopAutoTransition(),this.updateIndicators(targetIndex),selected=this.items[selectedIndex],target=this.items[targetIndex],selectedIndex<targetIndex?(distance=targetIndex-selectedIndex,object=this,this.markTransitioning(selected,!1,function(){object.transitionToPrevLoop(selectedIndex,distance,1,function(){object.markTransitioning(target,!0);target.classList.remove(object.nextItemClass);target.classList.add(object.selectedItemClass)})}),selected.classList.remove(this.selectedItemClass),selected.classList.add(this.prevItemClass)):(distance=selectedIndex-targetIndex,object=this,this.markTransitioning(selected,!1,function(){object.transitionToNextLoop(selectedIndex,distance,1,function(){object.markTransitioning(target,!0);target.classList.remove(object.prevItemClass);target.classList.add(object.selectedItemClass)})}),selected.classList.remove(this.selectedItemClass),selected.classList.add(this.nextItemClass))))}transitionToPrevLoop(selectedIndex,distance,i,callback){if(i>=distance){callback();return}var current=this.items[selectedIndex+i],object=this;this.markTransitioning(current,!1,function(){object.transitionToPrevLoop(selectedIndex,distance,++i,callback)});current.classList.remove(this.nextItemClass);current.classList.add(this.prevItemClass)}transitionToNextLoop(selectedIndex,distance,i,callback){if(i>=distance){callback();return}var current=this.items[selectedIndex-i],object=this;this.markTransitioning(current,!1,function(){object.transitionToNextLoop(selectedIndex,distance,++i,callback)});current.classList.remove(this.prevItemClass);current.classList.add(this.nextItemClass)}startAutoTransition(){this.autoTransitionInterval!=null&&(clearInterval(this.autoTransitionInterval),this.autoTransitionInterval=null);var object=this;this.autoTransitionInterval=setInterval(function(){object.autoTransition()},this.autoTransitionTime)}stopAutoTransition(){this.autoTransitionInterval!=null&&(clearInterval(this.autoTransitionInterval),this.autoTransitionInterval=null);this.autoTransitionTimeout!=null&&(clearTimeout(this.autoTransitionTimeout),this.autoTransitionTimeout=null);var object=this;this.autoTransitionTimeout=setTimeout(function(){object.startAutoTransition();clearTimeout(object.autoTransitionTimeout);object.autoTransitionTimeout=null},this.autoTransitionDelay)}autoTransition(){this.loop?this.transitionForward():(this.isAtEnd()?this.autoTransitionDirection=0:this.isAtFront()&&(this.autoTransitionDirection=1),this.autoTransitionDirection==1?this.transitionForward():this.transitionBackward())}reclauclatePositions(selectedIndex,shouldFlipPositions=false){for(var i=0;i<this.items.length;i++)i!=selectedIndex&&(this.notransitionClass!=null&&this.items[i].classList.add(this.notransitionClass),shouldFlipPositions?i>selectedIndex?(this.items[i].classList.remove(this.nextItemClass),this.items[i].classList.add(this.prevItemClass)):(this.items[i].classList.remove(this.prevItemClass),this.items[i].classList.add(this.nextItemClass)):i<selectedIndex?(this.items[i].classList.remove(this.nextItemClass),this.items[i].classList.add(this.prevItemClass)):(this.items[i].classList.remove(this.prevItemClass),this.items[i].classList.add(this.nextItemClass)),this.items[i].offsetHeight,this.notransitionClass!=null&&this.items[i].classList.remove(this.notransitionClass))}markTransitioning(item,endDebounce,callback=null){if(this.transitioningClass!=null){var backupTimeout,object=this;item.addEventListener("transitionend",function onTransitionEnd(){(item.classList.remove(object.transitioningClass),item.removeEventListener("transitionend",onTransitionEnd),backupTimeout!=null)&&(clearTimeout(backupTimeout),endDebounce&&object.transitioningTimeout!=null&&object.shouldDebounce&&(object.transitioning=!1,clearTimeout(object.transitioningTimeout)),callback!=null&&callback())});backupTimeout=setTimeout(function(){backupTimeout=null;object.transitioningTimeout!=null&&object.shouldDebounce&&(object.transitioning=!1,clearTimeout(object.transitioningTimeout));callback!=null&&callback()},3e3);item.classList.add(this.transitioningClass)}}resetAllTransitioning(){if(this.transitioningClass!=null)for(var i=0;i<this.items.length;i++)this.items[i].classList.contains(this.transitioningClass)&&this.items[i].classList.remove(this.transitioningClass)}static getItemsFromElement(slideshowId,slideshowItemClass){for(var children=Array.from(document.getElementById(slideshowId).children),i=0;i<children.length;i++)children[i].classList.contains(slideshowItemClass)||(children.splice(i,1),i--);return children}}
+class Slideshow{constructor(t,i,e,s,n,o,r,a,l,h,u,d,c){var m;m=Slideshow.isOptionsObject(t)?Slideshow.resolveOptions(t):Slideshow.resolveOptions({items:t,indicators:i,loop:e||!1,shouldDebounce:s||!1,shouldAutoTransition:n||!1,autoTransitionTime:o,autoTransitionDelay:r,selectedIndicatorClass:a,prevItemClass:l,selectedItemClass:h,nextItemClass:u,transitioningClass:void 0===d?null:d,notransitionClass:void 0===c?null:c,bindIndicators:!1,keyboard:!1,accessibility:!1,liveRegion:!1,swipe:!1,mouseDrag:!1,pauseOnHover:!1,pauseOnFocus:!1,pauseWhenHidden:!1,pauseWhenOffscreen:!1,respectReducedMotion:!1,lazyLoad:!1}),this.options=m,this.container=m.container,this.items=m.items,this.indicators=m.indicators,this.indicatorsContainer=m.indicatorsContainer,null==this.indicatorsContainer&&null!=this.indicators&&this.indicators.length>0&&(this.indicatorsContainer=this.indicators[0].parentElement),this.loop=m.loop,this.shouldDebounce=m.shouldDebounce,this.shouldAutoTransition=m.shouldAutoTransition,this.autoTransitionTime=m.autoTransitionTime,this.autoTransitionDelay=m.autoTransitionDelay,this.selectedIndicatorClass=m.selectedIndicatorClass,this.prevItemClass=m.prevItemClass,this.selectedItemClass=m.selectedItemClass,this.nextItemClass=m.nextItemClass,this.transitioningClass=m.transitioningClass,this.notransitionClass=m.notransitionClass,this.virtual=null,null!=m.dataSource&&this.initiateVirtualItems(),this.orientation="vertical"==m.orientation?"vertical":"horizontal",this.direction=this.resolveDirection();var p=this.getLayout(null!=this.container?this.container.clientWidth:0);this.slidesPerView=p.slidesPerView,this.slidesPerGroup=p.slidesPerGroup,this.resizeObserver=null,this.validate(),this.constructing=!0,this.listeners={},this.domListeners=[],this.boundIndicators=[],this.scheduler=m.scheduler||Slideshow.scheduler,this.timeouts=[],this.transitionWatchers=[],this.loopTimeouts=[],this.effect=Slideshow.resolveEffect(m.effect),this.effectProperties=[],this.paused=!1,this.destroyed=!1,this.transitioning=!1,this.transitioningTimeout=null,this.currentTransition=null,this.transitionQueue=[],this.originalAttributes=[],this.rememberedElements=[],this.createdIndicators=[],this.prevControls=this.resolveControls(m.prevControls),this.nextControls=this.resolveControls(m.nextControls),this.rememberAllAttributes(),this.items.length>0&&-1==this.getSelectedIndex()&&(this.debugWarn('no item has the "'+this.selectedItemClass+'" class, selecting the first one.'),this.selectInitially(0));var g=this.readPersistedState()||m.initialState;if(null!=g&&this.selectInitially(g.selectedIndex),this.selectFromUrl(),this.initiatePagination(),null!=this.indicators&&0==this.indicators.length&&null!=this.indicatorsContainer)for(var f=0;f<this.getPageCount();f++){var v=this.createIndicator(f);this.indicators.push(v),this.indicatorsContainer.appendChild(v)}null!=this.indicators&&this.initiateIndicators(),this.updatePagination(this.getSelectedIndex()),this.initiateOrientation(),this.initiateControls(),this.initiateGestures(),this.initiateZoom(),this.initiateAccessibility(),this.initiateObserver(),this.initiateBreakpoints(),this.initiateUrlSync(),this.syncedSlideshows=[],this.syncing=!1,this.activeIndex=-1,this.initiateSync(),this.updateVisibleItems(this.getSelectedIndex()),this.pendingClone=null,this.headClone=null,this.tailClone=null,this.updateClones(),this.updateEffectFrames(),this.pausedVideos=[],this.updateVirtualWindow(this.getSelectedIndex()),this.initiateVirtual(),this.updateMedia(this.getSelectedIndex()),this.initiateAutoHeight(),this.initiateLightbox(),this.autoTransitionDirection=1,this.autoTransitionTimer=null,this.autoTransitionTimeout=null,this.autoTransitionMode=m.autoTransitionMode||(this.loop?"forward":"pingpong"),this.autoTransitionRunning=!1,this.autoTransitionEnded=!1,this.autoTransitionDuration=this.autoTransitionTime,this.autoTransitionRemaining=this.autoTransitionTime,this.autoTransitionStarted=0,this.shuffleQueue=[],this.autoTransitionHolds=[],this.initiateAutoTransitionConditions(),this.shouldAutoTransition&&this.startAutoTransition(),null!=g&&this.applyAutoTransitionState(g.autoTransition),this.initiatePersistence(),this.constructing=!1,null!=this.container&&(this.container.slideshow=this,this.linkPendingNavigators())}validate(){for(var t in Slideshow.optionValues){var i=Slideshow.optionValues[t];if(-1==i.indexOf(this.options[t]))throw new SlideshowError("Slideshow: invalid "+t+" "+JSON.stringify(this.options[t])+", expected one of "+i.map(function(t){return JSON.stringify(t)}).join(", ")+".","INVALID_OPTION")}if(null!=this.options.effect)for(var e=[0].concat(Object.keys(this.options.breakpoints||{}).map(Number)),s=0;s<e.length;s++){var n=this.getLayout(e[s]).slidesPerView;if(n>1)throw new SlideshowError("Slideshow: the effect option can't be combined with a slidesPerView of "+n+", as effects show one item at a time.","INVALID_OPTION")}if(null!=this.indicators&&(0!=this.indicators.length||null==this.indicatorsContainer)&&this.indicators.length!=this.getPageCount())throw new SlideshowError("Slideshow: found "+this.indicators.length+" indicators for "+this.getPageCount()+" pages. The number of indicators must match the number of pages (or items, if one item is visible at a time).","INDICATOR_MISMATCH")}debugLog(t,i){this.options.debug&&(void 0===i?console.log(this.getDebugPrefix()+t):console.log(this.getDebugPrefix()+t,i))}debugWarn(t){this.options.debug&&console.warn(this.getDebugPrefix()+t)}getDebugPrefix(){return"Slideshow"+(null!=this.container&&this.container.id?" #"+this.container.id:"")+": "}reportMissedTransition(t){if(this.options.debug){for(var i=this.items.indexOf(t),e=getComputedStyle(t),s=e.transitionProperty.split(","),n=e.transitionDuration.split(","),o=e.transitionDelay.split(","),r=[],a=0;a<s.length;a++){var l=Slideshow.parseTime(n[a%n.length])+Slideshow.parseTime(o[a%o.length]);l>0&&r.push(s[a].trim()+" ("+l+"ms)")}0==r.length?this.debugWarn("item "+i+' waited out the 3000ms backup timeout, as it has no transition while it has the "'+this.transitioningClass+'" class. Give the position classes a transition, or set transitioningClass to null.'):this.debugWarn("item "+i+" waited out the 3000ms backup timeout, as transitionend never fired for "+r.join(", ")+". Check that the position classes change these properties and that the transition is shorter than 3000ms.")}}on(t,i){return null==this.listeners[t]&&(this.listeners[t]=[]),this.listeners[t].push(i),this}off(t,i){var e=this.listeners[t];if(null==e)return this;for(var s=0;s<e.length;s++)if(e[s]==i||e[s].listener==i){e.splice(s,1);break}return this}once(t,i){var e=this,s=function(n){return e.off(t,s),i.call(this,n)};return s.listener=i,this.on(t,s)}emit(t,i={},e=!1){if(-1==Slideshow.frequentEvents.indexOf(t)&&this.debugLog(t,i),this.constructing)return!0;var s;(s="function"==typeof CustomEvent?new CustomEvent("slideshow:"+t,{detail:i,bubbles:!0,cancelable:e}):{type:"slideshow:"+t,detail:i,cancelable:e,defaultPrevented:!1,preventDefault:function(){this.cancelable&&(this.defaultPrevented=!0)}}).slideshow=this;for(var n=(this.listeners[t]||[]).slice(),o=0;o<n.length;o++)try{!1===n[o].call(this,s)&&s.preventDefault()}catch(t){Slideshow.reportError(t)}return null!=this.container&&"function"==typeof this.container.dispatchEvent&&"function"==typeof CustomEvent&&this.container.dispatchEvent(s),!s.defaultPrevented}schedule(t,i){var e=this,s=!1,n=this.scheduler.setTimeout(function(){s=!0;var i=e.timeouts.indexOf(n);-1!=i&&e.timeouts.splice(i,1),t()},i);return s||this.timeouts.push(n),n}unschedule(t){this.scheduler.clearTimeout(t);var i=this.timeouts.indexOf(t);-1!=i&&this.timeouts.splice(i,1)}destroy(){if(!this.destroyed){for(this.emit("destroy"),this.closeLightbox(),this.resetZoom(),this.destroyed=!0,null!=this.currentTransition&&(this.currentTransition.cancelled=!0,this.rejectTransitionRequests(this.currentTransition.requests,"destroyed"),this.currentTransition=null),this.rejectTransitionRequests(this.transitionQueue.splice(0),"destroyed");this.timeouts.length>0;)this.scheduler.clearTimeout(this.timeouts.pop());for(null!=this.progressFrame&&(cancelAnimationFrame(this.progressFrame),this.progressFrame=null),this.autoTransitionTimer=null,this.autoTransitionTimeout=null,this.autoTransitionRunning=!1,this.transitioningTimeout=null,this.wheelTimeout=null,this.transitioning=!1,this.removeTransitionWatchers();this.domListeners.length>0;){var t=this.domListeners.pop();t.target.removeEventListener(t.type,t.listener,t.options)}null!=this.observer&&(this.observer.disconnect(),this.observer=null),null!=this.intersectionObserver&&(this.intersectionObserver.disconnect(),this.intersectionObserver=null),null!=this.resizeObserver&&(this.resizeObserver.disconnect(),this.resizeObserver=null),null!=this.heightObserver&&(this.heightObserver.disconnect(),this.heightObserver=null),null!=this.heightAnimation&&(this.heightAnimation.cancel(),this.heightAnimation=null),this.listeners={},this.drag=null;for(var i=0;i<this.items.length;i++){null!=this.transitioningClass&&this.items[i].classList.remove(this.transitioningClass),null!=this.notransitionClass&&this.items[i].classList.remove(this.notransitionClass),this.items[i].style.translate="",this.items[i].style.removeProperty("--slideshow-slot"),null!=this.options.visibleItemClass&&this.items[i].classList.remove(this.options.visibleItemClass),null!=this.options.loadingClass&&this.items[i].classList.remove(this.options.loadingClass);for(var e=0;e<this.effectProperties.length;e++)this.items[i].style[this.effectProperties[e]]=""}for(this.pausedVideos=[];this.syncedSlideshows.length>0;)this.unsync(this.syncedSlideshows[0]);var s=this;Slideshow.pendingNavLinks=Slideshow.pendingNavLinks.filter(function(t){return t.navigator!=s}),this.setActiveItem(-1),null!=this.container&&(null!=this.options.draggingClass&&this.container.classList.remove(this.options.draggingClass),this.container.style.removeProperty("--slideshow-drag-offset"),this.container.style.touchAction=this.originalTouchAction,this.container.style.removeProperty("--slideshow-progress"),this.container.style.removeProperty("--slideshow-per-view"),this.options.autoHeight&&(this.container.style.height=""),this.container.slideshow==this&&delete this.container.slideshow),null!=this.liveRegion&&null!=this.liveRegion.parentNode&&this.liveRegion.parentNode.removeChild(this.liveRegion),this.liveRegion=null,this.removeClones();for(i=0;i<this.createdIndicators.length;i++)null!=this.createdIndicators[i].parentNode&&this.createdIndicators[i].parentNode.removeChild(this.createdIndicators[i]);if(this.createdIndicators=[],null!=this.pagination){if(this.createdPagination)this.pagination.parentNode.removeChild(this.pagination);else{for(i=0;i<this.paginationParts.length;i++)this.pagination.removeChild(this.paginationParts[i]);null!=this.options.paginationClass&&this.pagination.classList.remove(this.options.paginationClass),this.pagination.removeAttribute("data-slideshow-pagination"),this.pagination.style.removeProperty("--slideshow-pagination-progress")}this.pagination=null,this.paginationParts=[]}this.restoreAttributes()}}rememberAttributes(t){if(null!=t&&-1==this.rememberedElements.indexOf(t)){this.rememberedElements.push(t);for(var i=0;i<Slideshow.managedAttributes.length;i++)this.originalAttributes.push({element:t,name:Slideshow.managedAttributes[i],value:t.getAttribute(Slideshow.managedAttributes[i])})}}restoreAttributes(t=null){for(var i=[],e=0;e<this.originalAttributes.length;e++){var s=this.originalAttributes[e];null==t||s.element==t?(null==s.value?s.element.removeAttribute(s.name):s.element.setAttribute(s.name,s.value),"inert"==s.name&&(s.element.inert=null!=s.value)):i.push(s)}this.originalAttributes=i,null==t?this.rememberedElements=[]:-1!=this.rememberedElements.indexOf(t)&&this.rememberedElements.splice(this.rememberedElements.indexOf(t),1)}rememberAllAttributes(){this.rememberAttributes(this.container);for(var t=this.items.concat(this.indicators||[],this.prevControls,this.nextControls),i=0;i<t.length;i++)this.rememberAttributes(t[i])}listen(t,i,e,s=!1){t.addEventListener(i,e,s),this.domListeners.push({target:t,type:i,listener:e,options:s})}initiateIndicators(){for(var t=this,i=0;i<this.indicators.length;i++)this.indicators[i].setAttribute("data-index",i),this.options.accessibility&&Slideshow.hasGeneratedLabel(this.indicators[i],/^Go to (slide|page) \d+$/)&&this.indicators[i].setAttribute("aria-label",(this.isGrouped()?"Go to page ":"Go to slide ")+(i+1)),this.options.bindIndicators&&-1==this.boundIndicators.indexOf(this.indicators[i])&&(this.boundIndicators.push(this.indicators[i]),this.listen(this.indicators[i],"click",function(i){i.preventDefault(),t.transitionToPage(parseInt(this.getAttribute("data-index"),10))}))}initiateControls(){for(var t=this,i=0;i<this.prevControls.length;i++)this.initiateControl(this.prevControls[i],"Previous slide",function(i){i.preventDefault(),t.transitionBackward(!1)});for(i=0;i<this.nextControls.length;i++)this.initiateControl(this.nextControls[i],"Next slide",function(i){i.preventDefault(),t.transitionForward(!1)});this.options.keyboard&&null!=this.container&&(this.container.hasAttribute("tabindex")||this.container.setAttribute("tabindex","0"),this.listen(this.container,"keydown",function(i){t.onKeyDown(i)}))}initiateControl(t,i,e){this.options.accessibility&&(t.hasAttribute("aria-label")||t.setAttribute("aria-label",i),null!=this.container&&this.container.id&&t.setAttribute("aria-controls",this.container.id)),this.listen(t,"click",e)}resolveControls(t){return null==t?[]:"string"==typeof t?null!=this.container?Array.from(this.container.querySelectorAll(t)):[]:void 0===t.length?[t]:Array.from(t)}resolveDirection(){if("ltr"==this.options.direction||"rtl"==this.options.direction)return this.options.direction;if(null==this.container)return"ltr";var t=this.container.closest("[dir]");return null!=t&&/^(ltr|rtl)$/i.test(t.getAttribute("dir"))?t.getAttribute("dir").toLowerCase():"function"==typeof getComputedStyle&&"rtl"==getComputedStyle(this.container).direction?"rtl":"ltr"}initiateOrientation(){null!=this.container&&(this.container.setAttribute("data-slideshow-orientation",this.orientation),this.container.setAttribute("data-slideshow-direction",this.direction))}isReversed(){return"horizontal"==this.orientation&&"rtl"==this.direction}getTranslation(t){return this.isReversed()&&(t=-t),("vertical"==this.orientation?"translateY(":"translateX(")+t+"%)"}initiateGestures(){if(this.drag=null,this.wheelDelta=0,this.wheelLocked=!1,this.wheelTimeout=null,null!=this.container){this.originalTouchAction=this.container.style.touchAction||"";var t=this;(this.options.swipe||this.options.mouseDrag)&&(this.container.style.touchAction="vertical"==this.orientation?"pan-x":"pan-y",this.listen(this.container,"pointerdown",function(i){t.onPointerDown(i)}),this.listen(this.container,"pointermove",function(i){t.onPointerMove(i)}),this.listen(this.container,"pointerup",function(i){t.onPointerUp(i,!1)}),this.listen(this.container,"pointercancel",function(i){t.onPointerUp(i,!0)}),this.listen(this.container,"dragstart",function(t){t.preventDefault()})),(this.options.swipe||this.options.mouseDrag||this.isZoomEnabled())&&this.listen(this.container,"click",function(i){t.suppressClick&&(t.suppressClick=!1,i.preventDefault(),i.stopPropagation())},!0),this.options.wheel&&this.listen(this.container,"wheel",function(i){t.onWheel(i)},{passive:!1})}}onPointerDown(t){t.isPrimary&&0==t.button&&("mouse"==t.pointerType?this.options.mouseDrag:this.options.swipe)&&null==this.zoom&&(this.suppressClick=!1,this.drag={pointerId:t.pointerId,startX:t.clientX,startY:t.clientY,startTime:this.scheduler.now(),offset:0,dragging:!1,item:this.items[this.getSelectedIndex()]})}onPointerMove(t){var i=this.drag;if(null!=i&&t.pointerId==i.pointerId){var e="vertical"==this.orientation,s=e?t.clientY-i.startY:t.clientX-i.startX,n=e?t.clientX-i.startX:t.clientY-i.startY;if(!i.dragging){if(Math.abs(s)<Slideshow.DRAG_LOCK_DISTANCE&&Math.abs(n)<Slideshow.DRAG_LOCK_DISTANCE)return;if(Math.abs(n)>Math.abs(s))return void(this.drag=null);i.dragging=!0,null!=this.container.setPointerCapture&&this.container.setPointerCapture(t.pointerId),null!=this.options.draggingClass&&this.container.classList.add(this.options.draggingClass),null!=i.item&&null!=this.notransitionClass&&i.item.classList.add(this.notransitionClass)}var o=this.isReversed()?s<0:s>0;!this.loop&&0!=s&&(o&&this.isAtFront()||!o&&this.isAtEnd())&&(s*=Slideshow.DRAG_EDGE_RESISTANCE),i.offset=s,this.setDragOffset(i.item,s),t.preventDefault()}}onPointerUp(t,i){var e=this.drag;if(null!=e&&t.pointerId==e.pointerId&&(this.drag=null,e.dragging&&(null!=this.options.draggingClass&&this.container.classList.remove(this.options.draggingClass),null!=e.item&&null!=this.notransitionClass&&e.item.classList.remove(this.notransitionClass),this.setDragOffset(e.item,0),this.suppressClick=!0,!i))){var s=Math.abs(e.offset),n=s/Math.max(this.scheduler.now()-e.startTime,1);(s>=this.options.swipeDistance||s>=Slideshow.DRAG_LOCK_DISTANCE&&n>=this.options.swipeVelocity)&&this.commitGesture(e.offset)}}onWheel(t){if(null==this.zoom&&!this.isZoomWheel(t)){var i="vertical"==this.orientation,e=i?t.deltaY:t.deltaX;if(!(Math.abs(e)<=Math.abs(i?t.deltaX:t.deltaY))){t.preventDefault(),null!=this.wheelTimeout&&this.unschedule(this.wheelTimeout);var s=this;this.wheelTimeout=this.schedule(function(){s.wheelTimeout=null,s.wheelLocked=!1,s.wheelDelta=0},Slideshow.WHEEL_IDLE_TIME),this.wheelLocked||(this.wheelDelta-=e,Math.abs(this.wheelDelta)>=this.options.swipeDistance&&(this.wheelLocked=!0,this.commitGesture(this.wheelDelta)))}}}commitGesture(t){t<0!=this.isReversed()?this.transitionForward(!1):this.transitionBackward(!1)}setDragOffset(t,i){0==i?this.container.style.removeProperty("--slideshow-drag-offset"):this.container.style.setProperty("--slideshow-drag-offset",i+"px"),this.options.dragFollow&&null!=t&&(t.style.translate=0==i?"":"vertical"==this.orientation?"0 "+i+"px":i+"px 0")}initiateZoom(){if(this.zoom=null,this.zoomPointers=[],this.zoomGesture=null,this.lastTap=null,this.isZoomEnabled()&&null!=this.container){""==this.container.style.touchAction&&(this.container.style.touchAction="pan-x pan-y"),this.zoomTouchAction=this.container.style.touchAction;var t=this;this.listen(this.container,"pointerdown",function(i){t.onZoomPointerDown(i)}),this.listen(this.container,"pointermove",function(i){t.onZoomPointerMove(i)}),this.listen(this.container,"pointerup",function(i){t.onZoomPointerUp(i,!1)}),this.listen(this.container,"pointercancel",function(i){t.onZoomPointerUp(i,!0)}),this.listen(this.container,"wheel",function(i){t.onZoomWheel(i)},{passive:!1})}}onZoomPointerDown(t){if("mouse"!=t.pointerType||0==t.button){var i=this.getZoomItem(t.target);if(t.isPrimary&&(this.zoomPointers=[],this.zoomGesture=null),null!=i){if(this.zoomPointers.push({pointerId:t.pointerId,x:t.clientX,y:t.clientY,startX:t.clientX,startY:t.clientY}),2==this.zoomPointers.length)null!=this.drag&&this.onPointerUp({pointerId:this.drag.pointerId},!0),this.zoomGesture={type:"pinch",item:i,distance:Math.max(this.getPinchDistance(),1),scale:null!=this.zoom&&this.zoom.item==i?this.zoom.scale:1};else{if(1!=this.zoomPointers.length||null==this.zoom||this.zoom.item!=i)return;this.zoomGesture={type:"pan",x:this.zoom.x,y:this.zoom.y,moved:!1}}null!=this.container.setPointerCapture&&this.container.setPointerCapture(t.pointerId)}}}onZoomPointerMove(t){var i=this.getZoomPointer(t.pointerId);if(null!=i){i.x=t.clientX,i.y=t.clientY;var e=this.zoomGesture;if(null!=e){if("pinch"==e.type&&this.zoomPointers.length>=2){var s=(this.zoomPointers[0].x+this.zoomPointers[1].x)/2,n=(this.zoomPointers[0].y+this.zoomPointers[1].y)/2;this.zoomItem(e.item,e.scale*this.getPinchDistance()/e.distance,s,n,!1)}else{if("pan"!=e.type||null==this.zoom)return;var o=i.x-i.startX,r=i.y-i.startY;if(!e.moved&&Math.abs(o)<Slideshow.DRAG_LOCK_DISTANCE&&Math.abs(r)<Slideshow.DRAG_LOCK_DISTANCE)return;e.moved=!0,this.zoom.x=e.x+o,this.zoom.y=e.y+r,this.applyZoom()}t.preventDefault()}}}onZoomPointerUp(t,i){var e=this.getZoomPointer(t.pointerId);if(null!=e){this.zoomPointers.splice(this.zoomPointers.indexOf(e),1);var s=this.zoomGesture;if(null==s||"pinch"!=s.type)if(this.zoomGesture=null,null!=s&&s.moved)this.suppressClick=!0;else{var n=Math.abs(e.x-e.startX)>=Slideshow.DRAG_LOCK_DISTANCE||Math.abs(e.y-e.startY)>=Slideshow.DRAG_LOCK_DISTANCE;if(i||n||this.zoomPointers.length>0)this.lastTap=null;else{var o=this.scheduler.now(),r=this.lastTap;if(null!=r&&o-r.time<=Slideshow.DOUBLE_TAP_TIME&&Math.abs(e.x-r.x)<Slideshow.DOUBLE_TAP_DISTANCE&&Math.abs(e.y-r.y)<Slideshow.DOUBLE_TAP_DISTANCE){this.lastTap=null;var a=this.getZoomItem(t.target);null!=this.zoom?this.resetZoom():null!=a&&this.zoomItem(a,this.options.doubleTapZoom,e.x,e.y),t.preventDefault()}else this.lastTap={time:o,x:e.x,y:e.y}}}else this.zoomPointers.length<2&&(this.zoomGesture=null,this.lastTap=null,null!=this.zoom&&this.zoom.scale<=Slideshow.ZOOM_SNAP_SCALE&&this.resetZoom(),this.suppressClick=!0)}}onZoomWheel(t){if(this.isZoomWheel(t)){var i=this.getZoomItem(t.target);if(null!=i){t.preventDefault();var e=null!=this.zoom&&this.zoom.item==i?this.zoom.scale:1;this.zoomItem(i,e*Math.exp(-t.deltaY*Slideshow.WHEEL_ZOOM_FACTOR),t.clientX,t.clientY)}}}isZoomWheel(t){return this.isZoomEnabled()&&null!=this.options.zoomWheelModifier&&1==t[this.options.zoomWheelModifier+"Key"]}isZoomEnabled(){return this.options.zoom&&!this.options.lightbox}getZoomItem(t){for(var i=0;i<this.items.length;i++)if(this.items[i].contains(t))return null!=Slideshow.getItemImage(this.items[i])?this.items[i]:null;return null}getZoomPointer(t){for(var i=0;i<this.zoomPointers.length;i++)if(this.zoomPointers[i].pointerId==t)return this.zoomPointers[i];return null}getPinchDistance(){return Math.hypot(this.zoomPointers[1].x-this.zoomPointers[0].x,this.zoomPointers[1].y-this.zoomPointers[0].y)}zoomItem(t,i,e=null,s=null,n=!0){var o=Slideshow.getItemImage(t);if(null!=o&&!this.destroyed){if(null!=this.zoom&&this.zoom.item!=t&&this.resetZoom(),i=Math.max(1,Math.min(i,this.options.maxZoom)),null==this.zoom){if(i<=1)return;this.zoom={item:t,image:o,scale:1,emittedScale:1,x:0,y:0,transform:o.style.transform},null!=this.options.zoomedItemClass&&t.classList.add(this.options.zoomedItemClass),this.container.style.touchAction="none",this.holdAutoTransition("zoom")}var r=this.zoom,a=o.getBoundingClientRect(),l=null!=e?e-(a.left+a.width/2-r.x):0,h=null!=s?s-(a.top+a.height/2-r.y):0;r.x=l-(l-r.x)*i/r.scale,r.y=h-(h-r.y)*i/r.scale,r.scale=i,i<=1||n&&i<=Slideshow.ZOOM_SNAP_SCALE?this.resetZoom():this.applyZoom()}}applyZoom(){var t=this.zoom,i=(t.scale-1)*t.image.offsetWidth/2,e=(t.scale-1)*t.image.offsetHeight/2;t.x=Math.max(-i,Math.min(t.x,i)),t.y=Math.max(-e,Math.min(t.y,e)),t.image.style.transform="translate("+t.x+"px, "+t.y+"px) scale("+t.scale+")",t.scale!=t.emittedScale&&(t.emittedScale=t.scale,this.emit("zoom",{index:this.items.indexOf(t.item),scale:t.scale}))}updateZoom(t){null!=this.zoom&&this.items.indexOf(this.zoom.item)!=t&&this.resetZoom()}resetZoom(){var t=this.zoom;null!=t&&(this.zoom=null,this.zoomGesture=null,t.image.style.transform=t.transform,null!=this.options.zoomedItemClass&&t.item.classList.remove(this.options.zoomedItemClass),null!=this.container&&(this.container.style.touchAction=this.zoomTouchAction),this.releaseAutoTransition("zoom"),this.emit("zoom",{index:this.items.indexOf(t.item),scale:1}))}isZoomed(){return null!=this.zoom}onKeyDown(t){var i=t.target;if((null==i||!i.isContentEditable&&!/^(INPUT|TEXTAREA|SELECT)$/.test(i.tagName))&&!(t.altKey||t.ctrlKey||t.metaKey)){var e=t.key;switch("vertical"==this.orientation?e="ArrowUp"==e?"Backward":"ArrowDown"==e?"Forward":e:"ArrowLeft"!=e&&"ArrowRight"!=e||(e="ArrowRight"==e!=this.isReversed()?"Forward":"Backward"),e){case"Backward":this.transitionBackward(!1);break;case"Forward":this.transitionForward(!1);break;case"Home":if(0==this.items.length)return;this.transitionTo(0);break;case"End":if(0==this.items.length)return;this.transitionTo(this.getMaxSelectedIndex());break;default:return}t.preventDefault()}}initiateAccessibility(){if(this.liveRegion=null,this.options.accessibility&&null!=this.container){this.container.hasAttribute("role")||this.container.setAttribute("role","region"),this.container.setAttribute("aria-roledescription","carousel"),null==this.options.label||this.container.hasAttribute("aria-label")||this.container.setAttribute("aria-label",this.options.label),this.labelItems(),this.options.liveRegion&&(this.liveRegion=document.createElement("div"),this.liveRegion.setAttribute("aria-live","polite"),this.liveRegion.setAttribute("aria-atomic","true"),this.liveRegion.style.cssText="position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;",this.container.appendChild(this.liveRegion));var t=this.getSelectedIndex();this.updateIndicators(t),this.updateAccessibility(t,!1)}}labelItems(){if(this.options.accessibility)for(var t=0;t<this.items.length;t++)this.items[t].hasAttribute("role")||this.items[t].setAttribute("role","group"),this.items[t].setAttribute("aria-roledescription","slide"),Slideshow.hasGeneratedLabel(this.items[t],/^\d+ of \d+$/)&&this.items[t].setAttribute("aria-label",t+1+" of "+this.items.length)}updateAccessibility(t,i=!0){if(this.options.accessibility){for(var e=0;e<this.items.length;e++)this.isVisible(e,t)?(this.items[e].removeAttribute("aria-hidden"),this.items[e].inert=!1,this.items[e].removeAttribute("inert")):(this.items[e].setAttribute("aria-hidden","true"),this.items[e].inert=!0,this.items[e].setAttribute("inert",""));i&&null!=this.liveRegion&&(this.liveRegion.textContent=this.options.announcement.replace("{index}",t+1).replace("{count}",this.items.length))}}initiatePagination(){this.pagination=null,this.paginationParts=[],this.createdPagination=!1;var t=this.options.pagination;if(null!=t&&null!=this.container){var i=this.options.paginationContainer;switch("string"==typeof i&&(i=document.getElementById(i)),null==i&&(i=document.createElement("div"),this.container.appendChild(i),this.createdPagination=!0),null!=this.options.paginationClass&&i.classList.add(this.options.paginationClass),i.setAttribute("data-slideshow-pagination",t),this.pagination=i,t){case"bullets":case"dynamic":this.indicators=[],this.indicatorsContainer=i;break;case"fraction":this.createPaginationPart("slideshow-pagination-fraction");break;case"progressbar":var e=this.createPaginationPart("slideshow-pagination-progress");e.setAttribute("role","progressbar"),e.setAttribute("aria-valuemin","1"),this.options.accessibility&&e.setAttribute("aria-label","Slide progress");break;default:throw new SlideshowError("Slideshow: unknown pagination type "+JSON.stringify(t)+".","INVALID_OPTION")}}}createPaginationPart(t){var i=document.createElement("span");return i.className=t,this.pagination.appendChild(i),this.paginationParts.push(i),i}updatePagination(t){if(null!=this.pagination){var i=this.getPageCount(),e=t<0?0:this.getPageOfIndex(t);switch(this.options.pagination){case"fraction":this.paginationParts[0].textContent=this.options.fractionFormat.replace("{current}",i>0?e+1:0).replace("{total}",i);break;case"progressbar":var s=i>0?(e+1)/i:0,n=this.paginationParts[0];n.style.transform=("vertical"==this.orientation?"scaleY(":"scaleX(")+s+")",n.setAttribute("aria-valuemax",i),n.setAttribute("aria-valuenow",e+1),this.pagination.style.setProperty("--slideshow-pagination-progress",s);break;case"dynamic":for(var o=Math.min(Math.max(1,this.options.dynamicBullets),this.indicators.length),r=Math.max(0,Math.min(e-Math.floor(o/2),this.indicators.length-o)),a=0;a<this.indicators.length;a++){var l=a<r||a>=r+o;null!=this.options.hiddenIndicatorClass&&this.indicators[a].classList.toggle(this.options.hiddenIndicatorClass,l),this.indicators[a].style.setProperty("--slideshow-indicator-distance",Math.abs(a-e))}}}}renderIndicatorTemplate(t){var i=this.options.indicatorTemplate;if("string"==typeof i&&"#"==i.charAt(0)){var e=i;if(null==(i=document.querySelector(e)))throw new SlideshowError('Slideshow: there is no indicator template matching "'+e+'".',"MISSING_ELEMENT")}var s="string"==typeof i?i:i.innerHTML;return Slideshow.toElement(s.replace(/\{index\}/g,t+1).replace(/\{count\}/g,this.getPageCount()),"indicatorTemplate")}updateIndicators(t){if(this.updatePagination(t),null!=this.indicators){t=t<0?-1:this.getPageOfIndex(t);for(var i=0;i<this.indicators.length;i++)if(i==t?this.indicators[i].classList.add(this.selectedIndicatorClass):this.indicators[i].classList.contains(this.selectedIndicatorClass)&&this.indicators[i].classList.remove(this.selectedIndicatorClass),this.options.accessibility){var e="tab"==this.indicators[i].getAttribute("role")?"aria-selected":"aria-current";i==t?this.indicators[i].setAttribute(e,"true"):"aria-selected"==e?this.indicators[i].setAttribute(e,"false"):this.indicators[i].removeAttribute(e)}}}updateVisibleItems(t){for(var i=0;i<this.items.length;i++)this.isVisible(i,t)?(null!=this.options.visibleItemClass&&this.items[i].classList.add(this.options.visibleItemClass),this.items[i].style.setProperty("--slideshow-slot",i-t)):(null!=this.options.visibleItemClass&&this.items[i].classList.remove(this.options.visibleItemClass),this.items[i].style.removeProperty("--slideshow-slot"));null!=this.container&&this.container.style.setProperty("--slideshow-per-view",this.slidesPerView)}isVisible(t,i){return t>=i&&t<i+this.slidesPerView}updateMedia(t){if(-1!=t&&!this.destroyed){if(this.options.lazyLoad)for(var i=this.items.length,e=Math.max(0,this.options.preloadNeighbours),s=Math.min(t+this.slidesPerView-1+e,t+i-1),n=Math.max(t-e,s-i+1);n<=s;n++){var o=n;if(o<0||o>=i){if(!this.loop)continue;o=(o%i+i)%i}this.loadItem(this.items[o]),0==o&&null!=this.tailClone?this.loadItem(this.tailClone):o==i-1&&null!=this.headClone&&this.loadItem(this.headClone)}if(this.options.pauseVideos)for(n=0;n<this.items.length;n++)for(var r=this.items[n].querySelectorAll("video"),a=this.isVisible(n,t),l=0;l<r.length;l++){var h=r[l],u=this.pausedVideos.indexOf(h);if(a){if(-1!=u){this.pausedVideos.splice(u,1);var d=h.play();null!=d&&"function"==typeof d.catch&&d.catch(function(){})}}else-1!=u||h.paused&&!h.autoplay||(this.pausedVideos.push(h),h.pause())}}}loadItem(t){var i=Array.prototype.slice.call(t.querySelectorAll("[data-src], [data-srcset], [data-bg]"));if(t.matches("[data-src], [data-srcset], [data-bg]")&&i.unshift(t),0!=i.length){var e=this,s=0,n=function(){if(!(--s>0||e.destroyed)){null!=e.options.loadingClass&&t.classList.remove(e.options.loadingClass);var i=e.items.indexOf(t);-1!=i&&e.emit("itemload",{index:i,item:t})}},o=function(t){var i="video"==t.tagName.toLowerCase();if(!i||"none"!=t.getAttribute("preload")||t.autoplay){s++;var e=function(){t.removeEventListener("load",e),t.removeEventListener("loadedmetadata",e),t.removeEventListener("error",e),n()};t.addEventListener(i?"loadedmetadata":"load",e),t.addEventListener("error",e)}};null!=this.options.loadingClass&&t.classList.add(this.options.loadingClass),s++;for(var r=[],a=0;a<i.length;a++){var l=i[a],h=l.tagName.toLowerCase();if(l.hasAttribute("data-bg")){var u=new Image;o(u),u.src=l.getAttribute("data-bg"),l.style.backgroundImage='url("'+l.getAttribute("data-bg")+'")',l.removeAttribute("data-bg")}if(l.hasAttribute("data-src")||l.hasAttribute("data-srcset")){if("source"==h){var d=l.parentElement;null!=d&&"video"==d.tagName.toLowerCase()&&-1==r.indexOf(d)&&r.push(d)}else"img"!=h&&"iframe"!=h&&"video"!=h||o(l);l.hasAttribute("data-srcset")&&(l.setAttribute("srcset",l.getAttribute("data-srcset")),l.removeAttribute("data-srcset")),l.hasAttribute("data-src")&&(l.setAttribute("src",l.getAttribute("data-src")),l.removeAttribute("data-src"))}}for(a=0;a<r.length;a++)o(r[a]),r[a].load();n()}}initiateAutoHeight(){if(this.heightAnimation=null,this.heightObserver=null,this.options.autoHeight&&null!=this.container){var t=this;this.on("change",function(i){t.updateHeight(i.detail.to,!0,!1)}),this.on("afterchange",function(i){t.updateHeight(i.detail.to,!0,!0)});var i=function(){null==t.currentTransition&&t.updateHeight(t.getSelectedIndex(),!1,!0)};if(this.on("itemschange",i),this.on("breakpoint",i),this.listen(this.container,"load",i,!0),null!=document.fonts&&"function"==typeof document.fonts.addEventListener&&this.listen(document.fonts,"loadingdone",i),"function"==typeof ResizeObserver){this.heightObserver=new ResizeObserver(i);for(var e=0;e<this.items.length;e++)this.heightObserver.observe(this.items[e])}this.updateHeight(this.getSelectedIndex(),!1,!0)}}updateHeight(t,i,e){if(!(!this.options.autoHeight||null==this.container||this.destroyed||t<0)){for(var s=0,n=t;n<Math.min(t+this.slidesPerView,this.items.length);n++)s=Math.max(s,this.items[n].offsetHeight);if(0!=s){var o=getComputedStyle(this.container),r=parseFloat(o.paddingTop)+parseFloat(o.paddingBottom)+parseFloat(o.borderTopWidth)+parseFloat(o.borderBottomWidth)||0,a="border-box"==o.boxSizing?0:r;s+=this.getOtherChildrenHeight()+r;var l=this.container.offsetHeight;s==l||s<l&&!e||(null!=this.heightAnimation&&(this.heightAnimation.cancel(),this.heightAnimation=null),this.container.style.height=s-a+"px",i&&this.options.effectDuration>0&&"function"==typeof this.container.animate&&(this.heightAnimation=this.container.animate([{height:Math.max(0,l-a)+"px"},{height:s-a+"px"}],{duration:this.options.effectDuration,easing:this.options.effectEasing})))}}}getOtherChildrenHeight(){for(var t=0,i=0;i<this.container.children.length;i++){var e=this.container.children[i];if(-1==this.items.indexOf(e)&&!e.hasAttribute("data-slideshow-clone")){var s=getComputedStyle(e);"none"!=s.display&&"absolute"!=s.position&&"fixed"!=s.position&&(t+=e.offsetHeight+(parseFloat(s.marginTop)||0)+(parseFloat(s.marginBottom)||0))}}return t}isGrouped(){return this.slidesPerView>1||this.slidesPerGroup>1}getMaxSelectedIndex(){return Math.max(0,this.items.length-this.slidesPerView)}getPageCount(){return 0==this.items.length?0:Math.ceil(this.getMaxSelectedIndex()/this.slidesPerGroup)+1}getPageStart(t){return Math.min(t*this.slidesPerGroup,this.getMaxSelectedIndex())}getPageOfIndex(t){return t>=this.getMaxSelectedIndex()?this.getPageCount()-1:Math.floor(t/this.slidesPerGroup)}transitionToPage(t,i=!1){return t=Math.max(0,Math.min(t,this.getPageCount()-1)),this.transitionTo(this.getPageStart(t),i,this.getPageStrategy())}getPageStrategy(){if(this.isGrouped())return this.loop?"shortest":"direct"}transitionByGroup(t,i){var e,s=this.getSelectedIndex(),n=this.getMaxSelectedIndex();if(t>0)if(s>=n){if(!this.loop)return null;e=0}else e=Math.min(s+this.slidesPerGroup,n);else if(s<=0){if(!this.loop)return null;e=n}else e=Math.max(s-this.slidesPerGroup,0);return this.transitionTo(e,i,this.getPageStrategy())}getLayout(t){var i={slidesPerView:this.options.slidesPerView,slidesPerGroup:this.options.slidesPerGroup};if(null!=this.options.breakpoints)for(var e=Object.keys(this.options.breakpoints).map(Number).sort(function(t,i){return t-i}),s=0;s<e.length&&e[s]<=t;s++)Object.assign(i,this.options.breakpoints[e[s]]);return i.slidesPerView=Math.max(1,Math.floor(i.slidesPerView)),i.slidesPerGroup=Math.max(1,Math.floor(i.slidesPerGroup)),i}initiateBreakpoints(){if(null!=this.options.breakpoints&&null!=this.container&&"function"==typeof ResizeObserver){var t=this;this.resizeObserver=new ResizeObserver(function(i){t.applyLayout(t.getLayout(i[i.length-1].contentRect.width))}),this.resizeObserver.observe(this.container)}}applyLayout(t){if(t.slidesPerView!=this.slidesPerView||t.slidesPerGroup!=this.slidesPerGroup){this.slidesPerView=t.slidesPerView,this.slidesPerGroup=t.slidesPerGroup;var i=this.getSelectedIndex();this.refreshItems(this.items[i],i),this.emit("breakpoint",{slidesPerView:this.slidesPerView,slidesPerGroup:this.slidesPerGroup})}}selectFromUrl(){if(this.options.urlSync){this.urlStartIndex=Math.max(0,this.getSelectedIndex());var t=this.readUrlIndex();-1!=t&&this.selectInitially(t)}}selectInitially(t){if(!(!Number.isInteger(t)||t<0||t>=this.items.length)){this.isGrouped()&&(t=Math.min(t,this.getMaxSelectedIndex()));for(var i=0;i<this.items.length;i++)this.items[i].classList.remove(this.selectedItemClass);this.items[t].classList.remove(this.prevItemClass),this.items[t].classList.remove(this.nextItemClass),this.items[t].classList.add(this.selectedItemClass),this.reclauclatePositions(t)}}initiateUrlSync(){if(this.options.urlSync&&"undefined"!=typeof window){var t=this;this.on("change",function(i){t.writeUrl(i.detail.to,i.detail.auto)});var i=function(){var i=t.readUrlIndex();-1==i&&(i=Math.min(t.urlStartIndex,t.items.length-1)),i<0||i==t.getTargetIndex()||(t.isTransitionRunning()&&t.interruptTransition(),t.transitionTo(i,!1,"direct"))};this.listen(window,"popstate",i),"hash"==this.options.urlSync&&this.listen(window,"hashchange",i)}}getUrlKey(){return null!=this.options.urlKey?this.options.urlKey:null!=this.container&&this.container.id?this.container.id:"slide"}getUrlParams(t){return"hash"==this.options.urlSync?new URLSearchParams(t.hash.slice(1)):t.searchParams}getUrlValue(t){var i=this.items[t];return i.getAttribute(this.options.slugAttribute)||i.id||String(t+1)}readUrlIndex(){var t=this.getUrlParams(new URL(location.href)).get(this.getUrlKey());if(null==t)return-1;for(var i=0;i<this.items.length;i++)if(this.getUrlValue(i)==t)return i;return-1}writeUrl(t,i=!1){var e=new URL(location.href),s=this.getUrlParams(e),n=this.getUrlValue(t);s.get(this.getUrlKey())!=n&&(s.set(this.getUrlKey(),n),"hash"==this.options.urlSync&&(e.hash=s.toString()),"push"!=this.options.urlHistory||i?history.replaceState(history.state,"",e.href):history.pushState(history.state,"",e.href))}initiateSync(){var t=this;this.on("change",function(i){t.syncing||t.isGrouped()||t.syncOthers(i.detail.to)}),null!=this.options.asNavFor&&(null!=this.container&&this.listen(this.container,"click",function(i){for(var e=0;e<t.items.length;e++)if(t.items[e].contains(i.target))return void t.syncTo(e)}),this.linkNavTargets())}linkNavTargets(){var t=this.options.asNavFor;if(null!=t){"string"==typeof t?t=document.querySelectorAll(t):(t instanceof Slideshow||null==t.length)&&(t=[t]);for(var i=0;i<t.length;i++){var e=t[i]instanceof Slideshow?t[i]:t[i].slideshow;null!=e?this.sync(e):Slideshow.pendingNavLinks.push({navigator:this,element:t[i]})}}}linkPendingNavigators(){var t=this,i=Slideshow.pendingNavLinks.filter(function(i){return i.element==t.container});Slideshow.pendingNavLinks=Slideshow.pendingNavLinks.filter(function(t){return-1==i.indexOf(t)});for(var e=0;e<i.length;e++)i[e].navigator.sync(this)}sync(t){return t==this||-1!=this.syncedSlideshows.indexOf(t)||this.destroyed||t.destroyed||(this.syncedSlideshows.push(t),t.syncedSlideshows.push(this),t.setActiveItem(t.getActiveIndex()),this.syncTo(t.getActiveIndex(),t)),this}unsync(t){var i=this.syncedSlideshows.indexOf(t);return-1==i||(this.syncedSlideshows.splice(i,1),t.syncedSlideshows.splice(t.syncedSlideshows.indexOf(this),1)),this}syncTo(t,i=null){if(!this.syncing&&!this.destroyed&&0!=this.items.length){t=Math.max(0,Math.min(t,this.items.length-1)),this.syncing=!0;var e=this.getSelectedIndex(),s=t;this.isGrouped()&&(s=this.isVisible(t,e)?e:this.getPageStart(this.getPageOfIndex(t))),s!=e&&(this.isTransitionRunning()&&this.interruptTransition(),this.transitionTo(s)),this.syncOthers(t,i),this.syncing=!1}}syncOthers(t,i=null){this.setActiveItem(t);var e=this.syncing;this.syncing=!0;for(var s=0;s<this.syncedSlideshows.length;s++)this.syncedSlideshows[s]!=i&&this.syncedSlideshows[s].syncTo(t,this);this.syncing=e}setActiveItem(t){if(this.activeIndex=t,null!=this.options.activeItemClass)for(var i=0;i<this.items.length;i++)i==t&&this.syncedSlideshows.length>0?this.items[i].classList.add(this.options.activeItemClass):this.items[i].classList.remove(this.options.activeItemClass)}getActiveIndex(){return this.activeIndex>=0&&this.activeIndex<this.items.length?this.activeIndex:this.getSelectedIndex()}createThumbnail(t){var i=t.getAttribute(this.options.thumbnailAttribute);if(null==i){var e=Slideshow.getItemImage(t);null!=e&&(i=e.getAttribute("src")||e.getAttribute("data-src"))}if(null==i)return null;var s=document.createElement("img");return s.setAttribute("loading","lazy"),s.setAttribute("decoding","async"),s.setAttribute("src",i),s.setAttribute("alt",""),s.setAttribute("draggable","false"),s}initiateLightbox(){if(this.lightbox=null,this.lightboxOpener=null,this.options.lightbox&&null!=this.container){var t=this;this.listen(this.container,"click",function(i){if(!i.defaultPrevented&&null==i.target.closest("a, button, input, select, textarea, label"))for(var e=0;e<t.items.length;e++)if(t.items[e].contains(i.target))return void t.openLightbox(e)})}}openLightbox(t=this.getSelectedIndex()){if(null!=this.lightbox||this.destroyed||!Number.isInteger(t)||t<0||t>=this.items.length)return this.lightbox;var i=this,e=document.createElement("div");null!=this.options.lightboxClass&&e.classList.add(this.options.lightboxClass),e.setAttribute("role","dialog"),e.setAttribute("aria-modal","true"),null!=this.options.lightboxLabel&&e.setAttribute("aria-label",this.options.lightboxLabel),e.setAttribute("tabindex","-1"),e.style.cssText="position: fixed; top: 0; left: 0; width: 100%; height: 100%; z-index: 2147483647;";for(var s=[],n=0;n<this.items.length;n++)s.push(this.createLightboxItem(this.items[n])),e.appendChild(s[n]);var o=[["data-slideshow-prev","Previous slide"],["data-slideshow-next","Next slide"],["data-slideshow-close","Close"]];for(n=0;n<o.length;n++){var r=document.createElement("button");r.setAttribute("type","button"),r.setAttribute(o[n][0],""),r.setAttribute("aria-label",o[n][1]),e.appendChild(r)}document.body.appendChild(e),this.lightboxOpener=document.activeElement,this.holdAutoTransition("lightbox");var a=new Slideshow({container:e,items:s,initialState:{selectedIndex:t},loop:this.loop,loopStrategy:this.options.loopStrategy,transitionPolicy:this.options.transitionPolicy,jumpStrategy:this.options.jumpStrategy,shouldAutoTransition:!1,itemClass:this.options.itemClass,prevItemClass:this.prevItemClass,selectedItemClass:this.selectedItemClass,nextItemClass:this.nextItemClass,transitioningClass:this.transitioningClass,notransitionClass:this.notransitionClass,visibleItemClass:this.options.visibleItemClass,cloneItemClass:this.options.cloneItemClass,loadingClass:this.options.loadingClass,liveRegion:this.options.liveRegion,announcement:this.options.announcement,effect:this.options.effect,effectDuration:this.options.effectDuration,effectEasing:this.options.effectEasing,orientation:this.orientation,direction:this.direction,scheduler:this.scheduler,zoom:this.options.zoom,maxZoom:this.options.maxZoom,doubleTapZoom:this.options.doubleTapZoom,zoomWheelModifier:this.options.zoomWheelModifier,zoomedItemClass:this.options.zoomedItemClass});if(this.lightbox=a,a.on("change",function(t){i.syncTo(t.detail.to)}),a.listen(e,"keydown",function(t){"Escape"==t.key?(t.preventDefault(),i.closeLightbox()):"Tab"==t.key&&i.trapLightboxFocus(t)}),a.listen(e,"click",function(t){t.defaultPrevented||t.target!=e&&-1==s.indexOf(t.target)&&null==t.target.closest("[data-slideshow-close]")||i.closeLightbox()}),this.options.lightboxFullscreen&&"function"==typeof e.requestFullscreen){var l=!1;a.listen(document,"fullscreenchange",function(){document.fullscreenElement==e?l=!0:l&&i.lightbox==a&&i.closeLightbox()});var h=e.requestFullscreen();null!=h&&"function"==typeof h.catch&&h.catch(function(){})}return e.focus(),this.emit("lightboxopen",{index:t,lightbox:a}),a}closeLightbox(){var t=this.lightbox;if(null!=t){this.lightbox=null;var i=t.container,e=t.getSelectedIndex();if(document.fullscreenElement==i&&"function"==typeof document.exitFullscreen){var s=document.exitFullscreen();null!=s&&"function"==typeof s.catch&&s.catch(function(){})}t.destroy(),null!=i.parentNode&&i.parentNode.removeChild(i),this.releaseAutoTransition("lightbox");var n=this.lightboxOpener;this.lightboxOpener=null,null!=n&&n.isConnected&&null==n.closest("[inert]")&&"function"==typeof n.focus&&n!=document.body?n.focus():null!=this.container&&this.container.hasAttribute("tabindex")&&this.container.focus(),this.emit("lightboxclose",{index:e})}}trapLightboxFocus(t){var i=this.lightbox.container,e=Array.from(i.querySelectorAll("a[href], button, input, select, textarea, [tabindex]")).filter(function(t){return!t.disabled&&"-1"!=t.getAttribute("tabindex")&&null==t.closest("[inert]")});if(0==e.length)return t.preventDefault(),void i.focus();var s=e[0],n=e[e.length-1];!t.shiftKey||document.activeElement!=s&&document.activeElement!=i?t.shiftKey||document.activeElement!=n||(t.preventDefault(),s.focus()):(t.preventDefault(),n.focus())}createLightboxItem(t){var i,e=t.hasAttribute(this.options.fullSrcAttribute)?t:t.querySelector("["+this.options.fullSrcAttribute+"]");if(null!=e){i=document.createElement("div");var s=document.createElement("img");s.setAttribute("src",e.getAttribute(this.options.fullSrcAttribute));var n=Slideshow.getItemImage(t);s.setAttribute("alt",null!=n&&n.getAttribute("alt")||""),s.setAttribute("draggable","false"),i.appendChild(s)}else{i=t.cloneNode(!0),this.resetItem(i);for(var o=[this.options.visibleItemClass,this.options.activeItemClass,this.options.loadingClass,this.options.cloneItemClass],r=0;r<o.length;r++)null!=o[r]&&i.classList.remove(o[r]);i.removeAttribute("aria-hidden"),i.removeAttribute("inert"),i.style.translate="",i.style.removeProperty("--slideshow-slot");for(r=0;r<this.effectProperties.length;r++)i.style[this.effectProperties[r]]="";Slideshow.stripIds(i)}return i.classList.add(this.options.itemClass),i}initiateVirtualItems(){var t=this.options.dataSource;this.virtual={source:t,data:"function"==typeof t?[]:Array.from(t),rendered:[],pending:[],pool:[]};for(var i=0;i<this.items.length;i++)null!=this.items[i].parentNode&&this.items[i].parentNode.removeChild(this.items[i]);var e="function"==typeof t?Math.max(0,this.options.dataCount||0):this.virtual.data.length;this.items=[];for(i=0;i<e;i++){var s=document.createElement("div");s.classList.add(this.options.itemClass),s.classList.add(0==i?this.selectedItemClass:this.nextItemClass),this.items.push(s)}}initiateVirtual(){if(null!=this.virtual){var t=this;this.on("afterchange",function(){t.updateVirtualWindow(t.getSelectedIndex())})}}setDataSource(t,i=null){if(null==this.virtual)throw new SlideshowError("Slideshow: setDataSource is only available to slideshows created with a dataSource.","NOT_VIRTUAL");var e=this.getSelectedIndex();this.resetAllTransitioning();for(var s=0;s<this.items.length;s++)this.detachVirtualItem(s);this.options.dataSource=t,this.options.dataCount=i,this.initiateVirtualItems(),this.refreshItems(null,e)}updateVirtualWindow(t){if(!(null==this.virtual||t<0||null==this.container)){for(var i=this.items.length,e=[],s=Math.max(0,this.options.virtualBuffer),n=Math.min(t+this.slidesPerView-1+s,t+i-1),o=Math.max(t-s,n-i+1);o<=n;o++)o>=0&&o<i?e[o]=!0:this.loop&&(e[(o%i+i)%i]=!0);var r=this.getSelectedIndex();-1!=r&&(e[r]=!0);for(o=0;o<this.transitionWatchers.length;o++)e[this.items.indexOf(this.transitionWatchers[o].item)]=!0;for(o=0;o<i;o++)e[o]?this.attachVirtualItem(o,r):this.detachVirtualItem(o)}}attachVirtualItem(t,i){var e=this.items[t];if(e.parentNode!=this.container){t!=i&&(e.classList.remove(this.selectedItemClass),e.classList.remove(this.prevItemClass),e.classList.remove(this.nextItemClass),e.classList.add(t<i?this.prevItemClass:this.nextItemClass));for(var s=null,n=t+1;n<this.items.length&&null==s;n++)this.items[n].parentNode==this.container&&(s=this.items[n]);for(n=t-1;n>=0&&null==s;n--)this.items[n].parentNode==this.container&&(s=this.items[n].nextSibling);null==s&&(s=this.container.firstChild),this.container.insertBefore(e,s)}this.renderVirtualItem(t)}detachVirtualItem(t){var i=this.items[t];if(null!=i.parentNode&&(i.parentNode.removeChild(i),this.virtual.rendered[t])){var e=i.firstElementChild;i.textContent="",null!=e&&this.virtual.pool.length<2*this.options.virtualBuffer+this.slidesPerView&&this.virtual.pool.push(e),this.virtual.rendered[t]=!1}}renderVirtualItem(t){if(!this.virtual.rendered[t]){var i=this.items[t];if(!(t in this.virtual.data))return null!=this.options.loadingClass&&i.classList.add(this.options.loadingClass),void this.fetchVirtualData(t);var e=this.options.renderItem.call(this,this.virtual.data[t],t,this.virtual.pool.pop()||null);if("string"==typeof e)i.innerHTML=e;else{if(null==e||1!=e.nodeType)throw new SlideshowError("Slideshow: renderItem returned "+String(e)+" for item "+t+", expected an element or HTML.","INVALID_OPTION");i.appendChild(e)}null!=this.options.loadingClass&&i.classList.remove(this.options.loadingClass),this.virtual.rendered[t]=!0}}fetchVirtualData(t){var i=Math.max(1,this.options.dataPageSize),e=Math.floor(t/i)*i;if(-1==this.virtual.pending.indexOf(e)){var s=this.virtual;s.pending.push(e);var n,o=this,r=function(){var t=s.pending.indexOf(e);-1!=t&&s.pending.splice(t,1)},a=function(t){r(),Slideshow.reportError(t)};try{n=s.source.call(this,e,Math.min(i,this.items.length-e))}catch(t){return void a(t)}Promise.resolve(n).then(function(t){if(r(),!o.destroyed&&o.virtual==s){if(!Array.isArray(t))throw new SlideshowError("Slideshow: the dataSource returned "+String(t)+" for the items from "+e+", expected an array.","INVALID_OPTION");for(var i=0;i<t.length&&e+i<o.items.length;i++)s.data[e+i]=t[i],o.items[e+i].parentNode==o.container&&o.renderVirtualItem(e+i);o.updateMedia(o.getSelectedIndex())}}).catch(a)}}updateClones(){if(this.removeClones(),!(!this.loop||"clone"!=this.options.loopStrategy||this.isGrouped()||this.items.length<2||null!=this.virtual)){var t=this.items[0],i=this.items[this.items.length-1];this.headClone=this.createClone(i,this.prevItemClass),t.parentNode.insertBefore(this.headClone,t),this.tailClone=this.createClone(t,this.nextItemClass),i.parentNode.insertBefore(this.tailClone,i.nextSibling)}}createClone(t,i){var e=t.cloneNode(!0);return this.resetItem(e),e.classList.add(i),null!=this.options.visibleItemClass&&e.classList.remove(this.options.visibleItemClass),null!=this.options.cloneItemClass&&e.classList.add(this.options.cloneItemClass),e.style.removeProperty("--slideshow-slot"),e.setAttribute("data-slideshow-clone",""),e.setAttribute("aria-hidden","true"),e.setAttribute("inert",""),e.inert=!0,Slideshow.stripIds(e),e}removeClones(){this.pendingClone=null;for(var t=[this.headClone,this.tailClone],i=0;i<t.length;i++)null!=t[i]&&null!=t[i].parentNode&&t[i].parentNode.removeChild(t[i]);this.headClone=null,this.tailClone=null}settleClones(){var t=this.pendingClone;if(null!=t){this.pendingClone=null;var i=this.items[t.index],e=t.clone;null!=this.notransitionClass&&(e.classList.add(this.notransitionClass),i.classList.add(this.notransitionClass)),null!=this.transitioningClass&&e.classList.remove(this.transitioningClass),e.classList.remove(this.selectedItemClass),e.classList.add(e==this.tailClone?this.nextItemClass:this.prevItemClass),i.classList.remove(this.prevItemClass),i.classList.remove(this.nextItemClass),i.classList.add(this.selectedItemClass),this.reclauclatePositions(t.index),e.offsetHeight,i.offsetHeight,null!=this.notransitionClass&&(e.classList.remove(this.notransitionClass),i.classList.remove(this.notransitionClass))}}getSelectedIndex(){for(var t=0;t<this.items.length;t++)if(this.items[t].classList.contains(this.selectedItemClass))return t;return null!=this.pendingClone?this.pendingClone.index:-1}getTargetIndex(){return null!=this.currentTransition?this.currentTransition.detail.to:this.getSelectedIndex()}isAtFront(){return 0==this.getSelectedIndex()}isAtEnd(){return this.getSelectedIndex()>=this.getMaxSelectedIndex()}forgetLoopTimeout(t){var i=this.loopTimeouts.indexOf(t);-1!=i&&this.loopTimeouts.splice(i,1)}debounce(){if(this.shouldDebounce){if(this.transitioning)return!0;this.transitioning=!0,null!=this.transitioningTimeout&&this.unschedule(this.transitioningTimeout);var t=this;this.transitioningTimeout=this.schedule(function(){t.transitioning=!1},3e3)}return!1}endDebounce(){this.shouldDebounce&&(null!=this.transitioningTimeout&&this.unschedule(this.transitioningTimeout),this.transitioning=!1)}transitionForward(t=!0){if(this.items.length<2||this.destroyed)return null;if(this.isGrouped())return this.transitionByGroup(1,t);if(this.debounce())return!1;this.resetAllTransitioning(),!t&&this.shouldAutoTransition&&this.stopAutoTransition();var i=this.getSelectedIndex(),e=this.items[i],s=!1,n=i+1;if(n==this.items.length){if(!this.loop)return this.endDebounce(),null;s=!0,n=0}var o=this.items[n],r=s&&null!=this.tailClone;r&&(s=!1,o=this.tailClone);var a={from:i,to:n,direction:"forward",auto:t};if(!this.emit("beforechange",a,!0))return this.endDebounce(),!1;var l=this.beginTransition(a);this.updateIndicators(n),this.updateVisibleItems(n),this.updateVirtualWindow(n),this.updateZoom(n),this.updateMedia(n),this.updateAccessibility(n),s&&this.reclauclatePositions(i,!0);var h,u=this;return this.markTransitioning(e,!1,function(){s&&(u.reclauclatePositions(n),null!=h&&(u.unschedule(h),u.forgetLoopTimeout(h)))}),s&&(h=this.schedule(function(){u.forgetLoopTimeout(h),l.cancelled||u.reclauclatePositions(n)},3e3),this.loopTimeouts.push(h)),this.markTransitioning(o,!0,function(){r&&u.settleClones(),u.completeTransition(l)}),r&&(this.pendingClone={clone:o,index:n}),e.classList.remove(this.selectedItemClass),e.classList.add(this.prevItemClass),o.classList.remove(this.nextItemClass),o.classList.add(this.selectedItemClass),this.emit("change",a),a}transitionBackward(t=!0){if(this.items.length<2||this.destroyed)return null;if(this.isGrouped())return this.transitionByGroup(-1,t);if(this.debounce())return!1;this.resetAllTransitioning(),!t&&this.shouldAutoTransition&&this.stopAutoTransition();var i=this.getSelectedIndex(),e=this.items[i],s=!1,n=i-1;if(n<0){if(!this.loop)return this.endDebounce(),null;s=!0,n=this.items.length-1}var o=this.items[n],r=s&&null!=this.headClone;r&&(s=!1,o=this.headClone);var a={from:i,to:n,direction:"backward",auto:t};if(!this.emit("beforechange",a,!0))return this.endDebounce(),!1;var l=this.beginTransition(a);this.updateIndicators(n),this.updateVisibleItems(n),this.updateVirtualWindow(n),this.updateZoom(n),this.updateMedia(n),this.updateAccessibility(n),s&&this.reclauclatePositions(i,!0);var h,u=this;return this.markTransitioning(e,!1,function(){s&&(u.reclauclatePositions(n),null!=h&&(u.unschedule(h),u.forgetLoopTimeout(h)))}),s&&(h=this.schedule(function(){u.forgetLoopTimeout(h),l.cancelled||u.reclauclatePositions(n)},3e3),this.loopTimeouts.push(h)),this.markTransitioning(o,!0,function(){r&&u.settleClones(),u.completeTransition(l)}),r&&(this.pendingClone={clone:o,index:n}),e.classList.remove(this.selectedItemClass),e.classList.add(this.nextItemClass),o.classList.remove(this.prevItemClass),o.classList.add(this.selectedItemClass),this.emit("change",a),a}transitionTo(t,i=!1,e=this.options.jumpStrategy){if(!Number.isInteger(t)||t<0||t>=this.items.length)throw new SlideshowError("Slideshow: can't transition to index "+t+", expected an integer from 0 to "+(this.items.length-1)+".","INVALID_INDEX");this.isGrouped()&&(t=Math.min(t,this.getMaxSelectedIndex()));var s=this.getSelectedIndex();if(s==t||this.destroyed)return null;if(this.debounce())return!1;var n=s<t;if("shortest"==e&&this.loop){var o=(t-s+this.items.length)%this.items.length;n=o<=this.items.length-o}var r={from:s,to:t,direction:n?"forward":"backward",auto:i};if(!this.emit("beforechange",r,!0))return this.endDebounce(),!1;var a=this.beginTransition(r);if(this.resetAllTransitioning(),!i&&this.shouldAutoTransition&&this.stopAutoTransition(),this.updateIndicators(t),this.updateVisibleItems(t),this.updateVirtualWindow(t),this.updateZoom(t),this.updateMedia(t),this.updateAccessibility(t),"direct"==e||"shortest"==e)return this.transitionDirectly(s,t,n,a),this.emit("change",r),r;var l=this.items[s],h=this.items[t];if(s<t){var u=t-s,d=this;this.markTransitioning(l,!1,function(){d.transitionToPrevLoop(s,u,1,function(){d.markTransitioning(h,!0,function(){d.completeTransition(a)}),h.classList.remove(d.nextItemClass),h.classList.add(d.selectedItemClass)})}),l.classList.remove(this.selectedItemClass),l.classList.add(this.prevItemClass)}else{u=s-t,d=this;this.markTransitioning(l,!1,function(){d.transitionToNextLoop(s,u,1,function(){d.markTransitioning(h,!0,function(){d.completeTransition(a)}),h.classList.remove(d.prevItemClass),h.classList.add(d.selectedItemClass)})}),l.classList.remove(this.selectedItemClass),l.classList.add(this.nextItemClass)}return this.emit("change",r),r}transitionDirectly(t,i,e,s){for(var n=this.items[t],o=this.items[i],r=0;r<this.items.length;r++)r!=t&&(r==i?this.snapItem(o,e?this.nextItemClass:this.prevItemClass):this.snapItem(this.items[r],r<i?this.prevItemClass:this.nextItemClass));var a=this;this.markTransitioning(n,!1),this.markTransitioning(o,!0,function(){a.reclauclatePositions(i),a.completeTransition(s)}),n.classList.remove(this.selectedItemClass),n.classList.add(e?this.prevItemClass:this.nextItemClass),o.classList.remove(this.prevItemClass),o.classList.remove(this.nextItemClass),o.classList.add(this.selectedItemClass)}snapItem(t,i){null!=this.notransitionClass&&t.classList.add(this.notransitionClass),t.classList.remove(this.prevItemClass),t.classList.remove(this.nextItemClass),t.classList.add(i),t.offsetHeight,null!=this.notransitionClass&&t.classList.remove(this.notransitionClass)}next(){return this.requestTransition(function(){return this.transitionForward(!1)})}prev(){return this.requestTransition(function(){return this.transitionBackward(!1)})}goTo(t){return this.requestTransition(function(){return this.transitionTo(t)})}requestTransition(t){var i=this;return new Promise(function(e,s){var n={start:t,resolve:e,reject:s};if(i.destroyed)i.rejectTransitionRequests([n],"destroyed");else{if(i.isTransitionRunning())switch(i.options.transitionPolicy){case"queue":return void i.transitionQueue.push(n);case"interrupt":i.interruptTransition();break;default:return void i.rejectTransitionRequests([n],"dropped")}i.runTransitionRequest(n)}})}runTransitionRequest(t){var i;try{i=t.start.call(this)}catch(i){return t.reject(i),void this.runTransitionQueue()}null==i?(t.resolve(null),this.runTransitionQueue()):!1===i?(this.rejectTransitionRequests([t],"cancelled"),this.runTransitionQueue()):this.currentTransition.requests.push(t)}runTransitionQueue(){this.transitionQueue.length>0&&!this.isTransitionRunning()&&this.runTransitionRequest(this.transitionQueue.shift())}isTransitionRunning(){return null!=this.currentTransition||this.shouldDebounce&&this.transitioning}beginTransition(t){return this.currentTransition={detail:t,cancelled:!1,requests:[]},this.currentTransition}completeTransition(t){if(!t.cancelled){this.currentTransition==t&&(this.currentTransition=null),this.emit("afterchange",t.detail);for(var i=0;i<t.requests.length;i++)t.requests[i].resolve(t.detail);this.runTransitionQueue()}}interruptTransition(){var t=this.currentTransition;this.currentTransition=null,this.removeTransitionWatchers(),null!=t&&(t.cancelled=!0,this.snapTo(t.detail.to),this.rejectTransitionRequests(t.requests,"interrupted")),this.endDebounce()}snapTo(t){var i=this.items[t];if(null!=i){this.resetAllTransitioning(),null!=this.notransitionClass&&i.classList.add(this.notransitionClass);for(var e=0;e<this.items.length;e++)this.items[e].classList.remove(this.selectedItemClass);i.classList.remove(this.prevItemClass),i.classList.remove(this.nextItemClass),i.classList.add(this.selectedItemClass),this.reclauclatePositions(t),i.offsetHeight,null!=this.notransitionClass&&i.classList.remove(this.notransitionClass),this.updateIndicators(t),this.updateVisibleItems(t),this.updateVirtualWindow(t),this.updateZoom(t),this.updateMedia(t),this.updateAccessibility(t,!1),this.updateHeight(t,!1,!0)}}getState(){var t={};for(var i in this.options){var e=this.options[i];null!=e&&"string"!=typeof e&&"number"!=typeof e&&"boolean"!=typeof e||(t[i]=e)}return{selectedIndex:this.getTargetIndex(),autoTransition:{running:this.autoTransitionRunning,paused:this.paused,ended:this.autoTransitionEnded,remaining:this.getAutoTransitionRemaining(),direction:1==this.autoTransitionDirection?"forward":"backward"},options:t}}setState(t){if(null==t||this.destroyed)return this;var i=t.selectedIndex;return Number.isInteger(i)&&i>=0&&i<this.items.length&&(this.isGrouped()&&(i=Math.min(i,this.getMaxSelectedIndex())),this.isTransitionRunning()&&this.interruptTransition(),i!=this.getSelectedIndex()&&this.snapTo(i)),this.applyAutoTransitionState(t.autoTransition),this.savePersistedState(),this}applyAutoTransitionState(t){null!=t&&this.shouldAutoTransition&&(this.autoTransitionDirection="backward"==t.direction?0:1,t.paused?this.pause():this.resume(),t.ended?(this.clearAutoTransitionTimer(),this.endAutoTransition()):t.running?(this.startAutoTransition(),"number"==typeof t.remaining&&null!=this.autoTransitionTimer?(this.clearAutoTransitionTimer(),this.autoTransitionRemaining=Math.max(0,Math.min(t.remaining,this.autoTransitionDuration)),this.runAutoTransitionTimer()):"number"==typeof t.remaining&&(this.autoTransitionRemaining=Math.max(0,Math.min(t.remaining,this.autoTransitionDuration)))):this.stopAutoTransition())}initiatePersistence(){if(null!=this.getPersistStorage()){var t=this,i=function(){t.savePersistedState()};this.on("change",i),this.on("autoplaypause",i),this.on("autoplayresume",i),"undefined"!=typeof window&&this.listen(window,"pagehide",i)}}getPersistStorage(){try{if("local"==this.options.persist)return localStorage;if("session"==this.options.persist)return sessionStorage}catch(t){}return null}getPersistKey(){return null!=this.options.persistKey?this.options.persistKey:"slideshow:"+(null!=this.container&&this.container.id?this.container.id:"state")}readPersistedState(){var t=this.getPersistStorage();if(null==t)return null;try{return JSON.parse(t.getItem(this.getPersistKey()))}catch(t){return null}}savePersistedState(){var t=this.getPersistStorage();if(null!=t&&!this.destroyed)try{t.setItem(this.getPersistKey(),JSON.stringify(this.getState()))}catch(t){}}rejectTransitionRequests(t,i){for(var e=0;e<t.length;e++){var s;"function"==typeof DOMException?s=new DOMException("The transition was "+i+".","AbortError"):(s=new Error("The transition was "+i+".")).name="AbortError",s.reason=i,t[e].reject(s)}}transitionToPrevLoop(t,i,e,s){if(e>=i)s();else{var n=this.items[t+e],o=this;this.markTransitioning(n,!1,function(){o.transitionToPrevLoop(t,i,++e,s)}),n.classList.remove(this.nextItemClass),n.classList.add(this.prevItemClass)}}transitionToNextLoop(t,i,e,s){if(e>=i)s();else{var n=this.items[t-e],o=this;this.markTransitioning(n,!1,function(){o.transitionToNextLoop(t,i,++e,s)}),n.classList.remove(this.prevItemClass),n.classList.add(this.nextItemClass)}}startAutoTransition(){this.destroyed||(this.clearAutoTransitionTimer(),this.autoTransitionRunning=!0,this.autoTransitionEnded=!1,this.autoTransitionDuration=this.getItemDuration(this.getTargetIndex()),this.autoTransitionRemaining=this.autoTransitionDuration,this.isAutoTransitionHeld()||(this.runAutoTransitionTimer(),null!=this.liveRegion&&this.liveRegion.setAttribute("aria-live","off"),this.emit("autoplayresume",{reason:"start",interval:this.autoTransitionDuration})))}stopAutoTransition(){this.clearAutoTransitionTimer(),this.autoTransitionRunning=!1,null!=this.autoTransitionTimeout&&(this.unschedule(this.autoTransitionTimeout),this.autoTransitionTimeout=null);var t=this;this.autoTransitionTimeout=this.schedule(function(){t.autoTransitionTimeout=null,t.autoTransitionEnded||t.startAutoTransition()},this.autoTransitionDelay),null!=this.liveRegion&&this.liveRegion.setAttribute("aria-live","polite"),this.emit("autoplaypause",{reason:"navigation",delay:this.autoTransitionDelay})}runAutoTransitionTimer(){if(this.autoTransitionRunning&&!this.isAutoTransitionHeld()&&null==this.autoTransitionTimer){var t=this;this.autoTransitionStarted=this.scheduler.now(),this.autoTransitionTimer=this.schedule(function(){t.autoTransitionTimer=null,t.stopProgressFrames(),t.autoTransition(),t.autoTransitionDuration=t.getItemDuration(t.getTargetIndex()),t.autoTransitionRemaining=t.autoTransitionDuration,t.runAutoTransitionTimer()},this.autoTransitionRemaining),this.startProgressFrames()}}clearAutoTransitionTimer(){null!=this.autoTransitionTimer&&(this.unschedule(this.autoTransitionTimer),this.autoTransitionTimer=null),this.stopProgressFrames()}startProgressFrames(){if(null==this.progressFrame&&null!=this.container&&this.options.progressVariable&&"function"==typeof requestAnimationFrame){var t=this,i=function(){t.container.style.setProperty("--slideshow-progress",t.getAutoTransitionProgress()),t.progressFrame=requestAnimationFrame(i)};this.progressFrame=requestAnimationFrame(i)}}stopProgressFrames(){null!=this.progressFrame&&(cancelAnimationFrame(this.progressFrame),this.progressFrame=null,this.container.style.setProperty("--slideshow-progress",this.getAutoTransitionProgress()))}holdAutoTransition(t){if(-1==this.autoTransitionHolds.indexOf(t)&&!this.destroyed){var i=this.isAutoTransitionHeld();this.autoTransitionHolds.push(t),i||null!=this.autoTransitionTimer&&(this.autoTransitionRemaining=this.getAutoTransitionRemaining(),this.clearAutoTransitionTimer(),null!=this.liveRegion&&this.liveRegion.setAttribute("aria-live","polite"),this.emit("autoplaypause",{reason:t,delay:null}))}}releaseAutoTransition(t){var i=this.autoTransitionHolds.indexOf(t);-1==i||this.destroyed||(this.autoTransitionHolds.splice(i,1),!this.isAutoTransitionHeld()&&this.autoTransitionRunning&&(this.runAutoTransitionTimer(),null!=this.liveRegion&&this.liveRegion.setAttribute("aria-live","off"),this.emit("autoplayresume",{reason:t,interval:this.autoTransitionDuration})))}isAutoTransitionHeld(){return this.autoTransitionHolds.length>0}getAutoTransitionProgress(){return!this.autoTransitionRunning||this.autoTransitionDuration<=0?0:Math.max(0,Math.min(1,1-this.getAutoTransitionRemaining()/this.autoTransitionDuration))}getAutoTransitionRemaining(){var t=this.autoTransitionRemaining;return null!=this.autoTransitionTimer&&(t-=this.scheduler.now()-this.autoTransitionStarted),Math.max(0,t)}pause(){this.paused||this.destroyed||(this.paused=!0,this.holdAutoTransition("pause"))}resume(){this.paused&&!this.destroyed&&(this.paused=!1,this.releaseAutoTransition("pause"))}initiateAutoTransitionConditions(){if(this.intersectionObserver=null,this.progressFrame=null,this.shouldAutoTransition){var t=this;if(null!=this.container&&this.options.pauseOnHover&&(this.listen(this.container,"mouseenter",function(){t.holdAutoTransition("hover")}),this.listen(this.container,"mouseleave",function(){t.releaseAutoTransition("hover")})),null!=this.container&&this.options.pauseOnFocus&&(this.listen(this.container,"focusin",function(i){Slideshow.isFocusVisible(i.target)&&t.holdAutoTransition("focus")}),this.listen(this.container,"focusout",function(i){null!=i.relatedTarget&&t.container.contains(i.relatedTarget)||t.releaseAutoTransition("focus")})),this.options.pauseWhenHidden&&"undefined"!=typeof document){var i=function(){document.hidden?t.holdAutoTransition("hidden"):t.releaseAutoTransition("hidden")};this.listen(document,"visibilitychange",i),i()}if(null!=this.container&&this.options.pauseWhenOffscreen&&"function"==typeof IntersectionObserver&&(this.intersectionObserver=new IntersectionObserver(function(i){i[i.length-1].isIntersecting?t.releaseAutoTransition("offscreen"):t.holdAutoTransition("offscreen")}),this.intersectionObserver.observe(this.container)),this.options.respectReducedMotion&&"function"==typeof matchMedia){var e=matchMedia("(prefers-reduced-motion: reduce)"),s=function(){e.matches?t.holdAutoTransition("reducedmotion"):t.releaseAutoTransition("reducedmotion")};"function"==typeof e.addEventListener&&this.listen(e,"change",s),s()}}}autoTransition(){if(!this.paused&&!this.destroyed&&!(null!=this.drag&&this.drag.dragging||this.getPageCount()<2))switch(this.autoTransitionMode){case"forward":!this.loop&&this.isAtEnd()?this.transitionTo(0,!0,"direct"):this.transitionForward();break;case"reverse":!this.loop&&this.isAtFront()?this.transitionTo(this.items.length-1,!0,"direct"):this.transitionBackward();break;case"once":this.isAtEnd()?this.endAutoTransition():this.transitionForward();break;case"shuffle":this.transitionTo(this.getNextShuffledIndex(),!0,"direct");break;default:this.isAtEnd()?this.autoTransitionDirection=0:this.isAtFront()&&(this.autoTransitionDirection=1),1==this.autoTransitionDirection?this.transitionForward():this.transitionBackward()}}endAutoTransition(){this.autoTransitionRunning=!1,this.autoTransitionEnded=!0,null!=this.liveRegion&&this.liveRegion.setAttribute("aria-live","polite"),this.emit("autoplaypause",{reason:"end",delay:null})}getNextShuffledIndex(){var t=this.getSelectedIndex();if(0==this.shuffleQueue.length){for(var i=0;i<this.getPageCount();i++)this.getPageStart(i)!=t&&this.shuffleQueue.push(this.getPageStart(i));for(var e=this.shuffleQueue.length-1;e>0;e--){var s=Math.floor(Math.random()*(e+1)),n=this.shuffleQueue[e];this.shuffleQueue[e]=this.shuffleQueue[s],this.shuffleQueue[s]=n}}if(0==this.shuffleQueue.length)return t;var o=this.shuffleQueue.pop();return o>this.getMaxSelectedIndex()||o==t?this.shuffleQueue.length>0?this.getNextShuffledIndex():(t+1)%this.items.length:o}getItemDuration(t){var i=this.items[t];if(null!=i&&i.hasAttribute(this.options.durationAttribute)){var e=Number(i.getAttribute(this.options.durationAttribute));if(e>0)return e}return this.autoTransitionTime}reclauclatePositions(t,i=!1){for(var e=0;e<this.items.length;e++)e==t||null!=this.virtual&&null==this.items[e].parentNode||(null!=this.notransitionClass&&this.items[e].classList.add(this.notransitionClass),i?e>t?(this.items[e].classList.remove(this.nextItemClass),this.items[e].classList.add(this.prevItemClass)):(this.items[e].classList.remove(this.prevItemClass),this.items[e].classList.add(this.nextItemClass)):e<t?(this.items[e].classList.remove(this.nextItemClass),this.items[e].classList.add(this.prevItemClass)):(this.items[e].classList.remove(this.prevItemClass),this.items[e].classList.add(this.nextItemClass)),this.items[e].offsetHeight,null!=this.notransitionClass&&this.items[e].classList.remove(this.notransitionClass));this.updateEffectFrames()}markTransitioning(t,i,e=null){if(null==this.effect){if(null==this.transitioningClass||!t.isConnected){var s=this,n={item:t,listener:null,timeout:null,animations:[]};return this.transitionWatchers.push(n),void(n.timeout=this.schedule(function(){var t=s.transitionWatchers.indexOf(n);-1!=t&&(s.transitionWatchers.splice(t,1),i&&s.endDebounce(),null!=e&&e())},0))}s=this;var o={item:t,listener:r,timeout:null,animations:[]};this.transitionWatchers.push(o),t.addEventListener("transitionend",r),o.timeout=this.schedule(function(){o.timeout=null,s.reportMissedTransition(t),a()},3e3),t.classList.add(this.transitioningClass)}else this.watchAnimations(t,i,e);function r(){s.unschedule(o.timeout),a()}function a(){var n=s.transitionWatchers.indexOf(o);-1!=n&&(s.transitionWatchers.splice(n,1),t.classList.remove(s.transitioningClass),t.removeEventListener("transitionend",r),i&&null!=s.transitioningTimeout&&s.shouldDebounce&&(s.transitioning=!1,s.unschedule(s.transitioningTimeout)),null!=e&&e())}}watchAnimations(t,i,e){var s=this,n=this.getEffectPosition(t),o={item:t,listener:null,timeout:null,animations:[]};this.transitionWatchers.push(o);var r=function(){var n=s.transitionWatchers.indexOf(o);-1!=n&&(s.transitionWatchers.splice(n,1),null!=o.timeout&&(s.unschedule(o.timeout),o.timeout=null),null!=s.transitioningClass&&t.classList.remove(s.transitioningClass),i&&s.endDebounce(),null!=e&&e())};Promise.resolve().then(function(){if(-1!=s.transitionWatchers.indexOf(o)){var i=s.animateItem(t,n,s.getEffectPosition(t));if(null!=i){o.animations=[i];var e=null!=i.effect?i.effect.getComputedTiming().endTime:0;o.timeout=s.schedule(function(){o.timeout=null,s.debugWarn("item "+s.items.indexOf(t)+" waited out the backup timeout, as its effect animation never finished."),i.finish(),r()},(isFinite(e)?e:0)+3e3),i.finished.then(r,r)}else r()}}),null!=this.transitioningClass&&t.classList.add(this.transitioningClass)}removeTransitionWatchers(){for(;this.transitionWatchers.length>0;){var t=this.transitionWatchers.pop();null!=t.listener&&t.item.removeEventListener("transitionend",t.listener),null!=t.timeout&&this.unschedule(t.timeout);for(var i=0;i<t.animations.length;i++)t.animations[i].cancel()}}getEffectPosition(t){return t.classList.contains(this.selectedItemClass)?0:t.classList.contains(this.prevItemClass)?-1:1}animateItem(t,i,e){var s,n=(s=null!=this.effect.keyframes?this.effect.keyframes.call(this,i,e,t):[this.effect.frame.call(this,i,t),this.effect.frame.call(this,e,t)])[s.length-1],o=this.items[this.getSelectedIndex()]||t,r=Number(o.getAttribute("data-slideshow-effect-duration")||this.options.effectDuration),a=o.getAttribute("data-slideshow-effect-easing")||this.options.effectEasing;if(i==e||r<=0||"function"!=typeof t.animate)return this.applyEffectFrame(t,n),null;var l=this,h=t.animate(s,{duration:r,easing:a,fill:"forwards"});return h.finished.then(function(){l.applyEffectFrame(t,n),h.cancel()},function(){}),h}updateEffectFrames(){if(null!=this.effect)for(var t=this.items.concat([this.headClone,this.tailClone]),i=0;i<t.length;i++)null!=t[i]&&this.applyEffectFrame(t[i],this.effect.frame.call(this,this.getEffectPosition(t[i]),t[i]))}applyEffectFrame(t,i){for(var e in i)"offset"!=e&&"easing"!=e&&"composite"!=e&&(t.style[e]=i[e],-1==this.effectProperties.indexOf(e)&&this.effectProperties.push(e))}resetAllTransitioning(){if(this.settleClones(),null!=this.transitioningClass)for(var t=0;t<this.items.length;t++)this.items[t].classList.contains(this.transitioningClass)&&this.items[t].classList.remove(this.transitioningClass)}checkItemsEditable(t){if(null!=this.virtual)throw new SlideshowError("Slideshow: "+t+" is not available to slideshows created with a dataSource, use setDataSource instead.","VIRTUAL_ITEMS")}addItem(t,i=this.items.length,e=null){this.checkItemsEditable("addItem");var s=this.items[this.getSelectedIndex()];i=Math.max(0,Math.min(i,this.items.length)),t.classList.add(this.options.itemClass),t.classList.remove(this.selectedItemClass),this.items.splice(i,0,t),Slideshow.placeElement(t,this.items,i,this.container),null==this.indicators||this.isGrouped()||(null==e&&(e=this.createIndicator(i)),this.indicators.splice(i,0,e),Slideshow.placeElement(e,this.indicators,i,this.indicatorsContainer)),this.refreshItems(s,i)}removeItem(t){if(this.checkItemsEditable("removeItem"),t<0||t>=this.items.length)return null;var i=this.getSelectedIndex(),e=this.items[i],s=this.items.splice(t,1)[0];if(this.resetItem(s),null!=s.parentNode&&s.parentNode.removeChild(s),null!=this.indicators&&!this.isGrouped()&&t<this.indicators.length){var n=this.indicators.splice(t,1)[0];null!=n.parentNode&&n.parentNode.removeChild(n)}return this.refreshItems(e,i),s}moveItem(t,i){if(this.checkItemsEditable("moveItem"),!(t<0||t>=this.items.length)){var e=this.items[this.getSelectedIndex()];i=Math.max(0,Math.min(i,this.items.length-1));var s=this.items.splice(t,1)[0];if(this.items.splice(i,0,s),Slideshow.placeElement(s,this.items,i,this.container),null!=this.indicators&&!this.isGrouped()&&t<this.indicators.length){var n=this.indicators.splice(t,1)[0];this.indicators.splice(i,0,n),Slideshow.placeElement(n,this.indicators,i,this.indicatorsContainer)}this.refreshItems(e,i)}}setItems(t,i=null){this.checkItemsEditable("setItems");var e=this.getSelectedIndex(),s=this.items[e];t=Array.from(t);for(var n=0;n<this.items.length;n++)-1==t.indexOf(this.items[n])&&(this.resetItem(this.items[n]),null!=this.items[n].parentNode&&this.items[n].parentNode.removeChild(this.items[n]));this.items=[];for(n=0;n<t.length;n++)t[n].classList.add(this.options.itemClass),this.items.push(t[n]),Slideshow.placeElement(t[n],this.items,n,this.container);if(null!=i){if(null!=this.indicators)for(n=0;n<this.indicators.length;n++)-1==i.indexOf(this.indicators[n])&&null!=this.indicators[n].parentNode&&this.indicators[n].parentNode.removeChild(this.indicators[n]);this.indicators=[];for(n=0;n<i.length;n++)this.indicators.push(i[n]),Slideshow.placeElement(i[n],this.indicators,n,this.indicatorsContainer)}this.refreshItems(s,e)}initiateObserver(){if(this.observer=null,this.options.observeMutations&&null!=this.container&&"function"==typeof MutationObserver&&null==this.virtual){var t=this;this.observer=new MutationObserver(function(){t.syncItems()}),this.observer.observe(this.container,{childList:!0})}}syncItems(){if(null!=this.container){for(var t=Slideshow.filterChildren(this.container,this.options.itemClass).filter(function(t){return!t.hasAttribute("data-slideshow-clone")}),i=t.length!=this.items.length,e=0;!i&&e<t.length;e++)i=t[e]!=this.items[e];if(i){var s=this.getSelectedIndex(),n=this.items[s];for(e=0;e<this.items.length;e++)-1==t.indexOf(this.items[e])&&this.resetItem(this.items[e]);this.items=t,this.refreshItems(n,s)}}}refreshItems(t,i){for(this.removeTransitionWatchers();this.loopTimeouts.length>0;)this.unschedule(this.loopTimeouts.pop());var e=this.currentTransition;this.currentTransition=null,null!=e&&(e.cancelled=!0,this.rejectTransitionRequests(e.requests,"interrupted")),this.resetAllTransitioning(),this.endDebounce(),this.rememberAllAttributes();var s=this.items.indexOf(t);-1==s&&(s=Math.max(0,Math.min(i,this.items.length-1))),s=Math.min(s,this.getMaxSelectedIndex());for(var n=0;n<this.items.length;n++)n==s?(this.items[n].classList.remove(this.prevItemClass),this.items[n].classList.remove(this.nextItemClass),this.items[n].classList.add(this.selectedItemClass)):this.items[n].classList.remove(this.selectedItemClass);if(this.reclauclatePositions(s),this.updateClones(),null!=this.indicators){for(;this.indicators.length<this.getPageCount();){var o=this.createIndicator(this.indicators.length);this.indicators.push(o),Slideshow.placeElement(o,this.indicators,this.indicators.length-1,this.indicatorsContainer)}for(;this.indicators.length>this.getPageCount();){null!=(o=this.indicators.pop()).parentNode&&o.parentNode.removeChild(o)}this.initiateIndicators()}if(this.updateIndicators(s),this.updateVisibleItems(s),this.updateVirtualWindow(s),this.updateZoom(s),this.updateMedia(s),this.labelItems(),this.updateAccessibility(s,!1),null!=this.heightObserver)for(n=0;n<this.items.length;n++)this.heightObserver.observe(this.items[n]);this.emit("itemschange",{count:this.items.length,selected:this.items.length>0?s:-1}),this.runTransitionQueue()}createIndicator(t){var i;if(null!=this.options.createIndicator)i=Slideshow.toElement(this.options.createIndicator.call(this,t),"createIndicator");else if(null!=this.options.indicatorTemplate)i=this.renderIndicatorTemplate(t);else if((i=document.createElement("button")).setAttribute("type","button"),this.options.thumbnails&&this.items.length>0){var e=this.createThumbnail(this.items[Math.min(this.getPageStart(t),this.items.length-1)]);null!=e&&i.appendChild(e)}return this.createdIndicators.push(i),i.classList.add(this.options.indicatorClass),i}resetItem(t){this.restoreAttributes(t),null!=this.heightObserver&&this.heightObserver.unobserve(t),t.classList.remove(this.prevItemClass),t.classList.remove(this.selectedItemClass),t.classList.remove(this.nextItemClass),null!=this.transitioningClass&&t.classList.remove(this.transitioningClass),null!=this.notransitionClass&&t.classList.remove(this.notransitionClass)}static isOptionsObject(t){return"[object Object]"==Object.prototype.toString.call(t)}static resolveOptions(t){var i=Object.assign({},Slideshow.defaults);for(var e in t)void 0!==t[e]&&(i[e]=t[e]);return"string"==typeof i.container&&(i.container=Slideshow.getElement(i.container)),null==i.items&&null!=i.container?i.items=Slideshow.filterChildren(i.container,i.itemClass):null!=i.items?i.items=Array.from(i.items):i.items=[],null==i.container&&i.items.length>0&&(i.container=i.items[0].parentElement),"string"==typeof i.indicatorsContainer&&(i.indicatorsContainer=Slideshow.getElement(i.indicatorsContainer)),"string"==typeof i.indicators?(null==i.indicatorsContainer&&(i.indicatorsContainer=Slideshow.getElement(i.indicators)),i.indicators=Slideshow.getItemsFromElement(i.indicators,i.indicatorClass)):null!=i.indicators&&(i.indicators=Array.from(i.indicators)),i}static getInitialClasses(t,i=0,e={}){e=Object.assign({},Slideshow.defaults,e);var s=Math.max(1,Math.floor(e.slidesPerView));(!Number.isInteger(i)||i<0||i>=t)&&(i=0),i=Math.min(i,Math.max(0,t-s));for(var n=[],o=0;o<t;o++){var r=[e.itemClass];o==i?r.push(e.selectedItemClass):r.push(o<i?e.prevItemClass:e.nextItemClass),null!=e.visibleItemClass&&o>=i&&o<i+s&&r.push(e.visibleItemClass),n.push(r.join(" "))}return n}static resolveEffect(t){if("string"!=typeof t)return t||null;if(null==Slideshow.effects[t])throw new SlideshowError("Slideshow: unknown effect "+JSON.stringify(t)+", expected one of "+Object.keys(Slideshow.effects).map(function(t){return JSON.stringify(t)}).join(", ")+".","INVALID_OPTION");return Slideshow.effects[t]}static registerEffect(t,i){Slideshow.effects[t]=i}static autoInit(t=document){var i=[],e=function(){for(var e=t.querySelectorAll("[data-slideshow]"),s=0;s<e.length;s++)if(null==e[s].slideshow){var n;try{n=new Slideshow(Slideshow.getOptionsFromAttributes(e[s]))}catch(t){if(!(t instanceof SlideshowError))throw t;Slideshow.reportInitError(e[s],t);continue}i.push(n)}};return"loading"==document.readyState?document.addEventListener("DOMContentLoaded",function t(){document.removeEventListener("DOMContentLoaded",t),e()}):e(),i}static reportInitError(t,i){if("function"==typeof CustomEvent){var e=new CustomEvent("slideshow:error",{detail:{error:i},bubbles:!0,cancelable:!0});if(!t.dispatchEvent(e))return}Slideshow.reportError(i)}static getOptionsFromAttributes(t){var i={container:t},e=Slideshow.dataAttributes;for(var s in e){var n="data-slideshow-"+e[s].name;if(t.hasAttribute(n)){var o=t.getAttribute(n);switch(e[s].type){case"boolean":i[s]="false"!=o;break;case"number":if(i[s]=Number(o),""==o.trim()||isNaN(i[s]))throw new SlideshowError("Slideshow: invalid "+n+" "+JSON.stringify(o)+", expected a number.","INVALID_OPTION");break;default:i[s]=o,null==e[s].enabled||""!=o&&"true"!=o&&"false"!=o||(i[s]="false"!=o&&e[s].enabled)}}}return i}static filterChildren(t,i){for(var e=Array.from(t.children),s=0;s<e.length;s++)e[s].classList.contains(i)||(e.splice(s,1),s--);return e}static placeElement(t,i,e,s){e+1<i.length&&null!=i[e+1].parentNode?i[e+1].parentNode.insertBefore(t,i[e+1]):e>0&&null!=i[e-1].parentNode?i[e-1].parentNode.insertBefore(t,i[e-1].nextSibling):null!=s&&s.appendChild(t)}static hasGeneratedLabel(t,i){return!t.hasAttribute("aria-label")||i.test(t.getAttribute("aria-label"))}static getItemImage(t){return t.matches("img")?t:t.querySelector("img")}static stripIds(t){t.removeAttribute("id");for(var i=t.querySelectorAll("[id]"),e=0;e<i.length;e++)i[e].removeAttribute("id")}static getItemsFromElement(t,i){return Slideshow.filterChildren(Slideshow.getElement(t),i)}static isFocusVisible(t){try{return t.matches(":focus-visible")}catch(t){return!0}}static reportError(t){setTimeout(function(){throw t},0)}static toElement(t,i){var e=t;if("string"==typeof t){var s=document.createElement("template");s.innerHTML=t.trim(),e=s.content.firstElementChild}if(null==e||1!=e.nodeType)throw new SlideshowError("Slideshow: "+i+" produced "+("string"==typeof t?JSON.stringify(t):String(t))+", expected an element or the HTML of one.","INVALID_OPTION");return e}static getElement(t){var i=document.getElementById(t);if(null==i)throw new SlideshowError('Slideshow: there is no element with the id "'+t+'".',"MISSING_ELEMENT");return i}static parseTime(t){var i=parseFloat(t);return isNaN(i)?0:/ms\s*$/.test(t)?i:1e3*i}}Slideshow.defaults={container:null,items:null,indicators:null,indicatorsContainer:null,createIndicator:null,observeMutations:!1,itemClass:"slideshow-item",indicatorClass:"slideshow-indicator",loop:!1,loopStrategy:"flip",cloneItemClass:"slideshow-item-clone",shouldDebounce:!0,transitionPolicy:"drop",jumpStrategy:"sequential",shouldAutoTransition:!0,autoTransitionTime:7500,autoTransitionDelay:1e4,autoTransitionMode:null,durationAttribute:"data-slideshow-duration",selectedIndicatorClass:"slideshow-indicator-selected",prevItemClass:"slideshow-item-prev",selectedItemClass:"slideshow-item-selected",nextItemClass:"slideshow-item-next",transitioningClass:"slideshow-item-transitioning",notransitionClass:"slideshow-item-notransition",visibleItemClass:"slideshow-item-visible",slidesPerView:1,slidesPerGroup:1,breakpoints:null,bindIndicators:!0,prevControls:"[data-slideshow-prev]",nextControls:"[data-slideshow-next]",keyboard:!0,accessibility:!0,label:null,liveRegion:!0,announcement:"Slide {index} of {count}",swipe:!0,mouseDrag:!0,wheel:!1,dragFollow:!0,swipeDistance:50,swipeVelocity:.3,draggingClass:"slideshow-dragging",pauseOnHover:!0,pauseOnFocus:!0,pauseWhenHidden:!0,pauseWhenOffscreen:!0,respectReducedMotion:!0,progressVariable:!1,urlSync:!1,urlKey:null,urlHistory:"replace",slugAttribute:"data-slideshow-slug",lazyLoad:!0,preloadNeighbours:1,loadingClass:"slideshow-item-loading",pauseVideos:!0,asNavFor:null,activeItemClass:"slideshow-item-active",thumbnails:!1,thumbnailAttribute:"data-slideshow-thumb",effect:null,effectDuration:500,effectEasing:"ease",orientation:"horizontal",direction:null,pagination:null,paginationContainer:null,paginationClass:"slideshow-pagination",fractionFormat:"{current} / {total}",dynamicBullets:5,hiddenIndicatorClass:"slideshow-indicator-hidden",indicatorTemplate:null,autoHeight:!1,initialState:null,persist:!1,persistKey:null,dataSource:null,dataCount:0,dataPageSize:20,renderItem:null,virtualBuffer:1,scheduler:null,lightbox:!1,fullSrcAttribute:"data-full-src",lightboxFullscreen:!0,lightboxClass:"slideshow-lightbox",lightboxLabel:"Enlarged slides",zoom:!1,maxZoom:3,doubleTapZoom:2,zoomWheelModifier:"ctrl",zoomedItemClass:"slideshow-item-zoomed",debug:!1},Slideshow.effects={slide:{frame:function(t){return{transform:this.getTranslation(100*t)}}},fade:{frame:function(t){return{opacity:0==t?1:0,zIndex:0==t?1:0}}},stack:{frame:function(t){return t<0?{transform:this.getTranslation(0)+" scale(0.85)",opacity:0,zIndex:0}:0==t?{transform:this.getTranslation(0)+" scale(1)",opacity:1,zIndex:1}:{transform:this.getTranslation(100)+" scale(1)",opacity:1,zIndex:2}}}},Slideshow.frequentEvents=["zoom"],Slideshow.pendingNavLinks=[],Slideshow.dataAttributes={indicators:{name:"indicators",type:"string"},itemClass:{name:"item-class",type:"string"},indicatorClass:{name:"indicator-class",type:"string"},loop:{name:"loop",type:"boolean"},loopStrategy:{name:"loop-strategy",type:"string"},shouldDebounce:{name:"debounce",type:"boolean"},transitionPolicy:{name:"policy",type:"string"},jumpStrategy:{name:"jump",type:"string"},shouldAutoTransition:{name:"auto",type:"boolean"},autoTransitionTime:{name:"interval",type:"number"},autoTransitionDelay:{name:"delay",type:"number"},autoTransitionMode:{name:"mode",type:"string"},slidesPerView:{name:"per-view",type:"number"},slidesPerGroup:{name:"per-group",type:"number"},visibleItemClass:{name:"visible-class",type:"string"},selectedIndicatorClass:{name:"selected-indicator-class",type:"string"},prevItemClass:{name:"prev-class",type:"string"},selectedItemClass:{name:"selected-class",type:"string"},nextItemClass:{name:"next-class",type:"string"},transitioningClass:{name:"transitioning-class",type:"string"},notransitionClass:{name:"notransition-class",type:"string"},bindIndicators:{name:"bind-indicators",type:"boolean"},keyboard:{name:"keyboard",type:"boolean"},accessibility:{name:"accessibility",type:"boolean"},label:{name:"label",type:"string"},liveRegion:{name:"live-region",type:"boolean"},swipe:{name:"swipe",type:"boolean"},mouseDrag:{name:"mouse-drag",type:"boolean"},wheel:{name:"wheel",type:"boolean"},dragFollow:{name:"drag-follow",type:"boolean"},swipeDistance:{name:"swipe-distance",type:"number"},swipeVelocity:{name:"swipe-velocity",type:"number"},observeMutations:{name:"observe",type:"boolean"},pauseOnHover:{name:"pause-on-hover",type:"boolean"},pauseOnFocus:{name:"pause-on-focus",type:"boolean"},pauseWhenHidden:{name:"pause-when-hidden",type:"boolean"},pauseWhenOffscreen:{name:"pause-when-offscreen",type:"boolean"},respectReducedMotion:{name:"respect-reduced-motion",type:"boolean"},progressVariable:{name:"progress-variable",type:"boolean"},urlSync:{name:"url",type:"string",enabled:"query"},urlKey:{name:"url-key",type:"string"},urlHistory:{name:"url-history",type:"string"},lazyLoad:{name:"lazy",type:"boolean"},preloadNeighbours:{name:"preload",type:"number"},loadingClass:{name:"loading-class",type:"string"},pauseVideos:{name:"pause-videos",type:"boolean"},asNavFor:{name:"nav-for",type:"string"},activeItemClass:{name:"active-class",type:"string"},thumbnails:{name:"thumbnails",type:"boolean"},effect:{name:"effect",type:"string"},effectDuration:{name:"effect-duration",type:"number"},effectEasing:{name:"effect-easing",type:"string"},orientation:{name:"orientation",type:"string"},direction:{name:"direction",type:"string"},pagination:{name:"pagination",type:"string"},paginationContainer:{name:"pagination-container",type:"string"},fractionFormat:{name:"fraction-format",type:"string"},dynamicBullets:{name:"dynamic-bullets",type:"number"},indicatorTemplate:{name:"indicator-template",type:"string"},autoHeight:{name:"auto-height",type:"boolean"},persist:{name:"persist",type:"string"},persistKey:{name:"persist-key",type:"string"},lightbox:{name:"lightbox",type:"boolean"},lightboxFullscreen:{name:"lightbox-fullscreen",type:"boolean"},zoom:{name:"zoom",type:"boolean"},maxZoom:{name:"max-zoom",type:"number"},debug:{name:"debug",type:"boolean"}},Slideshow.managedAttributes=["role","tabindex","inert","data-index","aria-roledescription","aria-label","aria-hidden","aria-current","aria-selected","aria-controls","data-slideshow-orientation","data-slideshow-direction"],Slideshow.DRAG_LOCK_DISTANCE=8,Slideshow.DRAG_EDGE_RESISTANCE=.3,Slideshow.WHEEL_IDLE_TIME=200,Slideshow.DOUBLE_TAP_TIME=300,Slideshow.DOUBLE_TAP_DISTANCE=20,Slideshow.ZOOM_SNAP_SCALE=1.05,Slideshow.WHEEL_ZOOM_FACTOR=.01,Slideshow.optionValues={loopStrategy:["flip","clone"],transitionPolicy:["drop","queue","interrupt"],jumpStrategy:["sequential","direct","shortest"],autoTransitionMode:[null,"forward","reverse","pingpong","once","shuffle"],orientation:["horizontal","vertical"],direction:[null,"ltr","rtl"],urlSync:[!1,null,"hash","query"],urlHistory:["replace","push"],pagination:[null,!1,"bullets","dynamic","fraction","progressbar"],persist:[!1,null,"session","local"],zoomWheelModifier:[null,"ctrl","alt","shift","meta"]};class SlideshowError extends Error{constructor(t,i){super(t),this.name="SlideshowError",this.code=i}}Slideshow.SlideshowError=SlideshowError,Slideshow.scheduler={setTimeout:function(t,i){return setTimeout(t,i)},clearTimeout:function(t){clearTimeout(t)},now:function(){return Date.now()}},function(t){"object"==typeof module&&null!=module&&module.exports?module.exports=Slideshow:"function"==typeof define&&define.amd?define([],function(){return Slideshow}):null!=t&&(t.Slideshow=Slideshow)}("undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:this);
 //# sourceMappingURL=slideshow.min.js.map
\ No newline at end of file
@@ -0,0 +1,11 @@
+/**
+ * ES module entry point of the slideshow. slideshow.js exports the class to CommonJS when it
+ * exists, and defines it as a global otherwise (as when browsers load it as a module).
+ */
+import * as namespace from "./slideshow.js";
+
+var Slideshow = namespace.default || globalThis.Slideshow;
+var SlideshowError = Slideshow.SlideshowError;
+
+export default Slideshow;
+export { Slideshow, SlideshowError };
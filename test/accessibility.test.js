@@ -0,0 +1,93 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Presses a key on the given element.
+ */
+function press(window, element, key) {
+    var event = new window.KeyboardEvent("keydown", { key: key, bubbles: true, cancelable: true });
+    element.dispatchEvent(event);
+    return event;
+}
+
+test("the container and items get the carousel roles and states", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { label: "Featured" });
+    var container = slideshow.container;
+    assert.strictEqual(container.getAttribute("role"), "region");
+    assert.strictEqual(container.getAttribute("aria-roledescription"), "carousel");
+    assert.strictEqual(container.getAttribute("aria-label"), "Featured");
+    assert.strictEqual(slideshow.items[1].getAttribute("aria-roledescription"), "slide");
+    assert.strictEqual(slideshow.items[1].getAttribute("aria-label"), "2 of 3");
+    assert.ok(!slideshow.items[0].hasAttribute("aria-hidden"));
+    assert.strictEqual(slideshow.items[1].getAttribute("aria-hidden"), "true");
+    assert.ok(slideshow.items[1].hasAttribute("inert"));
+
+    slideshow.transitionForward(false);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.items[0].getAttribute("aria-hidden"), "true");
+    assert.ok(!slideshow.items[1].hasAttribute("aria-hidden"));
+    assert.ok(!slideshow.items[1].hasAttribute("inert"));
+    assert.strictEqual(slideshow.liveRegion.getAttribute("aria-live"), "polite");
+    assert.strictEqual(slideshow.liveRegion.textContent, "Slide 2 of 3");
+});
+
+test("the arrow, Home and End keys navigate while the slideshow has focus", function() {
+    var { window, scheduler, slideshow } = createSlideshow(4);
+    var container = slideshow.container;
+    assert.strictEqual(container.getAttribute("tabindex"), "0");
+
+    assert.ok(press(window, container, "ArrowRight").defaultPrevented);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    press(window, container, "End");
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+    press(window, container, "ArrowLeft");
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    press(window, container, "Home");
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    // Other keys and modified keys are left alone
+    assert.ok(!press(window, container, "a").defaultPrevented);
+    container.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowRight", ctrlKey: true, bubbles: true }));
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
+
+test("keys typed into form fields inside items don't navigate", function() {
+    var window = createWindow("<div id=\"slideshow\"><div class=\"slideshow-item slideshow-item-selected\"><input></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\"></div></div>");
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow({ container: "slideshow", scheduler: scheduler, transitioningClass: null, shouldAutoTransition: false });
+    press(window, window.document.querySelector("input"), "ArrowRight");
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
+
+test("indicators and controls are bound and labelled", function() {
+    var window = createWindow(itemsHtml(3).replace(/<\/div>$/, "<button data-slideshow-prev></button><button data-slideshow-next></button></div>")
+        + "<div id=\"indicators\">" + "<button class=\"slideshow-indicator\"></button>".repeat(3) + "</div>");
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow({ container: "slideshow", indicators: "indicators", scheduler: scheduler, transitioningClass: null, shouldAutoTransition: false });
+    var prev = window.document.querySelector("[data-slideshow-prev]");
+    var next = window.document.querySelector("[data-slideshow-next]");
+    assert.strictEqual(prev.getAttribute("aria-label"), "Previous slide");
+    assert.strictEqual(next.getAttribute("aria-controls"), "slideshow");
+    assert.strictEqual(slideshow.indicators[0].getAttribute("aria-current"), "true");
+    assert.strictEqual(slideshow.indicators[2].getAttribute("aria-label"), "Go to slide 3");
+
+    next.click();
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    assert.ok(!slideshow.indicators[0].hasAttribute("aria-current"));
+    assert.strictEqual(slideshow.indicators[1].getAttribute("aria-current"), "true");
+    prev.click();
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    slideshow.indicators[2].click();
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+});
@@ -0,0 +1,135 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler } = require("./helpers.js");
+
+/**
+ * Gives an element a fixed offsetHeight, as jsdom doesn't lay out.
+ */
+function setHeight(element, height) {
+    Object.defineProperty(element, "offsetHeight", { configurable: true, value: height });
+}
+
+/**
+ * Creates a slideshow with `autoHeight` over items of the given heights, in a window with extra HTML in the container.
+ * The container measures as the height set on it, plus its padding and border unless it has border-box sizing.
+ */
+function createWithHeights(heights, options, extra = "", style = "") {
+    var window = createWindow(itemsHtml(heights.length).replace("<div id=\"slideshow\">", "<div id=\"slideshow\" style=\"" + style + "\">" + extra));
+    var container = window.document.getElementById("slideshow");
+    var items = container.querySelectorAll(".slideshow-item");
+    for (var i = 0; i < heights.length; i++) {
+        setHeight(items[i], heights[i]);
+    }
+    Object.defineProperty(container, "offsetHeight", {
+        get: function() {
+            var computed = window.getComputedStyle(container);
+            var frame = computed.boxSizing == "border-box" ? 0 : (parseFloat(computed.paddingTop) || 0) + (parseFloat(computed.paddingBottom) || 0)
+                + (parseFloat(computed.borderTopWidth) || 0) + (parseFloat(computed.borderBottomWidth) || 0);
+            return (parseFloat(container.style.height) || 0) + frame;
+        }
+    });
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: container,
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        autoHeight: true,
+        effectDuration: 0
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow, container: container, items: items };
+}
+
+test("the container fits the selected item, growing at once and shrinking once the transition ends", function() {
+    var { scheduler, slideshow, container } = createWithHeights([100, 200, 150]);
+    assert.strictEqual(container.style.height, "100px");
+
+    slideshow.transitionTo(1);
+    assert.strictEqual(container.style.height, "200px");
+    scheduler.tick(0);
+    assert.strictEqual(container.style.height, "200px");
+
+    // The item leaving isn't cut off while it moves out
+    slideshow.transitionTo(2);
+    assert.strictEqual(container.style.height, "200px");
+    scheduler.tick(0);
+    assert.strictEqual(container.style.height, "150px");
+});
+
+test("the container fits the tallest visible item", function() {
+    var { container } = createWithHeights([100, 250, 150], { slidesPerView: 2 });
+    assert.strictEqual(container.style.height, "250px");
+});
+
+test("the container keeps room for its padding, border and other children", function() {
+    var extra = "<div id=\"other\" style=\"margin-top: 5px; margin-bottom: 5px\"></div><div id=\"overlay\" style=\"position: absolute\"></div>";
+    var { window, container } = createWithHeights([100, 200], {}, extra, "padding: 10px; border: 2px solid");
+    setHeight(container.querySelector("#other"), 20);
+    setHeight(container.querySelector("#overlay"), 500);
+
+    // Images loading within the container refit it
+    container.dispatchEvent(new window.Event("load"));
+    assert.strictEqual(container.style.height, "130px");
+
+    var { window, container } = createWithHeights([100, 200], {}, extra, "padding: 10px; border: 2px solid; box-sizing: border-box");
+    setHeight(container.querySelector("#other"), 20);
+    container.dispatchEvent(new window.Event("load"));
+    assert.strictEqual(container.style.height, "154px");
+});
+
+test("the container refits when an item resizes", function() {
+    var window = createWindow(itemsHtml(2));
+    var observed = [];
+    var notify;
+    window.ResizeObserver = class {
+        constructor(callback) {
+            notify = callback;
+        }
+        observe(element) {
+            observed.push(element);
+        }
+        unobserve() {}
+        disconnect() {}
+    };
+    var items = window.document.querySelectorAll(".slideshow-item");
+    setHeight(items[0], 100);
+    setHeight(items[1], 100);
+    var slideshow = new window.Slideshow({
+        container: "slideshow",
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        autoHeight: true
+    });
+    var container = window.document.getElementById("slideshow");
+    assert.deepStrictEqual(observed, Array.from(items));
+    assert.strictEqual(container.style.height, "100px");
+
+    setHeight(items[0], 180);
+    notify([]);
+    assert.strictEqual(container.style.height, "180px");
+    setHeight(items[0], 120);
+    notify([]);
+    assert.strictEqual(container.style.height, "120px");
+});
+
+test("the height is animated with the effect duration", function() {
+    var animations = [];
+    var { scheduler, slideshow, container } = createWithHeights([100, 200], { effectDuration: 300 });
+    container.animate = function(keyframes, options) {
+        animations.push({ keyframes: Array.from(keyframes, function(keyframe) {
+            return keyframe.height;
+        }), duration: options.duration });
+        return { cancel: function() {} };
+    };
+    slideshow.transitionTo(1);
+    scheduler.tick(0);
+    assert.deepStrictEqual(animations, [{ keyframes: ["100px", "200px"], duration: 300 }]);
+});
+
+test("destroying the slideshow clears the height it set", function() {
+    var { slideshow, container } = createWithHeights([100, 200]);
+    assert.strictEqual(container.style.height, "100px");
+    slideshow.destroy();
+    assert.strictEqual(container.style.height, "");
+});
@@ -0,0 +1,114 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler } = require("./helpers.js");
+
+/**
+ * Creates a looping slideshow of three items auto transitioning every second, after letting `setup` prepare the window.
+ */
+function createAutoplay(options = {}, setup = null) {
+    var window = createWindow(itemsHtml(3));
+    if (setup != null) {
+        setup(window);
+    }
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        loop: true,
+        autoTransitionTime: 1000
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow };
+}
+
+test("hovering holds auto transition, which resumes with the remaining time", function() {
+    var { window, scheduler, slideshow } = createAutoplay();
+    var reasons = [];
+    slideshow.on("autoplaypause", function(event) {
+        reasons.push(event.detail.reason);
+    });
+    scheduler.tick(600);
+    slideshow.container.dispatchEvent(new window.MouseEvent("mouseenter"));
+    assert.deepStrictEqual(reasons, ["hover"]);
+    scheduler.tick(5000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.strictEqual(slideshow.getAutoTransitionRemaining(), 400);
+
+    slideshow.container.dispatchEvent(new window.MouseEvent("mouseleave"));
+    scheduler.tick(399);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    scheduler.tick(1);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("keyboard focus within the slideshow holds auto transition until it leaves", function() {
+    var { scheduler, slideshow } = createAutoplay();
+    slideshow.items[0].setAttribute("tabindex", "-1");
+    slideshow.items[0].focus();
+    slideshow.container.focus();
+    scheduler.tick(2000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    slideshow.container.blur();
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("a hidden tab holds auto transition", function() {
+    var { window, scheduler, slideshow } = createAutoplay();
+    Object.defineProperty(window.document, "hidden", { value: true, configurable: true });
+    window.document.dispatchEvent(new window.Event("visibilitychange"));
+    scheduler.tick(2000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    Object.defineProperty(window.document, "hidden", { value: false, configurable: true });
+    window.document.dispatchEvent(new window.Event("visibilitychange"));
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("scrolling out of view holds auto transition", function() {
+    var notify;
+    var { scheduler, slideshow } = createAutoplay({}, function(window) {
+        window.IntersectionObserver = class {
+            constructor(callback) {
+                notify = callback;
+            }
+            observe() {}
+            disconnect() {}
+        };
+    });
+    notify([{ isIntersecting: false }]);
+    scheduler.tick(2000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    notify([{ isIntersecting: true }]);
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("a preference for reduced motion holds auto transition, unless told otherwise", function() {
+    var setup = function(window) {
+        window.matchMedia = function() {
+            return { matches: true, addEventListener: function() {}, removeEventListener: function() {} };
+        };
+    };
+    var { scheduler, slideshow } = createAutoplay({}, setup);
+    scheduler.tick(2000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    var { scheduler, slideshow } = createAutoplay({ respectReducedMotion: false }, setup);
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("the progress of the current cycle goes from 0 to 1", function() {
+    var { scheduler, slideshow } = createAutoplay();
+    assert.strictEqual(slideshow.getAutoTransitionProgress(), 0);
+    scheduler.tick(250);
+    assert.strictEqual(slideshow.getAutoTransitionProgress(), 0.25);
+    slideshow.pause();
+    scheduler.tick(500);
+    assert.strictEqual(slideshow.getAutoTransitionProgress(), 0.25);
+    slideshow.stopAutoTransition();
+    assert.strictEqual(slideshow.getAutoTransitionProgress(), 0);
+});
@@ -0,0 +1,87 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Gets the text of every item and clone in the container, in order.
+ */
+function children(slideshow) {
+    return Array.from(slideshow.container.querySelectorAll(".slideshow-item"), function(child) {
+        return child.textContent;
+    });
+}
+
+test("the clone loop places hidden clones of the edge items around them", function() {
+    var window = createWindow(itemsHtml(3).replace("\">2</div>", "\" id=\"last\"><span id=\"inner\">2</span></div>"));
+    var slideshow = new window.Slideshow({
+        container: "slideshow",
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        loop: true,
+        loopStrategy: "clone"
+    });
+    assert.deepStrictEqual(children(slideshow), ["2", "0", "1", "2", "0"]);
+    assert.strictEqual(slideshow.items.length, 3);
+    for (var clone of [slideshow.headClone, slideshow.tailClone]) {
+        assert.ok(clone.hasAttribute("data-slideshow-clone"));
+        assert.ok(clone.classList.contains("slideshow-item-clone"));
+        assert.strictEqual(clone.getAttribute("aria-hidden"), "true");
+        assert.ok(clone.hasAttribute("inert"));
+    }
+    assert.ok(slideshow.headClone.classList.contains("slideshow-item-prev"));
+    assert.ok(slideshow.tailClone.classList.contains("slideshow-item-next"));
+    assert.strictEqual(window.document.querySelectorAll("#last, #inner").length, 2);
+    assert.strictEqual(slideshow.headClone.querySelector("[id]"), null);
+});
+
+test("wrapping forward slides the clone in and swaps the first item in once it has arrived", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { loop: true, loopStrategy: "clone", initialState: { selectedIndex: 2 } });
+    var changes = [];
+    slideshow.on("change", function(event) {
+        changes.push(event.detail.to);
+    });
+    slideshow.transitionForward(false);
+    assert.ok(slideshow.tailClone.classList.contains("slideshow-item-selected"));
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    // The other items stay where they are, rather than flipping sides
+    assert.ok(slideshow.items[0].classList.contains("slideshow-item-prev"));
+    assert.ok(slideshow.items[1].classList.contains("slideshow-item-prev"));
+
+    scheduler.tick(0);
+    assert.ok(slideshow.items[0].classList.contains("slideshow-item-selected"));
+    assert.ok(slideshow.tailClone.classList.contains("slideshow-item-next"));
+    assert.ok(!slideshow.tailClone.classList.contains("slideshow-item-selected"));
+    assert.deepStrictEqual(changes, [0]);
+});
+
+test("wrapping backward slides the clone of the last item in", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { loop: true, loopStrategy: "clone" });
+    slideshow.transitionBackward(false);
+    assert.ok(slideshow.headClone.classList.contains("slideshow-item-selected"));
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.ok(slideshow.headClone.classList.contains("slideshow-item-prev"));
+});
+
+test("clones follow the items as they change, and leave with the slideshow", function() {
+    var { window, slideshow } = createSlideshow(3, { loop: true, loopStrategy: "clone" });
+    var item = window.document.createElement("div");
+    item.className = "slideshow-item";
+    item.textContent = "3";
+    slideshow.addItem(item);
+    assert.deepStrictEqual(children(slideshow), ["3", "0", "1", "2", "3", "0"]);
+    slideshow.removeItem(0);
+    assert.deepStrictEqual(children(slideshow), ["3", "1", "2", "3", "1"]);
+
+    slideshow.destroy();
+    assert.deepStrictEqual(children(slideshow), ["1", "2", "3"]);
+});
+
+test("clones are left out without looping and when grouped", function() {
+    var { slideshow } = createSlideshow(3, { loopStrategy: "clone" });
+    assert.strictEqual(children(slideshow).length, 3);
+    var { slideshow } = createSlideshow(4, { loop: true, loopStrategy: "clone", slidesPerView: 2 });
+    assert.strictEqual(children(slideshow).length, 4);
+});
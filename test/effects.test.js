@@ -0,0 +1,141 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler } = require("./helpers.js");
+
+/**
+ * Creates a slideshow of three items with the given effect, recording the animations started on its items.
+ * The animations only finish when told to.
+ */
+function createWithEffect(options) {
+    var window = createWindow(itemsHtml(3));
+    var animations = [];
+    window.Element.prototype.animate = function(keyframes, timing) {
+        var resolve;
+        var animation = {
+            item: this,
+            keyframes: keyframes,
+            timing: timing,
+            finished: new Promise(function(done) {
+                resolve = done;
+            }),
+            effect: {
+                getComputedTiming: function() {
+                    return { endTime: timing.duration };
+                }
+            },
+            finish: function() {
+                animation.finishedByBackup = true;
+                resolve(animation);
+            },
+            cancel: function() {}
+        };
+        animation.resolve = resolve;
+        animations.push(animation);
+        return animation;
+    };
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow, animations: animations };
+}
+
+/**
+ * Lets the promise callbacks run.
+ */
+function settle() {
+    return new Promise(setImmediate);
+}
+
+test("items rest at the frame of their position", function() {
+    var { slideshow } = createWithEffect({ effect: "fade" });
+    assert.deepStrictEqual(Array.from(slideshow.items, function(item) {
+        return item.style.opacity;
+    }), ["1", "0", "0"]);
+
+    var { slideshow } = createWithEffect({ effect: "slide" });
+    assert.deepStrictEqual(Array.from(slideshow.items, function(item) {
+        return item.style.transform;
+    }), ["translateX(0%)", "translateX(100%)", "translateX(100%)"]);
+    slideshow.destroy();
+    assert.strictEqual(slideshow.items[1].style.transform, "");
+});
+
+test("a transition animates both items and completes once their animations have finished", async function() {
+    var { scheduler, slideshow, animations } = createWithEffect({ effect: "slide", effectDuration: 400, effectEasing: "linear" });
+    slideshow.items[1].setAttribute("data-slideshow-effect-duration", "250");
+    var ended = 0;
+    slideshow.on("afterchange", function() {
+        ended++;
+    });
+    slideshow.transitionForward(false);
+    await settle();
+    assert.strictEqual(animations.length, 2);
+    assert.deepStrictEqual(animations.map(function(animation) {
+        return Array.from(animation.keyframes, function(frame) {
+            return frame.transform;
+        });
+    }), [["translateX(0%)", "translateX(-100%)"], ["translateX(100%)", "translateX(0%)"]]);
+    assert.strictEqual(animations[0].timing.duration, 250);
+    assert.strictEqual(animations[0].timing.easing, "linear");
+
+    scheduler.tick(1000);
+    assert.strictEqual(ended, 0);
+    animations[0].resolve(animations[0]);
+    animations[1].resolve(animations[1]);
+    await settle();
+    assert.strictEqual(ended, 1);
+    assert.strictEqual(slideshow.items[0].style.transform, "translateX(-100%)");
+});
+
+test("an animation which never finishes is finished by the backup timeout", async function() {
+    var { scheduler, slideshow, animations } = createWithEffect({ effect: "fade", effectDuration: 500 });
+    var ended = 0;
+    slideshow.on("afterchange", function() {
+        ended++;
+    });
+    slideshow.transitionForward(false);
+    await settle();
+    scheduler.tick(3499);
+    await settle();
+    assert.strictEqual(ended, 0);
+    scheduler.tick(1);
+    await settle();
+    assert.strictEqual(ended, 1);
+    assert.ok(animations.every(function(animation) {
+        return animation.finishedByBackup;
+    }));
+    assert.strictEqual(slideshow.transitionWatchers.length, 0);
+});
+
+test("custom effects can be registered and used by name", async function() {
+    var window = createWindow("");
+    window.Slideshow.registerEffect("zoom-out", {
+        frame: function(position) {
+            return { scale: position == 0 ? "1" : "0.5" };
+        },
+        keyframes: function(from, to) {
+            return [{ scale: from == 0 ? "1" : "0.5" }, { scale: "0.75" }, { scale: to == 0 ? "1" : "0.5" }];
+        }
+    });
+    assert.strictEqual(window.Slideshow.resolveEffect("zoom-out"), window.Slideshow.effects["zoom-out"]);
+    assert.throws(function() {
+        window.Slideshow.resolveEffect("spin");
+    }, { name: "SlideshowError", code: "INVALID_OPTION" });
+
+    var { slideshow, animations } = createWithEffect({ effect: {
+        frame: function(position) {
+            return { opacity: position == 0 ? "1" : "0.5" };
+        },
+        keyframes: function(from, to) {
+            return [{ opacity: "0.5" }, { opacity: "0.75" }, { opacity: "1" }];
+        }
+    } });
+    assert.strictEqual(slideshow.items[1].style.opacity, "0.5");
+    slideshow.transitionForward(false);
+    await settle();
+    assert.strictEqual(animations[0].keyframes.length, 3);
+});
@@ -0,0 +1,67 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createSlideshow } = require("./helpers.js");
+
+test("an unknown option value throws INVALID_OPTION", function() {
+    var window = createWindow(itemsHtml(3));
+    assert.throws(function() {
+        new window.Slideshow({ container: "slideshow", transitionPolicy: "later" });
+    }, { name: "SlideshowError", code: "INVALID_OPTION" });
+    assert.throws(function() {
+        new window.Slideshow({ container: "slideshow", effect: "unknown" });
+    }, { name: "SlideshowError", code: "INVALID_OPTION" });
+    assert.throws(function() {
+        new window.Slideshow({ container: "slideshow", effect: "fade", slidesPerView: 2 });
+    }, { name: "SlideshowError", code: "INVALID_OPTION" });
+});
+
+test("a missing element throws MISSING_ELEMENT", function() {
+    var window = createWindow(itemsHtml(3));
+    assert.throws(function() {
+        new window.Slideshow({ container: "nowhere" });
+    }, { name: "SlideshowError", code: "MISSING_ELEMENT" });
+});
+
+test("indicators which don't match the pages throw INDICATOR_MISMATCH", function() {
+    var window = createWindow(itemsHtml(3) + "<div id=\"indicators\"><button class=\"slideshow-indicator\"></button><button class=\"slideshow-indicator\"></button></div>");
+    assert.throws(function() {
+        new window.Slideshow({ container: "slideshow", indicators: "indicators", shouldAutoTransition: false });
+    }, { name: "SlideshowError", code: "INDICATOR_MISMATCH" });
+});
+
+test("errors are instances of Slideshow.SlideshowError", function() {
+    var window = createWindow(itemsHtml(3));
+    try {
+        new window.Slideshow({ container: "nowhere" });
+        assert.fail("expected an error");
+    } catch (error) {
+        assert.ok(error instanceof window.Slideshow.SlideshowError);
+        assert.ok(error instanceof window.Error);
+    }
+});
+
+test("an invalid data attribute throws INVALID_OPTION", function() {
+    var window = createWindow(itemsHtml(3).replace("<div id=\"slideshow\"", "<div id=\"slideshow\" data-slideshow-interval=\"soon\""));
+    assert.throws(function() {
+        window.Slideshow.getOptionsFromAttributes(window.document.getElementById("slideshow"));
+    }, { name: "SlideshowError", code: "INVALID_OPTION" });
+});
+
+test("autoInit skips invalid elements and dispatches slideshow:error on them", async function() {
+    var window = createWindow(itemsHtml(2, "valid").replace("<div id=\"valid\"", "<div id=\"valid\" data-slideshow data-slideshow-auto=\"false\"")
+        + itemsHtml(2, "invalid").replace("<div id=\"invalid\"", "<div id=\"invalid\" data-slideshow data-slideshow-policy=\"later\""));
+    var errors = [];
+    window.document.addEventListener("slideshow:error", function(event) {
+        errors.push(event.target.id + " " + event.detail.error.code);
+        event.preventDefault();
+    });
+    var slideshows = window.Slideshow.autoInit();
+    if (window.document.readyState == "loading") {
+        await new Promise(function(resolve) {
+            window.document.addEventListener("DOMContentLoaded", resolve);
+        });
+    }
+    assert.strictEqual(slideshows.length, 1);
+    assert.strictEqual(slideshows[0].container.id, "valid");
+    assert.deepStrictEqual(errors, ["invalid INVALID_OPTION"]);
+});
@@ -0,0 +1,98 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createSlideshow, dispatchPointer } = require("./helpers.js");
+
+/**
+ * Drags the pointer across the selected item by the given distance, in steps, over the given time.
+ */
+function drag(slideshow, scheduler, distance, time = 100, options = {}) {
+    var item = slideshow.items[slideshow.getSelectedIndex()];
+    dispatchPointer(item, "pointerdown", Object.assign({ clientX: 200, clientY: 100 }, options));
+    dispatchPointer(item, "pointermove", Object.assign({ clientX: 200 + distance / 2, clientY: 100 }, options));
+    scheduler.tick(time);
+    dispatchPointer(item, "pointermove", Object.assign({ clientX: 200 + distance, clientY: 100 }, options));
+    dispatchPointer(item, "pointerup", Object.assign({ clientX: 200 + distance, clientY: 100 }, options));
+}
+
+test("swiping far enough transitions, and the item follows the pointer", function() {
+    var { scheduler, slideshow } = createSlideshow(3);
+    var item = slideshow.items[0];
+    dispatchPointer(item, "pointerdown", { clientX: 200, clientY: 100 });
+    dispatchPointer(item, "pointermove", { clientX: 140, clientY: 102 });
+    assert.ok(slideshow.container.classList.contains("slideshow-dragging"));
+    assert.strictEqual(slideshow.container.style.getPropertyValue("--slideshow-drag-offset"), "-60px");
+    assert.strictEqual(item.style.translate, "-60px 0");
+    dispatchPointer(item, "pointerup", { clientX: 140, clientY: 102 });
+    assert.ok(!slideshow.container.classList.contains("slideshow-dragging"));
+    assert.strictEqual(item.style.translate, "");
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+
+    drag(slideshow, scheduler, 80);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
+
+test("a short, slow drag snaps back, while a short flick transitions", function() {
+    var { scheduler, slideshow } = createSlideshow(3);
+    drag(slideshow, scheduler, -30, 1000);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.strictEqual(slideshow.container.style.getPropertyValue("--slideshow-drag-offset"), "");
+
+    drag(slideshow, scheduler, -30, 20);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("moving across the axis leaves the pointer to the page", function() {
+    var { scheduler, slideshow } = createSlideshow(3);
+    var item = slideshow.items[0];
+    dispatchPointer(item, "pointerdown", { clientX: 200, clientY: 100 });
+    dispatchPointer(item, "pointermove", { clientX: 195, clientY: 180 });
+    dispatchPointer(item, "pointermove", { clientX: 100, clientY: 180 });
+    dispatchPointer(item, "pointerup", { clientX: 100, clientY: 180 });
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.strictEqual(item.style.translate, "");
+});
+
+test("mouse drags follow the mouseDrag option, and the click ending a drag is swallowed", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { mouseDrag: false });
+    drag(slideshow, scheduler, -80, 100, { pointerType: "mouse" });
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    var { window, scheduler, slideshow } = createSlideshow(3);
+    var clicked = 0;
+    slideshow.items[0].addEventListener("click", function() {
+        clicked++;
+    });
+    drag(slideshow, scheduler, -80, 100, { pointerType: "mouse" });
+    slideshow.items[0].dispatchEvent(new window.MouseEvent("click", { bubbles: true, cancelable: true }));
+    assert.strictEqual(clicked, 0);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("a wheel gesture transitions once, until the wheel has been idle", function() {
+    var { window, scheduler, slideshow } = createSlideshow(3, { wheel: true });
+    var wheel = function(deltaX, deltaY = 0) {
+        var event = new window.WheelEvent("wheel", { deltaX: deltaX, deltaY: deltaY, bubbles: true, cancelable: true });
+        slideshow.container.dispatchEvent(event);
+        return event;
+    };
+    assert.ok(!wheel(0, 100).defaultPrevented);
+    assert.ok(wheel(30).defaultPrevented);
+    wheel(30);
+    wheel(30);
+    scheduler.tick(100);
+    wheel(60);
+    scheduler.tick(100);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+
+    scheduler.tick(200);
+    wheel(-60);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
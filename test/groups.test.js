@@ -0,0 +1,146 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Creates a slideshow of five items with the given number of indicators.
+ */
+function createWithIndicators(indicators, options) {
+    var window = createWindow(itemsHtml(5) + "<div id=\"indicators\">" + "<button class=\"slideshow-indicator\"></button>".repeat(indicators) + "</div>");
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        indicators: "indicators",
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow };
+}
+
+test("indicators of a slideshow which isn't grouped follow the jumpStrategy", function() {
+    var { scheduler, slideshow } = createWithIndicators(5, { jumpStrategy: "sequential" });
+    slideshow.indicators[3].click();
+
+    // Walking through the items in between, the target is only selected once they have moved
+    assert.ok(!slideshow.items[3].classList.contains("slideshow-item-selected"));
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+
+    var { slideshow } = createWithIndicators(5, { jumpStrategy: "direct" });
+    slideshow.indicators[3].click();
+    assert.ok(slideshow.items[3].classList.contains("slideshow-item-selected"));
+});
+
+test("indicators of a looping slideshow take the shortest way only when asked to", function() {
+    var { scheduler, slideshow } = createWithIndicators(5, { loop: true, jumpStrategy: "direct" });
+    var directions = [];
+    slideshow.on("change", function(event) {
+        directions.push(event.detail.direction);
+    });
+    slideshow.indicators[4].click();
+    scheduler.tick(0);
+    slideshow.indicators[0].click();
+    scheduler.tick(0);
+    assert.deepStrictEqual(directions, ["forward", "backward"]);
+
+    var { scheduler, slideshow } = createWithIndicators(5, { loop: true, jumpStrategy: "shortest" });
+    directions = [];
+    slideshow.on("change", function(event) {
+        directions.push(event.detail.direction);
+    });
+    slideshow.indicators[4].click();
+    scheduler.tick(0);
+    assert.deepStrictEqual(directions, ["backward"]);
+});
+
+test("indicators of a grouped slideshow move a page in a single step", function() {
+    var { slideshow } = createWithIndicators(3, { slidesPerGroup: 2, jumpStrategy: "sequential" });
+    slideshow.indicators[2].click();
+    assert.ok(slideshow.items[4].classList.contains("slideshow-item-selected"));
+});
+
+/**
+ * Gets the indices of the items with the visible class.
+ */
+function visibleItems(slideshow) {
+    var visible = [];
+    for (var i = 0; i < slideshow.items.length; i++) {
+        if (slideshow.items[i].classList.contains("slideshow-item-visible")) {
+            visible.push(i);
+        }
+    }
+    return visible;
+}
+
+test("every item in the visible window is marked, with its slot", function() {
+    var { scheduler, slideshow } = createSlideshow(6, { slidesPerView: 3 });
+    assert.deepStrictEqual(visibleItems(slideshow), [0, 1, 2]);
+    assert.strictEqual(slideshow.items[2].style.getPropertyValue("--slideshow-slot"), "2");
+    assert.strictEqual(slideshow.container.style.getPropertyValue("--slideshow-per-view"), "3");
+    slideshow.transitionForward(false);
+    scheduler.tick(0);
+    assert.deepStrictEqual(visibleItems(slideshow), [1, 2, 3]);
+    assert.strictEqual(slideshow.items[1].style.getPropertyValue("--slideshow-slot"), "0");
+});
+
+test("groups move by slidesPerGroup and stop at the start of the last page", function() {
+    var { scheduler, slideshow } = createSlideshow(7, { slidesPerView: 3, slidesPerGroup: 3 });
+    assert.strictEqual(slideshow.getPageCount(), 3);
+    var selected = [];
+    for (var i = 0; i < 3; i++) {
+        slideshow.transitionForward(false);
+        scheduler.tick(0);
+        selected.push(slideshow.getSelectedIndex());
+    }
+    assert.deepStrictEqual(selected, [3, 4, 4]);
+    assert.ok(slideshow.isAtEnd());
+
+    slideshow.transitionBackward(false);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    slideshow.transitionBackward(false);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.ok(slideshow.isAtFront());
+
+    // A target past the start of the last page selects the last page
+    slideshow.transitionTo(6);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 4);
+    assert.deepStrictEqual(visibleItems(slideshow), [4, 5, 6]);
+});
+
+test("breakpoints reconfigure the layout as the container resizes", function() {
+    var window = createWindow(itemsHtml(6));
+    var notify;
+    window.ResizeObserver = class {
+        constructor(callback) {
+            notify = callback;
+        }
+        observe() {}
+        disconnect() {}
+    };
+    var slideshow = new window.Slideshow({
+        container: "slideshow",
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        breakpoints: { 600: { slidesPerView: 2 }, 900: { slidesPerView: 3, slidesPerGroup: 3 } }
+    });
+    var layouts = [];
+    slideshow.on("breakpoint", function(event) {
+        layouts.push(event.detail.slidesPerView + "/" + event.detail.slidesPerGroup);
+    });
+    assert.deepStrictEqual(visibleItems(slideshow), [0]);
+
+    notify([{ contentRect: { width: 700 } }]);
+    assert.deepStrictEqual(visibleItems(slideshow), [0, 1]);
+    notify([{ contentRect: { width: 1000 } }]);
+    assert.deepStrictEqual(visibleItems(slideshow), [0, 1, 2]);
+    assert.strictEqual(slideshow.getPageCount(), 2);
+    notify([{ contentRect: { width: 1200 } }]);
+    notify([{ contentRect: { width: 300 } }]);
+    assert.deepStrictEqual(visibleItems(slideshow), [0]);
+    assert.deepStrictEqual(layouts, ["2/1", "3/3", "1/1"]);
+});
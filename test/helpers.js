@@ -0,0 +1,136 @@
+/**
+ * Helpers shared by the tests, which run the slideshow in a jsdom window and drive its timers through a fake scheduler.
+ */
+var fs = require("fs");
+var test = require("node:test");
+var path = require("path");
+var { JSDOM } = require("jsdom");
+
+var windows = [];
+
+// Close the windows of every test, so their timers don't keep the process alive
+test.afterEach(function() {
+    while (windows.length > 0) {
+        windows.pop().close();
+    }
+});
+
+var source = fs.readFileSync(path.join(__dirname, "..", "slideshow.js"), "utf8").replace(/^﻿/, "");
+
+/**
+ * Creates a window with the given body, in which the slideshow script has been run.
+ * 
+ * @param {string} body The HTML of the body
+ * @param {Object} options The options of the JSDOM, such as its `url`
+ * @returns {Window} The window, exposing `Slideshow`
+ */
+function createWindow(body, options = {}) {
+    var dom = new JSDOM("<!DOCTYPE html><body>" + body + "</body>", Object.assign({ runScripts: "outside-only", pretendToBeVisual: true }, options));
+    dom.window.eval(source);
+    windows.push(dom.window);
+    return dom.window;
+}
+
+/**
+ * Returns the HTML of a container with the given number of items, the first of which is selected.
+ * 
+ * @param {number} count The number of items
+ * @param {string} id The id of the container
+ * @returns {string} The HTML
+ */
+function itemsHtml(count, id = "slideshow") {
+    var html = "<div id=\"" + id + "\">";
+    for (var i = 0; i < count; i++) {
+        html += "<div class=\"slideshow-item " + (i == 0 ? "slideshow-item-selected" : "slideshow-item-next") + "\">" + i + "</div>";
+    }
+    return html + "</div>";
+}
+
+/**
+ * Creates a scheduler whose clock only moves when told to, for the `scheduler` option.
+ * 
+ * @returns {Object} The scheduler, with a `tick(ms)` function running every timer due within the given time
+ */
+function createScheduler() {
+    var time = 0;
+    var nextId = 1;
+    var timers = [];
+    return {
+        setTimeout: function(callback, delay) {
+            var timer = { id: nextId++, time: time + Math.max(0, delay || 0), callback: callback };
+            timers.push(timer);
+            return timer.id;
+        },
+        clearTimeout: function(id) {
+            timers = timers.filter(function(timer) {
+                return timer.id != id;
+            });
+        },
+        now: function() {
+            return time;
+        },
+        tick: function(ms = 0) {
+            var end = time + ms;
+            while (true) {
+                var due = timers.filter(function(timer) {
+                    return timer.time <= end;
+                }).sort(function(a, b) {
+                    return a.time - b.time || a.id - b.id;
+                })[0];
+                if (due == null) {
+                    break;
+                }
+                timers.splice(timers.indexOf(due), 1);
+                time = due.time;
+                due.callback();
+            }
+            time = end;
+        },
+        pending: function() {
+            return timers.length;
+        }
+    };
+}
+
+/**
+ * Creates a slideshow over a container of items in a new window, with a fake scheduler and without transitioning classes,
+ * so transitions complete as soon as the scheduler ticks.
+ * 
+ * @param {number} count The number of items
+ * @param {Object} options The options of the slideshow
+ * @param {Object} windowOptions The options of the JSDOM
+ * @returns {Object} The `window`, `scheduler` and `slideshow`
+ */
+function createSlideshow(count, options = {}, windowOptions = {}) {
+    var window = createWindow(itemsHtml(count), windowOptions);
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow };
+}
+
+/**
+ * Dispatches a pointer event on an element. jsdom has no PointerEvent, so this is a MouseEvent carrying the pointer properties.
+ * 
+ * @param {HTMLElement} element The element
+ * @param {string} type The type of the event, such as "pointerdown"
+ * @param {Object} options The `clientX`, `clientY` and other properties of the event, with `pointerId`, `pointerType` and `isPrimary`
+ * @returns {Event} The event
+ */
+function dispatchPointer(element, type, options = {}) {
+    var window = element.ownerDocument.defaultView;
+    var event = new window.MouseEvent(type, Object.assign({ bubbles: true, cancelable: true, button: 0 }, options));
+    Object.defineProperties(event, {
+        pointerId: { value: options.pointerId || 1 },
+        pointerType: { value: options.pointerType || "touch" },
+        isPrimary: { value: options.isPrimary !== false }
+    });
+    element.dispatchEvent(event);
+    return event;
+}
+
+module.exports = { createWindow, itemsHtml, createScheduler, createSlideshow, dispatchPointer };
@@ -0,0 +1,30 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, createSlideshow } = require("./helpers.js");
+
+test("getInitialClasses matches the classes of a constructed slideshow", function() {
+    var { slideshow } = createSlideshow(5, { initialState: { selectedIndex: 3 }, slidesPerView: 2 });
+    var classes = createWindow("").Slideshow.getInitialClasses(5, 3, { slidesPerView: 2 });
+    assert.deepStrictEqual(Array.from(slideshow.items, function(item) {
+        return item.className.split(" ").sort().join(" ");
+    }), Array.from(classes, function(className) {
+        return className.split(" ").sort().join(" ");
+    }));
+});
+
+test("getInitialClasses keeps the selected index within the last page", function() {
+    var Slideshow = createWindow("").Slideshow;
+    var classes = Slideshow.getInitialClasses(4, 3, { slidesPerView: 2 });
+    assert.deepStrictEqual(Array.from(classes), [
+        "slideshow-item slideshow-item-prev",
+        "slideshow-item slideshow-item-prev",
+        "slideshow-item slideshow-item-selected slideshow-item-visible",
+        "slideshow-item slideshow-item-next slideshow-item-visible"
+    ]);
+});
+
+test("getInitialClasses selects the first item for an index out of range", function() {
+    var Slideshow = createWindow("").Slideshow;
+    assert.deepStrictEqual(Array.from(Slideshow.getInitialClasses(2, 7)), Array.from(Slideshow.getInitialClasses(2, 0)));
+    assert.deepStrictEqual(Array.from(Slideshow.getInitialClasses(0, 0)), []);
+});
@@ -0,0 +1,115 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Creates a slideshow of the given number of items with an indicator for each of them, selecting the given item.
+ */
+function createWithIndicators(count, selectedIndex = 0, options = {}) {
+    var window = createWindow(itemsHtml(count) + "<div id=\"indicators\">" + "<button class=\"slideshow-indicator\"></button>".repeat(count) + "</div>");
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        indicators: "indicators",
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        initialState: { selectedIndex: selectedIndex }
+    }, options));
+    return { window: window, slideshow: slideshow };
+}
+
+/**
+ * Gets the position class of every item: "prev", "selected" or "next".
+ */
+function positions(slideshow) {
+    return Array.from(slideshow.items, function(item) {
+        return ["prev", "selected", "next"].filter(function(position) {
+            return item.classList.contains("slideshow-item-" + position);
+        }).join(" ");
+    });
+}
+
+/**
+ * Gets the text of every item.
+ */
+function texts(slideshow) {
+    return Array.from(slideshow.items, function(item) {
+        return item.textContent;
+    });
+}
+
+/**
+ * Creates an item with the given text.
+ */
+function createItem(window, text) {
+    var item = window.document.createElement("div");
+    item.className = "slideshow-item";
+    item.textContent = text;
+    return item;
+}
+
+test("addItem keeps the selected item selected and creates an indicator", function() {
+    var { window, slideshow } = createWithIndicators(3, 1);
+    slideshow.addItem(createItem(window, "new"), 0);
+    assert.deepStrictEqual(texts(slideshow), ["new", "0", "1", "2"]);
+    assert.deepStrictEqual(Array.from(slideshow.container.children, function(child) {
+        return child.textContent;
+    }).slice(0, 4), ["new", "0", "1", "2"]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.deepStrictEqual(positions(slideshow), ["prev", "prev", "selected", "next"]);
+    assert.strictEqual(slideshow.indicators.length, 4);
+    assert.deepStrictEqual(Array.from(slideshow.indicators, function(indicator) {
+        return indicator.getAttribute("data-index");
+    }), ["0", "1", "2", "3"]);
+    assert.ok(slideshow.indicators[2].classList.contains("slideshow-indicator-selected"));
+});
+
+test("removeItem selects the item taking the place of a removed selected item", function() {
+    var { slideshow } = createWithIndicators(4, 1);
+    var removed = slideshow.removeItem(1);
+    assert.strictEqual(removed.textContent, "1");
+    assert.strictEqual(removed.parentNode, null);
+    assert.deepStrictEqual(texts(slideshow), ["0", "2", "3"]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    assert.deepStrictEqual(positions(slideshow), ["prev", "selected", "next"]);
+    assert.strictEqual(slideshow.indicators.length, 3);
+    assert.strictEqual(slideshow.removeItem(5), null);
+
+    // Removing the last item selects the one before it
+    slideshow.transitionTo(2);
+    slideshow.scheduler.tick(0);
+    slideshow.removeItem(2);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("moveItem reorders the items and their indicators", function() {
+    var { slideshow } = createWithIndicators(4, 0);
+    var indicator = slideshow.indicators[0];
+    slideshow.moveItem(0, 2);
+    assert.deepStrictEqual(texts(slideshow), ["1", "2", "0", "3"]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.deepStrictEqual(positions(slideshow), ["prev", "prev", "selected", "next"]);
+    assert.strictEqual(slideshow.indicators[2], indicator);
+    assert.strictEqual(indicator.getAttribute("data-index"), "2");
+});
+
+test("setItems replaces the items, keeping the selected item if it stays", function() {
+    var { window, slideshow } = createWithIndicators(3, 1);
+    var kept = slideshow.items[1];
+    var removed = slideshow.items[0];
+    slideshow.setItems([createItem(window, "a"), createItem(window, "b"), kept, createItem(window, "c")]);
+    assert.deepStrictEqual(texts(slideshow), ["a", "b", "1", "c"]);
+    assert.strictEqual(removed.parentNode, null);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.strictEqual(slideshow.indicators.length, 4);
+});
+
+test("observeMutations follows the children of the container", async function() {
+    var { window, slideshow } = createSlideshow(3, { observeMutations: true });
+    slideshow.container.appendChild(createItem(window, "3"));
+    slideshow.container.removeChild(slideshow.items[0]);
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(texts(slideshow), ["1", "2", "3"]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.deepStrictEqual(positions(slideshow), ["selected", "next", "next"]);
+});
@@ -0,0 +1,75 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createSlideshow } = require("./helpers.js");
+
+/**
+ * Records the index of every item which transitions to the previous side, leaving out the items which are moved there
+ * without transitioning.
+ */
+function recordMovedToPrev(slideshow) {
+    var moved = [];
+    var window = slideshow.container.ownerDocument.defaultView;
+    slideshow.items.forEach(function(item, index) {
+        new window.MutationObserver(function(records) {
+            // Each record holds the value before the change, the next one the value after it
+            var values = records.map(function(record) {
+                return record.oldValue.split(" ");
+            });
+            values.push(Array.from(item.classList));
+            for (var i = 1; i < values.length; i++) {
+                if (values[i - 1].indexOf("slideshow-item-prev") == -1 && values[i].indexOf("slideshow-item-prev") != -1
+                        && values[i].indexOf("slideshow-item-notransition") == -1) {
+                    moved.push(index);
+                }
+            }
+        }).observe(item, { attributes: true, attributeFilter: ["class"], attributeOldValue: true });
+    });
+    return moved;
+}
+
+test("the direct strategy moves the items in between without transitioning", async function() {
+    var { slideshow, scheduler } = createSlideshow(5, { jumpStrategy: "direct" });
+    var moved = recordMovedToPrev(slideshow);
+    slideshow.transitionTo(3);
+    scheduler.tick(0);
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(moved, [0]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+    for (var i = 0; i < 3; i++) {
+        assert.ok(slideshow.items[i].classList.contains("slideshow-item-prev"), "item " + i);
+    }
+});
+
+test("the shortest strategy goes around the loop when that is shorter", function() {
+    var { slideshow, scheduler } = createSlideshow(5, { jumpStrategy: "shortest", loop: true });
+    var detail = slideshow.transitionTo(4);
+    scheduler.tick(0);
+    assert.strictEqual(detail.direction, "backward");
+    assert.strictEqual(slideshow.getSelectedIndex(), 4);
+
+    detail = slideshow.transitionTo(1);
+    scheduler.tick(0);
+    assert.strictEqual(detail.direction, "forward");
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("the sequential strategy walks through every item in between", async function() {
+    var { slideshow, scheduler } = createSlideshow(5, { jumpStrategy: "sequential" });
+    var moved = recordMovedToPrev(slideshow);
+    slideshow.transitionTo(3);
+    scheduler.tick(0);
+    await new Promise(setImmediate);
+    assert.deepStrictEqual(moved, [0, 1, 2]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+});
+
+test("transitionTo throws INVALID_INDEX and goTo rejects with it", async function() {
+    var { slideshow } = createSlideshow(3);
+    for (var index of [-1, 3, 1.5, "1"]) {
+        assert.throws(function() {
+            slideshow.transitionTo(index);
+        }, { name: "SlideshowError", code: "INVALID_INDEX" });
+    }
+    await assert.rejects(slideshow.goTo(5), { name: "SlideshowError", code: "INVALID_INDEX" });
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
@@ -0,0 +1,98 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, createScheduler } = require("./helpers.js");
+
+/**
+ * Creates a slideshow whose items hold the given HTML, with {i} replaced by the index of the item.
+ */
+function createWithContent(count, content, options = {}, setup = null) {
+    var html = "<div id=\"slideshow\">";
+    for (var i = 0; i < count; i++) {
+        html += "<div class=\"slideshow-item " + (i == 0 ? "slideshow-item-selected" : "slideshow-item-next") + "\">" + content.replace(/\{i\}/g, i) + "</div>";
+    }
+    var window = createWindow(html + "</div>");
+    if (setup != null) {
+        setup(window);
+    }
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow };
+}
+
+/**
+ * Gets the indices of the items whose image has been given its source.
+ */
+function loaded(slideshow) {
+    var indices = [];
+    for (var i = 0; i < slideshow.items.length; i++) {
+        if (slideshow.items[i].querySelector("img").hasAttribute("src")) {
+            indices.push(i);
+        }
+    }
+    return indices;
+}
+
+test("only the selected item and its neighbours load their media", function() {
+    var { scheduler, slideshow } = createWithContent(6, "<img data-src=\"{i}.png\" data-srcset=\"{i}@2x.png 2x\">");
+    assert.deepStrictEqual(loaded(slideshow), [0, 1]);
+    assert.strictEqual(slideshow.items[1].querySelector("img").getAttribute("srcset"), "1@2x.png 2x");
+    assert.ok(!slideshow.items[1].querySelector("img").hasAttribute("data-src"));
+
+    slideshow.transitionTo(3, false, "direct");
+    scheduler.tick(0);
+    assert.deepStrictEqual(loaded(slideshow), [0, 1, 2, 3, 4]);
+
+    var { slideshow } = createWithContent(6, "<img data-src=\"{i}.png\">", { loop: true, preloadNeighbours: 2 });
+    assert.deepStrictEqual(loaded(slideshow), [0, 1, 2, 4, 5]);
+});
+
+test("items have the loading class until their media has loaded", function() {
+    var { window, slideshow } = createWithContent(3, "<img data-src=\"{i}.png\"><img data-src=\"{i}-b.png\">", { preloadNeighbours: 0 });
+    var events = [];
+    slideshow.on("itemload", function(event) {
+        events.push(event.detail.index);
+    });
+    var item = slideshow.items[0];
+    assert.ok(item.classList.contains("slideshow-item-loading"));
+    item.querySelectorAll("img")[0].dispatchEvent(new window.Event("load"));
+    assert.ok(item.classList.contains("slideshow-item-loading"));
+
+    // Failing media settles too
+    item.querySelectorAll("img")[1].dispatchEvent(new window.Event("error"));
+    assert.ok(!item.classList.contains("slideshow-item-loading"));
+    assert.deepStrictEqual(events, [0]);
+    assert.ok(!slideshow.items[1].classList.contains("slideshow-item-loading"));
+});
+
+test("backgrounds load from data-bg", function() {
+    var { slideshow } = createWithContent(3, "<img src=\"{i}.png\"><div data-bg=\"{i}-bg.png\"></div>");
+    assert.strictEqual(slideshow.items[1].querySelector("div").style.backgroundImage, "url(\"1-bg.png\")");
+    assert.strictEqual(slideshow.items[2].querySelector("div").style.backgroundImage, "");
+});
+
+test("lazyLoad can be turned off", function() {
+    var { slideshow } = createWithContent(3, "<img data-src=\"{i}.png\">", { lazyLoad: false });
+    assert.deepStrictEqual(loaded(slideshow), []);
+});
+
+test("videos pause while their item isn't visible and resume once it is", function() {
+    var calls = [];
+    var { scheduler, slideshow } = createWithContent(3, "<img src=\"{i}.png\"><video autoplay></video>", {}, function(window) {
+        window.HTMLMediaElement.prototype.play = function() {
+            calls.push("play " + this.parentNode.querySelector("img").getAttribute("src"));
+            return Promise.resolve();
+        };
+        window.HTMLMediaElement.prototype.pause = function() {
+            calls.push("pause " + this.parentNode.querySelector("img").getAttribute("src"));
+        };
+    });
+    assert.deepStrictEqual(calls, ["pause 1.png", "pause 2.png"]);
+    slideshow.transitionForward(false);
+    scheduler.tick(0);
+    assert.deepStrictEqual(calls.slice(2), ["pause 0.png", "play 1.png"]);
+});
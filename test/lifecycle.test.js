@@ -0,0 +1,96 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+test("a transition which never fires transitionend is cleaned up by its backup timeout", function() {
+    var { window, scheduler, slideshow } = createSlideshow(3, { transitioningClass: "slideshow-item-transitioning" });
+    var ended = 0;
+    slideshow.on("afterchange", function() {
+        ended++;
+    });
+    slideshow.transitionForward(false);
+    assert.ok(slideshow.items[1].classList.contains("slideshow-item-transitioning"));
+
+    scheduler.tick(3000);
+    assert.strictEqual(ended, 1);
+    assert.strictEqual(slideshow.transitionWatchers.length, 0);
+    for (var i = 0; i < slideshow.items.length; i++) {
+        assert.ok(!slideshow.items[i].classList.contains("slideshow-item-transitioning"), "item " + i);
+    }
+
+    // A late transitionend finds no listener left
+    slideshow.items[1].dispatchEvent(new window.Event("transitionend"));
+    assert.strictEqual(ended, 1);
+});
+
+test("destroy removes what the slideshow added and leaves the markup as it was", function() {
+    var window = createWindow(itemsHtml(3).replace("<div id=\"slideshow\">", "<div id=\"slideshow\" role=\"group\" aria-label=\"Own\">")
+        + "<div id=\"indicators\"></div>");
+    var slideshow = new window.Slideshow({
+        container: "slideshow",
+        indicators: "indicators",
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false
+    });
+    var container = slideshow.container;
+    assert.strictEqual(window.document.getElementById("indicators").children.length, 3);
+    assert.ok(container.contains(slideshow.liveRegion));
+
+    var destroyed = 0;
+    slideshow.on("destroy", function() {
+        destroyed++;
+    });
+    slideshow.destroy();
+    slideshow.destroy();
+    assert.strictEqual(destroyed, 1);
+    assert.strictEqual(window.document.getElementById("indicators").children.length, 0);
+    assert.strictEqual(container.children.length, 3);
+    assert.strictEqual(container.getAttribute("role"), "group");
+    assert.strictEqual(container.getAttribute("aria-label"), "Own");
+    assert.ok(!container.hasAttribute("aria-roledescription"));
+    assert.ok(!container.hasAttribute("tabindex"));
+    assert.strictEqual(container.slideshow, undefined);
+    for (var i = 0; i < 3; i++) {
+        var item = slideshow.items[i];
+        for (var name of ["role", "aria-roledescription", "aria-label", "aria-hidden", "inert"]) {
+            assert.ok(!item.hasAttribute(name), name + " of item " + i);
+        }
+    }
+
+    // The selected item stays visible
+    assert.ok(slideshow.items[0].classList.contains("slideshow-item-selected"));
+});
+
+test("a destroyed slideshow is inert", async function() {
+    var { window, scheduler, slideshow } = createSlideshow(3, { shouldAutoTransition: true, autoTransitionTime: 1000 });
+    slideshow.destroy();
+    scheduler.tick(5000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    slideshow.container.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.strictEqual(slideshow.transitionForward(false), null);
+    assert.strictEqual(slideshow.transitionTo(2), null);
+    await assert.rejects(slideshow.next(), { name: "AbortError" });
+});
+
+test("pause holds auto transition through navigation until resume", function() {
+    var { scheduler, slideshow } = createSlideshow(4, { loop: true, shouldAutoTransition: true, autoTransitionTime: 1000, autoTransitionDelay: 2000 });
+    var events = [];
+    slideshow.on("autoplaypause", function(event) {
+        events.push("pause " + event.detail.reason);
+    });
+    slideshow.on("autoplayresume", function(event) {
+        events.push("resume " + event.detail.reason);
+    });
+    scheduler.tick(500);
+    slideshow.pause();
+    slideshow.transitionForward(false);
+    scheduler.tick(10000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+
+    slideshow.resume();
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.deepStrictEqual(events, ["pause pause", "pause navigation", "resume pause"]);
+});
@@ -0,0 +1,193 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, createScheduler } = require("./helpers.js");
+
+/**
+ * Creates a slideshow of three image items, the second of which carries ids, after letting `setup` prepare the window.
+ */
+function createGallery(options, setup = null) {
+    var window = createWindow("<div id=\"slideshow\">"
+        + "<div class=\"slideshow-item slideshow-item-selected\"><img src=\"0.png\" alt=\"Zero\"></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\" id=\"one\"><img src=\"1.png\" id=\"one-image\"></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\"><img src=\"2.png\"></div>"
+        + "</div>");
+    if (setup != null) {
+        setup(window);
+    }
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        lightboxFullscreen: false
+    }, options));
+    return { window: window, slideshow: slideshow };
+}
+
+test("the lightbox shows copies of the items without their ids", function() {
+    var { window, slideshow } = createGallery({ lightbox: true });
+    var lightbox = slideshow.openLightbox(1);
+    assert.notStrictEqual(lightbox, null);
+    assert.strictEqual(lightbox.items.length, 3);
+    assert.strictEqual(window.document.querySelectorAll("#one, #one-image").length, 2);
+    for (var i = 0; i < lightbox.items.length; i++) {
+        assert.strictEqual(lightbox.items[i].querySelector("[id]"), null);
+        assert.ok(!lightbox.items[i].hasAttribute("id"));
+    }
+    slideshow.closeLightbox();
+});
+
+test("with the lightbox, clicking an item opens it and the items zoom within the lightbox", function() {
+    var { window, slideshow } = createGallery({ lightbox: true, zoom: true });
+    assert.strictEqual(slideshow.isZoomEnabled(), false);
+
+    // The wheel doesn't zoom the slideshow itself
+    slideshow.items[0].querySelector("img").dispatchEvent(new window.WheelEvent("wheel", { deltaY: -100, ctrlKey: true, bubbles: true, cancelable: true }));
+    assert.strictEqual(slideshow.zoom, null);
+
+    slideshow.items[0].querySelector("img").click();
+    assert.notStrictEqual(slideshow.lightbox, null);
+    assert.strictEqual(slideshow.lightbox.isZoomEnabled(), true);
+    slideshow.closeLightbox();
+});
+
+test("clicking an item opens the lightbox on it as a focused dialog", function() {
+    var { window, slideshow } = createGallery({ lightbox: true });
+    var opened = [];
+    slideshow.on("lightboxopen", function(event) {
+        opened.push(event.detail.index);
+    });
+    slideshow.items[2].querySelector("img").click();
+
+    var overlay = window.document.querySelector(".slideshow-lightbox");
+    assert.strictEqual(overlay.parentNode, window.document.body);
+    assert.strictEqual(overlay.getAttribute("role"), "dialog");
+    assert.strictEqual(overlay.getAttribute("aria-modal"), "true");
+    assert.strictEqual(overlay.getAttribute("aria-label"), "Enlarged slides");
+    assert.strictEqual(window.document.activeElement, overlay);
+    assert.strictEqual(slideshow.lightbox.getSelectedIndex(), 2);
+    assert.deepStrictEqual(opened, [2]);
+
+    // Opening it again keeps the lightbox which is open
+    assert.strictEqual(slideshow.openLightbox(0), slideshow.lightbox);
+    assert.strictEqual(window.document.querySelectorAll(".slideshow-lightbox").length, 1);
+});
+
+test("the lightbox shows the image of the fullSrcAttribute instead of a copy", function() {
+    var window = createWindow("<div id=\"slideshow\">"
+        + "<div class=\"slideshow-item slideshow-item-selected\" data-full-src=\"0-large.png\"><img src=\"0.png\" alt=\"Zero\"></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\"><a href=\"#\" data-full-src=\"1-large.png\"><img src=\"1.png\"></a></div>"
+        + "</div>");
+    var slideshow = new window.Slideshow({ container: "slideshow", scheduler: createScheduler(), shouldAutoTransition: false, lightbox: true, lightboxFullscreen: false });
+    var lightbox = slideshow.openLightbox(0);
+    assert.strictEqual(lightbox.items[0].querySelector("img").getAttribute("src"), "0-large.png");
+    assert.strictEqual(lightbox.items[0].querySelector("img").getAttribute("alt"), "Zero");
+    assert.strictEqual(lightbox.items[1].querySelector("img").getAttribute("src"), "1-large.png");
+    assert.strictEqual(lightbox.items[1].querySelector("a"), null);
+});
+
+test("navigating the lightbox moves the slideshow along, which stays on its item once it closes", function() {
+    var { window, slideshow } = createGallery({ lightbox: true });
+    var lightbox = slideshow.openLightbox(0);
+    lightbox.transitionForward(false);
+    slideshow.scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    lightbox.transitionTo(2);
+    slideshow.scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+
+    var closed = [];
+    slideshow.on("lightboxclose", function(event) {
+        closed.push(event.detail.index);
+    });
+    slideshow.closeLightbox();
+    assert.strictEqual(slideshow.lightbox, null);
+    assert.strictEqual(window.document.querySelector(".slideshow-lightbox"), null);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.deepStrictEqual(closed, [2]);
+});
+
+test("Escape, the close button and the backdrop close the lightbox, returning focus to where it was", function() {
+    var { window, slideshow } = createGallery({ lightbox: true });
+    var button = window.document.createElement("button");
+    window.document.body.appendChild(button);
+
+    button.focus();
+    var overlay = slideshow.openLightbox(1).container;
+    var escape = new window.KeyboardEvent("keydown", { key: "Escape", bubbles: true, cancelable: true });
+    overlay.dispatchEvent(escape);
+    assert.ok(escape.defaultPrevented);
+    assert.strictEqual(slideshow.lightbox, null);
+    assert.strictEqual(window.document.activeElement, button);
+
+    button.focus();
+    slideshow.openLightbox(1).container.querySelector("[data-slideshow-close]").click();
+    assert.strictEqual(slideshow.lightbox, null);
+    assert.strictEqual(window.document.activeElement, button);
+
+    overlay = slideshow.openLightbox(1).container;
+    overlay.click();
+    assert.strictEqual(slideshow.lightbox, null);
+});
+
+test("Tab keeps focus within the lightbox", function() {
+    var { window, slideshow } = createGallery({ lightbox: true });
+    var overlay = slideshow.openLightbox(0).container;
+    var controls = overlay.querySelectorAll("button");
+    var last = controls[controls.length - 1];
+    last.focus();
+    var tab = new window.KeyboardEvent("keydown", { key: "Tab", bubbles: true, cancelable: true });
+    last.dispatchEvent(tab);
+    assert.ok(tab.defaultPrevented);
+    assert.strictEqual(window.document.activeElement, controls[0]);
+
+    var shiftTab = new window.KeyboardEvent("keydown", { key: "Tab", shiftKey: true, bubbles: true, cancelable: true });
+    controls[0].dispatchEvent(shiftTab);
+    assert.strictEqual(window.document.activeElement, last);
+});
+
+test("auto transition is held while the lightbox is open", function() {
+    var { window, slideshow } = createGallery({ lightbox: true, shouldAutoTransition: true, loop: true, autoTransitionTime: 1000 });
+    var button = window.document.createElement("button");
+    window.document.body.appendChild(button);
+    button.focus();
+    slideshow.scheduler.tick(400);
+    slideshow.openLightbox(0);
+    slideshow.scheduler.tick(5000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+
+    // The cycle continues where it was
+    slideshow.closeLightbox();
+    slideshow.scheduler.tick(599);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    slideshow.scheduler.tick(1);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("the lightbox goes fullscreen if it can, and closes once fullscreen is left", function() {
+    var { window, slideshow } = createGallery({ lightbox: true, lightboxFullscreen: true }, function(window) {
+        var fullscreenElement = null;
+        Object.defineProperty(window.document, "fullscreenElement", {
+            configurable: true,
+            get: function() {
+                return fullscreenElement;
+            }
+        });
+        window.HTMLElement.prototype.requestFullscreen = function() {
+            fullscreenElement = this;
+            this.ownerDocument.dispatchEvent(new window.Event("fullscreenchange"));
+            return Promise.resolve();
+        };
+        window.document.exitFullscreen = function() {
+            fullscreenElement = null;
+            this.dispatchEvent(new window.Event("fullscreenchange"));
+            return Promise.resolve();
+        };
+    });
+    var overlay = slideshow.openLightbox(0).container;
+    assert.strictEqual(window.document.fullscreenElement, overlay);
+
+    window.document.exitFullscreen();
+    assert.strictEqual(slideshow.lightbox, null);
+    assert.strictEqual(overlay.parentNode, null);
+});
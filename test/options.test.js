@@ -0,0 +1,33 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml } = require("./helpers.js");
+
+test("the positional form leaves the features added since off", function() {
+    var window = createWindow(itemsHtml(3).replace("<div class=\"slideshow-item slideshow-item-next\">2</div>", "<div class=\"slideshow-item slideshow-item-next\"><img data-src=\"2.png\"></div>"));
+    var container = window.document.getElementById("slideshow");
+    var slideshow = new window.Slideshow(Array.from(container.children), null, false, false, false);
+    var options = slideshow.options;
+    for (var name of ["bindIndicators", "keyboard", "accessibility", "liveRegion", "swipe", "mouseDrag", "pauseOnHover", "pauseOnFocus",
+        "pauseWhenHidden", "pauseWhenOffscreen", "respectReducedMotion", "lazyLoad"]) {
+        assert.strictEqual(options[name], false, name);
+    }
+
+    // The markup is left as it was
+    assert.ok(!container.hasAttribute("aria-roledescription"));
+    assert.ok(!container.hasAttribute("tabindex"));
+    assert.strictEqual(container.children.length, 3);
+    assert.strictEqual(container.querySelector("img").getAttribute("data-src"), "2.png");
+
+    // The keys don't navigate it
+    container.dispatchEvent(new window.KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    slideshow.destroy();
+});
+
+test("the options form turns them on by default", function() {
+    var window = createWindow(itemsHtml(3));
+    var slideshow = new window.Slideshow({ container: "slideshow", shouldAutoTransition: false });
+    assert.strictEqual(slideshow.options.keyboard, true);
+    assert.strictEqual(slideshow.container.getAttribute("aria-roledescription"), "carousel");
+    slideshow.destroy();
+});
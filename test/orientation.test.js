@@ -0,0 +1,70 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow, dispatchPointer } = require("./helpers.js");
+
+/**
+ * Presses a key on the container of a slideshow and lets the transition complete.
+ */
+function press(window, scheduler, slideshow, key) {
+    slideshow.container.dispatchEvent(new window.KeyboardEvent("keydown", { key: key, bubbles: true, cancelable: true }));
+    scheduler.tick(0);
+    return slideshow.getSelectedIndex();
+}
+
+test("the orientation and direction are exposed on the container", function() {
+    var { slideshow } = createSlideshow(3);
+    assert.strictEqual(slideshow.container.getAttribute("data-slideshow-orientation"), "horizontal");
+    assert.strictEqual(slideshow.container.getAttribute("data-slideshow-direction"), "ltr");
+
+    var { slideshow } = createSlideshow(3, { orientation: "vertical", direction: "rtl" });
+    assert.strictEqual(slideshow.container.getAttribute("data-slideshow-orientation"), "vertical");
+    assert.strictEqual(slideshow.container.getAttribute("data-slideshow-direction"), "rtl");
+    slideshow.destroy();
+    assert.ok(!slideshow.container.hasAttribute("data-slideshow-orientation"));
+});
+
+test("the direction follows the nearest dir attribute", function() {
+    var window = createWindow("<div dir=\"RTL\">" + itemsHtml(3) + "</div>");
+    var slideshow = new window.Slideshow({ container: "slideshow", scheduler: createScheduler(), shouldAutoTransition: false });
+    assert.strictEqual(slideshow.direction, "rtl");
+    assert.strictEqual(slideshow.isReversed(), true);
+
+    var window = createWindow("<div dir=\"rtl\">" + itemsHtml(3) + "</div>");
+    var slideshow = new window.Slideshow({ container: "slideshow", scheduler: createScheduler(), shouldAutoTransition: false, direction: "ltr" });
+    assert.strictEqual(slideshow.direction, "ltr");
+});
+
+test("vertical slideshows map the up and down arrow keys", function() {
+    var { window, scheduler, slideshow } = createSlideshow(3, { orientation: "vertical" });
+    assert.strictEqual(press(window, scheduler, slideshow, "ArrowRight"), 0);
+    assert.strictEqual(press(window, scheduler, slideshow, "ArrowDown"), 1);
+    assert.strictEqual(press(window, scheduler, slideshow, "ArrowUp"), 0);
+});
+
+test("right-to-left slideshows go forward with the left arrow key and leftward swipes go backward", function() {
+    var { window, scheduler, slideshow } = createSlideshow(3, { direction: "rtl" });
+    assert.strictEqual(press(window, scheduler, slideshow, "ArrowLeft"), 1);
+    assert.strictEqual(press(window, scheduler, slideshow, "ArrowRight"), 0);
+
+    // Dragging to the right pulls the next item in from the left
+    var item = slideshow.items[0];
+    dispatchPointer(item, "pointerdown", { clientX: 100, clientY: 100 });
+    dispatchPointer(item, "pointermove", { clientX: 200, clientY: 100 });
+    dispatchPointer(item, "pointerup", { clientX: 200, clientY: 100 });
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    assert.strictEqual(slideshow.getTranslation(100), "translateX(-100%)");
+});
+
+test("vertical slideshows swipe along the vertical axis", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { orientation: "vertical" });
+    assert.strictEqual(slideshow.container.style.touchAction, "pan-x");
+    var item = slideshow.items[0];
+    dispatchPointer(item, "pointerdown", { clientX: 100, clientY: 200 });
+    dispatchPointer(item, "pointermove", { clientX: 100, clientY: 120 });
+    assert.strictEqual(item.style.translate, "0 -80px");
+    dispatchPointer(item, "pointerup", { clientX: 100, clientY: 120 });
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    assert.strictEqual(slideshow.getTranslation(100), "translateY(100%)");
+});
@@ -0,0 +1,153 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Creates a slideshow of the given number of items in a window with extra HTML after the container.
+ */
+function createWith(count, html, options) {
+    var window = createWindow(itemsHtml(count) + html);
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false
+    }, options));
+    return { window: window, scheduler: scheduler, slideshow: slideshow };
+}
+
+test("an empty indicators container is filled with an indicator per item", function() {
+    var { scheduler, slideshow } = createWith(4, "<div id=\"indicators\"></div>", { indicators: "indicators" });
+    assert.strictEqual(slideshow.indicators.length, 4);
+    assert.ok(slideshow.indicators.every(function(indicator) {
+        return indicator.tagName == "BUTTON" && indicator.classList.contains("slideshow-indicator");
+    }));
+
+    slideshow.indicators[2].click();
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+});
+
+test("bullets are built into a new element at the end of the container", function() {
+    var { window, slideshow } = createSlideshow(3, { pagination: "bullets" });
+    var pagination = window.document.getElementById("slideshow").querySelector("[data-slideshow-pagination]");
+    assert.ok(pagination.classList.contains("slideshow-pagination"));
+    assert.strictEqual(pagination.getAttribute("data-slideshow-pagination"), "bullets");
+    assert.strictEqual(pagination.children.length, 3);
+    assert.strictEqual(slideshow.indicators[0], pagination.children[0]);
+
+    slideshow.destroy();
+    assert.strictEqual(window.document.querySelector(".slideshow-pagination"), null);
+});
+
+test("the pagination is built into the given paginationContainer", function() {
+    var { window } = createWith(3, "<nav id=\"pages\"></nav>", { pagination: "bullets", paginationContainer: "pages" });
+    var pagination = window.document.getElementById("pages");
+    assert.ok(pagination.classList.contains("slideshow-pagination"));
+    assert.strictEqual(pagination.querySelectorAll(".slideshow-indicator").length, 3);
+    assert.strictEqual(window.document.getElementById("slideshow").querySelector(".slideshow-pagination"), null);
+});
+
+test("fraction pagination counts the page of the selected item", function() {
+    var { window, scheduler, slideshow } = createSlideshow(10, { pagination: "fraction" });
+    var fraction = window.document.querySelector(".slideshow-pagination-fraction");
+    assert.strictEqual(fraction.textContent, "1 / 10");
+
+    slideshow.transitionForward();
+    scheduler.tick(0);
+    assert.strictEqual(fraction.textContent, "2 / 10");
+
+    var { window } = createSlideshow(6, { pagination: "fraction", fractionFormat: "Slide {current} of {total}", slidesPerView: 2, slidesPerGroup: 2 });
+    assert.strictEqual(window.document.querySelector(".slideshow-pagination-fraction").textContent, "Slide 1 of 3");
+});
+
+test("progressbar pagination scales its bar and reports its value", function() {
+    var { window, scheduler, slideshow } = createSlideshow(4, { pagination: "progressbar" });
+    var pagination = window.document.querySelector(".slideshow-pagination");
+    var bar = pagination.querySelector(".slideshow-pagination-progress");
+    assert.strictEqual(bar.getAttribute("role"), "progressbar");
+    assert.strictEqual(bar.getAttribute("aria-valuemin"), "1");
+    assert.strictEqual(bar.getAttribute("aria-valuemax"), "4");
+    assert.strictEqual(bar.getAttribute("aria-valuenow"), "1");
+    assert.strictEqual(bar.style.transform, "scaleX(0.25)");
+
+    slideshow.transitionTo(1);
+    scheduler.tick(0);
+    assert.strictEqual(bar.getAttribute("aria-valuenow"), "2");
+    assert.strictEqual(bar.style.transform, "scaleX(0.5)");
+    assert.strictEqual(pagination.style.getPropertyValue("--slideshow-pagination-progress"), "0.5");
+});
+
+test("dynamic pagination only shows a window of bullets around the selected one", function() {
+    var { scheduler, slideshow } = createSlideshow(9, { pagination: "dynamic", dynamicBullets: 3 });
+
+    /**
+     * Returns the indexes of the bullets which are shown.
+     */
+    function shown() {
+        return Array.from(slideshow.indicators, function(indicator, index) {
+            return indicator.classList.contains("slideshow-indicator-hidden") ? -1 : index;
+        }).filter(function(index) {
+            return index >= 0;
+        });
+    }
+
+    assert.deepStrictEqual(shown(), [0, 1, 2]);
+    slideshow.transitionTo(4);
+    scheduler.tick(0);
+    assert.deepStrictEqual(shown(), [3, 4, 5]);
+    assert.strictEqual(slideshow.indicators[2].style.getPropertyValue("--slideshow-indicator-distance"), "2");
+    slideshow.transitionTo(8);
+    scheduler.tick(0);
+    assert.deepStrictEqual(shown(), [6, 7, 8]);
+});
+
+test("indicators are rendered from the indicatorTemplate", function() {
+    var { slideshow } = createSlideshow(3, { pagination: "bullets", indicatorTemplate: "<span class=\"dot\">{index} of {count}</span>" });
+    assert.deepStrictEqual(Array.from(slideshow.indicators, function(indicator) {
+        return indicator.textContent;
+    }), ["1 of 3", "2 of 3", "3 of 3"]);
+    assert.ok(slideshow.indicators[0].classList.contains("dot"));
+
+    var { slideshow } = createWith(2, "<template id=\"dot\"><i>{index}</i></template>", { pagination: "bullets", indicatorTemplate: "#dot" });
+    assert.strictEqual(slideshow.indicators[1].tagName, "I");
+    assert.strictEqual(slideshow.indicators[1].textContent, "2");
+
+    assert.throws(function() {
+        createSlideshow(2, { pagination: "bullets", indicatorTemplate: "#missing" });
+    }, { code: "MISSING_ELEMENT" });
+});
+
+test("the createIndicator option takes precedence over the indicatorTemplate", function() {
+    var { slideshow } = createSlideshow(2, {
+        pagination: "bullets",
+        indicatorTemplate: "<span>{index}</span>",
+        createIndicator: function(index) {
+            return "<b>" + index + "</b>";
+        }
+    });
+    assert.strictEqual(slideshow.indicators[1].tagName, "B");
+    assert.strictEqual(slideshow.indicators[1].textContent, "1");
+});
+
+test("the pagination follows items being added", function() {
+    var { window, slideshow } = createSlideshow(3, { pagination: "fraction" });
+    var item = window.document.createElement("div");
+    item.className = "slideshow-item";
+    slideshow.addItem(item);
+    assert.strictEqual(window.document.querySelector(".slideshow-pagination-fraction").textContent, "1 / 4");
+
+    var { window, slideshow } = createSlideshow(3, { pagination: "bullets" });
+    item = window.document.createElement("div");
+    slideshow.addItem(item, 0);
+    assert.strictEqual(window.document.querySelector(".slideshow-pagination").children.length, 4);
+    assert.strictEqual(slideshow.indicators.length, 4);
+    assert.ok(slideshow.indicators[1].classList.contains("slideshow-indicator-selected"));
+});
+
+test("an unknown pagination type is rejected", function() {
+    assert.throws(function() {
+        createSlideshow(2, { pagination: "stars" });
+    }, { code: "INVALID_OPTION" });
+});
@@ -0,0 +1,63 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createSlideshow } = require("./helpers.js");
+
+test("shuffle keeps auto transitioning with a single item", function() {
+    var { scheduler, slideshow } = createSlideshow(1, { autoTransitionMode: "shuffle", shouldAutoTransition: true, autoTransitionTime: 1000 });
+    scheduler.tick(8000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.strictEqual(slideshow.getNextShuffledIndex(), 0);
+    assert.strictEqual(slideshow.autoTransitionRunning, true);
+});
+
+/**
+ * Runs the given number of auto transitions and records the selected index after each of them.
+ */
+function play(slideshow, scheduler, count) {
+    var selected = [];
+    for (var i = 0; i < count; i++) {
+        scheduler.tick(1000);
+        selected.push(slideshow.getSelectedIndex());
+    }
+    return selected;
+}
+
+test("items stay selected for their own duration", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { loop: true, shouldAutoTransition: true, autoTransitionTime: 1000 });
+    slideshow.items[1].setAttribute("data-slideshow-duration", "3000");
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    scheduler.tick(2999);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    scheduler.tick(1);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+});
+
+test("the playback modes move through the items in their own order", function() {
+    var modes = {
+        forward: [1, 2, 3, 0, 1],
+        reverse: [3, 2, 1, 0, 3],
+        pingpong: [1, 2, 3, 2, 1]
+    };
+    for (var mode in modes) {
+        var { scheduler, slideshow } = createSlideshow(4, { autoTransitionMode: mode, shouldAutoTransition: true, autoTransitionTime: 1000 });
+        assert.deepStrictEqual(play(slideshow, scheduler, 5), modes[mode], mode);
+    }
+});
+
+test("once stops at the end", function() {
+    var { scheduler, slideshow } = createSlideshow(3, { autoTransitionMode: "once", shouldAutoTransition: true, autoTransitionTime: 1000 });
+    var reasons = [];
+    slideshow.on("autoplaypause", function(event) {
+        reasons.push(event.detail.reason);
+    });
+    assert.deepStrictEqual(play(slideshow, scheduler, 4), [1, 2, 2, 2]);
+    assert.deepStrictEqual(reasons, ["end"]);
+    assert.strictEqual(slideshow.autoTransitionRunning, false);
+});
+
+test("shuffle shows every other item before showing one again", function() {
+    var { scheduler, slideshow } = createSlideshow(5, { autoTransitionMode: "shuffle", shouldAutoTransition: true, autoTransitionTime: 1000 });
+    var selected = play(slideshow, scheduler, 4);
+    assert.deepStrictEqual(selected.slice().sort(), [1, 2, 3, 4]);
+});
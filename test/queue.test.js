@@ -0,0 +1,64 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createSlideshow } = require("./helpers.js");
+
+test("the drop policy rejects requests made while a transition runs", async function() {
+    var { slideshow, scheduler } = createSlideshow(4, { transitionPolicy: "drop" });
+    var first = slideshow.next();
+    var second = slideshow.next();
+    await assert.rejects(second, { name: "AbortError", reason: "dropped" });
+    scheduler.tick(0);
+    assert.deepStrictEqual(Object.assign({}, await first), { from: 0, to: 1, direction: "forward", auto: false });
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("the queue policy runs requests one after another", async function() {
+    var { slideshow, scheduler } = createSlideshow(4, { transitionPolicy: "queue" });
+    var changes = [];
+    slideshow.on("change", function(event) {
+        changes.push(event.detail.to);
+    });
+    var requests = [slideshow.next(), slideshow.goTo(3), slideshow.prev()];
+    assert.deepStrictEqual(changes, [1]);
+    scheduler.tick(0);
+    var results = await Promise.all(requests);
+    assert.deepStrictEqual(results.map(function(result) {
+        return result.to;
+    }), [1, 3, 2]);
+    assert.deepStrictEqual(changes, [1, 3, 2]);
+});
+
+test("a queued request with an invalid index rejects without blocking the queue", async function() {
+    var { slideshow, scheduler } = createSlideshow(4, { transitionPolicy: "queue" });
+    var first = slideshow.next();
+    var invalid = slideshow.goTo(9);
+    var last = slideshow.goTo(3);
+    scheduler.tick(0);
+    await first;
+    await assert.rejects(invalid, { name: "SlideshowError", code: "INVALID_INDEX" });
+    assert.strictEqual((await last).to, 3);
+});
+
+test("the interrupt policy snaps the running transition and goes to the newest target", async function() {
+    var { slideshow, scheduler } = createSlideshow(4, { transitionPolicy: "interrupt", jumpStrategy: "direct" });
+    var first = slideshow.next();
+    var second = slideshow.goTo(3);
+    await assert.rejects(first, { name: "AbortError", reason: "interrupted" });
+    scheduler.tick(0);
+    assert.strictEqual((await second).to, 3);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+});
+
+test("going to the selected item resolves with null", async function() {
+    var { slideshow } = createSlideshow(4);
+    assert.strictEqual(await slideshow.goTo(0), null);
+});
+
+test("destroy rejects queued requests", async function() {
+    var { slideshow } = createSlideshow(4, { transitionPolicy: "queue" });
+    var first = slideshow.next();
+    var queued = slideshow.next();
+    slideshow.destroy();
+    await assert.rejects(first, { name: "AbortError" });
+    await assert.rejects(queued, { name: "AbortError", reason: "destroyed" });
+});
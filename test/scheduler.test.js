@@ -0,0 +1,52 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createSlideshow } = require("./helpers.js");
+
+test("auto transitions run on the injected scheduler", function() {
+    var { slideshow, scheduler } = createSlideshow(3, { loop: true, shouldAutoTransition: true, autoTransitionTime: 1000 });
+    scheduler.tick(999);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    scheduler.tick(1);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
+
+test("pausing auto transition keeps the remaining time", function() {
+    var { slideshow, scheduler } = createSlideshow(3, { loop: true, shouldAutoTransition: true, autoTransitionTime: 1000 });
+    scheduler.tick(400);
+    slideshow.pause();
+    scheduler.tick(5000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    slideshow.resume();
+    scheduler.tick(599);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    scheduler.tick(1);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("the debounce ends with the transition, or after its backup timeout", function() {
+    var { slideshow, scheduler } = createSlideshow(3, { shouldDebounce: true });
+    assert.strictEqual(slideshow.transitionForward(false).to, 1);
+    assert.strictEqual(slideshow.transitionForward(false), false);
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.transitionForward(false).to, 2);
+    scheduler.tick(0);
+
+    // A lock which isn't released by a transition expires
+    assert.strictEqual(slideshow.debounce(), false);
+    scheduler.tick(2999);
+    assert.strictEqual(slideshow.transitioning, true);
+    scheduler.tick(1);
+    assert.strictEqual(slideshow.transitioning, false);
+});
+
+test("destroy unschedules every timer", function() {
+    var { slideshow, scheduler } = createSlideshow(3, { loop: true, shouldAutoTransition: true, autoTransitionTime: 1000 });
+    slideshow.transitionForward(false);
+    assert.ok(scheduler.pending() > 0);
+    slideshow.destroy();
+    assert.strictEqual(scheduler.pending(), 0);
+});
@@ -0,0 +1,120 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Creates a looping slideshow over the items of the given window, auto transitioning every second.
+ */
+function createAutoplay(window, options = {}) {
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        loop: true,
+        autoTransitionTime: 1000
+    }, options));
+    return { scheduler: scheduler, slideshow: slideshow };
+}
+
+test("getState returns a serializable snapshot of the slideshow", function() {
+    var { scheduler, slideshow } = createAutoplay(createWindow(itemsHtml(4)), {
+        createIndicator: function() {
+            return "<button></button>";
+        }
+    });
+    scheduler.tick(1400);
+    var state = slideshow.getState();
+    assert.strictEqual(state.selectedIndex, 1);
+    assert.deepStrictEqual(Object.assign({}, state.autoTransition), { running: true, paused: false, ended: false, remaining: 600, direction: "forward" });
+    assert.strictEqual(state.options.loop, true);
+    assert.strictEqual(state.options.autoTransitionTime, 1000);
+    assert.ok(!("scheduler" in state.options));
+    assert.ok(!("createIndicator" in state.options));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state)).autoTransition, Object.assign({}, state.autoTransition));
+
+    slideshow.pause();
+    assert.strictEqual(slideshow.getState().autoTransition.paused, true);
+});
+
+test("setState restores the item and auto transition without transitioning", function() {
+    var { scheduler, slideshow } = createAutoplay(createWindow(itemsHtml(4)));
+    scheduler.tick(2300);
+    var state = JSON.parse(JSON.stringify(slideshow.getState()));
+
+    var { scheduler, slideshow } = createAutoplay(createWindow(itemsHtml(4)));
+    var changes = 0;
+    slideshow.on("change", function() {
+        changes++;
+    });
+    assert.strictEqual(slideshow.setState(state), slideshow);
+    assert.strictEqual(changes, 0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.ok(slideshow.items[2].classList.contains("slideshow-item-selected"));
+
+    // The cycle continues with the time it had left
+    scheduler.tick(699);
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    scheduler.tick(1);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+});
+
+test("setState ignores an index outside of the items", function() {
+    var { slideshow } = createSlideshow(3, { initialState: { selectedIndex: 1 } });
+    slideshow.setState({ selectedIndex: 7 });
+    slideshow.setState({ selectedIndex: -1 });
+    slideshow.setState(null);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("the initialState is the state to start from", function() {
+    var window = createWindow(itemsHtml(4));
+    var { scheduler, slideshow } = createAutoplay(window, {
+        initialState: { selectedIndex: 3, autoTransition: { running: true, paused: true, remaining: 200 } }
+    });
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+    assert.ok(window.document.querySelectorAll(".slideshow-item")[3].classList.contains("slideshow-item-selected"));
+
+    // Paused, until resumed with the remaining time
+    scheduler.tick(5000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 3);
+    slideshow.resume();
+    scheduler.tick(200);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+});
+
+test("a persisted state survives reloading, and takes precedence over the initialState", function() {
+    var window = createWindow(itemsHtml(4), { url: "https://example.com/" });
+    var { scheduler, slideshow } = createAutoplay(window, { persist: "session", shouldAutoTransition: false });
+    slideshow.transitionTo(2);
+    scheduler.tick(0);
+    assert.strictEqual(JSON.parse(window.sessionStorage.getItem("slideshow:slideshow")).selectedIndex, 2);
+
+    slideshow.destroy();
+    var { slideshow } = createAutoplay(window, { persist: "session", shouldAutoTransition: false, initialState: { selectedIndex: 1 } });
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+    assert.strictEqual(window.localStorage.length, 0);
+});
+
+test("the persisted state is saved under the persistKey in the chosen storage", function() {
+    var window = createWindow(itemsHtml(4), { url: "https://example.com/" });
+    var { slideshow } = createAutoplay(window, { persist: "local", persistKey: "gallery" });
+    slideshow.pause();
+    assert.strictEqual(JSON.parse(window.localStorage.getItem("gallery")).autoTransition.paused, true);
+
+    // The state is saved again when the page is left
+    slideshow.setState({ selectedIndex: 3 });
+    window.localStorage.clear();
+    window.dispatchEvent(new window.Event("pagehide"));
+    assert.strictEqual(JSON.parse(window.localStorage.getItem("gallery")).selectedIndex, 3);
+    assert.strictEqual(window.sessionStorage.length, 0);
+});
+
+test("nothing is persisted by default", function() {
+    var window = createWindow(itemsHtml(3), { url: "https://example.com/" });
+    var { scheduler, slideshow } = createAutoplay(window, { shouldAutoTransition: false });
+    slideshow.transitionTo(1);
+    scheduler.tick(0);
+    assert.strictEqual(window.sessionStorage.length, 0);
+    assert.strictEqual(window.localStorage.length, 0);
+});
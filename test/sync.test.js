@@ -0,0 +1,120 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, itemsHtml, createScheduler } = require("./helpers.js");
+
+/**
+ * Creates a slideshow over the container with the given id.
+ */
+function create(window, id, options = {}) {
+    return new window.Slideshow(Object.assign({
+        container: id,
+        scheduler: createScheduler(),
+        transitioningClass: null,
+        shouldAutoTransition: false
+    }, options));
+}
+
+test("the container leads to its slideshow until it is destroyed", function() {
+    var window = createWindow(itemsHtml(3, "main"));
+    var main = create(window, "main");
+    assert.strictEqual(window.document.getElementById("main").slideshow, main);
+    main.destroy();
+    assert.strictEqual(window.document.getElementById("main").slideshow, undefined);
+});
+
+test("asNavFor links with a slideshow given by its element", function() {
+    var window = createWindow(itemsHtml(3, "main") + itemsHtml(3, "thumbs"));
+    var main = create(window, "main");
+    var thumbs = create(window, "thumbs", { asNavFor: window.document.getElementById("main") });
+    assert.deepStrictEqual(Array.from(main.syncedSlideshows), [thumbs]);
+
+    thumbs.items[2].click();
+    main.scheduler.tick(0);
+    assert.strictEqual(main.getSelectedIndex(), 2);
+});
+
+test("asNavFor links with a slideshow constructed later", function() {
+    var window = createWindow(itemsHtml(3, "thumbs") + itemsHtml(3, "main"));
+    var thumbs = create(window, "thumbs", { asNavFor: "#main" });
+    assert.strictEqual(thumbs.syncedSlideshows.length, 0);
+
+    var main = create(window, "main");
+    assert.deepStrictEqual(Array.from(thumbs.syncedSlideshows), [main]);
+    main.transitionTo(1);
+    assert.strictEqual(thumbs.getActiveIndex(), 1);
+});
+
+test("a destroyed navigator no longer waits for its slideshow", function() {
+    var window = createWindow(itemsHtml(3, "thumbs") + itemsHtml(3, "main"));
+    var thumbs = create(window, "thumbs", { asNavFor: "#main" });
+    thumbs.destroy();
+    var main = create(window, "main");
+    assert.strictEqual(main.syncedSlideshows.length, 0);
+});
+
+test("synced slideshows drive each other without feeding back", function() {
+    var window = createWindow(itemsHtml(4, "main") + itemsHtml(4, "captions"));
+    var main = create(window, "main");
+    var captions = create(window, "captions");
+    var changes = [];
+    main.on("change", function(event) {
+        changes.push("main " + event.detail.to);
+    });
+    captions.on("change", function(event) {
+        changes.push("captions " + event.detail.to);
+    });
+    assert.strictEqual(main.sync(captions), main);
+
+    main.transitionForward(false);
+    main.scheduler.tick(0);
+    captions.scheduler.tick(0);
+    assert.strictEqual(captions.getSelectedIndex(), 1);
+    captions.transitionTo(3);
+    main.scheduler.tick(0);
+    captions.scheduler.tick(0);
+    assert.strictEqual(main.getSelectedIndex(), 3);
+    // Each slideshow changed once per navigation
+    assert.deepStrictEqual(changes.sort(), ["captions 1", "captions 3", "main 1", "main 3"]);
+
+    main.unsync(captions);
+    main.transitionTo(0);
+    main.scheduler.tick(0);
+    assert.strictEqual(captions.getSelectedIndex(), 3);
+});
+
+test("a grouped thumbnail strip marks the active item and only scrolls to keep it in view", function() {
+    var window = createWindow(itemsHtml(8, "main") + itemsHtml(8, "thumbs"));
+    var main = create(window, "main");
+    var thumbs = create(window, "thumbs", { slidesPerView: 4, slidesPerGroup: 4, asNavFor: "#main" });
+    assert.ok(thumbs.items[0].classList.contains("slideshow-item-active"));
+
+    main.transitionTo(2);
+    main.scheduler.tick(0);
+    assert.strictEqual(thumbs.getSelectedIndex(), 0);
+    assert.ok(thumbs.items[2].classList.contains("slideshow-item-active"));
+    assert.ok(!thumbs.items[0].classList.contains("slideshow-item-active"));
+
+    main.transitionTo(5);
+    main.scheduler.tick(0);
+    thumbs.scheduler.tick(0);
+    assert.strictEqual(thumbs.getSelectedIndex(), 4);
+    assert.strictEqual(thumbs.getActiveIndex(), 5);
+
+    // Scrolling the strip doesn't move the main slideshow
+    thumbs.transitionBackward(false);
+    thumbs.scheduler.tick(0);
+    assert.strictEqual(main.getSelectedIndex(), 5);
+});
+
+test("generated indicators can show thumbnails of their items", function() {
+    var window = createWindow("<div id=\"main\">"
+        + "<div class=\"slideshow-item slideshow-item-selected\"><img src=\"0.png\"></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\" data-slideshow-thumb=\"1-small.png\"><img src=\"1.png\"></div>"
+        + "</div><div id=\"indicators\"></div>");
+    var main = create(window, "main", { indicators: "indicators", thumbnails: true });
+    var images = Array.from(main.indicators, function(indicator) {
+        return indicator.querySelector("img").getAttribute("src");
+    });
+    assert.deepStrictEqual(images, ["0.png", "1-small.png"]);
+    assert.strictEqual(main.indicators[0].querySelector("img").getAttribute("loading"), "lazy");
+});
@@ -0,0 +1,61 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createSlideshow } = require("./helpers.js");
+
+test("the URL selects the initial item", function() {
+    var { slideshow } = createSlideshow(4, { urlSync: "query" }, { url: "https://example.com/?slideshow=3" });
+    assert.strictEqual(slideshow.getSelectedIndex(), 2);
+});
+
+test("manual changes write the URL", function() {
+    var { window, slideshow, scheduler } = createSlideshow(4, { urlSync: "query" }, { url: "https://example.com/" });
+    slideshow.goTo(2);
+    scheduler.tick(0);
+    assert.strictEqual(window.location.search, "?slideshow=3");
+
+    var hashed = createSlideshow(4, { urlSync: "hash" }, { url: "https://example.com/" });
+    hashed.slideshow.goTo(1);
+    assert.strictEqual(hashed.window.location.hash, "#slideshow=2");
+});
+
+test("pushing history only happens for manual changes", function() {
+    var { window, slideshow, scheduler } = createSlideshow(4, {
+        urlSync: "query",
+        urlHistory: "push",
+        loop: true,
+        autoTransitionTime: 1000
+    }, { url: "https://example.com/" });
+    var length = window.history.length;
+    slideshow.next();
+    scheduler.tick(0);
+    assert.strictEqual(window.history.length, length + 1);
+
+    slideshow.startAutoTransition();
+    scheduler.tick(3000);
+    assert.notStrictEqual(slideshow.getSelectedIndex(), 1);
+    assert.strictEqual(window.history.length, length + 1);
+    assert.strictEqual(window.location.search, "?slideshow=" + (slideshow.getSelectedIndex() + 1));
+});
+
+test("navigating the history jumps straight to the item", function() {
+    var { window, slideshow, scheduler } = createSlideshow(5, { urlSync: "query", jumpStrategy: "sequential" }, { url: "https://example.com/" });
+    var changes = [];
+    slideshow.on("change", function(event) {
+        changes.push(event.detail.to);
+    });
+    window.history.replaceState(null, "", "/?slideshow=5");
+    window.dispatchEvent(new window.PopStateEvent("popstate"));
+    scheduler.tick(0);
+    assert.deepStrictEqual(changes, [4]);
+    assert.strictEqual(slideshow.getSelectedIndex(), 4);
+});
+
+test("a URL without the key returns to the start item", function() {
+    var { window, slideshow, scheduler } = createSlideshow(4, { urlSync: "query", initialState: { selectedIndex: 1 } }, { url: "https://example.com/" });
+    slideshow.goTo(3);
+    scheduler.tick(0);
+    window.history.replaceState(null, "", "/");
+    window.dispatchEvent(new window.PopStateEvent("popstate"));
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
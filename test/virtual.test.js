@@ -0,0 +1,126 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, createScheduler, createSlideshow } = require("./helpers.js");
+
+/**
+ * Waits for the promises the slideshow chained to settle.
+ */
+function flush() {
+    return new Promise(function(resolve) {
+        setImmediate(resolve);
+    });
+}
+
+function renderItem(data) {
+    return "<p>" + data + "</p>";
+}
+
+test("only the window around the selected item is in the DOM", function() {
+    var { slideshow, scheduler } = createSlideshow(0, { dataSource: ["a", "b", "c", "d", "e"], renderItem: renderItem, virtualBuffer: 1 });
+    var attached = function() {
+        return Array.from(slideshow.items, function(item) {
+            return item.parentNode == slideshow.container ? item.textContent : null;
+        });
+    };
+    assert.strictEqual(slideshow.items.length, 5);
+    assert.deepStrictEqual(attached(), ["a", "b", null, null, null]);
+    slideshow.goTo(3);
+    scheduler.tick(0);
+    assert.deepStrictEqual(attached(), [null, null, "c", "d", "e"]);
+});
+
+test("a dataSource function is fetched by page", async function() {
+    var requests = [];
+    var { slideshow } = createSlideshow(0, {
+        dataSource: function(offset, count) {
+            requests.push([offset, count]);
+            return Promise.resolve(Array.from({ length: count }, function(value, i) {
+                return offset + i;
+            }));
+        },
+        dataCount: 5,
+        dataPageSize: 2,
+        renderItem: renderItem
+    });
+    assert.ok(slideshow.items[0].classList.contains("slideshow-item-loading"));
+    await flush();
+    assert.deepStrictEqual(requests, [[0, 2]]);
+    assert.strictEqual(slideshow.items[1].textContent, "1");
+    assert.ok(!slideshow.items[0].classList.contains("slideshow-item-loading"));
+});
+
+test("dataSource failures are reported and fetched again", async function() {
+    var window = createWindow("<div id=\"slideshow\"></div>");
+    var errors = [];
+    window.Slideshow.reportError = function(error) {
+        errors.push(error);
+    };
+    var calls = 0;
+    var slideshow = new window.Slideshow({
+        container: "slideshow",
+        scheduler: createScheduler(),
+        shouldAutoTransition: false,
+        dataSource: function() {
+            calls++;
+            if (calls == 1) {
+                throw new Error("offline");
+            }
+            return Promise.resolve(calls == 2 ? "not an array" : ["a", "b"]);
+        },
+        dataCount: 2,
+        dataPageSize: 2,
+        renderItem: renderItem
+    });
+    var retry = async function() {
+        slideshow.detachVirtualItem(0);
+        slideshow.updateVirtualWindow(0);
+        await flush();
+    };
+    await retry();
+    assert.deepStrictEqual(errors.map(function(error) {
+        return error.code || error.message;
+    }), ["offline", "INVALID_OPTION"]);
+    assert.strictEqual(slideshow.virtual.pending.length, 0);
+    await retry();
+    assert.strictEqual(slideshow.items[0].textContent, "a");
+    assert.strictEqual(errors.length, 2);
+});
+
+test("renderItem must return an element or HTML", function() {
+    assert.throws(function() {
+        createSlideshow(0, { dataSource: [1], renderItem: function() {
+            return 1;
+        } });
+    }, { name: "SlideshowError", code: "INVALID_OPTION" });
+});
+
+test("the items of a dataSource can't be changed directly", function() {
+    var { window, slideshow } = createSlideshow(0, { dataSource: [1, 2, 3], renderItem: renderItem });
+    var calls = {
+        addItem: function() {
+            slideshow.addItem(window.document.createElement("div"));
+        },
+        removeItem: function() {
+            slideshow.removeItem(0);
+        },
+        moveItem: function() {
+            slideshow.moveItem(0, 1);
+        },
+        setItems: function() {
+            slideshow.setItems([]);
+        }
+    };
+    for (var name in calls) {
+        assert.throws(calls[name], { name: "SlideshowError", code: "VIRTUAL_ITEMS" }, name);
+    }
+    slideshow.setDataSource([4, 5]);
+    assert.strictEqual(slideshow.items.length, 2);
+    assert.strictEqual(slideshow.items[0].textContent, "4");
+});
+
+test("setDataSource throws NOT_VIRTUAL without a dataSource", function() {
+    var { slideshow } = createSlideshow(3);
+    assert.throws(function() {
+        slideshow.setDataSource([1, 2, 3]);
+    }, { name: "SlideshowError", code: "NOT_VIRTUAL" });
+});
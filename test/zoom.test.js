@@ -0,0 +1,163 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var { createWindow, createScheduler, dispatchPointer } = require("./helpers.js");
+
+/**
+ * Creates a slideshow of three items with zoom enabled, the last of which has no image. The images measure 200 by 100 pixels.
+ */
+function createZoomable(options) {
+    var window = createWindow("<div id=\"slideshow\">"
+        + "<div class=\"slideshow-item slideshow-item-selected\"><img src=\"0.png\" style=\"transform: rotate(1deg)\"></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\"><img src=\"1.png\"></div>"
+        + "<div class=\"slideshow-item slideshow-item-next\">Text</div>"
+        + "</div>");
+    var images = window.document.querySelectorAll("img");
+    for (var i = 0; i < images.length; i++) {
+        Object.defineProperties(images[i], {
+            offsetWidth: { value: 200 },
+            offsetHeight: { value: 100 }
+        });
+    }
+    var scheduler = createScheduler();
+    var slideshow = new window.Slideshow(Object.assign({
+        container: "slideshow",
+        scheduler: scheduler,
+        transitioningClass: null,
+        shouldAutoTransition: false,
+        zoom: true
+    }, options));
+    var scales = [];
+    slideshow.on("zoom", function(event) {
+        scales.push(event.detail.index + ":" + event.detail.scale);
+    });
+    return { window: window, scheduler: scheduler, slideshow: slideshow, images: images, scales: scales };
+}
+
+/**
+ * Dispatches a wheel event on an element.
+ */
+function wheel(element, deltaY, ctrlKey) {
+    var event = new element.ownerDocument.defaultView.WheelEvent("wheel", { deltaY: deltaY, ctrlKey: ctrlKey, bubbles: true, cancelable: true });
+    element.dispatchEvent(event);
+    return event;
+}
+
+/**
+ * Taps an element at the given point.
+ */
+function tap(element, clientX = 0, clientY = 0) {
+    dispatchPointer(element, "pointerdown", { clientX: clientX, clientY: clientY });
+    dispatchPointer(element, "pointerup", { clientX: clientX, clientY: clientY });
+}
+
+test("the wheel zooms the image while holding the zoomWheelModifier", function() {
+    var { slideshow, images, scales } = createZoomable();
+    var touchAction = slideshow.container.style.touchAction;
+    var event = wheel(images[0], -100, false);
+    assert.ok(!slideshow.isZoomed());
+
+    event = wheel(images[0], -100, true);
+    assert.ok(event.defaultPrevented);
+    assert.ok(slideshow.isZoomed());
+    assert.ok(slideshow.items[0].classList.contains("slideshow-item-zoomed"));
+    assert.strictEqual(images[0].style.transform, "translate(0px, 0px) scale(" + Math.E + ")");
+    assert.strictEqual(slideshow.container.style.touchAction, "none");
+
+    // Limited to the maxZoom, and back to the original transform once zoomed out
+    wheel(images[0], -1000, true);
+    assert.strictEqual(images[0].style.transform, "translate(0px, 0px) scale(3)");
+    wheel(images[0], 1000, true);
+    assert.ok(!slideshow.isZoomed());
+    assert.ok(!slideshow.items[0].classList.contains("slideshow-item-zoomed"));
+    assert.strictEqual(images[0].style.transform, "rotate(1deg)");
+    assert.strictEqual(slideshow.container.style.touchAction, touchAction);
+    assert.deepStrictEqual(scales, ["0:" + Math.E, "0:3", "0:1"]);
+});
+
+test("double-tapping toggles the doubleTapZoom", function() {
+    var { scheduler, slideshow, images, scales } = createZoomable({ doubleTapZoom: 2.5 });
+    tap(images[0]);
+    scheduler.tick(400);
+    tap(images[0]);
+    assert.ok(!slideshow.isZoomed());
+
+    scheduler.tick(100);
+    tap(images[0]);
+    assert.strictEqual(images[0].style.transform, "translate(0px, 0px) scale(2.5)");
+
+    tap(images[0]);
+    scheduler.tick(100);
+    tap(images[0]);
+    assert.ok(!slideshow.isZoomed());
+    assert.deepStrictEqual(scales, ["0:2.5", "0:1"]);
+
+    // Taps far apart aren't a double-tap
+    tap(images[0], 0, 0);
+    tap(images[0], 50, 0);
+    assert.ok(!slideshow.isZoomed());
+});
+
+test("pinching zooms around the middle of the pointers", function() {
+    var { slideshow, images } = createZoomable();
+    dispatchPointer(images[0], "pointerdown", { pointerId: 1, clientX: -50, clientY: 0 });
+    dispatchPointer(images[0], "pointerdown", { pointerId: 2, clientX: 50, clientY: 0, isPrimary: false });
+    dispatchPointer(images[0], "pointermove", { pointerId: 2, clientX: 150, clientY: 0, isPrimary: false });
+    assert.strictEqual(images[0].style.transform, "translate(-50px, 0px) scale(2)");
+
+    // Pinching back to barely zoomed resets the zoom once the pinch ends
+    dispatchPointer(images[0], "pointermove", { pointerId: 2, clientX: 52, clientY: 0, isPrimary: false });
+    assert.ok(slideshow.isZoomed());
+    dispatchPointer(images[0], "pointerup", { pointerId: 2, clientX: 52, clientY: 0, isPrimary: false });
+    assert.ok(!slideshow.isZoomed());
+});
+
+test("dragging pans the zoomed image within its bounds instead of swiping", function() {
+    var { scheduler, slideshow, images } = createZoomable();
+    tap(images[0]);
+    tap(images[0]);
+    assert.ok(slideshow.isZoomed());
+
+    dispatchPointer(images[0], "pointerdown", { clientX: 0, clientY: 0 });
+    dispatchPointer(images[0], "pointermove", { clientX: -300, clientY: 20 });
+    assert.strictEqual(images[0].style.transform, "translate(-100px, 20px) scale(2)");
+    dispatchPointer(images[0], "pointermove", { clientX: -300, clientY: 90 });
+    assert.strictEqual(images[0].style.transform, "translate(-100px, 50px) scale(2)");
+    dispatchPointer(images[0], "pointerup", { clientX: -300, clientY: 90 });
+    scheduler.tick(0);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    assert.ok(slideshow.isZoomed());
+    assert.strictEqual(slideshow.container.style.getPropertyValue("--slideshow-drag-offset"), "");
+});
+
+test("the zoom is reset once the selection moves away", function() {
+    var { scheduler, slideshow, images, scales } = createZoomable();
+    wheel(images[0], -100, true);
+    slideshow.transitionTo(1);
+    assert.ok(!slideshow.isZoomed());
+    assert.strictEqual(images[0].style.transform, "rotate(1deg)");
+    scheduler.tick(0);
+    assert.deepStrictEqual(scales, ["0:" + Math.E, "0:1"]);
+});
+
+test("auto transition is held while an item is zoomed", function() {
+    var { scheduler, slideshow, images } = createZoomable({ shouldAutoTransition: true, loop: true, autoTransitionTime: 1000, pauseOnHover: false });
+    wheel(images[0], -100, true);
+    scheduler.tick(5000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 0);
+    wheel(images[0], 1000, true);
+    scheduler.tick(1000);
+    assert.strictEqual(slideshow.getSelectedIndex(), 1);
+});
+
+test("items without an image and slideshows without zoom don't zoom", function() {
+    var { slideshow } = createZoomable({ initialState: { selectedIndex: 2 } });
+    var event = wheel(slideshow.items[2], -100, true);
+    assert.ok(!event.defaultPrevented);
+    assert.ok(!slideshow.isZoomed());
+
+    var { slideshow, images } = createZoomable({ zoom: false });
+    wheel(images[0], -100, true);
+    tap(images[0]);
+    tap(images[0]);
+    assert.ok(!slideshow.isZoomed());
+});